@@ -35,6 +35,7 @@ const EconomyProperties = {
 const userClassFiles = readdirSync(__dirname + '/src/classes/user')
 const guildClassFiles = readdirSync(__dirname + '/src/classes/guild')
 const managerFiles = readdirSync(__dirname + '/src/managers')
+const adapterFiles = readdirSync(__dirname + '/src/adapters')
 
 for (const userClassFile of userClassFiles) {
     EconomyProperties[userClassFile.slice(0, -3)] = require(`./src/classes/user/${userClassFile}`)
@@ -48,4 +49,8 @@ for (const managerFile of managerFiles) {
     EconomyProperties[managerFile.slice(0, -3)] = require(`./src/managers/${managerFile}`)
 }
 
+for (const adapterFile of adapterFiles) {
+    EconomyProperties[adapterFile.slice(0, -3)] = require(`./src/adapters/${adapterFile}`)
+}
+
 module.exports = Object.assign(Economy, EconomyProperties)
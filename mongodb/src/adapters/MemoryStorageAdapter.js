@@ -0,0 +1,131 @@
+const StorageAdapter = require('./StorageAdapter')
+
+
+/**
+ * Storage adapter that keeps all the data in memory.
+ *
+ * [!] The data is lost when the process exits - this adapter is made for tests.
+ * @extends {StorageAdapter}
+ *
+ * @example
+ * const { MemoryStorageAdapter } = require('discord-economy-super/mongodb')
+ * const eco = new Economy({ storage: new MemoryStorageAdapter() })
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+
+    /**
+     * Memory Storage Adapter.
+     * @param {EconomyConfiguration} [options] Economy configuration.
+     * @param {EconomyDatabase} [data] Initial database contents.
+     */
+    constructor(options = {}, data = {}) {
+        super(options)
+
+        /**
+         * Database contents.
+         * @type {EconomyDatabase}
+         * @private
+         */
+        this.data = data
+    }
+
+    /**
+     * Fetches the data from the memory.
+     * @param {string} key The key in database.
+     * @returns {Promise<any>} Value from the specified key or 'null' if nothing found.
+     */
+    async get(key) {
+        const keys = key.split('.')
+        let tmp = this.data
+
+        for (const property of keys) {
+            tmp = tmp?.[property]
+        }
+
+        return this._clone(tmp ?? null)
+    }
+
+    /**
+     * Sets data in a property in the memory.
+     * @param {string} key The key in database.
+     * @param {any} value Any data to set in property.
+     * @returns {Promise<boolean>} If set successfully: true; else: false.
+     */
+    async set(key, value) {
+        if (value == undefined) return false
+
+        const keys = key.split('.')
+        const lastKey = keys.pop()
+
+        let tmp = this.data
+
+        for (const property of keys) {
+            if (typeof tmp[property] !== 'object' || tmp[property] === null || Array.isArray(tmp[property])) {
+                tmp[property] = {}
+            }
+
+            tmp = tmp[property]
+        }
+
+        tmp[lastKey] = this._clone(value)
+        return true
+    }
+
+    /**
+     * Removes the property from the memory.
+     * @param {string} key The key in database.
+     * @returns {Promise<boolean>} If removed successfully: true; else: false.
+     */
+    async delete(key) {
+        const keys = key.split('.')
+        const lastKey = keys.pop()
+
+        let tmp = this.data
+
+        for (const property of keys) {
+            tmp = tmp?.[property]
+        }
+
+        if (tmp?.[lastKey] === undefined) return false
+
+        delete tmp[lastKey]
+        return true
+    }
+
+    /**
+     * Fetches the entire database.
+     * @returns {Promise<EconomyDatabase>} Database contents.
+     */
+    async all() {
+        return this._clone(this.data)
+    }
+
+    /**
+     * Clears the whole memory storage.
+     * @returns {Promise<boolean>} If cleared: true; else: false.
+     */
+    async clear() {
+        if (!Object.keys(this.data).length) return false
+
+        this.data = {}
+        return true
+    }
+
+    /**
+     * Makes a deep copy of the value, so the data in memory
+     * cannot be changed without writing it back through the adapter.
+     * @param {any} value The value to copy.
+     * @returns {any} Copy of the value.
+     * @private
+     */
+    _clone(value) {
+        if (typeof value !== 'object' || value === null) return value
+        return JSON.parse(JSON.stringify(value))
+    }
+}
+
+/**
+ * Memory storage adapter class.
+ * @type {MemoryStorageAdapter}
+ */
+module.exports = MemoryStorageAdapter
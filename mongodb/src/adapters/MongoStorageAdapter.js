@@ -0,0 +1,139 @@
+const StorageAdapter = require('./StorageAdapter')
+
+
+/**
+ * Storage adapter for the MongoDB database.
+ *
+ * This is the default storage adapter of the MongoDB version of the module.
+ *
+ * [!] QuickMongo rewrites the whole document on every change,
+ * so all the changes are run one by one to not overwrite each other.
+ * @extends {StorageAdapter}
+ */
+class MongoStorageAdapter extends StorageAdapter {
+
+    /**
+     * Mongo Storage Adapter.
+     * @param {EconomyConfiguration} options Economy configuration.
+     * @param {QuickMongo} mongo QuickMongo instance.
+     */
+    constructor(options = {}, mongo) {
+        super(options)
+
+        /**
+         * QuickMongo instance.
+         * @type {QuickMongo}
+         */
+        this.mongo = mongo
+    }
+
+    /**
+     * Fetches the data from the database.
+     * @param {string} key The key in database.
+     * @returns {Promise<any>} Value from the specified key or 'null' if nothing found.
+     */
+    get(key) {
+        return this.mongo.fetch(key)
+    }
+
+    /**
+     * Sets data in a property in the database.
+     * @param {string} key The key in database.
+     * @param {any} value Any data to set in property.
+     * @returns {Promise<boolean>} If set successfully: true; else: false.
+     */
+    set(key, value) {
+        return this._queue(async () => {
+            await this.mongo.set(key, value)
+            return true
+        })
+    }
+
+    /**
+     * Removes the property from the database.
+     * @param {string} key The key in database.
+     * @returns {Promise<boolean>} If removed successfully: true; else: false.
+     */
+    delete(key) {
+        return this._queue(async () => {
+            await this.mongo.remove(key)
+            return true
+        })
+    }
+
+    /**
+     * Fetches the entire database.
+     * @returns {Promise<EconomyDatabase>} Database contents.
+     */
+    all() {
+        return this.mongo.all()
+    }
+
+    /**
+     * Adds a number to a property data in the database.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to add.
+     * @returns {Promise<boolean>} If added successfully: true; else: false.
+     */
+    add(key, value) {
+        return this._queue(async () => {
+            await this.mongo.add(key, value)
+            return true
+        })
+    }
+
+    /**
+     * Subtracts a number from a property data in the database.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to subtract.
+     * @returns {Promise<boolean>} If subtracted successfully: true; else: false.
+     */
+    subtract(key, value) {
+        return this._queue(async () => {
+            await this.mongo.subtract(key, value)
+            return true
+        })
+    }
+
+    /**
+     * Pushes a value to a specified array in the database.
+     * @param {string} key The key in database.
+     * @param {any} value Any value to push.
+     * @returns {Promise<boolean>} If pushed successfully: true; else: false.
+     */
+    push(key, value) {
+        return this._queue(async () => {
+            await this.mongo.push(key, value)
+            return true
+        })
+    }
+
+    /**
+     * Removes an element from a specified array in the database.
+     * @param {string} key The key in database.
+     * @param {number} index The index in the array.
+     * @returns {Promise<boolean>} If removed successfully: true; else: false.
+     */
+    pull(key, index) {
+        return this._queue(async () => {
+            await this.mongo.pop(key, index)
+            return true
+        })
+    }
+
+    /**
+     * Gets a list of keys in the database.
+     * @param {string} [key] The key in database. If not specified, the top-level keys will be returned.
+     * @returns {Promise<string[]>} An array with the keys.
+     */
+    async keys(key) {
+        const keys = await this.mongo.keysList(key || '')
+        return keys || []
+    }
+}
+
+/**
+ * Mongo storage adapter class.
+ * @type {MongoStorageAdapter}
+ */
+module.exports = MongoStorageAdapter
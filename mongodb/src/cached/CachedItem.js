@@ -8,6 +8,13 @@ const defaultUserSchema = require('../structures/DefaultUserSchema')
 const Bank = require('../classes/user/Bank')
 const Currency = require('../classes/Currency')
 
+/**
+ * Constructors of the cached items that contain the users' balances:
+ * when they are updated, the cached guild leaderboards are not up to date anymore.
+ * @type {string[]}
+ */
+const leaderboardConstructors = ['EconomyUser', 'BalanceItem', 'BankBalanceItem']
+
 /**
  * Cached item class. Used to work with data in Economy cache 
  * (e.g. getting balance data, shop data, etc. from the cache).
@@ -194,6 +201,10 @@ class CachedItem {
             throw new EconomyError(errors.cache.noIdentifiersProvided, 'INVALID_CACHING_IDENTIFIERS')
         }
 
+        if (leaderboardConstructors.includes(constructorName)) {
+            this.cacheManager.leaderboards.remove(id)
+        }
+
         switch (constructorName) {
             case 'EconomyUser': {
                 const usersCache = {}
@@ -381,6 +392,10 @@ class CachedItem {
             throw new EconomyError(errors.cache.noIdentifiersProvided, 'INVALID_CACHING_IDENTIFIERS')
         }
 
+        if (leaderboardConstructors.includes(constructorName)) {
+            this.cacheManager.leaderboards.remove(id)
+        }
+
         switch (constructorName) {
             case 'EconomyUser':
                 if (!id.memberID || !id.guildID) {
@@ -1,5 +1,9 @@
 const CachedItem = require('./CachedItem')
 
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('../structures/errors')
+const compareRanks = require('../structures/compareRanks')
+
 const EconomyGuild = require('../classes/EconomyGuild')
 const EconomyUser = require('../classes/EconomyUser')
 
@@ -183,6 +187,76 @@ class CachedHistory extends CachedItem {
     }
 }
 
+/**
+ * Cached leaderboards class. Allows to get the cached guild balance and bank balance leaderboards.
+ *
+ * The leaderboards of the guild are removed from the cache when the user, balance or bank balance
+ * cache of any user in the guild is updated, and are built again on the next request.
+ * @extends {CachedItem}
+ */
+class CachedLeaderboards extends CachedItem {
+
+    /**
+     * Cached leaderboards class. Allows to get the cached guild leaderboards.
+     * @param {string} guildID Guild ID.
+     * @param {EconomyConfiguration} options Economy configuration object.
+     * @param {DatabaseManager} database Database manager instance.
+     * @param {CacheManager} cache Cache manager instance.
+     */
+    constructor(guildID, options, database, cache) {
+        super(null, [guildID], options, database, cache)
+    }
+
+    /**
+     * Gets the cached leaderboards of the guild.
+     * @param {DataIdentifier} id Identifiers object (guildID) to get value from cache.
+     * @returns {CachedLeaderboardsData} Cached leaderboards of the guild.
+     */
+    get(id) {
+        if (!id?.guildID) {
+            throw new EconomyError(errors.cache.noIdentifiersProvided, 'INVALID_CACHING_IDENTIFIERS')
+        }
+
+        return this.cache[id.guildID] || null
+    }
+
+    /**
+     * Builds the leaderboards of the guild from the database and saves them in the cache.
+     * @param {DataIdentifier} id Identifiers object (guildID) to get value from cache.
+     * @returns {Promise<void>}
+     */
+    async update(id) {
+        if (!id?.guildID) {
+            throw new EconomyError(errors.cache.noIdentifiersProvided, 'INVALID_CACHING_IDENTIFIERS')
+        }
+
+        const guildData = await this._database.fetch(`${id.guildID}`) || {}
+
+        const leaderboard = property => Object.entries(guildData)
+            .filter(([key, user]) => key !== 'settings' && key !== 'shop' && !isNaN(user?.[property]))
+            .map(([userID, user]) => ({ userID, money: Number(user[property]) }))
+            .sort(compareRanks())
+
+        this.set(id.guildID, {
+            money: leaderboard('money'),
+            bank: leaderboard('bank')
+        })
+    }
+
+    /**
+     * Removes the leaderboards of the guild from the cache.
+     * @param {DataIdentifier} id Identifiers object (guildID) to get value from cache.
+     * @returns {void}
+     */
+    remove(id) {
+        if (!id?.guildID) {
+            throw new EconomyError(errors.cache.noIdentifiersProvided, 'INVALID_CACHING_IDENTIFIERS')
+        }
+
+        delete this.cache[id.guildID]
+    }
+}
+
 module.exports = {
     CachedGuilds,
     CachedUsers,
@@ -192,5 +266,18 @@ module.exports = {
     CachedCurrency,
     CachedShop,
     CachedInventory,
-    CachedHistory
+    CachedHistory,
+    CachedLeaderboards
 }
+
+/**
+ * @typedef {object} CachedLeaderboardsData
+ * @property {Array<{ userID: string, money: number }>} money Sorted balance leaderboard.
+ * @property {Array<{ userID: string, money: number }>} bank Sorted bank balance leaderboard.
+ */
+
+/**
+ * @typedef {Object} DataIdentifier
+ * @property {string} guildID Guild ID.
+ * @property {string} memberID Member ID.
+ */
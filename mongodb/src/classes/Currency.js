@@ -2,8 +2,10 @@ const defaultCurrencyObject = require('../structures/DefaultCurrencyObject')
 
 const EconomyError = require('./util/EconomyError')
 const errors = require('../structures/errors')
+const overdraftLimit = require('../structures/overdraftLimit')
 
 const Emitter = require('./util/Emitter')
+const HistoryManager = require('../managers/HistoryManager')
 
 
 /**
@@ -98,7 +100,7 @@ class Currency extends Emitter {
 	 */
 	async create() {
 		const currenciesArray = await this._all(this.guildID)
-		const newCurrencyObject = defaultCurrencyObject
+		const newCurrencyObject = { ...defaultCurrencyObject, balances: {} }
 
 		newCurrencyObject.id = currenciesArray.length ? currenciesArray[currenciesArray.length - 1].id + 1 : 1
 		newCurrencyObject.name = this.name
@@ -191,12 +193,14 @@ class Currency extends Emitter {
 	}
 
 	/**
-	 * Sets the currency for specified member.
+	 * Gets the currency balance for specified member.
 	 * @param {string} memberID Member ID.
 	 * @returns {Promise<number>} Member's balance.
 	 */
 	async getBalance(memberID) {
-		const currencyBalance = this.balances[memberID]
+		const currency = (await this._all()).find(currency => currency.id == this.id)
+		const currencyBalance = currency?.balances?.[memberID]
+
 		return currencyBalance || 0
 	}
 
@@ -205,7 +209,8 @@ class Currency extends Emitter {
 	 * @param {number} amount Amount of money to set.
 	 * @param {string} memberID Member ID.
 	 * @param {string} [reason] The reason why the balance was set.
-	 * @param {boolean} [emitSet=true] If true, `customCurrencySet` event will be emitted on set. Default: true.
+	 * @param {boolean} [emitSet=true] If true, `customCurrencySet` event will be emitted on set
+	 * and the operation will be recorded in the ledger. Default: true.
 	 * @returns {Promise<number>} Amount of money that was set.
 	 */
 	async setBalance(amount, memberID, reason = '', emitSet = true) {
@@ -224,6 +229,7 @@ class Currency extends Emitter {
 			throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
 		}
 
+		const currencyBalance = currency.balances[memberID] || 0
 		currency.balances[memberID] = amount
 
 		delete currency.database
@@ -239,6 +245,14 @@ class Currency extends Emitter {
 		})
 
 		if (emitSet) {
+			await this._record(memberID, {
+				type: 'customCurrencySet',
+				amount,
+				balanceBefore: currencyBalance,
+				balanceAfter: amount,
+				reason
+			})
+
 			this.emit('customCurrencySet', {
 				type: 'customCurrencySet',
 				guildID: this.guildID,
@@ -264,6 +278,14 @@ class Currency extends Emitter {
 		const currencyBalance = await this.getBalance(memberID)
 		const result = await this.setBalance(currencyBalance + amount, memberID, reason, false)
 
+		await this._record(memberID, {
+			type: 'customCurrencyAdd',
+			amount,
+			balanceBefore: currencyBalance,
+			balanceAfter: currencyBalance + amount,
+			reason
+		})
+
 		this.emit('customCurrencyAdd', {
 			type: 'customCurrencyAdd',
 			guildID: this.guildID,
@@ -280,7 +302,7 @@ class Currency extends Emitter {
 	/**
 	 * Transfers the currency to specified user
 	 * @param {TransferingOptions} Currency transfering options.
-	 * @returns {Promise<TransferingResult>} Currency transfering result.
+	 * @returns {Promise<TransferingResult | InsufficientFundsResult | InvalidAmountResult>} Transfering result.
 	 */
 	async transfer(options) {
 		const {
@@ -293,6 +315,10 @@ class Currency extends Emitter {
 			throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
 		}
 
+		if (amount < 0) {
+			return { status: false, reason: 'invalid amount' }
+		}
+
 		if (typeof receiverMemberID !== 'string') {
 			throw new EconomyError(errors.invalidType('receiverMemberID', 'string', receiverMemberID), 'INVALID_TYPE')
 		}
@@ -301,8 +327,63 @@ class Currency extends Emitter {
 			throw new EconomyError(errors.invalidType('senderMemberID', 'string', senderMemberID), 'INVALID_TYPE')
 		}
 
-		await this.subtractBalance(amount, senderMemberID, sendingReason || 'sending money to {user}')
-		await this.addBalance(amount, receiverMemberID, receivingReason || 'receiving money from {user}')
+		const transfered = await this.database.transaction(async () => {
+			const senderBalance = await this.getBalance(senderMemberID)
+			const receiverBalance = await this.getBalance(receiverMemberID)
+
+			const overdraft = await this.database.fetch(`${this.guildID}.settings.overdraft`) || this.options.overdraft
+
+			if (senderBalance - amount < overdraftLimit(overdraft)) {
+				return false
+			}
+
+			await this.setBalance(senderBalance - amount, senderMemberID, sendingReason, false)
+			await this.setBalance(receiverBalance + amount, receiverMemberID, receivingReason, false)
+
+			await this._record(senderMemberID, {
+				type: 'customCurrencySubtract',
+				amount,
+				balanceBefore: senderBalance,
+				balanceAfter: senderBalance - amount,
+				reason: sendingReason || 'sending money to {user}',
+				counterparty: receiverMemberID
+			})
+
+			await this._record(receiverMemberID, {
+				type: 'customCurrencyAdd',
+				amount,
+				balanceBefore: receiverBalance,
+				balanceAfter: receiverBalance + amount,
+				reason: receivingReason || 'receiving money from {user}',
+				counterparty: senderMemberID
+			})
+
+			this.emit('customCurrencySubtract', {
+				type: 'customCurrencySubtract',
+				guildID: this.guildID,
+				memberID: senderMemberID,
+				amount,
+				balance: senderBalance - amount,
+				currency: this,
+				reason: sendingReason || 'sending money to {user}'
+			})
+
+			this.emit('customCurrencyAdd', {
+				type: 'customCurrencyAdd',
+				guildID: this.guildID,
+				memberID: receiverMemberID,
+				amount,
+				balance: receiverBalance + amount,
+				currency: this,
+				reason: receivingReason || 'receiving money from {user}'
+			})
+
+			return true
+		})
+
+		if (!transfered) {
+			return { status: false, reason: 'insufficient funds' }
+		}
 
 		return {
 			success: true,
@@ -326,23 +407,56 @@ class Currency extends Emitter {
 	 * @param {number} amount Amount of money to subtract.
 	 * @param {string} memberID Member ID.
 	 * @param {string} [reason] The reason why the balance was subtracted.
-	 * @returns {Promise<number>} Amount of money that was subtracted.
+	 * @returns {Promise<number | InsufficientFundsResult>} Subtracted amount or 'insufficient funds' result.
 	 */
 	async subtractBalance(amount, memberID, reason = '') {
-		const currencyBalance = await this.getBalance(memberID)
-		const result = await this.setBalance(currencyBalance - amount, memberID, reason, false)
+		return this.database.transaction(async () => {
+			const currencyBalance = await this.getBalance(memberID)
 
-		this.emit('customCurrencySubtract', {
-			type: 'customCurrencySubtract',
-			guildID: this.guildID,
-			memberID,
-			amount,
-			balance: currencyBalance - result,
-			currency: this,
-			reason
+			const overdraft = await this.database.fetch(`${this.guildID}.settings.overdraft`) || this.options.overdraft
+
+			if (currencyBalance - amount < overdraftLimit(overdraft)) {
+				return { status: false, reason: 'insufficient funds' }
+			}
+
+			const result = await this.setBalance(currencyBalance - amount, memberID, reason, false)
+
+			await this._record(memberID, {
+				type: 'customCurrencySubtract',
+				amount,
+				balanceBefore: currencyBalance,
+				balanceAfter: currencyBalance - amount,
+				reason
+			})
+
+			this.emit('customCurrencySubtract', {
+				type: 'customCurrencySubtract',
+				guildID: this.guildID,
+				memberID,
+				amount,
+				balance: currencyBalance - result,
+				currency: this,
+				reason
+			})
+
+			return result
 		})
+	}
 
-		return result
+	/**
+	 * Records the money operation in the member's ledger.
+	 * @param {string} memberID Member ID.
+	 * @param {LedgerEntryData} entryData Ledger entry data.
+	 * @returns {Promise<?LedgerEntry>} Recorded ledger entry or 'null' if saving the ledger is disabled.
+	 * @private
+	 */
+	_record(memberID, entryData) {
+		const history = new HistoryManager(this.options, this.database, this.cache)
+
+		return history.record(memberID, this.guildID, {
+			...entryData,
+			currencyID: this.id
+		})
 	}
 
 	/**
@@ -8,6 +8,7 @@ const Inventory = require('./user/Inventory')
 
 const Cooldowns = require('./user/Cooldowns')
 const Rewards = require('./user/Rewards')
+const Jobs = require('./user/Jobs')
 
 const Items = require('./user/Items')
 
@@ -106,6 +107,12 @@ class EconomyUser {
          */
         this.rewards = new Rewards(id, guildID, ecoOptions, database, cache)
 
+        /**
+         * User jobs.
+         * @type {Jobs}
+         */
+        this.jobs = new Jobs(id, guildID, ecoOptions, database, cache)
+
         /**
          * User items.
          * @type {Items}
@@ -120,7 +127,16 @@ class EconomyUser {
         this._cache = cache
 
         delete userObject.history
+        delete userObject.ledger
+        delete userObject.ledgerState
         delete userObject.inventory
+        delete userObject.effects
+        delete userObject.rewardMultipliers
+        delete userObject.rewardCooldowns
+        delete userObject.rewardBoosts
+        delete userObject.namedCooldowns
+        delete userObject.employment
+        delete userObject.bankInterestTimestamp
 
         for (const [key, value] of Object.entries(userObject || {})) {
             this[key] = value
@@ -190,6 +206,8 @@ class EconomyUser {
  * @property {number} weeklyCooldown User's weekly cooldown.
  * @property {number} monthlyCooldown User's monthly cooldown.
  * @property {number} hourlyCooldown User's hourly cooldown.
+ * @property {number} [dailyStreak] User's current daily reward streak.
+ * @property {number} [bestDailyStreak] User's best daily reward streak.
  * @property {number} money User's balance.
  * @property {number} bank User's bank balance.
  * @property {InventoryData} inventory User's inventory.
@@ -204,6 +222,8 @@ class EconomyUser {
  * @property {number} price Item price.
  * @property {string} message The message that will be returned on item use.
  * @property {string} role ID of Discord Role that will be given to user on item use.
+ * @property {?number} expiresAt Timestamp when the item expires. 'null' means the item never expires.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was bought by a user.
  * @property {object} custom Custom item properties object.
@@ -228,9 +248,25 @@ class EconomyUser {
  * @property {number} id Item ID.
  * @property {string} name Item name.
  * @property {number} price Item price.
+ * @property {?ItemPrice[]} prices
+ * Prices of the item in the currencies. 'null' means the item is sold for its price in the main balance.
+ *
  * @property {string} message The message that will be returned on item use.
  * @property {string} description Item description.
  * @property {string} role ID of Discord Role that will be given to the user on item use.
+ * @property {?number} duration How long the item lasts after it was bought (in ms). 'null' means forever.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
+ * @property {?number} stock Amount of the items left in the shop. 'null' means unlimited.
+ * @property {?ItemRestockOptions} restock Restock schedule of the item. 'null' means the item is never restocked.
+ * @property {?number} lastRestock Timestamp of the last restock of the item.
+ * @property {?string} category Item category. 'null' means the item has no category.
+ * @property {number} sortOrder Position of the item in the search results, in ascending order.
+ * @property {boolean} hidden If true, the item can only be found or bought by its ID.
+ * @property {?number} availableFrom Timestamp when the item becomes available. 'null' means always.
+ * @property {?number} availableUntil Timestamp when the item stops being available. 'null' means never.
+ * @property {?ItemRequirements} requirements
+ * Requirements that the member must meet to buy the item. 'null' means anyone can buy the item.
+ *
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was added in the shop.
  * @property {object} custom Custom item properties object.
@@ -243,6 +279,23 @@ class EconomyUser {
  * 
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000] 
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  * 
@@ -257,7 +310,36 @@ class EconomyUser {
  *
  * @property {boolean} [subtractOnBuy=true] 
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
+ *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
  * 
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [sellingItemPercent=75] 
  * Percent of the item's price it will be sold for. Default: 75.
  * 
@@ -265,6 +347,11 @@ class EconomyUser {
  * If true, the deprecation warnings will be sent in the console. Default: true.
  * 
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
+ *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
  * 
  * @property {string} [dateLocale='en'] The region (example: 'ru'; 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
@@ -188,6 +188,23 @@ class HistoryItem {
  * 
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000] 
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  * 
@@ -202,7 +219,36 @@ class HistoryItem {
  *
  * @property {boolean} [subtractOnBuy=true] 
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
+ *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
  * 
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [sellingItemPercent=75] 
  * Percent of the item's price it will be sold for. Default: 75.
  * 
@@ -210,6 +256,11 @@ class HistoryItem {
  * If true, the deprecation warnings will be sent in the console. Default: true.
  * 
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
+ *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
  * 
  * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru'; 'en') to format the date and time. Default: 'en'.
@@ -1,7 +1,6 @@
 const SettingsManager = require('../managers/SettingsManager')
-
-const errors = require('../structures/errors')
-const EconomyError = require('./util/EconomyError')
+const HistoryManager = require('../managers/HistoryManager')
+const trackSeasonGain = require('../structures/trackSeasonGain')
 
 const Emitter = require('./util/Emitter')
 
@@ -84,6 +83,19 @@ class InventoryItem extends Emitter {
          */
         this.maxAmount = itemObject.maxAmount
 
+        /**
+         * Timestamp when the item expires.
+         * 'null' means the item never expires.
+         * @type {?number}
+         */
+        this.expiresAt = itemObject.expiresAt || null
+
+        /**
+         * Effects that will be applied on item use.
+         * @type {ItemEffect[]}
+         */
+        this.effects = itemObject.effects || []
+
         /**
          * Date when the item was added in the shop.
          * @type {string}
@@ -111,6 +123,13 @@ class InventoryItem extends Emitter {
          */
         this.cache = cache
 
+        /**
+         * History Manager.
+         * @type {HistoryManager}
+         * @private
+         */
+        this._history = new HistoryManager(ecoOptions, database, cache)
+
         for (const [key, value] of Object.entries(itemObject || {})) {
             this[key] = value
         }
@@ -174,11 +193,11 @@ class InventoryItem extends Emitter {
         }
 
         const item = this
-        const itemQuantity = inventory.filter(item => item.id == item.id).length
 
+        // the earliest bought items are removed first, so the rest keep their expiration time
         const newInventory = [
             ...inventory.filter(invItem => invItem.id != item.id),
-            ...Array(itemQuantity - quantity).fill(item.rawObject)
+            ...inventory.filter(invItem => invItem.id == item.id).slice(quantity)
         ]
 
         const result = await this.database.set(`${this.guildID}.${this.memberID}.inventory`, newInventory)
@@ -192,91 +211,29 @@ class InventoryItem extends Emitter {
     }
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
-     * @param {string | number} itemID Item ID or name.
-     * @param {string} memberID Member ID.
-     * @param {string} guildID Guild ID.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
      * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
-     * @returns {Promise<string>} Item message.
+     * @returns {Promise<?string>} Item message or 'null' if the item was not found.
      */
     async use(client) {
-        const inventory = (await this.database.fetch(`${this.guildID}.${this.memberID}.inventory`)) || []
-
-        const itemObject = this.rawObject
-        const itemIndex = inventory.findIndex(invItem => invItem.id == itemObject?.id)
-
-        const item = inventory[itemIndex]
-        if (!item) return null
-
-        if (item.role) {
-            if (item.role && !client) {
-                throw new EconomyError(errors.noClient, 'NO_DISCORD_CLIENT')
-            }
-
-            const guild = client.guilds.cache.get(this.guildID)
-            const roleID = item.role.replace('<@&', '').replace('>', '')
-
-            guild.roles.fetch(roleID).then(role => {
-                const member = guild.members.cache.get(this.memberID)
-
-                member.roles.add(role).catch(err => {
-                    if (!role) {
-                        return console.error(new EconomyError(errors.roleNotFound + roleID, 'ROLE_NOT_FOUND'))
-                    }
-
-                    console.error(
-                        `\x1b[31mFailed to give a role "${guild.roles.cache.get(roleID)?.name}"` +
-                        `on guild "${guild.name}" to member ${guild.member(this.memberID).user.tag}:\x1b[36m`
-                    )
-
-                    console.error(err)
-                    console.error('\x1b[0m')
-                })
-            })
-        }
-
-        await this.delete()
-
-        this.cache.inventory.update({
-            guildID: this.guildID,
-            memberID: this.memberID
-        })
-
-        let msg
-        const string = item?.message || 'You have used this item!'
-
-        if (string.includes('[random=')) {
-            const str = string.slice(string.indexOf('[')).replace('random=', '')
-
-            let errored = false
-            let arr
-
-            try {
-                arr = JSON.parse(str.slice(0, str.indexOf(']') + 1))
-            } catch {
-                errored = true
-            }
-
-            if (errored || !arr.length) msg = string
-            else {
-                const randomString = arr[Math.floor(Math.random() * arr.length)]
-                const replacingString = string.slice(string.indexOf('['))
-
-                msg = string.replace(replacingString, randomString) +
-                    string.slice(string.indexOf('"]')).replace('"]', '')
-            }
-        }
-
-        else msg = string
+        const result = await this.useWithResult(client)
+        return result.receivedMessage
+    }
 
-        this.emit('shopItemUse', {
-            guildID: this.guildID,
-            usedBy: this.memberID,
-            item: this,
-            receivedMessage: msg
-        })
+    /**
+     * Uses the item: applies its effects, returns the item usage result
+     * and removes the item from user's inventory.
+     * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
+     * @returns {Promise<ItemUseResult>} Item usage result.
+     */
+    async useWithResult(client) {
+        // required here because the inventory manager depends on this class
+        const InventoryManager = require('../managers/InventoryManager')
+        const inventory = new InventoryManager(this.options, this.database, this.cache)
 
-        return msg
+        const result = await inventory.useItemWithResult(this.id, this.memberID, this.guildID, client)
+        return result
     }
 
     /**
@@ -317,9 +274,21 @@ class InventoryItem extends Emitter {
             }
         }
 
+        const balance = (await this.database.fetch(`${this.guildID}.${this.memberID}.money`)) || 0
+
         await this.database.add(`${this.guildID}.${this.memberID}.money`, totalSellingPrice)
         this.remove(quantity)
 
+        await trackSeasonGain(this.database, this.memberID, this.guildID, totalSellingPrice)
+
+        await this._history.record(this.memberID, this.guildID, {
+            type: 'balanceAdd',
+            amount: totalSellingPrice,
+            balanceBefore: balance,
+            balanceAfter: balance + totalSellingPrice,
+            reason: 'sold the item from the inventory'
+        })
+
         this.cache.updateMany(['users', 'inventory', 'balance'], {
             guildID: this.guildID,
             memberID: this.memberID
@@ -375,6 +344,8 @@ class InventoryItem extends Emitter {
  * @property {number} price Item price.
  * @property {string} message The message that will be returned on item use.
  * @property {string} role ID of Discord Role that will be given to user on item use.
+ * @property {?number} expiresAt Timestamp when the item expires. 'null' means the item never expires.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was bought by a user.
  * @property {object} custom Custom item properties object.
@@ -397,6 +368,23 @@ class InventoryItem extends Emitter {
  * 
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000] 
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  * 
@@ -411,7 +399,36 @@ class InventoryItem extends Emitter {
  *
  * @property {boolean} [subtractOnBuy=true] 
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
+ *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
  * 
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [sellingItemPercent=75] 
  * Percent of the item's price it will be sold for. Default: 75.
  * 
@@ -419,6 +436,11 @@ class InventoryItem extends Emitter {
  * If true, the deprecation warnings will be sent in the console. Default: true.
  * 
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
+ *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
  * 
  * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru'; 'en') to format the date and time. Default: 'en'.
@@ -1,6 +1,12 @@
 const CurrencyManager = require('../managers/CurrencyManager')
 
 const errors = require('../structures/errors')
+const isValidEffects = require('../structures/isValidEffects')
+const isValidRestock = require('../structures/isValidRestock')
+const itemRestock = require('../structures/itemRestock')
+const itemPrices = require('../structures/itemPrices')
+const itemListing = require('../structures/itemListing')
+const itemRequirements = require('../structures/itemRequirements')
 const EconomyError = require('./util/EconomyError')
 
 const Emitter = require('./util/Emitter')
@@ -65,6 +71,14 @@ class ShopItem extends Emitter {
          */
         this.price = itemObject.price
 
+        /**
+         * Prices of the item in the currencies, by the currency ID or 'money' for the main balance.
+         * All the currencies of one price are charged together.
+         * 'null' means the item is sold for its price in the main balance.
+         * @type {?ItemPrice[]}
+         */
+        this.prices = itemObject.prices || null
+
         /**
          * The message that will be returned on item use.
          * @type {string}
@@ -89,6 +103,79 @@ class ShopItem extends Emitter {
          */
         this.maxAmount = itemObject.maxAmount
 
+        /**
+         * How long the item lasts after it was bought (in ms).
+         * 'null' means the item never expires.
+         * @type {?number}
+         */
+        this.duration = itemObject.duration || null
+
+        /**
+         * Effects that will be applied on item use.
+         * @type {ItemEffect[]}
+         */
+        this.effects = itemObject.effects || []
+
+        /**
+         * Amount of the items left in the shop.
+         * 'null' means the stock is unlimited.
+         * @type {?number}
+         */
+        this.stock = itemObject.stock ?? null
+
+        /**
+         * Restock schedule of the item.
+         * 'null' means the item is never restocked.
+         * @type {?ItemRestockOptions}
+         */
+        this.restock = itemObject.restock || null
+
+        /**
+         * Timestamp of the last restock of the item.
+         * @type {?number}
+         */
+        this.lastRestock = itemObject.lastRestock || null
+
+        /**
+         * Item category.
+         * 'null' means the item has no category.
+         * @type {?string}
+         */
+        this.category = itemObject.category || null
+
+        /**
+         * Position of the item in the search results, in ascending order.
+         * @type {number}
+         */
+        this.sortOrder = itemObject.sortOrder || 0
+
+        /**
+         * If true, the item is not listed in the search results and can only be found or bought by its ID.
+         * @type {boolean}
+         */
+        this.hidden = itemObject.hidden || false
+
+        /**
+         * Timestamp when the item becomes available.
+         * 'null' means the item is available from the moment it was added.
+         * @type {?number}
+         */
+        this.availableFrom = itemObject.availableFrom || null
+
+        /**
+         * Timestamp when the item stops being available.
+         * 'null' means the item is always available.
+         * @type {?number}
+         */
+        this.availableUntil = itemObject.availableUntil || null
+
+        /**
+         * Requirements that the member must meet to buy the item.
+         * 'null' means anyone can buy the item.
+         * @type {?ItemRequirements}
+         */
+        this.requirements = itemObject.requirements || null
+
         /**
          * Date when the item was added in the shop.
          * @type {string}
@@ -153,24 +240,63 @@ class ShopItem extends Emitter {
     /**
      * Edits the item in the shop.
      * 
-     * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom'} itemProperty
+     * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom' | 'duration' |
+     * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+     * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
      * This argument means what thing in item you want to edit (item property). 
-     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+     * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+     * 'availableFrom', 'availableUntil', 'requirements'.
      * 
      * @param {any} value Any value to set.
      * @returns {Promise<boolean>} If edited successfully: true, else: false.
      */
     async edit(itemProperty, value) {
-        const itemProperties = ['description', 'price', 'name', 'message', 'maxAmount', 'role', 'custom']
+        const itemProperties = [
+            'description', 'price', 'name', 'message',
+            'maxAmount', 'role', 'custom', 'duration', 'effects',
+            'stock', 'restock', 'prices', 'category',
+            'sortOrder', 'hidden', 'availableFrom', 'availableUntil', 'requirements'
+        ]
+
+        const listingProperties = itemProperties.slice(12, 17)
+
+        const nullableProperties = [
+            'stock', 'restock', 'prices', 'category',
+            'availableFrom', 'availableUntil', 'requirements'
+        ]
 
         if (!itemProperties.includes(itemProperty)) {
             throw new EconomyError(errors.invalidTypes.editItemArgs.itemProperty + itemProperty, 'INVALID_TYPE')
         }
 
-        if (value == undefined) {
+        if (value == undefined && !nullableProperties.includes(itemProperty)) {
             throw new EconomyError(errors.invalidTypes.editItemArgs.itemProperty + value, 'INVALID_TYPE')
         }
 
+        if (itemProperty == 'duration' && (isNaN(value) || value < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.duration + value, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'effects' && !isValidEffects(value)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.effects, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'stock' && value !== null && (isNaN(value) || value < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.stock + value, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'restock' && value !== null && !isValidRestock(value)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.restock, 'INVALID_TYPE')
+        }
+
+        if (listingProperties.includes(itemProperty)) {
+
+            // validating the new value together with the other listing options of the item
+            // keeps its availability window valid
+            value = itemListing({ ...this.rawObject, [itemProperty]: value })[itemProperty]
+        }
+
         const edit = async (itemProperty, value) => {
 
             /**
@@ -184,6 +310,15 @@ class ShopItem extends Emitter {
             if (!item) return false
 
             item[itemProperty] = value
+
+            if (itemProperty == 'restock' && value && item.stock == undefined) {
+                item.stock = 0
+            }
+
+            if (itemProperty == 'stock' || itemProperty == 'restock') {
+                item.lastRestock = item.restock ? Date.now() : null
+            }
+
             await this.database.pull(`${this.guildID}.shop`, itemIndex, item)
 
             this.emit('shopItemEdit', {
@@ -237,6 +372,67 @@ class ShopItem extends Emitter {
                 return result
             }
 
+            case itemProperties[7]: {
+                const result = await edit(itemProperties[7], value)
+                return result
+            }
+
+            case itemProperties[8]: {
+                const result = await edit(itemProperties[8], value)
+                return result
+            }
+
+            case itemProperties[9]: {
+                const result = await edit(itemProperties[9], value)
+                return result
+            }
+
+            case itemProperties[10]: {
+                const result = await edit(itemProperties[10], value)
+                return result
+            }
+
+            case itemProperties[11]: {
+                const currencies = (await this.database.fetch(`${this.guildID}.currencies`)) || []
+
+                const result = await edit(
+                    itemProperties[11],
+                    value === null ? null : itemPrices(value, currencies, this.guildID)
+                )
+
+                return result
+            }
+
+            case itemProperties[12]: {
+                const result = await edit(itemProperties[12], value)
+                return result
+            }
+
+            case itemProperties[13]: {
+                const result = await edit(itemProperties[13], value)
+                return result
+            }
+
+            case itemProperties[14]: {
+                const result = await edit(itemProperties[14], value)
+                return result
+            }
+
+            case itemProperties[15]: {
+                const result = await edit(itemProperties[15], value)
+                return result
+            }
+
+            case itemProperties[16]: {
+                const result = await edit(itemProperties[16], value)
+                return result
+            }
+
+            case itemProperties[17]: {
+                const result = await edit(itemProperties[17], itemRequirements(value))
+                return result
+            }
+
             default:
                 return null
         }
@@ -244,175 +440,72 @@ class ShopItem extends Emitter {
 
     /**
      * Buys the item from the shop.
+     *
+     * The item's requirements are checked before anything is charged: if the member does not meet them,
+     * the purchase fails and the first unmet requirement is returned.
      * @param {string} memberID Member ID.
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
-     * @param {string | number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * @param {string | number | Array<string | number>} [currency=null] 
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
-    async buy(memberID, quantity = 1, currency = null, reason = 'received the item from the shop') {
-        if (typeof memberID !== 'string') {
-            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
-        }
-
-        const balance = this.cache.balance.get({
-            memberID,
-            guildID: this.guildID
-        }) || []
-
-        const shop = this.cache.shop.get({
-            guildID: this.guildID
-        }) || []
-
-        const item = shop.find(item => item.id == this.id || item.name == this.id)
-
-        const inventory = this.cache.inventory.get({
-            memberID,
-            guildID: this.guildID
-        }) || []
-
-        const inventoryItems = inventory.filter(invItem => invItem.name == item.name)
-
-        if (!arguments[1]) {
-            this.database.logger.optionalParamNotSpecified(
-                'ShopItem.buy',
-                'quantity',
-                quantity
-            )
-        }
-
-        if (!arguments[2]) {
-            this.database.logger.optionalParamNotSpecified(
-                'ShopItem.buy',
-                'currency',
-                currency
-            )
-        }
-
-        if (!arguments[3]) {
-            this.database.logger.optionalParamNotSpecified(
-                'ShopItem.buy',
-                'reason',
-                reason
-            )
-        }
+    async buy(memberID, quantity, currency, reason, coupon) {
+        // required here because the shop manager depends on this class
+        const ShopManager = require('../managers/ShopManager')
+        const shop = new ShopManager(this.options, this.database, this.cache)
 
-        if (!item) return {
-            status: false,
-            message: 'item not found',
-            item: null,
-            quantity: 0,
-            totalPrice: 0
-        }
+        const result = await shop.buy(this.id, memberID, this.guildID, quantity, currency, reason, coupon)
 
-        const totalPrice = item.price * quantity
-        const arrayOfItems = Array(quantity).fill(item.rawObject ? item.rawObject : item)
-
-        const newInventory = [...inventory, ...arrayOfItems]
-            .map(item => item.rawObject ? item.rawObject : item)
-
-        if (
-            item.maxAmount &&
-            inventoryItems.length >= item.maxAmount &&
-            (inventoryItems.length + quantity) < item.maxAmount
-        ) return {
-            status: false,
-            message: `maximum items reached (${item.maxAmount})`,
-            item,
-            quantity,
-            totalPrice
+        if (result.status && result.item.stock != undefined) {
+            this.stock = result.item.stock
         }
 
-        const settings = await this.database.fetch(`${this.guildID}.settings`) || {}
-
-        const dateLocale = settings.dateLocale
-            || this.options.dateLocale
-
-        const subtractOnBuy = settings.subtractOnBuy
-            || this.options.subtractOnBuy
-
-        const savePurchasesHistory = settings.savePurchasesHistory
-            || this.options.savePurchasesHistory
-
-        if (subtractOnBuy) {
-            if (currency) {
-                this.database.logger.debug('ShopItem.buy - Subtracting the balance from specified currency.')
-                await this.currencies.subtractBalance(currency, totalPrice, memberID, this.guildID, reason)
-            } else {
-                await this.database.subtract(`${this.guildID}.${memberID}.money`, totalPrice)
-
-                this.cache.balance.update({
-                    guildID: this.guildID,
-                    memberID
-                })
-
-                this.emit('balanceSubtract', {
-                    type: 'subtract',
-                    guildID: this.guildID,
-                    memberID,
-                    amount: Number(totalPrice),
-                    balance: balance - totalPrice,
-                    reason
-                })
-            }
-        } else {
-            this.database.logger.debug('ShopItem.buy - Subtracting on buying is disabled.')
-        }
+        return result
+    }
 
-        await this.database.set(`${this.guildID}.${memberID}.inventory`, newInventory)
+    /**
+     * Applies the due restock of the item.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _restock() {
+        const shop = (await this.database.fetch(`${this.guildID}.shop`)) || []
+        const itemIndex = shop.findIndex(item => item.id == this.id || item.name == this.id)
 
-        if (savePurchasesHistory) {
-            const history = this.cache.history.get({
-                memberID,
-                guildID: this.guildID
-            }) || []
+        const restock = itemRestock(shop[itemIndex])
+        if (!restock) return
 
-            await this.database.push(`${this.guildID}.${memberID}.history`, {
-                id: history.length ? history[history.length - 1].id + 1 : 1,
-                memberID,
-                guildID: this.guildID,
-                name: item.name,
-                price: item.price,
-                quantity,
-                totalPrice,
-                role: item.role || null,
-                maxAmount: item.maxAmount,
-                date: new Date().toLocaleString(dateLocale),
-                custom: item.custom || {}
-            })
+        this.stock = restock.stock
+        this.lastRestock = restock.lastRestock
 
-            this.cache.history.update({
-                guildID: this.guildID,
-                memberID
-            })
-        } else {
-            this.database.logger.debug('ShopItem.buy - Saving purchases history is disabled.')
-        }
-
-        await this.cache.updateMany(['shop', 'users', 'inventory'], {
-            memberID,
-            guildID: this.guildID
+        await this.database.pull(`${this.guildID}.shop`, itemIndex, {
+            ...shop[itemIndex],
+            stock: restock.stock,
+            lastRestock: restock.lastRestock
         })
 
-        this.emit('shopItemBuy', {
-            guildID: this.guildID,
-            boughtBy: memberID,
-            item
+        await this.cache.updateMany(['guilds', 'shop'], {
+            guildID: this.guildID
         })
 
-        return {
-            status: true,
-            message: 'OK',
-            item,
-            quantity,
-            totalPrice
+        if (restock.amount > 0) {
+            this.emit('shopItemRestock', {
+                guildID: this.guildID,
+                item: this,
+                amount: restock.amount,
+                stock: restock.stock
+            })
         }
     }
 
@@ -504,14 +597,37 @@ class ShopItem extends Emitter {
  * @property {number} id Item ID.
  * @property {string} name Item name.
  * @property {number} price Item price.
+ * @property {?ItemPrice[]} prices
+ * Prices of the item in the currencies. 'null' means the item is sold for its price in the main balance.
+ *
  * @property {string} message The message that will be returned on item use.
  * @property {string} description Item description.
  * @property {string} role ID of Discord Role that will be given to the user on item use.
+ * @property {?number} duration How long the item lasts after it was bought (in ms). 'null' means forever.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
+ * @property {?number} stock Amount of the items left in the shop. 'null' means unlimited.
+ * @property {?ItemRestockOptions} restock Restock schedule of the item. 'null' means the item is never restocked.
+ * @property {?number} lastRestock Timestamp of the last restock of the item.
+ * @property {?string} category Item category. 'null' means the item has no category.
+ * @property {number} sortOrder Position of the item in the search results, in ascending order.
+ * @property {boolean} hidden If true, the item can only be found or bought by its ID.
+ * @property {?number} availableFrom Timestamp when the item becomes available. 'null' means always.
+ * @property {?number} availableUntil Timestamp when the item stops being available. 'null' means never.
+ * @property {?ItemRequirements} requirements
+ * Requirements that the member must meet to buy the item. 'null' means anyone can buy the item.
+ *
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was added in the shop.
  * @property {object} custom Custom item properties object.
  */
 
+/**
+ * @typedef {object} ItemRestockOptions
+ * @property {number} amount Amount of the items that are added to the stock on each restock.
+ * @property {number | string} interval Time between the restocks in ms or as a time string (e.g. '24h').
+ * @property {number} [max] Max stock that the restocks can fill the item up to. Default: no limit.
+ */
+
 /**
  * @typedef {object} EconomyConfiguration Default Economy configuration.
  * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
@@ -521,6 +637,23 @@ class ShopItem extends Emitter {
  * 
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000] 
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  * 
@@ -535,7 +668,36 @@ class ShopItem extends Emitter {
  *
  * @property {boolean} [subtractOnBuy=true] 
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
+ *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
  * 
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [sellingItemPercent=75] 
  * Percent of the item's price it will be sold for. Default: 75.
  * 
@@ -543,6 +705,11 @@ class ShopItem extends Emitter {
  * If true, the deprecation warnings will be sent in the console. Default: true.
  * 
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
+ *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
  * 
  * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru'; 'en') to format the date and time. Default: 'en'.
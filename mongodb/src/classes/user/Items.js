@@ -50,18 +50,22 @@ class Items {
      * @param {string | number} itemID Item ID or name.
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
-     * @param {string | number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * @param {string | number | Array<string | number>} [currency=null] 
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
-    buy(itemID, quantity, currency, reason) {
-        return this._shop.buyItem(itemID, this.memberID, this.guildID, quantity, currency, reason)
+    buy(itemID, quantity, currency, reason, coupon) {
+        return this._shop.buyItem(itemID, this.memberID, this.guildID, quantity, currency, reason, coupon)
     }
 
     /**
@@ -107,15 +111,44 @@ class Items {
     }
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
      * @param {string | number} itemID Item ID or name.
      * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
-     * @returns {Promise<string>} Item message.
+     * @returns {Promise<?string>} Item message or 'null' if the item was not found.
      */
     use(itemID, client) {
         return this._inventory.useItem(itemID, this.memberID, this.guildID, client)
     }
 
+    /**
+     * Uses the item: applies its effects, returns the item usage result
+     * and removes the item from user's inventory.
+     * @param {string | number} itemID Item ID or name.
+     * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
+     * @returns {Promise<ItemUseResult>} Item usage result.
+     */
+    useWithResult(itemID, client) {
+        return this._inventory.useItemWithResult(itemID, this.memberID, this.guildID, client)
+    }
+
+    /**
+     * Gets the effects of the used items that are still active.
+     * @returns {Promise<ItemEffectData[]>} User's active item effects.
+     */
+    effects() {
+        return this._inventory.effects(this.memberID, this.guildID)
+    }
+
+    /**
+     * Removes the expired items from user's inventory and the expired effects of the used items.
+     * @param {Client} [client] Discord Client. [Specify if the role will be removed on a Discord server]
+     * @returns {Promise<ItemExpireData[]>} Expired items and effects.
+     */
+    purgeExpired(client) {
+        return this._inventory.purgeExpired(this.memberID, this.guildID, client)
+    }
+
     /**
      * Fetches the user's inventory.
      * @returns {Promise<InventoryItem[]>} User's inventory array.
@@ -179,6 +212,23 @@ class Items {
  * 
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * 
  * @property {number} [weeklyCooldown=604800000] 
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
@@ -191,6 +241,11 @@ class Items {
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
  * @property {number | number[]} [weeklyAmount=100] Amount of money for Weekly Reward. Default: 1000.
  * @property {number | number[]} [workAmount=[10, 50]] Amount of money for Work Reward. Default: [10, 50].
  *
@@ -204,6 +259,35 @@ class Items {
  * @property {boolean} [subtractOnBuy=true] 
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
@@ -222,6 +306,8 @@ class Items {
  * @property {number} price Item price.
  * @property {string} message The message that will be returned on item use.
  * @property {string} role ID of Discord Role that will be given to user on item use.
+ * @property {?number} expiresAt Timestamp when the item expires. 'null' means the item never expires.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was bought by a user.
  * @property {object} custom Custom item properties object.
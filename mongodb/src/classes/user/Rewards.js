@@ -55,13 +55,17 @@ class Rewards {
 
     /**
      * Adds a reward on user's balance.
-     * @param {RewardType} reward Reward to give.
+     * @param {RewardType | string} reward Reward to give: a built-in reward type or a name of the registered reward.
      * @param {string} [reason] The reason why the money was added.
      * @returns {Promise<RewardData>} Daily reward object.
     */
     async receive(reward, reason) {
         const rewardTypes = ['daily', 'work', 'weekly', 'monthly', 'hourly']
 
+        if (typeof reward == 'string') {
+            return this._rewards.receive(reward, this.memberID, this.guildID, reason)
+        }
+
         if (isNaN(reward) || !rewardTypes[reward]) {
             throw new EconomyError(
                 errors.invalidType('reward', 'key of RewardType enum', typeof reward),
@@ -152,6 +156,19 @@ class Rewards {
     getHourly(reason) {
         return this._rewards.getHourly(this.memberID, this.guildID, reason)
     }
+
+    /**
+     * Adds a custom reward on user's balance.
+     * @param {string} name Name of the registered reward.
+     *
+     * @param {string} [reason='claimed the {name} reward']
+     * The reason why the money was added. Default: 'claimed the {name} reward'
+     *
+     * @returns {Promise<RewardData>} Reward object.
+     */
+    getCustom(name, reason) {
+        return this._rewards.getCustom(name, this.memberID, this.guildID, reason)
+    }
 }
 
 /**
@@ -166,8 +183,25 @@ module.exports = Rewards
  * @property {'daily' | 'work' | 'weekly' | 'monthly' | 'hourly'} type Type of the operation.
  * @property {boolean} claimed Whether the reward was claimed.
  * @property {CooldownData} cooldown Cooldown object.
- * @property {number} reward Amount of money that the user received.
+ * @property {number} reward Amount of money that the user received: the base reward with all the modifiers applied.
+ * @property {number} baseReward Amount of money for the reward before the modifiers were applied.
+ * @property {AppliedRewardModifier[]} modifiers Reward modifiers that were applied.
  * @property {number} defaultReward Reward that was specified in a module configuration.
+ * @property {DailyStreakData} [streak] Daily streak information. Only for the daily reward.
+ * @property {?Job} [job] The job the user worked in. Only for the work reward.
+ * @property {?string} [message] The job message that was picked. Only for the work reward.
+ * @property {?Job} [promotedTo] The job the user was promoted to after the shift. Only for the work reward.
+ */
+
+/**
+ * @typedef {object} DailyStreakData
+ * @property {number} current Current daily streak.
+ * @property {number} best Best daily streak of the user.
+ * @property {number} previous Daily streak before the reward was claimed.
+ * @property {boolean} broken Whether the previous streak was broken by this claim.
+ * @property {number} multiplier The number that the daily reward was multiplied by for the streak.
+ * @property {number} bonus The amount of money that was added to the daily reward for the streak.
+ * @property {?number} endTimestamp The time after which the streak will be broken if the reward is not claimed.
  */
 
 /**
@@ -195,6 +229,23 @@ module.exports = Rewards
  * 
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000] 
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  *
@@ -205,6 +256,11 @@ module.exports = Rewards
  * If true, the deprecation warnings will be sent in the console.
  * 
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
+ *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
  * 
  * @property {number | number[]} [weeklyAmount=100] Amount of money for Weekly Reward. Default: 1000.
  * @property {number | number[]} [workAmount=[10, 50]] Amount of money for Work Reward. Default: [10, 50].
@@ -217,7 +273,36 @@ module.exports = Rewards
  *
  * @property {boolean} [subtractOnBuy=true] 
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
+ *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
  * 
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
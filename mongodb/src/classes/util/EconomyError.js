@@ -17,9 +17,15 @@ const errorCodes = [
     'READONLY_PROPERTY',
     'INVALID_PROPERTY',
     'CURRENCY_NOT_FOUND',
+    'ITEM_EFFECT_NOT_FOUND',
+    'REWARD_NOT_FOUND',
+    'EXCHANGE_RATE_NOT_FOUND',
+    'SEASON_ALREADY_STARTED',
+    'COUPON_ALREADY_EXISTS',
     'INVALID_ERROR_CODE',
     'MODULE_NOT_READY',
-    'NO_CONNECTION_DATA'
+    'NO_CONNECTION_DATA',
+    'STORAGE_ADAPTER_ERROR'
 ]
 
 /**
@@ -46,9 +52,15 @@ class EconomyError extends Error {
      * 'READONLY_PROPERTY' |
      * 'INVALID_PROPERTY' |
      * 'CURRENCY_NOT_FOUND' |
+     * 'ITEM_EFFECT_NOT_FOUND' |
+     * 'REWARD_NOT_FOUND' |
+     * 'EXCHANGE_RATE_NOT_FOUND' |
+     * 'SEASON_ALREADY_STARTED' |
+     * 'COUPON_ALREADY_EXISTS' |
      * 'INVALID_ERROR_CODE' |
      * 'MODULE_NOT_READY' |
-     * 'NO_CONNECTION_DATA'} code Error code.
+     * 'NO_CONNECTION_DATA' |
+     * 'STORAGE_ADAPTER_ERROR'} code Error code.
      */
     constructor(errorMessage = '', code = '') {
         if (errorMessage instanceof Error == 'Error') {
@@ -90,9 +102,15 @@ class EconomyError extends Error {
          * 'READONLY_PROPERTY' |
          * 'INVALID_PROPERTY' |
          * 'CURRENCY_NOT_FOUND' |
+         * 'ITEM_EFFECT_NOT_FOUND' |
+         * 'REWARD_NOT_FOUND' |
+         * 'EXCHANGE_RATE_NOT_FOUND' |
+         * 'SEASON_ALREADY_STARTED' |
+         * 'COUPON_ALREADY_EXISTS' |
          * 'INVALID_ERROR_CODE' |
          * 'MODULE_NOT_READY' |
-         * 'NO_CONNECTION_DATA'}
+         * 'NO_CONNECTION_DATA' |
+         * 'STORAGE_ADAPTER_ERROR'}
          */
         this.code = code
 
@@ -0,0 +1,140 @@
+const { AsyncLocalStorage } = require('async_hooks')
+
+
+/**
+ * Storage of the currently running transaction.
+ *
+ * Every transaction callback (including all the asynchronous operations started from it)
+ * runs in its own context, so the changes and events from outside of it are never mixed in.
+ * @type {AsyncLocalStorage<Transaction>}
+ */
+const transactions = new AsyncLocalStorage()
+
+
+/**
+ * Database transaction.
+ *
+ * Keeps the list of actions that revert all the database changes made during the transaction
+ * and holds all the events emitted during it: the events are emitted only after the transaction is committed,
+ * and they are discarded if the transaction is rolled back.
+ * @private
+ */
+class Transaction {
+
+    /**
+     * Database transaction.
+     * @param {?Transaction} [parent] Transaction that this transaction was started in.
+     */
+    constructor(parent = null) {
+
+        /**
+         * Transaction that this transaction was started in.
+         * @type {?Transaction}
+         */
+        this.parent = parent
+
+        /**
+         * Functions that revert the changes made during the transaction, in the order the changes were made.
+         * @type {Array<() => Promise<any>>}
+         */
+        this.undoActions = []
+
+        /**
+         * Functions that emit the events that were held during the transaction.
+         * @type {Array<() => any>}
+         */
+        this.heldEvents = []
+    }
+
+    /**
+     * Gets the transaction that the current code is running in.
+     * @returns {?Transaction} Current transaction or 'null' if the code is not running in a transaction.
+     */
+    static current() {
+        return transactions.getStore() || null
+    }
+
+    /**
+     * Runs the callback function in a new transaction.
+     *
+     * If the returned promise rejects, all the changes made during the callback
+     * are reverted and the error is thrown further;
+     * otherwise, the transaction is committed and all the held events are emitted.
+     *
+     * [!] Transactions started inside other transactions are committed
+     * together with the outer transaction.
+     * @param {() => Promise<any>} callback The function to run.
+     * @returns {Promise<any>} The value returned from the callback function.
+     */
+    static async run(callback) {
+        const transaction = new Transaction(Transaction.current())
+        let result
+
+        try {
+            result = await transactions.run(transaction, callback)
+        } catch (err) {
+            await transaction.rollback()
+            throw err
+        }
+
+        transaction.commit()
+        return result
+    }
+
+    /**
+     * Saves the function that reverts the change made in the transaction.
+     * @param {() => Promise<any>} undoAction The function that reverts the change.
+     * @returns {void}
+     */
+    record(undoAction) {
+        this.undoActions.push(undoAction)
+    }
+
+    /**
+     * Holds the event until the transaction is committed.
+     * @param {() => any} emitEvent The function that emits the event.
+     * @returns {void}
+     */
+    hold(emitEvent) {
+        this.heldEvents.push(emitEvent)
+    }
+
+    /**
+     * Commits the transaction.
+     *
+     * If the transaction was started inside another transaction,
+     * its changes and events are passed to the outer transaction.
+     * @returns {void}
+     */
+    commit() {
+        if (this.parent) {
+            this.parent.undoActions.push(...this.undoActions)
+            this.parent.heldEvents.push(...this.heldEvents)
+
+            return
+        }
+
+        for (const emitEvent of this.heldEvents) {
+            emitEvent()
+        }
+    }
+
+    /**
+     * Reverts all the changes made during the transaction and discards all the held events.
+     * @returns {Promise<void>}
+     */
+    async rollback() {
+        for (const undoAction of this.undoActions.reverse()) {
+            await undoAction()
+        }
+
+        this.undoActions = []
+        this.heldEvents = []
+    }
+}
+
+/**
+ * Transaction class.
+ * @type {Transaction}
+ */
+module.exports = Transaction
@@ -12,6 +12,8 @@ const CurrencyManager = require('./managers/CurrencyManager')
 
 const RewardManager = require('./managers/RewardManager')
 const CooldownManager = require('./managers/CooldownManager')
+const JobManager = require('./managers/JobManager')
+const SeasonManager = require('./managers/SeasonManager')
 
 const ShopManager = require('./managers/ShopManager')
 const InventoryManager = require('./managers/InventoryManager')
@@ -20,6 +22,9 @@ const HistoryManager = require('./managers/HistoryManager')
 const UserManager = require('./managers/UserManager')
 const SettingsManager = require('./managers/SettingsManager')
 
+const StorageAdapter = require('./adapters/StorageAdapter')
+const MongoStorageAdapter = require('./adapters/MongoStorageAdapter')
+
 const Emitter = require('./classes/util/Emitter')
 const EconomyError = require('./classes/util/EconomyError')
 
@@ -62,6 +67,13 @@ class Economy extends Emitter {
          */
         this._mongo = null
 
+        /**
+         * Storage adapter that all the database operations are performed on.
+         * @type {StorageAdapter}
+         * @private
+         */
+        this._storage = null
+
         /**
          * Module ready status.
          * @type {?boolean}
@@ -121,6 +133,34 @@ class Economy extends Emitter {
         */
         this.interval = null
 
+        /**
+         * Bank interest sweeping interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._interestInterval = null
+
+        /**
+         * Expired items sweeping interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._expiryInterval = null
+
+        /**
+         * Ended seasons sweeping interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._seasonInterval = null
+
+        /**
+         * Shop items restocking interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._restockInterval = null
+
         /**
          * Economy error class.
          * @type {EconomyError}
@@ -187,6 +227,18 @@ class Economy extends Emitter {
         */
         this.rewards = null
 
+        /**
+        * Jobs manager.
+        * @type {JobManager}
+        */
+        this.jobs = null
+
+        /**
+        * Seasons manager.
+        * @type {SeasonManager}
+        */
+        this.seasons = null
+
         /**
         * Cache Manager.
         * @type {CacheManager}
@@ -303,6 +355,10 @@ class Economy extends Emitter {
         if (!this.ready) return false
 
         clearInterval(this.interval)
+        clearInterval(this._interestInterval)
+        clearInterval(this._expiryInterval)
+        clearInterval(this._seasonInterval)
+        clearInterval(this._restockInterval)
 
         for (const manager of this.managers) {
             this[manager.name] = null
@@ -317,6 +373,43 @@ class Economy extends Emitter {
         return this
     }
 
+    /**
+     * Runs the callback function as a single transaction.
+     *
+     * All the balance, bank, currency, inventory and history changes made during the callback
+     * are committed all together; if the returned promise rejects,
+     * all of them are rolled back and the error is thrown further.
+     *
+     * All the events emitted during the transaction are emitted only after it's committed.
+     *
+     * [!] Transactions are run one by one, together with the transactions started by the managers
+     * (e.g. in `BalanceManager.transfer()`). Transactions started inside
+     * other transactions are committed together with the outer transaction.
+     *
+     * [!] The transactions are not crash-atomic: the changes are written to the database immediately
+     * and reverted on rollback, so if the process crashes in the middle of a transaction,
+     * the changes that were made before the crash are kept.
+     *
+     * @example
+     * await eco.transaction(async tx => {
+     *     await tx.balance.subtract(100, senderID, guildID, 'buying a gift')
+     *     await tx.inventory.addItem('gift', receiverID, guildID)
+     * })
+     * @param {(economy: Economy) => Promise<any>} callback The function to run.
+     * @returns {Promise<any>} The value returned from the callback function.
+     */
+    async transaction(callback) {
+        if (!this.ready) {
+            throw new EconomyError(errors.notReady, 'MODULE_NOT_READY')
+        }
+
+        if (typeof callback !== 'function') {
+            throw new EconomyError(errors.invalidType('callback', 'function', callback), 'INVALID_TYPE')
+        }
+
+        return this.database.transaction(() => callback(this))
+    }
+
     /**
      * Starts the module.
      * @returns {Promise<boolean>} If started successfully: true.
@@ -429,6 +522,13 @@ class Economy extends Emitter {
      * @private
      */
     async _connect() {
+        if (this.options.storage) {
+            this._logger.debug(`Using the ${this.options.storage.constructor.name} storage adapter.`, 'lightgreen')
+            this._storage = StorageAdapter.validate(this.options.storage)
+
+            return
+        }
+
         const connectionStartDate = Date.now()
         const QuickMongo = require('quick-mongo-super')
 
@@ -442,6 +542,7 @@ class Economy extends Emitter {
         await mongo.connect()
 
         this._mongo = mongo
+        this._storage = new MongoStorageAdapter(this.options, mongo)
 
         const connectionTime = Date.now() - connectionStartDate
         this._logger.debug(`MongoDB connection was established in ${connectionTime} ms.`, 'lightgreen')
@@ -563,6 +664,14 @@ class Economy extends Emitter {
                 name: 'cooldowns',
                 manager: CooldownManager
             },
+            {
+                name: 'jobs',
+                manager: JobManager
+            },
+            {
+                name: 'seasons',
+                manager: SeasonManager
+            },
             {
                 name: 'guilds',
                 manager: GuildManager
@@ -574,19 +683,12 @@ class Economy extends Emitter {
             },
         ]
 
-        const events = [
-            'balanceSet', 'balanceAdd', 'balanceSubtract',
-            'bankSet', 'bankAdd', 'bankSubtract',
-            'customCurrencySet', 'customCurrencyAdd', 'customCurrencySubtract',
-            'shopItemAdd', 'shopClear', 'shopItemEdit',
-            'shopItemBuy', 'shopItemUse',
-            'ready', 'destroy'
-        ]
-
-        this.database = new DatabaseManager(this.options, this._mongo)
+        this.database = new DatabaseManager(this.options, this._storage)
         this._logger.debug('DatabaseManager was started.')
 
         this.cache = new CacheManager(this.options, this.database)
+        this.database.cache = this.cache
+
         this._logger.debug('CacheManager was started.')
 
         this.users = new UserManager(this.options, this.database, null, this.cache)
@@ -597,10 +699,44 @@ class Economy extends Emitter {
             this._logger.debug(`${manager.manager.name} was started.`)
         }
 
-        for (const event of events) {
-            this.on(event, () => {
-                this._logger.debug(`"${event}" event is emitted.`)
-            })
+        if (this.options.bankInterestSweepInterval > 0) {
+            this._interestInterval = setInterval(() => {
+                this.bank.sweepInterest().catch(err => {
+                    this._logger.error(`Failed to apply the bank interest: ${err.message}`)
+                })
+            }, this.options.bankInterestSweepInterval)
+
+            this._interestInterval.unref()
+        }
+
+        if (this.options.itemExpirySweepInterval > 0) {
+            this._expiryInterval = setInterval(() => {
+                this.inventory.sweepExpired().catch(err => {
+                    this._logger.error(`Failed to purge the expired items: ${err.message}`)
+                })
+            }, this.options.itemExpirySweepInterval)
+
+            this._expiryInterval.unref()
+        }
+
+        if (this.options.seasonSweepInterval > 0) {
+            this._seasonInterval = setInterval(() => {
+                this.seasons.sweepEnded().catch(err => {
+                    this._logger.error(`Failed to end the seasons: ${err.message}`)
+                })
+            }, this.options.seasonSweepInterval)
+
+            this._seasonInterval.unref()
+        }
+
+        if (this.options.restockSweepInterval > 0) {
+            this._restockInterval = setInterval(() => {
+                this.shop.restock().catch(err => {
+                    this._logger.error(`Failed to restock the shop items: ${err.message}`)
+                })
+            }, this.options.restockSweepInterval)
+
+            this._restockInterval.unref()
         }
 
         this.managers = managers
@@ -872,6 +1008,23 @@ class Economy extends Emitter {
  * @property {number} [dailyCooldown=86400000] Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000] Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  * @property {number} [sellingItemPercent=75] 
  * Percent of the item's price it will be sold for. Default: 75.
@@ -880,6 +1033,11 @@ class Economy extends Emitter {
  * If true, the deprecation warnings will be sent in the console. Default: true.
  * 
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
+ *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
  * 
  * @property {number | number[]} [weeklyAmount=100] Amount of money for Weekly Reward. Default: 1000.
  * @property {number | number[]} [workAmount=[10, 50]] Amount of money for Work Reward. Default: [10, 50].
@@ -892,6 +1050,35 @@ class Economy extends Emitter {
  *
  * @property {boolean} [subtractOnBuy=true] If true, when someone buys the item, their balance will subtract by item price. Default: false
  * 
+ *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
  * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
  * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
@@ -2,8 +2,13 @@ const Emitter = require('../classes/util/Emitter')
 
 const EconomyError = require('../classes/util/EconomyError')
 const errors = require('../structures/errors')
+const overdraftLimit = require('../structures/overdraftLimit')
+const trackSeasonGain = require('../structures/trackSeasonGain')
+const leaderboardPage = require('../structures/leaderboardPage')
 
+const BankManager = require('./BankManager')
 const CurrencyManager = require('./CurrencyManager')
+const HistoryManager = require('./HistoryManager')
 const Currency = require('../classes/Currency')
 
 
@@ -49,6 +54,20 @@ class BalanceManager extends Emitter {
          * @private
          */
         this._currencies = new CurrencyManager(options, database, cache)
+
+        /**
+         * History Manager.
+         * @type {HistoryManager}
+         * @private
+         */
+        this._history = new HistoryManager(options, database, cache)
+
+        /**
+         * Bank Manager.
+         * @type {BankManager}
+         * @private
+         */
+        this._bank = new BankManager(options, database, cache)
     }
 
     /**
@@ -148,6 +167,16 @@ class BalanceManager extends Emitter {
 
         await this.database.set(`${guildID}.${memberID}.money`, amount)
 
+        await trackSeasonGain(this.database, memberID, guildID, amount - balance)
+
+        await this._history.record(memberID, guildID, {
+            type: 'balanceSet',
+            amount,
+            balanceBefore: balance,
+            balanceAfter: amount,
+            reason
+        })
+
         this.cache.updateMany(['users', 'balance'], {
             memberID,
             guildID
@@ -190,6 +219,16 @@ class BalanceManager extends Emitter {
 
         await this.database.add(`${guildID}.${memberID}.money`, amount)
 
+        await trackSeasonGain(this.database, memberID, guildID, amount)
+
+        await this._history.record(memberID, guildID, {
+            type: 'balanceAdd',
+            amount,
+            balanceBefore: balance,
+            balanceAfter: balance + amount,
+            reason
+        })
+
         this.cache.updateMany(['users', 'balance'], {
             memberID,
             guildID
@@ -213,11 +252,9 @@ class BalanceManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason why you subtract the money.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
     async subtract(amount, memberID, guildID, reason = null) {
-        const balance = await this.fetch(memberID, guildID)
-
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
         }
@@ -230,23 +267,44 @@ class BalanceManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        await this.database.subtract(`${guildID}.${memberID}.money`, amount)
+        // the balance is checked and changed in one transaction,
+        // so the concurrent subtractions cannot pass the check with the same balance
+        return this.database.transaction(async () => {
+            const balance = await this.fetch(memberID, guildID)
+            const overdraft = await this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
 
-        this.cache.updateMany(['users', 'balance'], {
-            memberID,
-            guildID
-        })
+            if (balance - amount < overdraftLimit(overdraft)) {
+                return { status: false, reason: 'insufficient funds' }
+            }
 
-        this.emit('balanceSubtract', {
-            type: 'subtract',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: balance - amount,
-            reason
-        })
+            await this.database.subtract(`${guildID}.${memberID}.money`, amount)
 
-        return amount
+            await trackSeasonGain(this.database, memberID, guildID, -amount)
+
+            await this._history.record(memberID, guildID, {
+                type: 'balanceSubtract',
+                amount,
+                balanceBefore: balance,
+                balanceAfter: balance - amount,
+                reason
+            })
+
+            this.cache.updateMany(['users', 'balance'], {
+                memberID,
+                guildID
+            })
+
+            this.emit('balanceSubtract', {
+                type: 'subtract',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: balance - amount,
+                reason
+            })
+
+            return amount
+        })
     }
 
     /**
@@ -255,12 +313,9 @@ class BalanceManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason of the operation.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
     async deposit(amount, memberID, guildID, reason = null) {
-        const balance = await this.fetch(memberID, guildID)
-        const bank = await this.database.get(`${guildID}.${memberID}.bank`)
-
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
         }
@@ -277,69 +332,99 @@ class BalanceManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        await this.database.subtract(`${guildID}.${memberID}.money`, amount)
-        await this.database.add(`${guildID}.${memberID}.bank`, amount)
+        return this.database.transaction(async () => {
+            const balance = await this.fetch(memberID, guildID)
+            const bank = await this._bank.fetch(memberID, guildID)
 
-        this.cache.updateMany(['users', 'balance', 'bank'], {
-            memberID,
-            guildID
-        })
+            const overdraft = await this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
 
-        this.emit('balanceSubtract', {
-            type: 'subtract',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: balance - amount,
-            reason
-        })
+            if (balance - amount < overdraftLimit(overdraft)) {
+                return { status: false, reason: 'insufficient funds' }
+            }
 
-        this.emit('bankAdd', {
-            type: 'add',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: bank + amount,
-            reason
-        })
+            await this.database.subtract(`${guildID}.${memberID}.money`, amount)
+            await this.database.add(`${guildID}.${memberID}.bank`, amount)
 
-        return amount
+            await trackSeasonGain(this.database, memberID, guildID, -amount)
+
+            await this._history.record(memberID, guildID, {
+                type: 'balanceSubtract',
+                amount,
+                balanceBefore: balance,
+                balanceAfter: balance - amount,
+                reason
+            })
+
+            await trackSeasonGain(this.database, memberID, guildID, amount)
+
+            await this._history.record(memberID, guildID, {
+                type: 'bankAdd',
+                amount,
+                balanceBefore: bank,
+                balanceAfter: bank + amount,
+                reason
+            })
+
+            this.cache.updateMany(['users', 'balance', 'bank'], {
+                memberID,
+                guildID
+            })
+
+            this.emit('balanceSubtract', {
+                type: 'subtract',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: balance - amount,
+                reason
+            })
+
+            this.emit('bankAdd', {
+                type: 'add',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: bank + amount,
+                reason
+            })
+
+            return amount
+        })
     }
 
     /**
      * Gets a balance leaderboard for specified guild.
+     *
+     * The users with the same balance are ranked by their IDs in ascending order.
+     * If the page options are specified, only the requested page of the leaderboard is returned.
      * @param {string} guildID Guild ID.
-     * @returns {Promise<BalanceLeaderboard[]>} Sorted leaderboard array.
+     * @param {LeaderboardPageOptions} [options] Leaderboard page options.
+     * @returns {Promise<BalanceLeaderboard[] | LeaderboardPage>} Sorted leaderboard array or its page.
      */
-    async leaderboard(guildID) {
-        const lb = []
-        const data = await this.database.all()
-
+    async leaderboard(guildID, options) {
         if (typeof guildID !== 'string') {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        if (!guildData) return []
-
-        const users = Object.keys(guildData).filter(key => key !== 'settings' && key !== 'shop')
-        const ranks = Object.values(guildData).map(user => user.money).filter(userID => !isNaN(userID))
+        if (!this.cache.leaderboards.has(guildID)) {
+            await this.cache.leaderboards.update({ guildID })
+        }
 
-        for (const rank in ranks) lb.push({
-            userID: users[rank],
-            money: Number(ranks[rank])
-        })
+        const entries = this.cache.leaderboards.get({ guildID }).money
+            .map((entry, index) => ({ index: index + 1, ...entry }))
 
-        return lb
-            .sort((previous, current) => current.money - previous.money)
-            .filter(entry => entry.userID !== 'shop' && entry.userID !== 'settings')
+        return options ? leaderboardPage(entries, options) : entries
     }
 
     /**
      * Transfers the money to a specified user.
+     *
+     * The money is subtracted from the sender and added to the receiver in a single transaction.
+     * If the amount is negative or the sender cannot afford it, nothing is changed
+     * and the structured failure result is returned.
      * @param {string} guildID Guild ID.
      * @param {TransferingOptions} options Transfering options.
-     * @returns {Promise<TransferingResult>} Transfering result object.
+     * @returns {Promise<TransferingResult | InsufficientFundsResult | InvalidAmountResult>} Transfering result object.
      */
     async transfer(guildID, options) {
         const {
@@ -356,6 +441,10 @@ class BalanceManager extends Emitter {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
         }
 
+        if (amount < 0) {
+            return { status: false, reason: 'invalid amount' }
+        }
+
         if (typeof senderMemberID !== 'string') {
             throw new EconomyError(errors.invalidType('senderMemberID', 'string', senderMemberID), 'INVALID_TYPE')
         }
@@ -364,8 +453,65 @@ class BalanceManager extends Emitter {
             throw new EconomyError(errors.invalidType('receiverMemberID', 'string', receiverMemberID), 'INVALID_TYPE')
         }
 
-        await this.add(amount, receiverMemberID, guildID, receivingReason || 'receiving money from user')
-        await this.subtract(amount, senderMemberID, guildID, sendingReason || 'sending money to user')
+        const transfered = await this.database.transaction(async () => {
+            const currentSenderBalance = await this.fetch(senderMemberID, guildID)
+            const overdraft = await this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
+
+            if (currentSenderBalance - amount < overdraftLimit(overdraft)) {
+                return false
+            }
+
+            await this.database.subtract(`${guildID}.${senderMemberID}.money`, amount)
+            const currentReceiverBalance = await this.fetch(receiverMemberID, guildID)
+
+            await this.database.add(`${guildID}.${receiverMemberID}.money`, amount)
+
+            await trackSeasonGain(this.database, senderMemberID, guildID, -amount)
+
+            await this._history.record(senderMemberID, guildID, {
+                type: 'balanceSubtract',
+                amount,
+                balanceBefore: currentSenderBalance,
+                balanceAfter: currentSenderBalance - amount,
+                reason: sendingReason || 'sending money to user',
+                counterparty: receiverMemberID
+            })
+
+            await trackSeasonGain(this.database, receiverMemberID, guildID, amount)
+
+            await this._history.record(receiverMemberID, guildID, {
+                type: 'balanceAdd',
+                amount,
+                balanceBefore: currentReceiverBalance,
+                balanceAfter: currentReceiverBalance + Number(amount),
+                reason: receivingReason || 'receiving money from user',
+                counterparty: senderMemberID
+            })
+
+            this.emit('balanceAdd', {
+                type: 'add',
+                guildID,
+                memberID: receiverMemberID,
+                amount: Number(amount),
+                balance: currentReceiverBalance + Number(amount),
+                reason: receivingReason || 'receiving money from user'
+            })
+
+            this.emit('balanceSubtract', {
+                type: 'subtract',
+                guildID,
+                memberID: senderMemberID,
+                amount: Number(amount),
+                balance: currentSenderBalance - amount,
+                reason: sendingReason || 'sending money to user'
+            })
+
+            return true
+        })
+
+        if (!transfered) {
+            return { status: false, reason: 'insufficient funds' }
+        }
 
         await this.cache.balance.updateMany({
             memberID: senderMemberID,
@@ -493,7 +639,7 @@ class BalanceManager extends Emitter {
  * @callback FactorySubtract
  * @param {number} amount Amount of money to subtract.
  * @param {string} [reason] The reason why the money was subtracted.
- * @returns {Promise<number>} Updated currency balance.
+ * @returns {Promise<number | InsufficientFundsResult>} Updated currency balance or 'insufficient funds' result.
  */
 
 
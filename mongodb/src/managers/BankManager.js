@@ -2,6 +2,13 @@ const Emitter = require('../classes/util/Emitter')
 
 const EconomyError = require('../classes/util/EconomyError')
 const errors = require('../structures/errors')
+const overdraftLimit = require('../structures/overdraftLimit')
+const trackSeasonGain = require('../structures/trackSeasonGain')
+const leaderboardPage = require('../structures/leaderboardPage')
+const bankInterest = require('../structures/bankInterest')
+
+const HistoryManager = require('./HistoryManager')
+
 
 /**
 * Bank manager methods class.
@@ -38,10 +45,21 @@ class BankManager extends Emitter {
          * @private
          */
         this.cache = cache
+
+        /**
+         * History Manager.
+         * @type {HistoryManager}
+         * @private
+         */
+        this._history = new HistoryManager(options, database, cache)
     }
 
     /**
     * Fetches the user's bank balance.
+    *
+    * [!] This method writes to the database: the bank interest that the user has earned since the last accrual
+    * is applied with `BankManager.applyInterest()` before the balance is returned,
+    * so the read may add the interest to the bank balance, record it in the ledger and emit the `bankInterest` event.
     * @param {string} memberID Member ID.
     * @param {string} guildID Guild ID.
     * @returns {Promise<number>} User's bank balance.
@@ -55,6 +73,8 @@ class BankManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
+        await this.applyInterest(memberID, guildID)
+
         const result = await this.database.fetch(`${guildID}.${memberID}.bank`)
         return result || 0
     }
@@ -96,6 +116,16 @@ class BankManager extends Emitter {
 
         await this.database.set(`${guildID}.${memberID}.bank`, Number(amount))
 
+        await trackSeasonGain(this.database, memberID, guildID, amount - bank)
+
+        await this._history.record(memberID, guildID, {
+            type: 'bankSet',
+            amount,
+            balanceBefore: bank,
+            balanceAfter: amount,
+            reason
+        })
+
         this.cache.updateMany(['bank', 'balance', 'users'], {
             guildID,
             memberID,
@@ -122,7 +152,7 @@ class BankManager extends Emitter {
      * @returns {Promise<number>} Money amount.
      */
     async add(amount, memberID, guildID, reason = null) {
-        const bank = this.fetch(memberID, guildID)
+        const bank = await this.fetch(memberID, guildID)
 
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
@@ -138,6 +168,16 @@ class BankManager extends Emitter {
 
         await this.database.add(`${guildID}.${memberID}.bank`, Number(amount))
 
+        await trackSeasonGain(this.database, memberID, guildID, amount)
+
+        await this._history.record(memberID, guildID, {
+            type: 'bankAdd',
+            amount,
+            balanceBefore: bank,
+            balanceAfter: bank + amount,
+            reason
+        })
+
         this.cache.updateMany(['bank', 'balance', 'users'], {
             guildID,
             memberID,
@@ -161,11 +201,9 @@ class BankManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason why you subtract the money.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
     async subtract(amount, memberID, guildID, reason = null) {
-        const bank = await this.fetch(memberID, guildID)
-
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
         }
@@ -178,23 +216,42 @@ class BankManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        await this.database.subtract(`${guildID}.${memberID}.bank`, Number(amount))
-
-        this.cache.updateMany(['bank', 'balance', 'users'], {
-            guildID,
-            memberID,
+        return this.database.transaction(async () => {
+            const bank = await this.fetch(memberID, guildID)
+            const overdraft = await this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
+
+            if (bank - amount < overdraftLimit(overdraft)) {
+                return { status: false, reason: 'insufficient funds' }
+            }
+
+            await this.database.subtract(`${guildID}.${memberID}.bank`, Number(amount))
+
+            await trackSeasonGain(this.database, memberID, guildID, -amount)
+
+            await this._history.record(memberID, guildID, {
+                type: 'bankSubtract',
+                amount,
+                balanceBefore: bank,
+                balanceAfter: bank - amount,
+                reason
+            })
+
+            this.cache.updateMany(['bank', 'balance', 'users'], {
+                guildID,
+                memberID,
+            })
+
+            this.emit('bankSubtract', {
+                type: 'subtract',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                bank: bank + amount,
+                reason
+            })
+
+            return amount
         })
-
-        this.emit('bankSubtract', {
-            type: 'subtract',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            bank: bank + amount,
-            reason
-        })
-
-        return amount
     }
 
     /**
@@ -203,12 +260,9 @@ class BankManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason of the operation.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
     async withdraw(amount, memberID, guildID, reason = null) {
-        const balance = await this.fetch(memberID, guildID)
-        const bank = await this.database.get(`${guildID}.${memberID}.bank`)
-
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
         }
@@ -225,67 +279,225 @@ class BankManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        await this.database.add(`${guildID}.${memberID}.money`, amount)
-        await this.database.subtract(`${guildID}.${memberID}.bank`, amount)
-
-        this.cache.updateMany(['users', 'bank', 'balance'], {
-            memberID,
-            guildID
+        return this.database.transaction(async () => {
+            const balance = (await this.database.fetch(`${guildID}.${memberID}.money`)) || 0
+            const bank = await this.fetch(memberID, guildID)
+
+            const overdraft = await this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
+
+            if (bank - amount < overdraftLimit(overdraft)) {
+                return { status: false, reason: 'insufficient funds' }
+            }
+
+            await this.database.add(`${guildID}.${memberID}.money`, amount)
+            await this.database.subtract(`${guildID}.${memberID}.bank`, amount)
+
+            await trackSeasonGain(this.database, memberID, guildID, amount)
+
+            await this._history.record(memberID, guildID, {
+                type: 'balanceAdd',
+                amount,
+                balanceBefore: balance,
+                balanceAfter: balance + amount,
+                reason
+            })
+
+            await trackSeasonGain(this.database, memberID, guildID, -amount)
+
+            await this._history.record(memberID, guildID, {
+                type: 'bankSubtract',
+                amount,
+                balanceBefore: bank,
+                balanceAfter: bank - amount,
+                reason
+            })
+
+            this.cache.updateMany(['users', 'bank', 'balance'], {
+                memberID,
+                guildID
+            })
+
+            this.emit('bankSubtract', {
+                type: 'subtract',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: bank - amount,
+                reason
+            })
+
+            this.emit('balanceAdd', {
+                type: 'add',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: balance + amount,
+                reason
+            })
+
+            return amount
         })
+    }
 
-        this.emit('bankSubtract', {
-            type: 'subtract',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: bank - amount,
-            reason
-        })
+    /**
+     * Applies the bank interest that the user has earned since the last accrual.
+     *
+     * The interest is compounded every `bankInterestPeriod` milliseconds;
+     * the periods that have not ended yet are accrued on the next call.
+     *
+     * [!] The interest starts to accrue from the first call for the user that has a bank balance in the database.
+     * When the interest is disabled in the guild, the accrual time is reset.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<number>} Amount of the accrued interest.
+     */
+    async applyInterest(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
 
-        this.emit('balanceAdd', {
-            type: 'add',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: balance + amount,
-            reason
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const { rate, period, maxBalance } = await this._getInterestSettings(guildID)
+        const lastAccrual = await this.database.fetch(`${guildID}.${memberID}.bankInterestTimestamp`)
+
+        if (!rate || !period) {
+            if (lastAccrual) await this.database.delete(`${guildID}.${memberID}.bankInterestTimestamp`)
+            return 0
+        }
+
+        const bankBalance = await this.database.fetch(`${guildID}.${memberID}.bank`)
+
+        if (!lastAccrual) {
+            if (bankBalance != null) {
+                await this.database.set(`${guildID}.${memberID}.bankInterestTimestamp`, Date.now())
+            }
+
+            return 0
+        }
+
+        const periods = Math.floor((Date.now() - lastAccrual) / period)
+        if (periods < 1) return 0
+
+        const bank = Number(bankBalance) || 0
+        const interest = bankInterest(bank, rate, periods, maxBalance)
+
+        await this.database.transaction(async () => {
+            await this.database.set(`${guildID}.${memberID}.bankInterestTimestamp`, lastAccrual + periods * period)
+            if (!interest) return
+
+            await this.database.add(`${guildID}.${memberID}.bank`, interest)
+
+            this.cache.updateMany(['users', 'bank'], {
+                memberID,
+                guildID
+            })
+
+            await trackSeasonGain(this.database, memberID, guildID, interest)
+
+            await this._history.record(memberID, guildID, {
+                type: 'bankInterest',
+                amount: interest,
+                balanceBefore: bank,
+                balanceAfter: bank + interest,
+                reason: 'bank interest'
+            })
+
+            this.emit('bankInterest', {
+                type: 'interest',
+                guildID,
+                memberID,
+                amount: interest,
+                balance: bank + interest,
+                rate,
+                periods,
+                reason: 'bank interest'
+            })
         })
 
+        return interest
+    }
 
-        return amount
+    /**
+     * Applies the bank interest to all the users in the guild,
+     * or in all the guilds if the guild is not specified.
+     * @param {string} [guildID] Guild ID.
+     * @returns {Promise<number>} Total amount of the accrued interest.
+     */
+    async sweepInterest(guildID) {
+        if (guildID !== undefined && typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const data = (await this.database.all()) || {}
+        const guildIDs = guildID ? [guildID] : Object.keys(data)
+
+        let totalInterest = 0
+
+        for (const guild of guildIDs) {
+            const users = Object.entries(data[guild] || {})
+                .filter(([userID, user]) => userID !== 'shop' && userID !== 'settings' && !isNaN(user?.bank))
+
+            for (const [userID] of users) {
+                totalInterest += await this.applyInterest(userID, guild)
+            }
+        }
+
+        return Math.round(totalInterest * 100) / 100
     }
 
     /**
-     * Gets a balance leaderboard for specified server.
+     * Gets the bank interest settings of the guild.
      * @param {string} guildID Guild ID.
-     * @returns {Promise<BankLeaderboard[]>} Sorted leaderboard array.
+     * @returns {Promise<BankInterestSettings>} Bank interest settings.
+     * @private
      */
-    async leaderboard(guildID) {
-        const lb = []
-        const data = await this.database.all()
+    async _getInterestSettings(guildID) {
+        const settings = (await this.database.fetch(`${guildID}.settings`)) || {}
+
+        return {
+            rate: settings.bankInterestRate ?? this.options.bankInterestRate,
+            period: settings.bankInterestPeriod ?? this.options.bankInterestPeriod,
+            maxBalance: settings.bankInterestMaxBalance ?? this.options.bankInterestMaxBalance
+        }
+    }
 
+    /**
+     * Gets a bank balance leaderboard for specified guild.
+     *
+     * The users with the same bank balance are ranked by their IDs in ascending order.
+     * If the page options are specified, only the requested page of the leaderboard is returned.
+     * @param {string} guildID Guild ID.
+     * @param {LeaderboardPageOptions} [options] Leaderboard page options.
+     * @returns {Promise<BankLeaderboard[] | LeaderboardPage>} Sorted leaderboard array or its page.
+     */
+    async leaderboard(guildID, options) {
         if (typeof guildID !== 'string') {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        if (!guildData) return []
-
-        const users = Object.keys(guildData)
-        const ranks = Object.values(guildData).map(user => user.bank).filter(userID => !isNaN(userID))
+        if (!this.cache.leaderboards.has(guildID)) {
+            await this.cache.leaderboards.update({ guildID })
+        }
 
-        for (const rank in ranks) lb.push({
-            userID: users[rank],
-            money: Number(ranks[rank])
-        })
+        const entries = this.cache.leaderboards.get({ guildID }).bank
+            .map((entry, index) => ({ index: index + 1, ...entry }))
 
-        return lb
-            .sort((previous, current) => current.money - previous.money)
-            .filter(entry => entry.userID !== 'shop' && entry.userID !== 'settings')
+        return options ? leaderboardPage(entries, options) : entries
     }
 }
 
 
+/**
+ * Bank interest settings object.
+ * @typedef {object} BankInterestSettings
+ * @property {number} rate Interest rate for each compounding period.
+ * @property {number} period Compounding period (in ms).
+ * @property {number} maxBalance Maximum bank balance that earns interest. 0 means no limit.
+ */
+
 /**
  * Bank leaderboard object.
  * @typedef {object} BankLeaderboard
@@ -7,7 +7,8 @@ const {
     CachedBank,
     CachedShop,
     CachedHistory,
-    CachedInventory
+    CachedInventory,
+    CachedLeaderboards
 } = require('../cached/CachedItems')
 
 const EconomyError = require('../classes/util/EconomyError')
@@ -79,6 +80,12 @@ class CacheManager {
          */
         this.inventory = new CachedInventory(null, null, options, database, this)
 
+        /**
+         * Cached guild leaderboards.
+         * @type {CachedLeaderboards}
+         */
+        this.leaderboards = new CachedLeaderboards(null, options, database, this)
+
         /**
          * Database Manager.
          * @type {DatabaseManager}
@@ -130,6 +137,7 @@ class CacheManager {
         this.inventory.clear()
 
         this.history.clear()
+        this.leaderboards.clear()
     }
 
     /**
@@ -210,5 +218,5 @@ module.exports = CacheManager
 /* eslint-disable */
 
 /**
- * @typedef {'guilds' | 'users' | 'cooldowns' | 'balance' | 'bank' | 'currencies' | 'shop' | 'inventory' | 'history'} CacheItemName
+ * @typedef {'guilds' | 'users' | 'cooldowns' | 'balance' | 'bank' | 'currencies' | 'shop' | 'inventory' | 'history' | 'leaderboards'} CacheItemName
  */
@@ -3,6 +3,8 @@ const errors = require('../structures/errors')
 
 const ms = require('../structures/ms')
 const parse = require('../structures/timeParser.js')
+const customRewards = require('../structures/customRewards')
+const cooldownEnd = require('../structures/cooldownEnd')
 
 
 /**
@@ -154,11 +156,17 @@ class CooldownManager {
         const rawUserObject = await this.database.fetch(`${guildID}.${memberID}`)
         const settings = await this.database.fetch(`${guildID}.settings`)
 
+        const jobs = await this.database.fetch(`${guildID}.jobs`) || []
+        const job = jobs.find(job => job.id == rawUserObject?.employment?.jobID)
+
+        const resetMode = settings?.resetMode || this.options.resetMode
+        const timeZone = settings?.timeZone || this.options.timeZone
+
         const result = {}
 
         const cooldownsConfiguration = {
             daily: settings?.dailyCooldown || this.options.dailyCooldown,
-            work: settings?.workCooldown || this.options.workCooldown,
+            work: job?.cooldown || settings?.workCooldown || this.options.workCooldown,
             weekly: settings?.weeklyCooldown || this.options.weeklyCooldown,
             monthly: settings?.monthlyCooldown || this.options.monthlyCooldown,
             hourly: settings?.hourlyCooldown || this.options.hourlyCooldown
@@ -172,14 +180,21 @@ class CooldownManager {
             hourly: rawUserObject?.hourlyCooldown || 0
         }
 
+        for (const [rewardName, customReward] of customRewards(this.options)) {
+            cooldownsConfiguration[rewardName] = settings?.rewards?.[rewardName]?.cooldown || customReward.cooldown
+            rawCooldownsObject[rewardName] = rawUserObject?.rewardCooldowns?.[rewardName] || 0
+        }
+
         for (const [rewardType, userCooldown] of Object.entries(rawCooldownsObject)) {
             const rewardCooldown = cooldownsConfiguration[rewardType]
-            const cooldownEndTime = rewardCooldown - (Date.now() - userCooldown)
+
+            const cooldownEndTimestamp = cooldownEnd(rewardType, userCooldown, rewardCooldown, resetMode, timeZone)
+            const cooldownEndTime = cooldownEndTimestamp - Date.now()
 
             const cooldownObject = userCooldown ? {
                 time: parse(cooldownEndTime),
                 pretty: ms(cooldownEndTime),
-                endTimestamp: userCooldown
+                endTimestamp: cooldownEndTimestamp
             } : null
 
             result[rewardType] = cooldownObject
@@ -208,9 +223,15 @@ class CooldownManager {
             await this.clearWork(memberID, guildID),
             await this.clearWeekly(memberID, guildID),
             await this.clearMonthly(memberID, guildID),
-            await this.clearHourly(memberID, guildID)
+            await this.clearHourly(memberID, guildID),
+            await this.database.delete(`${guildID}.${memberID}.rewardCooldowns`)
         ]
 
+        this.cache.updateMany(['cooldowns', 'users'], {
+            memberID,
+            guildID
+        })
+
         if (results.some(result => !result)) {
             return false
         }
@@ -342,6 +363,223 @@ class CooldownManager {
 
         return result
     }
+
+    /**
+     * Gets user's cooldown of the custom reward.
+     * @param {string} rewardName Name of the registered reward.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<number>} Cooldown end timestamp
+     */
+    async getCustom(rewardName, memberID, guildID) {
+        if (typeof rewardName !== 'string') {
+            throw new EconomyError(errors.invalidType('rewardName', 'string', rewardName), 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const cooldown = await this.database.fetch(`${guildID}.${memberID}.rewardCooldowns.${rewardName}`)
+        return cooldown
+    }
+
+    /**
+     * Clears user's cooldown of the custom reward.
+     * @param {string} rewardName Name of the registered reward.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<boolean>} If cleared: true; else: false
+     */
+    async clearCustom(rewardName, memberID, guildID) {
+        if (typeof rewardName !== 'string') {
+            throw new EconomyError(errors.invalidType('rewardName', 'string', rewardName), 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const result = await this.database.delete(`${guildID}.${memberID}.rewardCooldowns.${rewardName}`)
+
+        this.cache.updateMany(['cooldowns', 'users'], {
+            memberID,
+            guildID
+        })
+
+        return result
+    }
+
+    /**
+     * Sets the user's named cooldown.
+     *
+     * Named cooldowns are not tied to any reward and can be used
+     * for the custom commands (e.g. 'rob', 'beg' or 'fish').
+     * @param {string} name Cooldown name.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {number | string} duration Cooldown duration: in ms or a time string (e.g. '30m').
+     * @returns {Promise<CooldownData>} Cooldown object.
+     */
+    async set(name, memberID, guildID, duration) {
+        if (typeof name !== 'string' || !name.length || name.includes('.')) {
+            throw new EconomyError(errors.cooldowns.invalidName + name, 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const cooldownTime = typeof duration == 'string' ? ms(duration) : duration
+
+        if (typeof cooldownTime !== 'number' || !(cooldownTime > 0)) {
+            throw new EconomyError(errors.cooldowns.invalidDuration + duration, 'INVALID_TYPE')
+        }
+
+        const endTimestamp = Date.now() + cooldownTime
+        await this.database.set(`${guildID}.${memberID}.namedCooldowns.${name}`, endTimestamp)
+
+        this.cache.updateMany(['cooldowns', 'users'], {
+            memberID,
+            guildID
+        })
+
+        return this._parseCooldown(endTimestamp)
+    }
+
+    /**
+     * Checks the user's named cooldown.
+     *
+     * [!] If the cooldown has expired, it will be removed from the database.
+     * @param {string} name Cooldown name.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<CooldownData>} Cooldown object or 'null' if the cooldown is not active.
+     */
+    async check(name, memberID, guildID) {
+        if (typeof name !== 'string' || !name.length || name.includes('.')) {
+            throw new EconomyError(errors.cooldowns.invalidName + name, 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const endTimestamp = await this.database.fetch(`${guildID}.${memberID}.namedCooldowns.${name}`)
+
+        if (!endTimestamp) {
+            return null
+        }
+
+        if (endTimestamp <= Date.now()) {
+            await this.clear(name, memberID, guildID)
+            return null
+        }
+
+        return this._parseCooldown(endTimestamp)
+    }
+
+    /**
+     * Clears the user's named cooldown.
+     * @param {string} name Cooldown name.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<boolean>} If cleared: true; else: false
+     */
+    async clear(name, memberID, guildID) {
+        if (typeof name !== 'string' || !name.length || name.includes('.')) {
+            throw new EconomyError(errors.cooldowns.invalidName + name, 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const result = await this.database.delete(`${guildID}.${memberID}.namedCooldowns.${name}`)
+
+        this.cache.updateMany(['cooldowns', 'users'], {
+            memberID,
+            guildID
+        })
+
+        return result
+    }
+
+    /**
+     * Lists all the user's active named cooldowns.
+     *
+     * [!] The expired cooldowns will be removed from the database.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<Record<string, CooldownData>>} Object with the cooldown names as keys.
+     */
+    async list(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const namedCooldowns = await this.database.fetch(`${guildID}.${memberID}.namedCooldowns`) || {}
+        const activeCooldowns = {}
+
+        for (const [name, endTimestamp] of Object.entries(namedCooldowns)) {
+            if (endTimestamp > Date.now()) {
+                activeCooldowns[name] = endTimestamp
+            }
+        }
+
+        if (Object.keys(activeCooldowns).length !== Object.keys(namedCooldowns).length) {
+            await this.database.set(`${guildID}.${memberID}.namedCooldowns`, activeCooldowns)
+
+            this.cache.updateMany(['cooldowns', 'users'], {
+                memberID,
+            guildID
+            })
+        }
+
+        return Object.fromEntries(
+            Object.entries(activeCooldowns).map(([name, endTimestamp]) => [name, this._parseCooldown(endTimestamp)])
+        )
+    }
+
+    /**
+     * Builds the cooldown object from the cooldown end timestamp.
+     * @param {number} endTimestamp Cooldown end timestamp.
+     * @returns {CooldownData} Cooldown object.
+     * @private
+     */
+    _parseCooldown(endTimestamp) {
+        const cooldownEndTime = endTimestamp - Date.now()
+
+        return {
+            time: parse(cooldownEndTime),
+            pretty: ms(cooldownEndTime),
+            endTimestamp
+        }
+    }
 }
 
 /**
@@ -358,4 +596,22 @@ module.exports = CooldownManager
  * @property {number} weekly Cooldown for Weekly Reward.
  * @property {number} monthly Cooldown for Monthly Reward.
  * @property {number} hourly Cooldown for Hourly Reward.
+ *
+ * The cooldowns of the registered custom rewards are also included under their names.
+ */
+
+/**
+ * @typedef {object} TimeData
+ * @property {number} days Amount of days until the cooldown ends.
+ * @property {number} hours Amount of hours until the cooldown ends.
+ * @property {number} minutes Amount of minutes until the cooldown ends.
+ * @property {number} seconds Amount of seconds until the cooldown ends.
+ * @property {number} milliseconds Amount of milliseconds until the cooldown ends.
+ */
+
+/**
+ * @typedef {object} CooldownData
+ * @property {TimeData} time A time object with the remaining time until the cooldown ends.
+ * @property {string} pretty A formatted string with the remaining time until the cooldown ends.
+ * @property {number} endTimestamp Cooldown end timestamp.
  */
@@ -2,9 +2,14 @@ const EconomyError = require('../classes/util/EconomyError')
 const Emitter = require('../classes/util/Emitter')
 
 const errors = require('../structures/errors')
+const overdraftLimit = require('../structures/overdraftLimit')
+const trackSeasonGain = require('../structures/trackSeasonGain')
 const defaultCurrencyObject = require('../structures/DefaultCurrencyObject')
+const exchangeRate = require('../structures/exchangeRate')
+const compareRanks = require('../structures/compareRanks')
 
 const Currency = require('../classes/Currency')
+const HistoryManager = require('./HistoryManager')
 
 
 /**
@@ -42,6 +47,13 @@ class CurrencyManager extends Emitter {
          * @private
          */
         this.cache = cache
+
+        /**
+         * History Manager.
+         * @type {HistoryManager}
+         * @private
+         */
+        this._history = new HistoryManager(options, database, cache)
     }
 
     /**
@@ -70,8 +82,8 @@ class CurrencyManager extends Emitter {
 
         const currency = currenciesArray.find(
             currency => currency.id == currencyID ||
-                currency.name.toLowerCase() == currencyID?.toLowerCase() ||
-                currency.symbol.toLowerCase() == currencyID?.toLowerCase()
+                currency.name.toLowerCase() == String(currencyID).toLowerCase() ||
+                currency.symbol.toLowerCase() == String(currencyID).toLowerCase()
         )
 
         if (!currency) {
@@ -109,12 +121,12 @@ class CurrencyManager extends Emitter {
      * @returns {Promise<Currency>} Edited currency object.
      */
     async edit(currencyID, property, value, guildID) {
-        const currenciesArray = await this.all(guildID)
+        const currenciesArray = await this._all(guildID)
 
         const currency = currenciesArray.find(
             currency => currency.id == currencyID ||
-                currency.name.toLowerCase() == currencyID?.toLowerCase() ||
-                currency.symbol.toLowerCase() == currencyID?.toLowerCase()
+                currency.name.toLowerCase() == String(currencyID).toLowerCase() ||
+                currency.symbol.toLowerCase() == String(currencyID).toLowerCase()
         )
 
         if (!['name', 'symbol', 'custom'].includes(property)) {
@@ -131,11 +143,6 @@ class CurrencyManager extends Emitter {
 
         currency[property] = value
 
-        delete currency.database
-        delete currency.cache
-        delete currency.options
-        delete currency.rawObject
-
         const currencyIndex = currenciesArray.findIndex(currencyObject => currencyObject.id == currency.id)
         currenciesArray.splice(currencyIndex, 1, currency)
 
@@ -192,16 +199,17 @@ class CurrencyManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason why the money was set.
-     * @param {boolean} [emitSet=true] If true, `customCurrencySet` event will be emitted on set. Default: true.
+     * @param {boolean} [emitSet=true] If true, `customCurrencySet` event will be emitted on set
+     * and the operation will be recorded in the ledger. Default: true.
      * @returns {Promise<number>} Amount of money that was set.
      */
     async setBalance(currencyID, amount, memberID, guildID, reason = '', emitSet = true) {
-        const currenciesArray = await this.all(guildID)
+        const currenciesArray = await this._all(guildID)
 
         const currency = currenciesArray.find(
             currency => currency.id == currencyID ||
-                currency.name.toLowerCase() == currencyID?.toLowerCase() ||
-                currency.symbol.toLowerCase() == currencyID?.toLowerCase()
+                currency.name.toLowerCase() == String(currencyID).toLowerCase() ||
+                currency.symbol.toLowerCase() == String(currencyID).toLowerCase()
         )
 
         if (!currency) {
@@ -220,13 +228,9 @@ class CurrencyManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
+        const currencyBalance = currency.balances[memberID] || 0
         currency.balances[memberID] = amount
 
-        delete currency.database
-        delete currency.cache
-        delete currency.options
-        delete currency.rawObject
-
         const currencyIndex = currenciesArray.findIndex(currencyObject => currencyObject.id == currency.id)
         currenciesArray.splice(currencyIndex, 1, currency)
 
@@ -237,6 +241,15 @@ class CurrencyManager extends Emitter {
         })
 
         if (emitSet) {
+            await this._history.record(memberID, guildID, {
+                type: 'customCurrencySet',
+                amount,
+                currencyID: currency.id,
+                balanceBefore: currencyBalance,
+                balanceAfter: amount,
+                reason
+            })
+
             this.emit('customCurrencySet', {
                 type: 'customCurrencySet',
                 guildID,
@@ -261,11 +274,20 @@ class CurrencyManager extends Emitter {
      * @returns {Promise<number>} Amount of money that was added.
      */
     async addBalance(currencyID, amount, memberID, guildID, reason = '') {
-        const currency = await this.get(currencyID, memberID, guildID)
+        const currency = await this.get(currencyID, guildID)
         const currencyBalance = await this.getBalance(currencyID, memberID, guildID)
 
         const result = await this.setBalance(currencyID, currencyBalance + amount, memberID, guildID, reason, false)
 
+        await this._history.record(memberID, guildID, {
+            type: 'customCurrencyAdd',
+            amount,
+            currencyID: currency.id,
+            balanceBefore: currencyBalance,
+            balanceAfter: currencyBalance + amount,
+            reason
+        })
+
         this.emit('customCurrencyAdd', {
             type: 'customCurrencyAdd',
             guildID,
@@ -286,25 +308,369 @@ class CurrencyManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason why the money was subtracted.
-     * @returns {Promise<number>} Amount of money that was subtracted.
+     * @returns {Promise<number | InsufficientFundsResult>} Subtracted amount or 'insufficient funds' result.
      */
     async subtractBalance(currencyID, amount, memberID, guildID, reason = '') {
-        const currency = await this.get(currencyID, memberID, guildID)
-        const currencyBalance = await this.getBalance(currencyID, memberID, guildID)
+        return this.database.transaction(async () => {
+            const currency = await this.get(currencyID, guildID)
+            const currencyBalance = await this.getBalance(currencyID, memberID, guildID)
 
-        const result = await this.setBalance(currencyID, currencyBalance - amount, memberID, guildID, reason, false)
+            const overdraft = await this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
 
-        this.emit('customCurrencySubtract', {
-            type: 'customCurrencySubtract',
-            guildID,
-            memberID,
-            amount,
-            balance: currencyBalance - result,
-            currency,
-            reason
+            if (currencyBalance - amount < overdraftLimit(overdraft)) {
+                return { status: false, reason: 'insufficient funds' }
+            }
+
+            const result = await this.setBalance(currencyID, currencyBalance - amount, memberID, guildID, reason, false)
+
+            await this._history.record(memberID, guildID, {
+                type: 'customCurrencySubtract',
+                amount,
+                currencyID: currency.id,
+                balanceBefore: currencyBalance,
+                balanceAfter: currencyBalance - amount,
+                reason
+            })
+
+            this.emit('customCurrencySubtract', {
+                type: 'customCurrencySubtract',
+                guildID,
+                memberID,
+                amount,
+                balance: currencyBalance - result,
+                currency,
+                reason
+            })
+
+            return result
         })
+    }
 
-        return result
+    /**
+     * Gets a leaderboard of the currency balances for specified guild.
+     *
+     * The users with the same balance are ranked by their IDs in ascending order.
+     * @param {string | number} currencyID Currency ID, its name or its symbol.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<CurrencyLeaderboard[]>} Sorted leaderboard array.
+     */
+    async leaderboard(currencyID, guildID) {
+        const currency = await this.find(currencyID, guildID)
+
+        if (currency.id == undefined) {
+            throw new EconomyError(errors.currencies.notFound(currencyID, guildID), 'CURRENCY_NOT_FOUND')
+        }
+
+        return Object.entries(currency.balances || {})
+            .filter(([, balance]) => !isNaN(balance))
+            .map(([userID, balance]) => ({ userID, money: Number(balance) }))
+            .sort(compareRanks())
+            .map((entry, index) => ({ index: index + 1, ...entry }))
+    }
+
+    /**
+     * Sets the exchange rate between two currencies.
+     *
+     * The rate is used in both directions: the opposite exchange is made at the inverse rate.
+     * Use 'money' as a currency ID to set the rate relative to the main balance:
+     * the currencies that have no rate between each other are exchanged through it.
+     * @param {string | number} fromID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {string | number} toID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {number} rate Amount of the target currency for 1 unit of the source currency.
+     * @param {string} guildID Guild ID.
+     * @param {ExchangeRateOptions} [options] Exchange fee and spread.
+     * @returns {Promise<ExchangeRate>} Exchange rate object.
+     */
+    async setExchangeRate(fromID, toID, rate, guildID, options = {}) {
+        const { fee = 0, spread = 0 } = options || {}
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (isNaN(rate) || rate <= 0) {
+            throw new EconomyError(errors.currencies.invalidExchangeRate + rate, 'INVALID_INPUT')
+        }
+
+        if (isNaN(fee) || fee < 0 || fee >= 100) {
+            throw new EconomyError(errors.currencies.invalidExchangeFee + fee, 'INVALID_INPUT')
+        }
+
+        if (isNaN(spread) || spread < 0 || spread >= 100) {
+            throw new EconomyError(errors.currencies.invalidExchangeSpread + spread, 'INVALID_INPUT')
+        }
+
+        const from = await this._resolveExchangeCurrency(fromID, guildID)
+        const to = await this._resolveExchangeCurrency(toID, guildID)
+
+        if (from == to) {
+            throw new EconomyError(errors.currencies.sameExchangeCurrency + toID, 'INVALID_INPUT')
+        }
+
+        const newExchangeRate = {
+            from,
+            to,
+            rate: Number(rate),
+            fee: Number(fee),
+            spread: Number(spread)
+        }
+
+        const exchangeRates = (await this.getExchangeRates(guildID)).filter(
+            savedRate => !(savedRate.from == from && savedRate.to == to) &&
+                !(savedRate.from == to && savedRate.to == from)
+        )
+
+        await this.database.set(`${guildID}.exchangeRates`, [...exchangeRates, newExchangeRate])
+
+        this.cache.updateMany(['guilds'], {
+            guildID
+        })
+
+        return newExchangeRate
+    }
+
+    /**
+     * Deletes the exchange rate between two currencies in both directions.
+     * @param {string | number} fromID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {string | number} toID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<boolean>} If deleted: true, else: false.
+     */
+    async deleteExchangeRate(fromID, toID, guildID) {
+        const from = await this._resolveExchangeCurrency(fromID, guildID)
+        const to = await this._resolveExchangeCurrency(toID, guildID)
+
+        const exchangeRates = await this.getExchangeRates(guildID)
+
+        const newExchangeRates = exchangeRates.filter(
+            savedRate => !(savedRate.from == from && savedRate.to == to) &&
+                !(savedRate.from == to && savedRate.to == from)
+        )
+
+        if (newExchangeRates.length == exchangeRates.length) return false
+
+        await this.database.set(`${guildID}.exchangeRates`, newExchangeRates)
+
+        this.cache.updateMany(['guilds'], {
+            guildID
+        })
+
+        return true
+    }
+
+    /**
+     * Gets the exchange rate between two currencies.
+     *
+     * If there is no rate for the pair, the rate through the main balance is returned.
+     * @param {string | number} fromID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {string | number} toID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<ExchangeRate>} Exchange rate object or 'null' if the currencies cannot be exchanged.
+     */
+    async getExchangeRate(fromID, toID, guildID) {
+        const from = await this._resolveExchangeCurrency(fromID, guildID)
+        const to = await this._resolveExchangeCurrency(toID, guildID)
+
+        if (from == to) {
+            throw new EconomyError(errors.currencies.sameExchangeCurrency + toID, 'INVALID_INPUT')
+        }
+
+        return exchangeRate(from, to, await this.getExchangeRates(guildID))
+    }
+
+    /**
+     * Gets all the exchange rates that were set in the guild.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<ExchangeRate[]>} Exchange rates array.
+     */
+    async getExchangeRates(guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const exchangeRates = await this.database.fetch(`${guildID}.exchangeRates`)
+        return exchangeRates || []
+    }
+
+    /**
+     * Exchanges the money between two currencies of the member.
+     *
+     * The fee is taken from the exchanged amount, and the rest is converted at the exchange rate
+     * made worse by half of the spread. The amounts are rounded to hundredths.
+     * The money is subtracted and added in a single transaction, and both operations are recorded in the ledger.
+     * @param {string | number} fromID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {string | number} toID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {number} amount Amount of the source currency to exchange.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {string} [reason] The reason of the operation. Default: 'exchanging currencies'.
+     * @returns {Promise<ExchangeResult | InsufficientFundsResult>} Exchange result or 'insufficient funds' result.
+     */
+    async exchange(fromID, toID, amount, memberID, guildID, reason = 'exchanging currencies') {
+        if (isNaN(amount)) {
+            throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
+        }
+
+        if (amount <= 0) {
+            throw new EconomyError(errors.currencies.invalidExchangeAmount + amount, 'INVALID_INPUT')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        const from = await this._resolveExchangeCurrency(fromID, guildID)
+        const to = await this._resolveExchangeCurrency(toID, guildID)
+
+        if (from == to) {
+            throw new EconomyError(errors.currencies.sameExchangeCurrency + toID, 'INVALID_INPUT')
+        }
+
+        const currentExchangeRate = exchangeRate(from, to, await this.getExchangeRates(guildID))
+
+        if (!currentExchangeRate) {
+            throw new EconomyError(
+                errors.currencies.exchangeRateNotFound(fromID, toID, guildID),
+                'EXCHANGE_RATE_NOT_FOUND'
+            )
+        }
+
+        const fee = Math.round(amount * currentExchangeRate.fee) / 100
+        const rate = currentExchangeRate.rate * (1 - currentExchangeRate.spread / 200)
+        const received = Math.round((amount - fee) * rate * 100) / 100
+
+        return this.database.transaction(async () => {
+            const fromBalance = await this._getExchangeBalance(from, memberID, guildID)
+            const toBalance = await this._getExchangeBalance(to, memberID, guildID)
+
+            const overdraft = await this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
+
+            if (fromBalance - amount < overdraftLimit(overdraft)) {
+                return { status: false, reason: 'insufficient funds' }
+            }
+
+            await this._changeExchangeBalance(from, 'subtract', amount, memberID, guildID)
+            await this._changeExchangeBalance(to, 'add', received, memberID, guildID)
+
+            if (from == 'money') {
+                await trackSeasonGain(this.database, memberID, guildID, -amount)
+            }
+
+            await this._history.record(memberID, guildID, {
+                type: from == 'money' ? 'balanceSubtract' : 'customCurrencySubtract',
+                amount,
+                currencyID: from == 'money' ? null : from,
+                balanceBefore: fromBalance,
+                balanceAfter: fromBalance - amount,
+                reason
+            })
+
+            if (to == 'money') {
+                await trackSeasonGain(this.database, memberID, guildID, received)
+            }
+
+            await this._history.record(memberID, guildID, {
+                type: to == 'money' ? 'balanceAdd' : 'customCurrencyAdd',
+                amount: received,
+                currencyID: to == 'money' ? null : to,
+                balanceBefore: toBalance,
+                balanceAfter: toBalance + received,
+                reason
+            })
+
+            this.emit('currencyExchange', {
+                guildID,
+                memberID,
+                from,
+                to,
+                amount,
+                fee,
+                received,
+                rate,
+                reason
+            })
+
+            return {
+                status: true,
+                from,
+                to,
+                amount,
+                fee,
+                received,
+                rate,
+                fromBalance: fromBalance - amount,
+                toBalance: toBalance + received
+            }
+        })
+    }
+
+    /**
+     * Resolves the currency for the exchange.
+     * @param {string | number} currencyID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<ExchangeCurrencyID>} Currency ID or 'money' for the main balance.
+     * @private
+     */
+    async _resolveExchangeCurrency(currencyID, guildID) {
+        if (currencyID == 'money') return 'money'
+
+        const currency = await this.find(currencyID, guildID)
+
+        if (currency.id == undefined) {
+            throw new EconomyError(errors.currencies.notFound(currencyID, guildID), 'CURRENCY_NOT_FOUND')
+        }
+
+        return currency.id
+    }
+
+    /**
+     * Gets the member's balance in the currency for the exchange.
+     * @param {ExchangeCurrencyID} currencyID Currency ID or 'money' for the main balance.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<number>} Member's balance in the currency.
+     * @private
+     */
+    async _getExchangeBalance(currencyID, memberID, guildID) {
+        if (currencyID == 'money') {
+            const balance = await this.database.fetch(`${guildID}.${memberID}.money`)
+            return balance || 0
+        }
+
+        return this.getBalance(currencyID, memberID, guildID)
+    }
+
+    /**
+     * Adds the money to or subtracts it from the member's balance in the currency for the exchange.
+     *
+     * The amount is added to or subtracted from the current balance,
+     * so the balance changes made after it was checked are not overwritten.
+     *
+     * [!] No events are emitted and nothing is recorded in the ledger.
+     * @param {ExchangeCurrencyID} currencyID Currency ID or 'money' for the main balance.
+     * @param {'add' | 'subtract'} operation The operation to perform on the balance.
+     * @param {number} amount Amount of money to add or subtract.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _changeExchangeBalance(currencyID, operation, amount, memberID, guildID) {
+        if (currencyID == 'money') {
+            await this.database[operation](`${guildID}.${memberID}.money`, amount)
+
+            this.cache.updateMany(['users', 'balance'], {
+                memberID,
+                guildID
+            })
+
+            return
+        }
+
+        const currencyBalance = await this.getBalance(currencyID, memberID, guildID)
+        const newBalance = operation == 'add' ? currencyBalance + amount : currencyBalance - amount
+
+        await this.setBalance(currencyID, newBalance, memberID, guildID, '', false)
     }
 
     /**
@@ -323,8 +689,8 @@ class CurrencyManager extends Emitter {
             throw new EconomyError(errors.invalidType('symbol', 'string', typeof symbol), 'INVALID_TYPE')
         }
 
-        const currenciesArray = await this.all(guildID)
-        const newCurrencyObject = defaultCurrencyObject
+        const currenciesArray = await this._all(guildID)
+        const newCurrencyObject = { ...defaultCurrencyObject, balances: {} }
 
         newCurrencyObject.id = currenciesArray.length ? currenciesArray[currenciesArray.length - 1].id + 1 : 1
         newCurrencyObject.name = name
@@ -355,12 +721,12 @@ class CurrencyManager extends Emitter {
      * @returns {Promise<Currency>} Deleted currency object.
      */
     async delete(currencyID, guildID) {
-        const currenciesArray = await this.all(guildID)
+        const currenciesArray = await this._all(guildID)
 
         const currencyIndex = currenciesArray.findIndex(
             currency => currency.id == currencyID ||
-                currency.name.toLowerCase() == currencyID?.toLowerCase() ||
-                currency.symbol.toLowerCase() == currencyID?.toLowerCase()
+                currency.name.toLowerCase() == String(currencyID).toLowerCase() ||
+                currency.symbol.toLowerCase() == String(currencyID).toLowerCase()
         )
 
         if (currencyIndex == -1) return null
@@ -412,6 +778,21 @@ class CurrencyManager extends Emitter {
             this.cache
         ) || null)
     }
+
+    /**
+     * Gets the array of the currency objects that are stored in the database for specified guild.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<CurrencyObject[]>} Currencies array.
+     * @private
+     */
+    async _all(guildID) {
+        if (!guildID || typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', typeof guildID), 'INVALID_TYPE')
+        }
+
+        const currenciesArray = await this.database.fetch(`${guildID}.currencies`)
+        return currenciesArray || []
+    }
 }
 
 /**
@@ -424,6 +805,36 @@ class CurrencyManager extends Emitter {
  * @property {object} custom Custom currency data object.
  */
 
+/**
+ * Currency leaderboard object.
+ * @typedef {object} CurrencyLeaderboard
+ * @property {number} index User's place in the leaderboard.
+ * @property {string} userID User ID.
+ * @property {number} money User's balance in the currency.
+ */
+
+/**
+ * @typedef {object} ExchangeRateOptions
+ * @property {number} [fee=0] Percentage of the exchanged amount that is taken as a fee. Default: 0.
+ *
+ * @property {number} [spread=0]
+ * Difference between the buying and selling rates (in percent). Each exchange is made
+ * at the rate that is worse than the set one by half of the spread. Default: 0.
+ */
+
+/**
+ * @typedef {object} ExchangeResult
+ * @property {true} status Operation status.
+ * @property {ExchangeCurrencyID} from Source currency ID or 'money' for the main balance.
+ * @property {ExchangeCurrencyID} to Target currency ID or 'money' for the main balance.
+ * @property {number} amount Amount of the source currency that was subtracted.
+ * @property {number} fee Amount of the source currency that was taken as a fee.
+ * @property {number} received Amount of the target currency that was added.
+ * @property {number} rate The rate the exchange was made at, with the spread applied.
+ * @property {number} fromBalance Member's balance in the source currency after the exchange.
+ * @property {number} toBalance Member's balance in the target currency after the exchange.
+ */
+
 /**
  * Currency manager class.
  * @type {CurrencyManager}
@@ -1,4 +1,8 @@
+const undoChange = require('../structures/undoChange')
+
 const Logger = require('../classes/util/Logger')
+const Transaction = require('../classes/util/Transaction')
+const StorageAdapter = require('../adapters/StorageAdapter')
 
 
 /**
@@ -9,9 +13,9 @@ class DatabaseManager {
     /**
      * Database Manager.
      * @param {EconomyConfiguration} options Economy configuration.
-     * @param {QuickMongo} mongo QuickMongo instance.
+     * @param {StorageAdapter} adapter Storage adapter to perform all the database operations on.
      */
-    constructor(options = {}, mongo) {
+    constructor(options = {}, adapter) {
 
         /**
          * Economy configuration.
@@ -25,12 +29,34 @@ class DatabaseManager {
          */
         this.logger = new Logger(options)
 
+        /**
+         * Storage adapter that all the database operations are performed on.
+         * @type {StorageAdapter}
+         */
+        this.adapter = StorageAdapter.validate(adapter)
+
         /**
          * QuickMongo instance.
-         * @type {QuickMongo}
+         *
+         * [!] Only available when using the MongoDB storage adapter.
+         * @type {?QuickMongo}
+         * @private
+         */
+        this._mongo = adapter.mongo || null
+
+        /**
+         * Cache manager to sync with the database after the transactions are rolled back.
+         * @type {?CacheManager}
+         * @private
+         */
+        this.cache = null
+
+        /**
+         * Promise of the last transaction in the queue.
+         * @type {Promise<any>}
          * @private
          */
-        this._mongo = mongo
+        this._transactionQueue = Promise.resolve()
     }
 
     /**
@@ -39,7 +65,7 @@ class DatabaseManager {
      * @returns {Promise<string>} An array with all keys in database or 'null' if nothing found.
      */
     keysList(key) {
-        return this._mongo.keysList(key)
+        return this.adapter.keys(key)
     }
 
     /**
@@ -51,7 +77,7 @@ class DatabaseManager {
     _getPromiseResult(promise) {
         return new Promise(resolve => {
             try {
-                promise
+                Promise.resolve(promise)
                     .then(() => resolve({ status: true, error: null }))
                     .catch(err => resolve({ status: false, error: err }))
             } catch (err) {
@@ -67,7 +93,9 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If set successfully: true; else: false
      */
     async set(key, value) {
-        const promise = this._mongo.set(key, value)
+        await this._record(key, 'set', value)
+
+        const promise = this.adapter.set(key, value)
         const promiseResult = await this._getPromiseResult(promise)
 
         if (promiseResult.status) {
@@ -75,6 +103,8 @@ class DatabaseManager {
         } else {
             this.logger.error(`Failed to perform "set" operation on key "${key}".`)
             console.error(promiseResult.error)
+
+            if (Transaction.current()) throw promiseResult.error
         }
 
         return promiseResult
@@ -87,7 +117,9 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If added successfully: true; else: false
      */
     async add(key, value) {
-        const promise = this._mongo.add(key, value)
+        await this._record(key, 'add', value)
+
+        const promise = this.adapter.add(key, value)
         const promiseResult = await this._getPromiseResult(promise)
 
         if (promiseResult.status) {
@@ -95,6 +127,8 @@ class DatabaseManager {
         } else {
             this.logger.error(`Failed to perform "add" operation on key "${key}".`)
             console.error(promiseResult.error)
+
+            if (Transaction.current()) throw promiseResult.error
         }
 
         return promiseResult
@@ -107,7 +141,9 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If set successfully: true; else: false
      */
     async subtract(key, value) {
-        const promise = this._mongo.subtract(key, value)
+        await this._record(key, 'subtract', value)
+
+        const promise = this.adapter.subtract(key, value)
         const promiseResult = await this._getPromiseResult(promise)
 
         if (promiseResult.status) {
@@ -115,6 +151,8 @@ class DatabaseManager {
         } else {
             this.logger.error(`Failed to perform "subtract" operation on key "${key}".`)
             console.error(promiseResult.error)
+
+            if (Transaction.current()) throw promiseResult.error
         }
 
         return promiseResult
@@ -126,7 +164,7 @@ class DatabaseManager {
      * @returns {Promise<any>} Value from the specified key or 'false' if failed to read or 'null' if nothing found.
      */
     fetch(key) {
-        return this._mongo.fetch(key)
+        return this.adapter.get(key)
     }
 
     /**
@@ -157,17 +195,22 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If cleared: true; else: false.
      */
     async remove(key) {
-        const promise = this._mongo.remove(key)
+        await this._record(key, 'delete')
+
+        const promise = this.adapter.delete(key)
         const promiseResult = await this._getPromiseResult(promise)
 
         if (promiseResult.status) {
             this.logger.debug(`Performed "remove" operation on key "${key}".`)
-        } else {
-            this.logger.error(`Failed to perform "remove" operation on key "${key}".`)
-            console.error(promiseResult.error)
+            return !!await promise
         }
 
-        return promiseResult
+        this.logger.error(`Failed to perform "remove" operation on key "${key}".`)
+        console.error(promiseResult.error)
+
+        if (Transaction.current()) throw promiseResult.error
+
+        return false
     }
 
     /**
@@ -186,28 +229,171 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If cleared: true; else: false.
      */
     async clear() {
-        const keys = await this.keysList('')
-        const promiseResult = await this._getPromiseResult(this.keysList())
+        await this._recordClear()
+
+        const promise = this.adapter.clear()
+        const promiseResult = await this._getPromiseResult(promise)
 
         if (promiseResult.status) {
-            if (!keys.length) {
+            if (!await promise) {
                 return false
             }
 
-            for (const key of keys) {
-                await this.remove(key)
-            }
-
             this.logger.debug('Performed "clear" operation on the database.')
             return true
         } else {
             this.logger.error('Failed to perform "clear" operation on the database.')
             console.error(promiseResult.error)
+
+            if (Transaction.current()) throw promiseResult.error
         }
 
         return false
     }
 
+    /**
+     * Runs the callback function as a single transaction:
+     * if the returned promise rejects, all the changes
+     * made to the database during the callback will be rolled back.
+     *
+     * All the events emitted during the transaction are emitted only after it's committed.
+     *
+     * The transaction is run with the `transaction()` method of the storage adapter,
+     * so the storages that support transactions natively can use them.
+     *
+     * [!] All the transactions (including the ones started by the managers, e.g. in `BalanceManager.transfer()`)
+     * are run one by one. Transactions started inside other transactions
+     * are committed together with the outer transaction.
+     *
+     * [!] The transactions are not crash-atomic: the changes are written to the database immediately
+     * and reverted with the undo log on rollback, so if the process crashes in the middle of a transaction,
+     * the changes that were made before the crash are kept.
+     * @param {(database: DatabaseManager) => Promise<any>} callback The function to run.
+     * @returns {Promise<any>} The value returned from the callback function.
+     */
+    transaction(callback) {
+        if (Transaction.current()) {
+            return this.adapter.transaction(() => callback(this))
+        }
+
+        const transaction = this._transactionQueue.then(() => this.adapter.transaction(() => callback(this)))
+        this._transactionQueue = transaction.catch(() => null)
+
+        return transaction
+    }
+
+    /**
+     * Saves the way to revert the change of the key if the change is made in a transaction.
+     *
+     * The change is reverted without overwriting the changes that are made
+     * to the same key outside of the transaction while it's running.
+     * @param {string} key The key in database.
+     * @param {'set' | 'delete' | 'add' | 'subtract' | 'push' | 'pull' | 'change'} operation
+     * The operation that is going to be performed on the key.
+     *
+     * @param {any} [value] The value that is going to be written, added, subtracted or pushed.
+     * @param {number} [index] Index of the array element that is going to be removed or replaced.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _record(key, operation, value, index) {
+        const transaction = Transaction.current()
+        if (!transaction) return
+
+        const previousValue = await this.adapter.get(key)
+        if (operation == 'delete' && previousValue == null) return
+
+        const keys = key.split('.')
+
+        // finding the outermost object that is going to be created with the key
+        while (previousValue == null && keys.length > 1) {
+            const parentValue = await this.adapter.get(keys.slice(0, -1).join('.'))
+            if (parentValue != null) break
+
+            keys.pop()
+        }
+
+        const change = {
+            operation,
+            key,
+            index,
+            previousValue,
+            value: typeof value == 'object' && value !== null ? JSON.parse(JSON.stringify(value)) : value,
+            createdKey: previousValue == null ? keys.join('.') : null
+        }
+
+        if (operation == 'add' || operation == 'subtract') {
+            change.value = Number(value)
+        }
+
+        transaction.record(async () => {
+            await undoChange(this.adapter, change)
+            await this._syncCache(key)
+        })
+    }
+
+    /**
+     * Saves the way to restore the whole database if it's cleared in a transaction.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _recordClear() {
+        const transaction = Transaction.current()
+        if (!transaction) return
+
+        const change = {
+            operation: 'clear',
+            previousValue: await this.adapter.all()
+        }
+
+        transaction.record(async () => {
+            await undoChange(this.adapter, change)
+
+            for (const key of Object.keys(change.previousValue)) {
+                await this._syncCache(key)
+            }
+        })
+    }
+
+    /**
+     * Syncs the cached data of the user or guild that the key belongs to with the database.
+     * @param {string} key The key in database.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _syncCache(key) {
+        if (!this.cache) return
+
+        const [guildID, memberID] = key.split('.')
+
+        if (isNaN(memberID)) {
+            await this.cache.updateMany(['guilds', 'shop', 'currencies'], { guildID })
+        } else {
+            await this.cache.updateAll({ guildID, memberID })
+        }
+    }
+
+    /**
+     * Changes the specified element's value in a specified array in the database.
+     * @param {string} key The key in database.
+     * @param {number} index The index in the array.
+     * @param {any} newValue The new value to set.
+     * @returns {Promise<boolean>} If changed: true; else: false.
+     * @private
+     */
+    async _changeElement(key, index, newValue) {
+        if (this._mongo) {
+            await this._mongo.pull(key, index, newValue)
+            return true
+        }
+
+        const data = await this.adapter.get(key)
+        if (!Array.isArray(data)) return false
+
+        data.splice(index, 1, newValue)
+        return this.adapter.set(key, data)
+    }
+
     /**
      * Clears the whole database.
      * 
@@ -215,7 +401,7 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If cleared: true; else: false.
      */
     deleteAll() {
-        return this.deleteAll()
+        return this.clear()
     }
 
     /**
@@ -225,7 +411,9 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If cleared: true; else: false.
      */
     async push(key, value) {
-        const promise = this._mongo.push(key, value)
+        await this._record(key, 'push', value)
+
+        const promise = this.adapter.push(key, value)
         const promiseResult = await this._getPromiseResult(promise)
 
         if (promiseResult.status) {
@@ -233,6 +421,8 @@ class DatabaseManager {
         } else {
             this.logger.error(`Failed to perform "push" operation on key "${key}".`)
             console.error(promiseResult.error)
+
+            if (Transaction.current()) throw promiseResult.error
         }
 
         return promiseResult
@@ -245,7 +435,9 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If cleared: true; else: false.
      */
     async pop(key, index) {
-        const promise = this._mongo.pop(key, index)
+        await this._record(key, 'pull', null, index)
+
+        const promise = this.adapter.pull(key, index)
         const promiseResult = await this._getPromiseResult(promise)
 
         if (promiseResult.status) {
@@ -253,6 +445,8 @@ class DatabaseManager {
         } else {
             this.logger.error(`Failed to perform "pop" operation on key "${key}".`)
             console.error(promiseResult.error)
+
+            if (Transaction.current()) throw promiseResult.error
         }
 
         return promiseResult
@@ -278,7 +472,9 @@ class DatabaseManager {
     * @returns {Promise<boolean>} If cleared: true; else: false.
     */
     async pull(key, index, newValue) {
-        const promise = this._mongo.pull(key, index, newValue)
+        await this._record(key, 'change', newValue, index)
+
+        const promise = this._changeElement(key, index, newValue)
         const promiseResult = await this._getPromiseResult(promise)
 
         if (promiseResult.status) {
@@ -286,6 +482,8 @@ class DatabaseManager {
         } else {
             this.logger.error(`Failed to perform "pull" operation on key "${key}".`)
             console.error(promiseResult.error)
+
+            if (Transaction.current()) throw promiseResult.error
         }
 
         return promiseResult
@@ -309,8 +507,9 @@ class DatabaseManager {
      * @param {string} key The key in database.
      * @returns {Promise<boolean>} If existing: true; else: false.
      */
-    has(key) {
-        return this._mongo.has(key)
+    async has(key) {
+        const data = await this.adapter.get(key)
+        return data !== null && data !== undefined
     }
 
     /**
@@ -321,7 +520,7 @@ class DatabaseManager {
      * @returns {Promise<boolean>} If existing: true; else: false.
      */
     includes(key) {
-        return this._mongo.has(key)
+        return this.has(key)
     }
 
     /**
@@ -329,7 +528,7 @@ class DatabaseManager {
     * @returns {Promise<DatabaseProperties>} Database contents
     */
     all() {
-        return this._mongo.all()
+        return this.adapter.all()
     }
 
     /**
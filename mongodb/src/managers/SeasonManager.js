@@ -0,0 +1,404 @@
+const Emitter = require('../classes/util/Emitter')
+const EconomyError = require('../classes/util/EconomyError')
+
+const HistoryManager = require('./HistoryManager')
+
+const errors = require('../structures/errors')
+const ms = require('../structures/ms')
+const compareRanks = require('../structures/compareRanks')
+const leaderboardPage = require('../structures/leaderboardPage')
+
+/**
+ * Season end modes.
+ * @type {string[]}
+ */
+const balanceResets = ['none', 'reset', 'decay']
+
+
+/**
+ * Season manager methods class.
+ * @extends {Emitter}
+ */
+class SeasonManager extends Emitter {
+
+    /**
+     * Season Manager.
+     * @param {EconomyConfiguration} options Economy configuration.
+     * @param {DatabaseManager} database Database manager.
+     * @param {CacheManager} cache Cache manager.
+     */
+    constructor(options, database, cache) {
+        super(options)
+
+        /**
+         * Economy configuration.
+         * @type {EconomyConfiguration}
+         * @private
+         */
+        this.options = options
+
+        /**
+         * Database manager.
+         * @type {DatabaseManager}
+         * @private
+         */
+        this.database = database
+
+        /**
+         * Cache manager.
+         * @type {CacheManager}
+         * @private
+         */
+        this.cache = cache
+
+        /**
+         * History Manager.
+         * @type {HistoryManager}
+         * @private
+         */
+        this._history = new HistoryManager(options, database, cache)
+    }
+
+    /**
+     * Starts a new season in the guild.
+     *
+     * During the season, the changes of the users' balances and bank balances are tracked separately
+     * from their all-time balances. When the season ends, its final leaderboard is archived.
+     * @param {string} guildID Guild ID.
+     * @param {SeasonOptions} options Season options.
+     * @returns {Promise<Season>} Started season.
+     */
+    async start(guildID, options = {}) {
+        const {
+            name, endsAt, duration,
+            balanceReset = 'none', decay = 0
+        } = options || {}
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            throw new EconomyError(errors.seasons.invalidName + name, 'INVALID_TYPE')
+        }
+
+        const now = Date.now()
+        const durationTime = typeof duration == 'string' ? ms(duration) : duration
+
+        const endTimestamp = endsAt !== undefined
+            ? new Date(endsAt).getTime()
+            : now + durationTime
+
+        if (!(endTimestamp > now)) {
+            throw new EconomyError(errors.seasons.invalidEnd + (endsAt ?? duration), 'INVALID_INPUT')
+        }
+
+        if (!balanceResets.includes(balanceReset)) {
+            throw new EconomyError(errors.seasons.invalidBalanceReset + balanceReset, 'INVALID_INPUT')
+        }
+
+        if (typeof decay !== 'number' || decay < 0 || decay > 100) {
+            throw new EconomyError(errors.seasons.invalidDecay + decay, 'INVALID_TYPE')
+        }
+
+        if (await this.current(guildID)) {
+            throw new EconomyError(errors.seasons.alreadyStarted(guildID), 'SEASON_ALREADY_STARTED')
+        }
+
+        const archive = await this.archive(guildID)
+        const id = archive.length ? archive[archive.length - 1].id + 1 : 1
+
+        const season = {
+            id,
+            name: name?.trim() || `Season ${id}`,
+            startedAt: now,
+            endsAt: endTimestamp,
+            balanceReset,
+            decay: balanceReset == 'decay' ? decay : 0,
+            gains: {}
+        }
+
+        await this.database.set(`${guildID}.season`, season)
+
+        this.emit('seasonStart', {
+            guildID,
+            season: this._toSeason(season)
+        })
+
+        return this._toSeason(season)
+    }
+
+    /**
+     * Gets the current season of the guild.
+     *
+     * If the current season is over, it is ended first.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<Season>} Current season. If there's no season going on: null.
+     */
+    async current(guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const season = await this.database.fetch(`${guildID}.season`)
+        if (!season) return null
+
+        if (season.endsAt <= Date.now()) {
+            await this._end(guildID, season, season.endsAt)
+            return null
+        }
+
+        return this._toSeason(season)
+    }
+
+    /**
+     * Ends the current season of the guild before its end time.
+     *
+     * The final leaderboard of the season is archived and the season's balance reset or decay is applied.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<SeasonSnapshot>} Archived season snapshot. If there's no season going on: null.
+     */
+    async end(guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const season = await this.database.fetch(`${guildID}.season`)
+        if (!season) return null
+
+        return this._end(guildID, season, Math.min(season.endsAt, Date.now()))
+    }
+
+    /**
+     * Gets the leaderboard of the current season of the guild, sorted by the users' season gains.
+     *
+     * The users with the same gains are ranked by their IDs in ascending order.
+     * If the page options are specified, only the requested page of the leaderboard is returned.
+     * @param {string} guildID Guild ID.
+     * @param {LeaderboardPageOptions} [options] Leaderboard page options.
+     * @returns {Promise<SeasonLeaderboard[] | LeaderboardPage>} Sorted leaderboard array or its page.
+     */
+    async leaderboard(guildID, options) {
+        const season = await this.current(guildID)
+        const entries = season ? this._leaderboard(season.gains) : []
+
+        return options ? leaderboardPage(entries, options) : entries
+    }
+
+    /**
+     * Gets the snapshots of all the past seasons of the guild.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<SeasonSnapshot[]>} Archived season snapshots, from the oldest to the newest.
+     */
+    async archive(guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        await this.current(guildID)
+        return (await this.database.fetch(`${guildID}.seasons`)) || []
+    }
+
+    /**
+     * Gets the snapshot of the past season of the guild.
+     * @param {number} seasonID Season ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<SeasonSnapshot>} Archived season snapshot. If not found: null.
+     */
+    async snapshot(seasonID, guildID) {
+        return (await this.archive(guildID)).find(season => season.id == seasonID) || null
+    }
+
+    /**
+     * Ends the seasons that are over in all the guilds.
+     * @returns {Promise<SeasonSnapshot[]>} Archived season snapshots.
+     */
+    async sweepEnded() {
+        const snapshots = []
+        const data = (await this.database.all()) || {}
+
+        for (const [guildID, guildData] of Object.entries(data)) {
+            const season = guildData?.season
+
+            if (season && season.endsAt <= Date.now()) {
+                snapshots.push(await this._end(guildID, season, season.endsAt))
+            }
+        }
+
+        return snapshots
+    }
+
+    /**
+     * Archives the season's final leaderboard and applies its balance reset or decay.
+     * @param {string} guildID Guild ID.
+     * @param {object} season Raw season object.
+     * @param {number} endedAt Season end timestamp.
+     * @returns {Promise<SeasonSnapshot>} Archived season snapshot.
+     * @private
+     */
+    async _end(guildID, season, endedAt) {
+        const snapshot = {
+            id: season.id,
+            name: season.name,
+            startedAt: season.startedAt,
+            endsAt: season.endsAt,
+            endedAt,
+            balanceReset: season.balanceReset,
+            decay: season.decay,
+            leaderboard: this._leaderboard(season.gains)
+        }
+
+        await this.database.transaction(async () => {
+            await this.database.delete(`${guildID}.season`)
+            await this.database.push(`${guildID}.seasons`, snapshot)
+
+            if (season.balanceReset !== 'none') {
+                const guildData = (await this.database.fetch(guildID)) || {}
+
+                const memberIDs = Object.keys(guildData).filter(key => !isNaN(guildData[key]?.money))
+
+                for (const memberID of memberIDs) {
+                    await this._resetBalance(memberID, guildID, 'money', season)
+                    await this._resetBalance(memberID, guildID, 'bank', season)
+                }
+
+                await this.cache.clearMany(['users', 'balance', 'bank', 'leaderboards'])
+            }
+
+            this.emit('seasonEnd', {
+                guildID,
+                season: snapshot
+            })
+        })
+
+        return snapshot
+    }
+
+    /**
+     * Resets or decays the user's balance at the end of the season.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {'money' | 'bank'} property Balance property.
+     * @param {object} season Raw season object.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _resetBalance(memberID, guildID, property, season) {
+        const balance = Number(await this.database.fetch(`${guildID}.${memberID}.${property}`)) || 0
+
+        const newBalance = season.balanceReset == 'reset'
+            ? 0
+            : balance > 0 ? Math.round(balance * (100 - season.decay)) / 100 : balance
+
+        if (newBalance == balance) return
+
+        await this.database.set(`${guildID}.${memberID}.${property}`, newBalance)
+
+        await this._history.record(memberID, guildID, {
+            type: property == 'money' ? 'balanceSet' : 'bankSet',
+            amount: newBalance,
+            balanceBefore: balance,
+            balanceAfter: newBalance,
+            reason: `end of the season "${season.name}"`
+        })
+    }
+
+    /**
+     * Builds the season leaderboard from the users' season gains.
+     * @param {Record<string, number>} gains Users' season gains.
+     * @returns {SeasonLeaderboard[]} Sorted leaderboard array.
+     * @private
+     */
+    _leaderboard(gains = {}) {
+        return Object.entries(gains)
+            .map(([userID, money]) => ({ userID, money: Math.round(money * 100) / 100 }))
+            .sort(compareRanks())
+            .map((entry, index) => ({ index: index + 1, ...entry }))
+    }
+
+    /**
+     * Converts the raw season object to the season object.
+     * @param {object} season Raw season object.
+     * @returns {Season} Season object.
+     * @private
+     */
+    _toSeason(season) {
+        return {
+            id: season.id,
+            name: season.name,
+            startedAt: season.startedAt,
+            endsAt: season.endsAt,
+            balanceReset: season.balanceReset,
+            decay: season.decay,
+            gains: { ...season.gains }
+        }
+    }
+}
+
+/**
+ * Season manager class.
+ * @type {SeasonManager}
+ */
+module.exports = SeasonManager
+
+
+/**
+ * @typedef {object} SeasonOptions
+ * @property {string} [name] Season name. Default: 'Season {id}'.
+ * @property {Date | number} [endsAt] Date when the season ends. Required if the duration is not specified.
+ * @property {number | string} [duration]
+ * Duration of the season in milliseconds or as a time string (e.g. '30d').
+ * Required if the end date is not specified.
+ *
+ * @property {'none' | 'reset' | 'decay'} [balanceReset='none']
+ * What happens to the balances and bank balances when the season ends: 'none' keeps them,
+ * 'reset' sets them to 0 and 'decay' takes the 'decay' percent of the positive balances. Default: 'none'.
+ *
+ * @property {number} [decay=0] Percent of the balances that is taken when the season ends in 'decay' mode.
+ */
+
+/**
+ * @typedef {object} Season
+ * @property {number} id Season ID.
+ * @property {string} name Season name.
+ * @property {number} startedAt Season start timestamp.
+ * @property {number} endsAt Season end timestamp.
+ * @property {'none' | 'reset' | 'decay'} balanceReset What happens to the balances when the season ends.
+ * @property {number} decay Percent of the balances that is taken when the season ends in 'decay' mode.
+ * @property {Record<string, number>} gains Changes of the users' balances during the season, by the user ID.
+ */
+
+/**
+ * @typedef {object} SeasonSnapshot
+ * @property {number} id Season ID.
+ * @property {string} name Season name.
+ * @property {number} startedAt Season start timestamp.
+ * @property {number} endsAt Planned season end timestamp.
+ * @property {number} endedAt Season end timestamp.
+ * @property {'none' | 'reset' | 'decay'} balanceReset What happened to the balances when the season ended.
+ * @property {number} decay Percent of the balances that was taken when the season ended in 'decay' mode.
+ * @property {SeasonLeaderboard[]} leaderboard Final leaderboard of the season.
+ */
+
+/**
+ * Season leaderboard object.
+ * @typedef {object} SeasonLeaderboard
+ * @property {number} index User's place in the leaderboard.
+ * @property {string} userID User ID.
+ * @property {number} money Change of the user's balance and bank balance during the season.
+ */
+
+/**
+ * @typedef {object} LeaderboardPageOptions
+ * @property {number} [page=1] Page number, starting from 1. Default: 1.
+ * @property {number} [pageSize=10] Amount of users on each page. Default: 10.
+ */
+
+/**
+ * @typedef {object} LeaderboardPage
+ * @property {object[]} entries Leaderboard entries on the page.
+ * @property {number} page Page number.
+ * @property {number} pageSize Amount of users on each page.
+ * @property {number} totalPages Total amount of pages.
+ * @property {number} totalUsers Total amount of users in the leaderboard.
+ */
@@ -1,5 +1,8 @@
 const EconomyError = require('../classes/util/EconomyError')
 const errors = require('../structures/errors')
+const overdraftLimit = require('../structures/overdraftLimit')
+const rewardOptions = require('../structures/rewardOptions')
+const isValidTimeZone = require('../structures/isValidTimeZone')
 
 const settingsArray = [
     'dailyAmount',
@@ -21,7 +24,23 @@ const settingsArray = [
     'subtractOnBuy',
 
     'sellingItemPercent',
-    'savePurchasesHistory'
+    'savePurchasesHistory',
+
+    'overdraft',
+
+    'bankInterestRate',
+    'bankInterestPeriod',
+    'bankInterestMaxBalance',
+
+    'dailyStreakGrace',
+    'dailyStreakMultipliers',
+    'dailyStreakBonuses',
+
+    'resetMode',
+    'timeZone',
+
+    'rewards',
+    'currencyWeights'
 ]
 
 
@@ -107,6 +126,87 @@ function checkValueType(key, value) {
                 throw new EconomyError(errors.invalidType(key, 'boolean', typeof value), 'INVALID_TYPE')
             }
 
+            break
+
+        case 'overdraft':
+            if (overdraftLimit(value) == null) {
+                throw new EconomyError(errors.settingsManager.invalidOverdraft + value, 'INVALID_TYPE')
+            }
+
+            break
+
+        case 'bankInterestRate':
+        case 'bankInterestMaxBalance':
+            if (typeof value !== 'number' || value < 0) {
+                throw new EconomyError(errors.invalidType(key, 'non-negative number', typeof value), 'INVALID_TYPE')
+            }
+
+            break
+
+        case 'bankInterestPeriod':
+            if (typeof value !== 'number' || value <= 0) {
+                throw new EconomyError(errors.invalidType(key, 'positive number', typeof value), 'INVALID_TYPE')
+            }
+
+            break
+
+        case 'dailyStreakGrace':
+            if (typeof value !== 'number' || value < 0) {
+                throw new EconomyError(errors.invalidType(key, 'non-negative number', typeof value), 'INVALID_TYPE')
+            }
+
+            break
+
+        case 'dailyStreakMultipliers':
+        case 'dailyStreakBonuses':
+            if (!Array.isArray(value) || value.some(element => typeof element !== 'number' || element < 0)) {
+                throw new EconomyError(
+                    errors.invalidType(key, 'array of non-negative numbers', typeof value),
+                    'INVALID_TYPE'
+                )
+            }
+
+            break
+
+        case 'resetMode':
+            if (value !== 'rolling' && value !== 'calendar') {
+                throw new EconomyError(errors.settingsManager.invalidResetMode + value, 'INVALID_TYPE')
+            }
+
+            break
+
+        case 'timeZone':
+            if (!isValidTimeZone(value)) {
+                throw new EconomyError(errors.settingsManager.invalidTimeZone + value, 'INVALID_TYPE')
+            }
+
+            break
+
+        case 'rewards':
+            if (
+                typeof value !== 'object' || Array.isArray(value) ||
+                Object.entries(value).some(([name, overrides]) => name.includes('.') || typeof overrides !== 'object')
+            ) {
+                throw new EconomyError(errors.settingsManager.invalidRewards + JSON.stringify(value), 'INVALID_TYPE')
+            }
+
+            for (const overrides of Object.values(value)) {
+                rewardOptions(overrides, true)
+            }
+
+            break
+
+        case 'currencyWeights':
+            if (
+                typeof value !== 'object' || Array.isArray(value) ||
+                Object.entries(value).some(([currency, weight]) => currency.includes('.') || !(weight >= 0))
+            ) {
+                throw new EconomyError(
+                    errors.settingsManager.invalidCurrencyWeights + JSON.stringify(value),
+                    'INVALID_TYPE'
+                )
+            }
+
             break
     }
 
@@ -197,7 +297,15 @@ class SettingsManager {
         }
 
         checkValueType(key, value)
-        await this.database.set(`${guildID}.settings.${key}`, value)
+
+        // custom reward cooldowns are saved in milliseconds
+        const settingValue = key == 'rewards'
+            ? Object.fromEntries(
+                Object.entries(value).map(([name, overrides]) => [name, rewardOptions(overrides, true)])
+            )
+            : value
+
+        await this.database.set(`${guildID}.settings.${key}`, settingValue)
 
         const result = await this.all(guildID)
         return result
@@ -284,6 +392,22 @@ class SettingsManager {
 
             sellingItemPercent: settings?.sellingItemPercent == null ? null : settings?.sellingItemPercent,
             savePurchasesHistory: settings?.savePurchasesHistory == null ? null : settings?.savePurchasesHistory,
+
+            overdraft: settings?.overdraft == null ? null : settings?.overdraft,
+
+            bankInterestRate: settings?.bankInterestRate == null ? null : settings?.bankInterestRate,
+            bankInterestPeriod: settings?.bankInterestPeriod == null ? null : settings?.bankInterestPeriod,
+            bankInterestMaxBalance: settings?.bankInterestMaxBalance == null ? null : settings?.bankInterestMaxBalance,
+
+            dailyStreakGrace: settings?.dailyStreakGrace == null ? null : settings?.dailyStreakGrace,
+            dailyStreakMultipliers: settings?.dailyStreakMultipliers == null ? null : settings?.dailyStreakMultipliers,
+            dailyStreakBonuses: settings?.dailyStreakBonuses == null ? null : settings?.dailyStreakBonuses,
+
+            resetMode: settings?.resetMode == null ? null : settings?.resetMode,
+            timeZone: settings?.timeZone == null ? null : settings?.timeZone,
+
+            rewards: settings?.rewards == null ? null : settings?.rewards,
+            currencyWeights: settings?.currencyWeights == null ? null : settings?.currencyWeights
         }
     }
 
@@ -317,7 +441,23 @@ class SettingsManager {
             subtractOnBuy: this.options.subtractOnBuy,
 
             sellingItemPercent: this.options.sellingItemPercent,
-            savePurchasesHistory: this.options.savePurchasesHistory
+            savePurchasesHistory: this.options.savePurchasesHistory,
+
+            overdraft: this.options.overdraft,
+
+            bankInterestRate: this.options.bankInterestRate,
+            bankInterestPeriod: this.options.bankInterestPeriod,
+            bankInterestMaxBalance: this.options.bankInterestMaxBalance,
+
+            dailyStreakGrace: this.options.dailyStreakGrace,
+            dailyStreakMultipliers: this.options.dailyStreakMultipliers,
+            dailyStreakBonuses: this.options.dailyStreakBonuses,
+
+            resetMode: this.options.resetMode,
+            timeZone: this.options.timeZone,
+
+            rewards: {},
+            currencyWeights: {}
         }
 
         this.database.set(`${guildID}.settings`, defaultSettings)
@@ -348,6 +488,35 @@ class SettingsManager {
  * If true, when someone buys the item, their balance will subtract by item price. Default: false.
  *
  * @property {number} sellingItemPercent Percent of the item's price it will be sold for. Default: 75.
+ *
+ * @property {OverdraftPolicy} overdraft
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} bankInterestRate
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). Default: 0.
+ *
+ * @property {number} bankInterestPeriod Compounding period of the bank interest (in ms). Default: 86400000.
+ * @property {number} bankInterestMaxBalance Maximum bank balance that earns interest. 0 means no limit. Default: 0.
+ *
+ * @property {number} dailyStreakGrace
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 86400000.
+ *
+ * @property {number[]} dailyStreakMultipliers Daily reward multipliers for each day of the streak. Default: [].
+ * @property {number[]} dailyStreakBonuses
+ * Flat bonuses added to the daily reward for each day of the streak. Default: [].
+ *
+ * @property {ResetMode} resetMode
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' or 'calendar'. Default: 'rolling'.
+ *
+ * @property {string} timeZone IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
+ * @property {Record<string, { amount?: number | number[], cooldown?: number }>} rewards
+ * Per-guild overrides of the amount and cooldown (in ms) for the custom reward types.
+ *
+ * @property {Record<string, number>} currencyWeights
+ * Weights of the custom currencies in the net worth leaderboard, by the currency ID, name or symbol.
+ * The currencies with no weight have a weight of 1.
  */
 
 /**
@@ -359,6 +528,23 @@ class SettingsManager {
  *
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000]
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  *
@@ -367,6 +553,11 @@ class SettingsManager {
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
  * @property {number} [sellingItemPercent=75]
  * Percent of the item's price it will be sold for. Default: 75.
  *
@@ -382,6 +573,35 @@ class SettingsManager {
  * @property {boolean} [subtractOnBuy=true]
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
@@ -432,7 +652,12 @@ class SettingsManager {
  * 'monthlyAmount' | 'monthlyCooldown' |
  * 'hourlyAmount' | 'hourlyCooldown' |
  * 'dateLocale' | 'subtractOnBuy' |
- * 'sellingItemPercent' | 'savePurchasesHistory'} Settings
+ * 'sellingItemPercent' | 'savePurchasesHistory' |
+ * 'overdraft' | 'bankInterestRate' |
+ * 'bankInterestPeriod' | 'bankInterestMaxBalance' |
+ * 'dailyStreakGrace' | 'dailyStreakMultipliers' |
+ * 'dailyStreakBonuses' | 'resetMode' |
+ * 'timeZone' | 'rewards' | 'currencyWeights'} Settings
  */
 
 
@@ -0,0 +1,41 @@
+/**
+ * Calculates the interest that the bank balance earns over the specified number of periods. Utility function.
+ *
+ * The interest is compounded every period. If the maximum balance is specified,
+ * only the part of the balance that does not exceed it earns interest.
+ *
+ * The result is rounded to 2 decimal places.
+ *
+ * @param {number} balance The bank balance.
+ * @param {number} rate Interest rate for each period (e.g. 0.01 for 1%).
+ * @param {number} periods Number of the compounding periods that have passed.
+ * @param {number} [maxBalance=0] Maximum bank balance that earns interest. 0 means no limit.
+ * @returns {number} Earned interest.
+ */
+const bankInterest = (balance, rate, periods, maxBalance = 0) => {
+    if (balance <= 0 || rate <= 0 || periods < 1) return 0
+
+    let interest
+
+    if (!maxBalance) {
+        interest = balance * (Math.pow(1 + rate, periods) - 1)
+    }
+
+    else if (balance >= maxBalance) {
+        interest = maxBalance * rate * periods
+    }
+
+    else {
+        const compoundingPeriods = Math.min(
+            periods,
+            Math.ceil(Math.log(maxBalance / balance) / Math.log(1 + rate))
+        )
+
+        interest = balance * (Math.pow(1 + rate, compoundingPeriods) - 1) +
+            maxBalance * rate * (periods - compoundingPeriods)
+    }
+
+    return Math.round(interest * 100) / 100
+}
+
+module.exports = bankInterest
@@ -0,0 +1,15 @@
+/**
+ * Creates a function that compares the leaderboard entries. Utility function.
+ *
+ * The entries are sorted by the specified property in descending order.
+ * The users with the same amount are sorted by their IDs in ascending order, with the numeric IDs
+ * compared as numbers, so the ties are always resolved the same way and the older Discord accounts
+ * are ranked higher.
+ * @param {string} [property='money'] Entry property to sort by. Default: 'money'.
+ * @returns {(previous: object, current: object) => number} Compare function for the `Array.sort()` method.
+ */
+const compareRanks = (property = 'money') => (previous, current) =>
+    current[property] - previous[property] ||
+    String(previous.userID).localeCompare(String(current.userID), 'en', { numeric: true })
+
+module.exports = compareRanks
@@ -0,0 +1,37 @@
+/**
+ * Custom item requirements of each Economy instance.
+ * @type {WeakMap<EconomyConfiguration, Map<string, RequirementPredicate>>}
+ */
+const registries = new WeakMap()
+
+/**
+ * Returns the custom item requirements registry of the Economy instance. Utility function.
+ *
+ * All the managers created with the same Economy configuration share the same registry.
+ *
+ * @param {EconomyConfiguration} options Economy configuration.
+ * @returns {Map<string, RequirementPredicate>} Custom item requirements registry.
+ */
+const customRequirements = options => {
+    if (!registries.has(options)) {
+        registries.set(options, new Map())
+    }
+
+    return registries.get(options)
+}
+
+/**
+ * @callback RequirementPredicate
+ * @param {RequirementContext} context Purchase context.
+ * @returns {boolean | Promise<boolean>} If the requirement is met: true, else: false.
+ */
+
+/**
+ * @typedef {object} RequirementContext
+ * @property {string} guildID Guild ID.
+ * @property {string} memberID Member ID.
+ * @property {ItemData} item The item that is being bought.
+ * @property {number} quantity Quantity of the items to buy.
+ */
+
+module.exports = customRequirements
@@ -0,0 +1,29 @@
+/**
+ * Custom reward types of each Economy instance.
+ * @type {WeakMap<EconomyConfiguration, Map<string, CustomRewardOptions>>}
+ */
+const registries = new WeakMap()
+
+/**
+ * Returns the custom reward types registry of the Economy instance. Utility function.
+ *
+ * All the managers created with the same Economy configuration share the same registry.
+ *
+ * @param {EconomyConfiguration} options Economy configuration.
+ * @returns {Map<string, CustomRewardOptions>} Custom reward types registry.
+ */
+const customRewards = options => {
+    if (!registries.has(options)) {
+        registries.set(options, new Map())
+    }
+
+    return registries.get(options)
+}
+
+/**
+ * @typedef {object} CustomRewardOptions
+ * @property {number | number[]} amount Amount of money for the reward. Could be a [min, max] range.
+ * @property {number} cooldown Cooldown for the reward (in ms).
+ */
+
+module.exports = customRewards
@@ -0,0 +1,88 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const resolveCurrency = require('./resolveCurrency')
+
+/**
+ * Discount types.
+ * @type {string[]}
+ */
+const discountTypes = ['percent', 'flat']
+
+/**
+ * Validates the discount options of the coupon or the sale
+ * and resolves the currency of the flat discount. Utility function.
+ *
+ * @param {DiscountOptions} options Discount options to check.
+ * @param {CurrencyObject[]} currencies Currencies of the guild.
+ * @param {string} guildID Guild ID.
+ * @returns {Discount} Validated discount.
+ */
+const discountOptions = (options, currencies, guildID) => {
+    const {
+        type = 'percent', discount, currency = 'money',
+        items = null, categories = null
+    } = options || {}
+
+    if (!discountTypes.includes(type)) {
+        throw new EconomyError(errors.discounts.invalidType + type, 'INVALID_INPUT')
+    }
+
+    if (typeof discount !== 'number' || !(discount > 0) || (type == 'percent' && discount > 100)) {
+        throw new EconomyError(errors.discounts.invalidDiscount + discount, 'INVALID_TYPE')
+    }
+
+    const currencyID = type == 'flat' ? resolveCurrency(currency, currencies) : null
+
+    if (type == 'flat' && currencyID === null) {
+        throw new EconomyError(errors.currencies.notFound(currency, guildID), 'CURRENCY_NOT_FOUND')
+    }
+
+    if (
+        items !== null &&
+        (!Array.isArray(items) || !items.every(itemID => typeof itemID == 'string' || typeof itemID == 'number'))
+    ) {
+        throw new EconomyError(errors.discounts.invalidItems, 'INVALID_TYPE')
+    }
+
+    if (categories !== null && (!Array.isArray(categories) || !categories.every(name => typeof name == 'string'))) {
+        throw new EconomyError(errors.discounts.invalidCategories, 'INVALID_TYPE')
+    }
+
+    return {
+        type,
+        discount,
+        currency: currencyID,
+        items,
+        categories
+    }
+}
+
+/**
+ * @typedef {object} DiscountOptions
+ * @property {'percent' | 'flat'} [type='percent']
+ * Discount type: 'percent' takes the percent of all the amounts of the price,
+ * 'flat' takes the amount of money in one currency. Default: 'percent'.
+ *
+ * @property {number} discount Discount percent (up to 100) or amount of money.
+ * @property {string | number} [currency='money']
+ * Currency ID, its name or its symbol, or 'money' for the main balance, that the flat discount is taken in.
+ * Default: 'money'.
+ *
+ * @property {Array<string | number>} [items] IDs or names of the items that the discount applies to. Default: all.
+ * @property {string[]} [categories] Categories of the items that the discount applies to. Default: all.
+ */
+
+/**
+ * @typedef {object} Discount
+ * @property {'percent' | 'flat'} type Discount type.
+ * @property {number} discount Discount percent or amount of money.
+ * @property {?ExchangeCurrencyID} currency Currency of the flat discount. 'null' for the percent discounts.
+ * @property {?Array<string | number>} items
+ * IDs or names of the items that the discount applies to. 'null' means all the items.
+ *
+ * @property {?string[]} categories
+ * Categories of the items that the discount applies to. 'null' means all the categories.
+ */
+
+module.exports = discountOptions
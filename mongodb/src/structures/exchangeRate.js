@@ -0,0 +1,59 @@
+/**
+ * Finds the exchange rate between two currencies. Utility function.
+ *
+ * The rate that was set for the pair is used first, then the inverse one. If there is no rate for the pair,
+ * the currencies are exchanged through the main balance, combining the fees and spreads of both legs.
+ * @param {ExchangeCurrencyID} from Source currency ID or 'money' for the main balance.
+ * @param {ExchangeCurrencyID} to Target currency ID or 'money' for the main balance.
+ * @param {ExchangeRate[]} exchangeRates Exchange rates of the guild.
+ * @returns {?ExchangeRate} Exchange rate or 'null' if the currencies cannot be exchanged.
+ */
+const exchangeRate = (from, to, exchangeRates) => {
+    const pairRate = (from, to) => {
+        const rate = exchangeRates.find(rate => rate.from == from && rate.to == to)
+        if (rate) return rate
+
+        const inverseRate = exchangeRates.find(rate => rate.from == to && rate.to == from)
+        if (!inverseRate) return null
+
+        return {
+            ...inverseRate,
+            from,
+            to,
+            rate: 1 / inverseRate.rate
+        }
+    }
+
+    const rate = pairRate(from, to)
+    if (rate || from == 'money' || to == 'money') return rate
+
+    const [firstLeg, secondLeg] = [pairRate(from, 'money'), pairRate('money', to)]
+    if (!firstLeg || !secondLeg) return null
+
+    return {
+        from,
+        to,
+        rate: firstLeg.rate * secondLeg.rate,
+        fee: 100 - (100 - firstLeg.fee) * (100 - secondLeg.fee) / 100,
+        spread: 200 - (200 - firstLeg.spread) * (200 - secondLeg.spread) / 200
+    }
+}
+
+/**
+ * Currency ID, or 'money' for the main balance.
+ * @typedef {number | 'money'} ExchangeCurrencyID
+ */
+
+/**
+ * @typedef {object} ExchangeRate
+ * @property {ExchangeCurrencyID} from Source currency ID or 'money' for the main balance.
+ * @property {ExchangeCurrencyID} to Target currency ID or 'money' for the main balance.
+ * @property {number} rate Amount of the target currency for 1 unit of the source currency.
+ * @property {number} fee Percentage of the exchanged amount that is taken as a fee.
+ *
+ * @property {number} spread
+ * Difference between the buying and selling rates (in percent). Each exchange is made
+ * at the rate that is worse than the set one by half of the spread.
+ */
+
+module.exports = exchangeRate
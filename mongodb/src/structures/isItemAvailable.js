@@ -0,0 +1,12 @@
+/**
+ * Checks if the shop item is available for purchase at the specified time. Utility function.
+ * @param {ItemData} item Shop item object.
+ * @param {number} [now=Date.now()] Timestamp to check the availability at.
+ * @returns {boolean} If the item is available: true, else: false.
+ */
+const isItemAvailable = (item, now = Date.now()) => {
+    return (item.availableFrom == undefined || item.availableFrom <= now) &&
+        (item.availableUntil == undefined || now < item.availableUntil)
+}
+
+module.exports = isItemAvailable
@@ -0,0 +1,43 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const resolveCurrency = require('./resolveCurrency')
+
+/**
+ * Finds the price of the shop item in the requested currencies. Utility function.
+ *
+ * The items without the declared prices are sold for their price in the main balance.
+ * If no currency is requested, the price in the main balance is used, or the item's only price if it has one.
+ *
+ * @param {ItemData} item Shop item object.
+ * @param {?(string | number | Array<string | number>)} currency
+ * Currency ID, its name or its symbol, or 'money' for the main balance.
+ * To pay the price that requires several currencies, specify all of them in an array.
+ *
+ * @param {CurrencyObject[]} currencies Currencies of the guild.
+ * @param {string} guildID Guild ID.
+ * @returns {?ItemPrice} Item price. If the item cannot be bought for the requested currencies: null.
+ */
+const itemPrice = (item, currency, currencies, guildID) => {
+    const prices = item.prices || [{ money: Number(item.price) }]
+    const isPriceIn = (price, currencyIDs) => Object.keys(price).length == currencyIDs.length &&
+        currencyIDs.every(currencyID => price[currencyID] !== undefined)
+
+    if (currency == undefined) {
+        return prices.find(price => isPriceIn(price, ['money'])) || (prices.length == 1 ? prices[0] : null)
+    }
+
+    const currencyIDs = [].concat(currency).map(currencyID => {
+        const resolvedCurrencyID = resolveCurrency(currencyID, currencies)
+
+        if (resolvedCurrencyID === null) {
+            throw new EconomyError(errors.currencies.notFound(currencyID, guildID), 'CURRENCY_NOT_FOUND')
+        }
+
+        return resolvedCurrencyID
+    })
+
+    return prices.find(price => isPriceIn(price, [...new Set(currencyIDs)])) || null
+}
+
+module.exports = itemPrice
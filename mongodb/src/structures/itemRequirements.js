@@ -0,0 +1,69 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const ms = require('./ms')
+
+/**
+ * Validates the purchase requirements of the shop item and converts its account age to milliseconds.
+ * Utility function.
+ *
+ * @param {?ItemRequirementsOptions} requirements Requirements to check.
+ * @returns {?ItemRequirements} Validated requirements. If not specified: null.
+ */
+const itemRequirements = requirements => {
+    if (requirements == undefined) return null
+
+    if (typeof requirements !== 'object' || Array.isArray(requirements)) {
+        throw new EconomyError(errors.invalidTypes.addItemOptions.requirements, 'INVALID_TYPE')
+    }
+
+    const {
+        roles, accountAge, items,
+        level, custom
+    } = requirements
+
+    const age = typeof accountAge == 'string' ? ms(accountAge) : accountAge
+
+    const isValid = (roles == undefined || (Array.isArray(roles) && roles.every(role => typeof role == 'string'))) &&
+        (accountAge == undefined || (typeof age == 'number' && age >= 0)) &&
+        (items == undefined || (
+            Array.isArray(items) && items.every(itemID => typeof itemID == 'string' || typeof itemID == 'number')
+        )) &&
+        (level == undefined || (typeof level == 'number' && level >= 0)) &&
+        (custom == undefined || (Array.isArray(custom) && custom.every(name => typeof name == 'string')))
+
+    if (!isValid) {
+        throw new EconomyError(errors.invalidTypes.addItemOptions.requirements, 'INVALID_TYPE')
+    }
+
+    return {
+        roles: roles?.length ? roles : null,
+        accountAge: age || null,
+        items: items?.length ? items : null,
+        level: level || null,
+        custom: custom?.length ? custom : null
+    }
+}
+
+/**
+ * @typedef {object} ItemRequirementsOptions
+ * @property {string[]} [roles] IDs of the Discord roles that the member must have.
+ * @property {number | string} [accountAge]
+ * Min age of the member's economy account in milliseconds or as a time string (e.g. '7d').
+ *
+ * @property {Array<string | number>} [items] IDs or names of the items that the member must have in their inventory.
+ * @property {number} [level] Min level of the member.
+ * @property {string[]} [custom]
+ * Names of the custom requirements that the member must meet (see `ShopManager.registerRequirement()`).
+ */
+
+/**
+ * @typedef {object} ItemRequirements
+ * @property {?string[]} roles IDs of the Discord roles that the member must have.
+ * @property {?number} accountAge Min age of the member's economy account (in ms).
+ * @property {?Array<string | number>} items IDs or names of the items that the member must have in their inventory.
+ * @property {?number} level Min level of the member.
+ * @property {?string[]} custom Names of the custom requirements that the member must meet.
+ */
+
+module.exports = itemRequirements
@@ -0,0 +1,45 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+/**
+ * Gets the requested page of the leaderboard. Utility function.
+ * @param {object[]} entries Sorted leaderboard entries.
+ * @param {LeaderboardPageOptions} options Leaderboard page options.
+ * @returns {LeaderboardPage} Requested leaderboard page.
+ */
+const leaderboardPage = (entries, options) => {
+    const { page = 1, pageSize = 10 } = options || {}
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new EconomyError(errors.invalidType('page', 'positive integer', page), 'INVALID_TYPE')
+    }
+
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new EconomyError(errors.invalidType('pageSize', 'positive integer', pageSize), 'INVALID_TYPE')
+    }
+
+    return {
+        entries: entries.slice((page - 1) * pageSize, page * pageSize),
+        page,
+        pageSize,
+        totalPages: Math.ceil(entries.length / pageSize),
+        totalUsers: entries.length
+    }
+}
+
+/**
+ * @typedef {object} LeaderboardPageOptions
+ * @property {number} [page=1] Page number, starting from 1. Default: 1.
+ * @property {number} [pageSize=10] Amount of users on each page. Default: 10.
+ */
+
+/**
+ * @typedef {object} LeaderboardPage
+ * @property {object[]} entries Leaderboard entries on the page.
+ * @property {number} page Page number.
+ * @property {number} pageSize Amount of users on each page.
+ * @property {number} totalPages Total amount of pages.
+ * @property {number} totalUsers Total amount of users in the leaderboard.
+ */
+
+module.exports = leaderboardPage
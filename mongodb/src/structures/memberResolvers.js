@@ -0,0 +1,33 @@
+/**
+ * Member resolvers of each Economy instance.
+ * @type {WeakMap<EconomyConfiguration, MemberResolvers>}
+ */
+const registries = new WeakMap()
+
+/**
+ * Returns the member resolvers of the Economy instance. Utility function.
+ *
+ * All the managers created with the same Economy configuration share the same resolvers,
+ * so the resolvers set for the rewards and the jobs are also used to check the shop item requirements.
+ *
+ * @param {EconomyConfiguration} options Economy configuration.
+ * @returns {MemberResolvers} Member resolvers.
+ */
+const memberResolvers = options => {
+    if (!registries.has(options)) {
+        registries.set(options, {
+            roles: null,
+            level: null
+        })
+    }
+
+    return registries.get(options)
+}
+
+/**
+ * @typedef {object} MemberResolvers
+ * @property {?RolesResolver} roles The function that returns the Discord role IDs of the member.
+ * @property {?LevelResolver} level The function that returns the level of the member.
+ */
+
+module.exports = memberResolvers
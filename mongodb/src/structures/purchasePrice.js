@@ -0,0 +1,105 @@
+/**
+ * Calculates the price of the purchase with the best active sale and the coupon applied. Utility function.
+ *
+ * The sale discounts the price of each item, and the coupon discounts the total price after the sale.
+ * Percent discounts apply to all the amounts of the price, and flat discounts only to the amount in their currency.
+ * The amounts never go below zero.
+ *
+ * @param {ItemData} item Shop item object.
+ * @param {ItemPrice} price Price of one item.
+ * @param {number} quantity Quantity of the items.
+ * @param {PurchasePriceOptions} [options] Sales and coupons to apply.
+ * @returns {PurchasePrice} Price of the purchase.
+ */
+const purchasePrice = (item, price, quantity, options = {}) => {
+    const {
+        sales = [], coupons = [], couponCode = null,
+        memberID, now = Date.now()
+    } = options
+
+    const round = amount => Math.round(amount * 100) / 100
+    const mainAmount = price => price.money ?? Object.values(price)[0] ?? 0
+
+    const isApplicable = discount =>
+        (!discount.items || discount.items.some(itemID => itemID == item.id || itemID == item.name)) &&
+        (!discount.categories || discount.categories.includes(item.category)) &&
+        (discount.type == 'percent' || price[discount.currency] !== undefined)
+
+    const applyDiscount = (price, discount) => Object.fromEntries(
+        Object.entries(price).map(([currencyID, amount]) => {
+            if (discount.type == 'percent') {
+                return [currencyID, round(amount * (100 - discount.discount) / 100)]
+            }
+
+            if (currencyID != discount.currency) return [currencyID, amount]
+            return [currencyID, Math.max(round(amount - discount.discount), 0)]
+        })
+    )
+
+    const [sale] = sales
+        .filter(sale => sale.startsAt <= now && now < sale.endsAt && isApplicable(sale))
+        .map(sale => ({ sale, price: applyDiscount(price, sale) }))
+        .sort((a, b) => mainAmount(a.price) - mainAmount(b.price))
+
+    const salePrice = sale ? sale.price : price
+    const totalPrice = Object.fromEntries(
+        Object.entries(salePrice).map(([currencyID, amount]) => [currencyID, round(amount * quantity)])
+    )
+
+    const couponStatus = coupon => {
+        if (!coupon) return 'coupon not found'
+        if (coupon.expiresAt && coupon.expiresAt <= now) return 'coupon expired'
+
+        if (
+            (coupon.maxUses && coupon.uses >= coupon.maxUses) ||
+            (coupon.maxUsesPerUser && (coupon.usedBy[memberID] || 0) >= coupon.maxUsesPerUser)
+        ) return 'coupon usage limit reached'
+
+        if (!isApplicable(coupon)) return 'coupon not applicable'
+        return 'OK'
+    }
+
+    const coupon = couponCode == undefined
+        ? null
+        : coupons.find(coupon => coupon.code.toLowerCase() == String(couponCode).toLowerCase()) || null
+
+    const message = couponCode == undefined ? 'OK' : couponStatus(coupon)
+    const charges = coupon && message == 'OK' ? applyDiscount(totalPrice, coupon) : totalPrice
+
+    const originalPrice = round(mainAmount(price) * quantity)
+    const chargedPrice = mainAmount(charges)
+
+    return {
+        status: message == 'OK',
+        message,
+        charges,
+        originalPrice,
+        discount: round(originalPrice - chargedPrice),
+        chargedPrice,
+        sale: sale ? sale.sale : null,
+        coupon: message == 'OK' ? coupon : null
+    }
+}
+
+/**
+ * @typedef {object} PurchasePriceOptions
+ * @property {ShopSale[]} [sales=[]] Sales of the guild.
+ * @property {Coupon[]} [coupons=[]] Coupons of the guild.
+ * @property {string} [couponCode] Code of the coupon to apply.
+ * @property {string} [memberID] ID of the member who buys the item.
+ * @property {number} [now=Date.now()] Current timestamp.
+ */
+
+/**
+ * @typedef {object} PurchasePrice
+ * @property {boolean} status If the coupon can be applied: true, else: false.
+ * @property {string} message 'OK' or the reason why the coupon cannot be applied.
+ * @property {ItemPrice} charges Amounts to charge by the currency ID or 'money' for the main balance.
+ * @property {number} originalPrice Total price of the items before the discounts.
+ * @property {number} discount Total discount of the sale and the coupon.
+ * @property {number} chargedPrice Total price of the items after the discounts.
+ * @property {?ShopSale} sale The sale that was applied.
+ * @property {?Coupon} coupon The coupon that was applied.
+ */
+
+module.exports = purchasePrice
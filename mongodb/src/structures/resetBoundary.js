@@ -0,0 +1,71 @@
+/**
+ * Gets the offset of the time zone from UTC at the specified time (in ms).
+ * @param {number} timestamp The time to get the offset at.
+ * @param {string} timeZone IANA time zone name.
+ * @returns {number} Time zone offset (in ms).
+ */
+const timeZoneOffset = (timestamp, timeZone) => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    })
+
+    const parts = Object.fromEntries(
+        formatter.formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)])
+    )
+
+    const localTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+    return localTime - (timestamp - timestamp % 1000)
+}
+
+/**
+ * Calculates the next calendar reset boundary after the specified time. Utility function.
+ *
+ * The boundaries are the local midnights in the specified time zone:
+ * - 'day' - the next midnight;
+ * - 'week' - the next Monday midnight;
+ * - 'month' - the midnight of the 1st day of the next month.
+ *
+ * @param {number} timestamp The time to calculate the next boundary after.
+ * @param {'day' | 'week' | 'month'} period Reset period.
+ * @param {string} [timeZone='UTC'] IANA time zone name.
+ * @returns {number} Next reset boundary timestamp.
+ */
+const resetBoundary = (timestamp, period, timeZone = 'UTC') => {
+    const localDate = new Date(timestamp + timeZoneOffset(timestamp, timeZone))
+
+    const year = localDate.getUTCFullYear()
+    const month = localDate.getUTCMonth()
+    const day = localDate.getUTCDate()
+
+    let localBoundary
+
+    /* eslint-disable indent */
+    switch (period) {
+        case 'day':
+            localBoundary = Date.UTC(year, month, day + 1)
+            break
+
+        case 'week':
+            // Sunday is 0, so the days until Monday are 1 on Sunday and 7 on Monday
+            localBoundary = Date.UTC(year, month, day + ((8 - localDate.getUTCDay()) % 7 || 7))
+            break
+
+        case 'month':
+            localBoundary = Date.UTC(year, month + 1, 1)
+            break
+    }
+
+    // the offset may change at the boundary itself (e.g. daylight saving time),
+    // so it's calculated twice: for the approximate boundary and for the corrected one
+    const approximateBoundary = localBoundary - timeZoneOffset(localBoundary, timeZone)
+    return localBoundary - timeZoneOffset(approximateBoundary, timeZone)
+}
+
+module.exports = resetBoundary
@@ -0,0 +1,20 @@
+/**
+ * Resolves the ID of the currency by its ID, name or symbol. Utility function.
+ *
+ * @param {string | number} currencyID Currency ID, its name or its symbol, or 'money' for the main balance.
+ * @param {CurrencyObject[]} currencies Currencies of the guild.
+ * @returns {?ExchangeCurrencyID} Currency ID or 'money' for the main balance. If the currency is not found: null.
+ */
+const resolveCurrency = (currencyID, currencies) => {
+    if (currencyID == 'money') return 'money'
+
+    const currency = currencies.find(
+        currency => currency.id == currencyID ||
+            currency.name.toLowerCase() == String(currencyID).toLowerCase() ||
+            currency.symbol.toLowerCase() == String(currencyID).toLowerCase()
+    )
+
+    return currency ? currency.id : null
+}
+
+module.exports = resolveCurrency
@@ -0,0 +1,137 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const isItemAvailable = require('./isItemAvailable')
+
+/**
+ * Shop search sort modes.
+ * @type {string[]}
+ */
+const searchSorts = ['relevance', 'order', 'name', 'priceAsc', 'priceDesc']
+
+/**
+ * Rates how well the item name matches the search query.
+ *
+ * An exact match rates the highest, then a match at the start of the name, then anywhere in it.
+ * A name that contains all the characters of the query in the same order still matches with the lowest rating.
+ *
+ * @param {string} name Item name.
+ * @param {string} query Search query.
+ * @returns {number} Match rating. If the name does not match: 0.
+ */
+const matchRating = (name, query) => {
+    const itemName = String(name).toLowerCase()
+
+    if (!query || itemName == query) return 4
+    if (itemName.startsWith(query)) return 3
+    if (itemName.includes(query)) return 2
+
+    let position = 0
+
+    for (const char of itemName) {
+        if (char == query[position]) position++
+    }
+
+    return position == query.length ? 1 : 0
+}
+
+/**
+ * Searches the listed items in the shop and returns the requested page of the results. Utility function.
+ *
+ * Hidden items and items that are not available at the moment are not listed.
+ * The search by name is case-insensitive and fuzzy.
+ *
+ * @param {ShopItem[]} items Shop items.
+ * @param {string} [query] Search query. If not specified, all the listed items are found.
+ * @param {ShopSearchOptions} [options] Search options.
+ * @returns {ShopSearchPage} Requested page of the search results.
+ */
+const shopSearch = (items, query, options) => {
+    const {
+        category, minPrice, maxPrice,
+        sort = query ? 'relevance' : 'order',
+        page = 1, pageSize = 10
+    } = options || {}
+
+    if (query != undefined && typeof query !== 'string') {
+        throw new EconomyError(errors.shopSearch.invalidQuery + typeof query, 'INVALID_TYPE')
+    }
+
+    if (category != undefined && typeof category !== 'string') {
+        throw new EconomyError(errors.shopSearch.invalidCategory + typeof category, 'INVALID_TYPE')
+    }
+
+    for (const price of [minPrice, maxPrice]) {
+        if (price != undefined && (typeof price !== 'number' || !(price >= 0))) {
+            throw new EconomyError(errors.shopSearch.invalidPrice + price, 'INVALID_TYPE')
+        }
+    }
+
+    if (!searchSorts.includes(sort)) {
+        throw new EconomyError(errors.shopSearch.invalidSort + sort, 'INVALID_INPUT')
+    }
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new EconomyError(errors.invalidType('page', 'positive integer', page), 'INVALID_TYPE')
+    }
+
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new EconomyError(errors.invalidType('pageSize', 'positive integer', pageSize), 'INVALID_TYPE')
+    }
+
+    const searchQuery = query?.trim().toLowerCase() || ''
+    const now = Date.now()
+
+    const compareOrder = (a, b) => (a.item.sortOrder || 0) - (b.item.sortOrder || 0) || a.item.id - b.item.id
+
+    const compare = {
+        relevance: (a, b) => b.rating - a.rating || compareOrder(a, b),
+        order: compareOrder,
+        name: (a, b) => String(a.item.name).localeCompare(String(b.item.name)) || compareOrder(a, b),
+        priceAsc: (a, b) => a.item.price - b.item.price || compareOrder(a, b),
+        priceDesc: (a, b) => b.item.price - a.item.price || compareOrder(a, b)
+    }
+
+    const results = items
+        .filter(item => !item.hidden && isItemAvailable(item, now))
+        .filter(item => category == undefined || item.category?.toLowerCase() == category.trim().toLowerCase())
+        .filter(item => minPrice == undefined || item.price >= minPrice)
+        .filter(item => maxPrice == undefined || item.price <= maxPrice)
+        .map(item => ({ item, rating: matchRating(item.name, searchQuery) }))
+        .filter(result => result.rating > 0)
+        .sort(compare[sort])
+        .map(result => result.item)
+
+    return {
+        items: results.slice((page - 1) * pageSize, page * pageSize),
+        page,
+        pageSize,
+        totalPages: Math.ceil(results.length / pageSize),
+        totalItems: results.length
+    }
+}
+
+/**
+ * @typedef {object} ShopSearchOptions
+ * @property {string} [category] Category of the items to find. Case-insensitive.
+ * @property {number} [minPrice] Min price of the items in the main balance.
+ * @property {number} [maxPrice] Max price of the items in the main balance.
+ * @property {'relevance' | 'order' | 'name' | 'priceAsc' | 'priceDesc'} [sort]
+ * How to sort the results: 'relevance' puts the best name matches first, 'order' sorts the items
+ * by their sort order, 'name' by their names, 'priceAsc' and 'priceDesc' by their prices in the main balance.
+ * Default: 'relevance' if the query is specified, else 'order'.
+ *
+ * @property {number} [page=1] Page number, starting from 1. Default: 1.
+ * @property {number} [pageSize=10] Amount of items on each page. Default: 10.
+ */
+
+/**
+ * @typedef {object} ShopSearchPage
+ * @property {ShopItem[]} items Found items on the page.
+ * @property {number} page Page number.
+ * @property {number} pageSize Amount of items on each page.
+ * @property {number} totalPages Total amount of pages.
+ * @property {number} totalItems Total amount of found items.
+ */
+
+module.exports = shopSearch
@@ -0,0 +1,20 @@
+/**
+ * Adds the balance change to the user's gains in the current guild season. Utility function.
+ *
+ * Nothing is changed if the guild has no running season.
+ * @param {DatabaseManager} database Database manager.
+ * @param {string} memberID Member ID.
+ * @param {string} guildID Guild ID.
+ * @param {number} amount Balance change.
+ * @returns {Promise<void>}
+ */
+const trackSeasonGain = async (database, memberID, guildID, amount) => {
+    if (!amount || isNaN(amount)) return
+
+    const endsAt = await database.fetch(`${guildID}.season.endsAt`)
+    if (!endsAt || endsAt <= Date.now()) return
+
+    await database.add(`${guildID}.season.gains.${memberID}`, Number(amount))
+}
+
+module.exports = trackSeasonGain
@@ -0,0 +1,43 @@
+import StorageAdapter from './StorageAdapter'
+
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import EconomyDatabase from '../interfaces/EconomyDatabase'
+
+/**
+ * Storage adapter that keeps all the data in memory.
+ *
+ * [!] The data is lost when the process exits - this adapter is made for tests.
+ */
+declare class MemoryStorageAdapter extends StorageAdapter {
+    public constructor(options?: EconomyConfiguration, data?: EconomyDatabase)
+
+    /**
+     * Fetches the data from the memory.
+     * @param {string} key The key in database.
+     * @returns {Promise<T>} Value from the specified key or 'null' if nothing found.
+     */
+    public get<T = any>(key: string): Promise<T>
+
+    /**
+     * Sets data in a property in the memory.
+     * @param {string} key The key in database.
+     * @param {T} value Any data to set in property.
+     * @returns {Promise<boolean>} If set successfully: true; else: false.
+     */
+    public set<T = any>(key: string, value: T): Promise<boolean>
+
+    /**
+     * Removes the property from the memory.
+     * @param {string} key The key in database.
+     * @returns {Promise<boolean>} If removed successfully: true; else: false.
+     */
+    public delete(key: string): Promise<boolean>
+
+    /**
+     * Fetches the entire database.
+     * @returns {Promise<EconomyDatabase>} Database contents.
+     */
+    public all(): Promise<EconomyDatabase>
+}
+
+export = MemoryStorageAdapter
@@ -0,0 +1,49 @@
+import Mongo from 'quick-mongo-super'
+import StorageAdapter from './StorageAdapter'
+
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import EconomyDatabase from '../interfaces/EconomyDatabase'
+
+/**
+ * Storage adapter for the MongoDB database.
+ *
+ * This is the default storage adapter of the MongoDB version of the module.
+ */
+declare class MongoStorageAdapter extends StorageAdapter {
+    public constructor(options: EconomyConfiguration, mongo: Mongo)
+
+    /**
+     * QuickMongo instance.
+     */
+    public mongo: Mongo
+
+    /**
+     * Fetches the data from the database.
+     * @param {string} key The key in database.
+     * @returns {Promise<T>} Value from the specified key or 'null' if nothing found.
+     */
+    public get<T = any>(key: string): Promise<T>
+
+    /**
+     * Sets data in a property in the database.
+     * @param {string} key The key in database.
+     * @param {T} value Any data to set in property.
+     * @returns {Promise<boolean>} If set successfully: true; else: false.
+     */
+    public set<T = any>(key: string, value: T): Promise<boolean>
+
+    /**
+     * Removes the property from the database.
+     * @param {string} key The key in database.
+     * @returns {Promise<boolean>} If removed successfully: true; else: false.
+     */
+    public delete(key: string): Promise<boolean>
+
+    /**
+     * Fetches the entire database.
+     * @returns {Promise<EconomyDatabase>} Database contents.
+     */
+    public all(): Promise<EconomyDatabase>
+}
+
+export = MongoStorageAdapter
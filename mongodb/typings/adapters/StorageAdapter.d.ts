@@ -0,0 +1,141 @@
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import EconomyDatabase from '../interfaces/EconomyDatabase'
+import LeaderboardData from '../interfaces/LeaderboardData'
+
+/**
+ * The storage adapter contract that the Economy managers depend on.
+ *
+ * [!] This class cannot be used directly.
+ *
+ * [!] When extending this class, make sure to implement the `get()`, `set()`, `delete()` and `all()` methods.
+ * All the other methods have default implementations that are based on them,
+ * and may be overridden if the storage supports these operations natively.
+ *
+ * [!] The keys are dot-separated paths in the database (e.g. `guildID.memberID.money`).
+ * The values returned from `get()` and `all()` must be copies of the stored data.
+ *
+ * [!] All the methods may be either synchronous or asynchronous (return promises).
+ */
+declare abstract class StorageAdapter {
+    public constructor(options?: EconomyConfiguration)
+
+    /**
+     * Checks if the object implements all the required storage adapter methods.
+     * @param {any} adapter The object to check.
+     * @returns {boolean} Is the object a storage adapter or not.
+     */
+    public static isStorageAdapter(adapter: any): adapter is StorageAdapter
+
+    /**
+     * Throws an error if the object does not implement all the required storage adapter methods.
+     * @param {any} adapter The object to check.
+     * @returns {StorageAdapter} Storage adapter.
+     */
+    public static validate(adapter: any): StorageAdapter
+
+    /**
+     * Fetches the data from the storage.
+     * @param {string} key The key in database.
+     * @returns {T} Value from the specified key or 'null' if nothing found.
+     */
+    public abstract get<T = any>(key: string): T | Promise<T>
+
+    /**
+     * Sets data in a property in the storage.
+     * @param {string} key The key in database.
+     * @param {T} value Any data to set in property.
+     * @returns {boolean} If set successfully: true; else: false.
+     */
+    public abstract set<T = any>(key: string, value: T): boolean | Promise<boolean>
+
+    /**
+     * Removes the property from the storage.
+     * @param {string} key The key in database.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    public abstract delete(key: string): boolean | Promise<boolean>
+
+    /**
+     * Fetches the entire database.
+     * @returns {EconomyDatabase} Database contents.
+     */
+    public abstract all(): EconomyDatabase | Promise<EconomyDatabase>
+
+    /**
+     * Adds a number to a property data in the storage.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to add.
+     * @returns {Promise<boolean>} If added successfully: true; else: false.
+     */
+    public add(key: string, value: number): Promise<boolean>
+
+    /**
+     * Subtracts a number from a property data in the storage.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to subtract.
+     * @returns {Promise<boolean>} If subtracted successfully: true; else: false.
+     */
+    public subtract(key: string, value: number): Promise<boolean>
+
+    /**
+     * Pushes a value to a specified array in the storage.
+     * @param {string} key The key in database.
+     * @param {T} value Any value to push.
+     * @returns {Promise<boolean>} If pushed successfully: true; else: false.
+     */
+    public push<T = any>(key: string, value: T): Promise<boolean>
+
+    /**
+     * Removes an element from a specified array in the storage.
+     * @param {string} key The key in database.
+     * @param {number} index The index in the array.
+     * @returns {Promise<boolean>} If removed successfully: true; else: false.
+     */
+    public pull(key: string, index: number): Promise<boolean>
+
+    /**
+     * Gets a list of keys in the storage.
+     * @param {string} [key] The key in database. If not specified, the top-level keys will be returned.
+     * @returns {Promise<string[]>} An array with the keys.
+     */
+    public keys(key?: string): Promise<string[]>
+
+    /**
+     * Gets the users of the guild sorted by the specified property in descending order.
+     *
+     * [!] Override this method if the storage can sort the users natively (e.g. with an indexed query).
+     * @param {string} guildID Guild ID.
+     * @param {string} property User's property to sort by.
+     * @returns {Promise<LeaderboardData[]>} Sorted users array.
+     */
+    public leaderboard(guildID: string, property: string): Promise<LeaderboardData[]>
+
+    /**
+     * Clears the whole storage.
+     * @returns {Promise<boolean>} If cleared: true; else: false.
+     */
+    public clear(): Promise<boolean>
+
+    /**
+     * Writes all the pending changes to the storage.
+     *
+     * [!] Does nothing for the storages that write the changes immediately.
+     * @returns {Promise<boolean>} If any changes were written: true; else: false.
+     */
+    public flush(): Promise<boolean>
+
+    /**
+     * Runs the callback function as a single transaction:
+     * if the returned promise rejects, all the changes
+     * made to the storage during the callback will be rolled back.
+     *
+     * The default implementation uses the undo log of the transaction.
+     *
+     * [!] Override this method if the storage supports transactions natively.
+     * @param {Function} callback The function to run.
+     * @returns {Promise<T>} The value returned from the callback function.
+     */
+    public transaction<T>(callback: (adapter: this) => Promise<T>): Promise<T>
+}
+
+export = StorageAdapter
@@ -2,6 +2,8 @@ import CacheManager from '../managers/CacheManager'
 import DatabaseManager from '../managers/DatabaseManager'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import DataIdentifier from '../interfaces/DataIdentifier'
+import CachedLeaderboardsData from '../interfaces/CachedLeaderboardsData'
 
 import CachedItem from './CachedItem'
 
@@ -58,3 +60,28 @@ export class CachedInventory extends CachedItem<InventoryItem, null, true, true,
 export class CachedHistory extends CachedItem<HistoryItem, null, true, true, true> {
     public constructor(userID: string, guildID: string, options: EconomyConfiguration, database: DatabaseManager, cache: CacheManager)
 }
+
+export class CachedLeaderboards extends CachedItem<any, null, false, false, false> {
+    public constructor(guildID: string, options: EconomyConfiguration, database: DatabaseManager, cache: CacheManager)
+
+    /**
+     * Gets the cached leaderboards of the guild.
+     * @param id Identifiers object (guildID) to get value from cache.
+     * @returns Cached leaderboards of the guild.
+     */
+    public get(id: DataIdentifier<false>): CachedLeaderboardsData
+
+    /**
+     * Builds the leaderboards of the guild from the database and saves them in the cache.
+     * @param id Identifiers object (guildID) to get value from cache.
+     * @returns {Promise<void>}
+     */
+    public update(id: DataIdentifier<false>): Promise<void>
+
+    /**
+     * Removes the leaderboards of the guild from the cache.
+     * @param id Identifiers object (guildID) to get value from cache.
+     * @returns {void}
+     */
+    public remove(id: DataIdentifier<false>): void
+}
@@ -10,6 +10,8 @@ import TransferingOptions from '../interfaces/TransferingOptions'
 import TransferingResult from '../interfaces/TransferingResult'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import InsufficientFundsResult from '../interfaces/InsufficientFundsResult'
+import InvalidAmountResult from '../interfaces/InvalidAmountResult'
 
 
 /**
@@ -120,7 +122,7 @@ declare class Currency<T extends object = any> {
     public setBalance(amount: number, memberID: string, reason: string): Promise<number>
 
     /**
-     * Sets the currency for specified member.
+     * Gets the currency balance for specified member.
      * @param {string} memberID Member ID.
      * @returns {Promise<number>} Member's balance.
      */
@@ -140,16 +142,16 @@ declare class Currency<T extends object = any> {
      * @param {number} amount Amount of money to subtract.
      * @param {string} memberID Member ID.
      * @param {string} [reason] The reason why the balance was subtracted.
-     * @returns {Promise<number>} Amount of money that was subtracted.
+     * @returns {Promise<number | InsufficientFundsResult>} Amount of money that was subtracted or 'insufficient funds' result.
      */
-    public subtractBalance(amount: number, memberID: string, reason: string): Promise<number>
+    public subtractBalance(amount: number, memberID: string, reason: string): Promise<number | InsufficientFundsResult>
 
     /**
      * Transfers the currency to specified user
      * @param {CurrencyTransferOption} Currency transfering options.
-     * @returns {Promise<TransferingResult>} Currency transfering result.
+     * @returns {Promise<TransferingResult | InsufficientFundsResult | InvalidAmountResult>} Currency transfering result.
      */
-    public transfer(options: TransferingOptions): Promise<TransferingResult>
+    public transfer(options: TransferingOptions): Promise<TransferingResult | InsufficientFundsResult | InvalidAmountResult>
 
     /**
      * Saves the currency object in database.
@@ -15,6 +15,7 @@ import Items from '../classes/user/Items'
 
 import Cooldowns from './user/Cooldowns'
 import Rewards from './user/Rewards'
+import Jobs from './user/Jobs'
 
 import RawEconomyUser from '../interfaces/RawEconomyUser'
 
@@ -58,6 +59,18 @@ declare class EconomyUser {
      */
     public money: number
 
+    /**
+     * User's current daily reward streak.
+     * @type {number}
+     */
+    public dailyStreak?: number
+
+    /**
+     * User's best daily reward streak.
+     * @type {number}
+     */
+    public bestDailyStreak?: number
+
     /**
      * Determine if the user exists in the database.
      * @type {boolean}
@@ -121,6 +134,12 @@ declare class EconomyUser {
      */
     public rewards: Rewards
 
+    /**
+     * User jobs.
+     * @type {Jobs}
+     */
+    public jobs: Jobs
+
     /**
      * User items manager.
      */
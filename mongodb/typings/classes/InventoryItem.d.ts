@@ -1,5 +1,7 @@
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import InventoryData from '../interfaces/InventoryData'
+import ItemEffect from '../interfaces/ItemEffect'
+import ItemUseResult from '../interfaces/ItemUseResult'
 
 import DatabaseManager from '../managers/DatabaseManager'
 import CacheManager from '../managers/CacheManager'
@@ -81,6 +83,19 @@ declare class InventoryItem<T extends object = any> {
      */
     public maxAmount: number
 
+    /**
+     * Timestamp when the item expires.
+     * 'null' means the item never expires.
+     * @type {number}
+     */
+    public expiresAt: number
+
+    /**
+     * Effects that will be applied on item use.
+     * @type {ItemEffect[]}
+     */
+    public effects: ItemEffect[]
+
     /**
      * Date when the item was bought by a user.
      * @type {string}
@@ -110,11 +125,20 @@ declare class InventoryItem<T extends object = any> {
     public remove(quantity?: number): Promise<boolean>
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
+     * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
+     * @returns {Promise<?string>} Item message or 'null' if the item was not found.
+     */
+    public use(client?: any): Promise<string | null>
+
+    /**
+     * Uses the item: applies its effects, returns the item usage result
+     * and removes the item from user's inventory.
      * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
-     * @returns {Promise<string>} Item message.
+     * @returns {Promise<ItemUseResult>} Item usage result.
      */
-    public use(client?: any): Promise<string>
+    public useWithResult(client?: any): Promise<ItemUseResult<T>>
 
     /**
      * Returns the stacked item in user inventory: it will have the quantity and total price of the item.
@@ -1,5 +1,13 @@
 import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
 import LeaderboardData from '../../interfaces/LeaderboardData'
+import LeaderboardPage from '../../interfaces/LeaderboardPage'
+import LeaderboardPageOptions from '../../interfaces/LeaderboardPageOptions'
+import NetWorthLeaderboard from '../../interfaces/NetWorthLeaderboard'
+
+import RankData from '../../interfaces/RankData'
+import RankOptions from '../../interfaces/RankOptions'
+
+import SeasonSnapshot from '../../interfaces/SeasonSnapshot'
 import DatabaseManager from '../../managers/DatabaseManager'
 
 
@@ -18,11 +26,77 @@ declare class Leaderboards {
      */
     public money(): Promise<LeaderboardData[]>
 
+    /**
+     * Gets the requested page of the money leaderboard for the guild.
+     * @param {LeaderboardPageOptions} options Leaderboard page options.
+     * @returns {LeaderboardPage} Requested leaderboard page.
+     */
+    public money(options: LeaderboardPageOptions): Promise<LeaderboardPage>
+
     /**
      * Gets a bank balance leaderboard for the guild.
      * @returns {LeaderboardData[]} Bank balance leaderboard array.
      */
     public bank(): Promise<LeaderboardData[]>
+
+    /**
+     * Gets the requested page of the bank balance leaderboard for the guild.
+     * @param {LeaderboardPageOptions} options Leaderboard page options.
+     * @returns {LeaderboardPage} Requested leaderboard page.
+     */
+    public bank(options: LeaderboardPageOptions): Promise<LeaderboardPage>
+
+    /**
+     * Gets the leaderboard of the current guild season, sorted by the users' season gains.
+     * @returns {LeaderboardData[]} Season leaderboard array.
+     */
+    public season(): Promise<LeaderboardData[]>
+
+    /**
+     * Gets the requested page of the leaderboard of the current guild season.
+     * @param {LeaderboardPageOptions} options Leaderboard page options.
+     * @returns {LeaderboardPage} Requested leaderboard page.
+     */
+    public season(options: LeaderboardPageOptions): Promise<LeaderboardPage>
+
+    /**
+     * Gets the snapshots of all the past guild seasons.
+     * @returns {SeasonSnapshot[]} Archived season snapshots, from the oldest to the newest.
+     */
+    public seasons(): Promise<SeasonSnapshot[]>
+
+    /**
+     * Gets the snapshot of the past guild season.
+     * @param {number} seasonID Season ID.
+     * @returns {SeasonSnapshot} Archived season snapshot. If not found: null.
+     */
+    public pastSeason(seasonID: number): Promise<SeasonSnapshot>
+
+    /**
+     * Gets the user's place in the guild leaderboard and the users around them.
+     *
+     * The users with the same amount are ranked by their IDs in ascending order.
+     * @param {string} memberID Member ID.
+     * @param {RankOptions} [options] Rank options.
+     * @returns {RankData} User's rank data. If the user is not in the leaderboard: null.
+     */
+    public rankOf(memberID: string, options?: RankOptions): Promise<RankData>
+
+    /**
+     * Gets a custom currency balance leaderboard for the guild.
+     * @param {string | number} currencyID Currency ID, its name or its symbol.
+     * @returns {LeaderboardData[]} Currency balance leaderboard array.
+     */
+    public currency(currencyID: string | number): Promise<LeaderboardData[]>
+
+    /**
+     * Gets a net worth leaderboard for the guild.
+     *
+     * The net worth is the sum of the balance, bank balance, custom currency balances
+     * multiplied by their weights from the 'currencyWeights' setting and the inventory value.
+     * @returns {NetWorthLeaderboard[]} Net worth leaderboard array.
+     */
+    public netWorth(): Promise<NetWorthLeaderboard[]>
 }
 
 export = Leaderboards
\ No newline at end of file
@@ -5,6 +5,8 @@ import ShopItem from '../ShopItem'
 
 import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
 import AddItemOptions from '../../interfaces/AddItemOptions'
+import ShopSearchOptions from '../../interfaces/ShopSearchOptions'
+import ShopSearchPage from '../../interfaces/ShopSearchPage'
 
 import { ItemProperties, ItemPropertyType } from '../../interfaces/ItemProperties'
 import CustomItemData from '../../interfaces/CustomItemData'
@@ -60,9 +62,13 @@ declare class Shop extends BaseManager<ShopItem<any>> {
     * - T: Item property string.
     * - K: Type for specified property in T.
     * 
-    * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom'} itemProperty
+    * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom' | 'duration' |
+    * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+    * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
     * This argument means what thing in item you want to edit (item property). 
-    * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+    * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+    * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+    * 'availableFrom', 'availableUntil', 'requirements'.
     * 
     * @param {T} value Any value to set.
     * @returns {Promise<boolean>} If edited successfully: true, else: false.
@@ -82,9 +88,13 @@ declare class Shop extends BaseManager<ShopItem<any>> {
     * 
     * This method is an alias for 'ShopItem.edit()' method.
     * 
-    * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom'} itemProperty
+    * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom' | 'duration' |
+    * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+    * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
     * This argument means what thing in item you want to edit (item property). 
-    * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+    * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+    * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+    * 'availableFrom', 'availableUntil', 'requirements'.
     * 
     * @param {T} value Any value to set.
     * @returns {Promise<boolean>} If edited successfully: true, else: false.
@@ -122,6 +132,24 @@ declare class Shop extends BaseManager<ShopItem<any>> {
      */
     public findItem<T extends object = any>(itemID: string | number): Promise<ShopItem<T>>
 
+    /**
+     * Searches the items in the shop by their names and returns the requested page of the results.
+     *
+     * The search is case-insensitive and fuzzy. Hidden items and items that are not available
+     * at the moment are not listed.
+     *
+     * Type parameters:
+     *
+     * - T: Set an object for 'custom' item property.
+     * @param {string} query Search query. If empty, all the listed items are found.
+     * @param {ShopSearchOptions} [options] Search options.
+     * @returns {Promise<ShopSearchPage<T>>} Requested page of the search results.
+     */
+    public search<T extends object = any>(
+        query: string,
+        options?: ShopSearchOptions
+    ): Promise<ShopSearchPage<T>>
+
     /**
      * Clears the shop.
      * @returns {Promise<boolean>} If cleared: true, else: false
@@ -7,6 +7,8 @@ import CurrencyFactory from '../../interfaces/CurrencyFactory'
 
 import TransferingOptions from '../../interfaces/TransferingOptions'
 import TransferingResult from '../../interfaces/TransferingResult'
+import InsufficientFundsResult from '../../interfaces/InsufficientFundsResult'
+import InvalidAmountResult from '../../interfaces/InvalidAmountResult'
 
 
 declare class Balance extends Emitter {
@@ -66,9 +68,9 @@ declare class Balance extends Emitter {
      * Subtracts the money amount on user's balance.
      * @param {number} amount Money amount.
      * @param {string} [reason] The reason why you subtract the money.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
-    public subtract(amount: number, reason?: string): Promise<number>
+    public subtract(amount: number, reason?: string): Promise<number | InsufficientFundsResult>
 
     /**
      * Fetches the user's balance.
@@ -82,9 +84,9 @@ declare class Balance extends Emitter {
      * Deposits the specified amount of money.
      * @param {number} amount Money amount.
      * @param {string} [reason] The reason of the operation.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
-    public deposit(amount: number, reason?: string): Promise<number>
+    public deposit(amount: number, reason?: string): Promise<number | InsufficientFundsResult>
 
     /**
      * Fetches the user's balance.
@@ -95,9 +97,9 @@ declare class Balance extends Emitter {
     /**
      * Transfers the money to a specified user.
      * @param {TransferingOptions} options Transfering options.
-     * @returns {Promise<TransferingResult>} Transfering result object.
+     * @returns {Promise<TransferingResult | InsufficientFundsResult | InvalidAmountResult>} Transfering result object.
      */
-    public transfer(options: Omit<TransferingOptions, 'receiverMemberID'>): Promise<TransferingResult>
+    public transfer(options: Omit<TransferingOptions, 'receiverMemberID'>): Promise<TransferingResult | InsufficientFundsResult | InvalidAmountResult>
 }
 
 export = Balance
\ No newline at end of file
@@ -2,6 +2,7 @@
 import Emitter from '../util/Emitter'
 import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
 import DatabaseManager from '../../managers/DatabaseManager'
+import InsufficientFundsResult from '../../interfaces/InsufficientFundsResult'
 
 declare class Bank extends Emitter {
     public constructor(memberID: string, guildID: string, options: EconomyConfiguration, database: DatabaseManager)
@@ -26,20 +27,29 @@ declare class Bank extends Emitter {
      * Subtracts the money amount on user's bank balance.
      * @param {number} amount Money amount.
      * @param {string} [reason] The reason why you subtract the money.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
-    public subtract(amount: number, reason?: string): Promise<number>
+    public subtract(amount: number, reason?: string): Promise<number | InsufficientFundsResult>
 
     /**
      * Withdraws the specified amount of money.
      * @param {number} amount Money amount.
      * @param {string} [reason] The reason of the operation.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
+     */
+    public withdraw(amount: number, reason?: string): Promise<number | InsufficientFundsResult>
+
+    /**
+     * Applies the bank interest that the user has earned since the last accrual.
+     * @returns Amount of the accrued interest.
      */
-    public withdraw(amount: number, reason?: string): Promise<number>
+    public applyInterest(): Promise<number>
 
     /**
      * Fetches the user's bank balance.
+     *
+     * [!] The bank interest that the user has earned since the last accrual
+     * is applied and saved before the balance is returned.
      * @returns {Promise<number>} User's bank balance.
      */
     public fetch(): Promise<number>
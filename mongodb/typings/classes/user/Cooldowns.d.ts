@@ -93,11 +93,46 @@ declare class Cooldowns {
      */
     public clearHourly(): Promise<boolean>
 
+    /**
+     * Clears user's cooldown of the registered custom reward.
+     * @param name Name of the registered reward.
+     * @returns {boolean} If cleared: true; else: false.
+     */
+    public clearCustom(name: string): Promise<boolean>
+
     /**
      * Gets all user's cooldowns
      * @returns User's cooldowns object.
      */
     public getAll(): Promise<Record<'daily' | 'work' | 'weekly' | 'monthly' | 'hourly', RewardCooldownData>>
+
+    /**
+     * Sets the user's named cooldown.
+     * @param name Cooldown name.
+     * @param duration Cooldown duration: in ms or a time string (e.g. '30m').
+     * @returns Cooldown object.
+     */
+    public set(name: string, duration: number | string): Promise<RewardCooldownData>
+
+    /**
+     * Checks the user's named cooldown.
+     * @param name Cooldown name.
+     * @returns Cooldown object or 'null' if the cooldown is not active.
+     */
+    public check(name: string): Promise<RewardCooldownData>
+
+    /**
+     * Clears the user's named cooldown.
+     * @param name Cooldown name.
+     * @returns {boolean} If cleared: true; else: false.
+     */
+    public clear(name: string): Promise<boolean>
+
+    /**
+     * Lists all the user's active named cooldowns.
+     * @returns Object with the cooldown names as keys.
+     */
+    public list(): Promise<Record<string, RewardCooldownData>>
 }
 
 export = Cooldowns
\ No newline at end of file
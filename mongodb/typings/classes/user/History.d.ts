@@ -1,6 +1,8 @@
 import HistoryItem from '../HistoryItem'
 
 import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
+import LedgerQueryOptions from '../../interfaces/LedgerQueryOptions'
+import LedgerPage from '../../interfaces/LedgerPage'
 import BaseManager from '../../managers/BaseManager'
 import DatabaseManager from '../../managers/DatabaseManager'
 
@@ -64,6 +66,21 @@ declare class History extends BaseManager<HistoryItem<any>> {
      * @returns {Promise<HistoryItem>} Purchases history item.
      */
     public getItem<T extends object = any>(id: string | number): Promise<HistoryItem<T>>
+
+    /**
+     * Gets the entries from the user's ledger.
+     *
+     * The entries are sorted from the newest to the oldest.
+     * @param {LedgerQueryOptions} [options] Ledger query options.
+     * @returns {Promise<LedgerPage>} Requested ledger page.
+     */
+    public ledger(options?: LedgerQueryOptions): Promise<LedgerPage>
+
+    /**
+     * Clears the user's ledger.
+     * @returns {Promise<boolean>} If cleared: true, else: false.
+     */
+    public clearLedger(): Promise<boolean>
 }
 
 export = History
\ No newline at end of file
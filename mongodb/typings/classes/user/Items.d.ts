@@ -3,6 +3,9 @@ import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
 import ShopOperationInfo from '../../interfaces/ShopOperationInfo'
 import SellingOperationInfo from '../../interfaces/SellingOperationInfo'
 import StackedInventoryItemObject from '../../interfaces/StackedInventoryItemObject'
+import ItemEffectData from '../../interfaces/ItemEffectData'
+import ItemExpireData from '../../interfaces/ItemExpireData'
+import ItemUseResult from '../../interfaces/ItemUseResult'
 
 import DatabaseManager from '../../managers/DatabaseManager'
 import InventoryItem from '../InventoryItem'
@@ -23,14 +26,18 @@ declare class Items {
      * @param {string | number} itemID Item ID or name.
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
-     * @param {string | number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * @param {string | number | Array<string | number>} [currency=null] 
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -38,8 +45,9 @@ declare class Items {
     >(
         itemID: string | number,
         quantity?: number,
-        currency?: string | number,
-        reason?: string
+        currency?: string | number | Array<string | number>,
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -48,13 +56,17 @@ declare class Items {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -63,7 +75,8 @@ declare class Items {
         itemID: string,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -72,13 +85,17 @@ declare class Items {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -87,7 +104,8 @@ declare class Items {
         itemID: number,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -96,13 +114,17 @@ declare class Items {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -111,7 +133,8 @@ declare class Items {
         itemID: string,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -120,13 +143,17 @@ declare class Items {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -135,7 +162,8 @@ declare class Items {
         itemID: number,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -154,12 +182,35 @@ declare class Items {
     public get<T extends object = any>(itemID: string | number): Promise<InventoryItem<T>>
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
+     * @param {string | number} itemID Item ID or name.
+     * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
+     * @returns {Promise<?string>} Item message or 'null' if the item was not found.
+     */
+    public use(itemID: string | number, client?: any): Promise<string | null>
+
+    /**
+     * Uses the item: applies its effects, returns the item usage result
+     * and removes the item from user's inventory.
      * @param {string | number} itemID Item ID or name.
      * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
-     * @returns {Promise<string>} Item message.
+     * @returns {Promise<ItemUseResult>} Item usage result.
+     */
+    public useWithResult<T extends object = any>(itemID: string | number, client?: any): Promise<ItemUseResult<T>>
+
+    /**
+     * Gets the effects of the used items that are still active.
+     * @returns {Promise<ItemEffectData[]>} User's active item effects.
+     */
+    public effects<T extends object = any>(): Promise<ItemEffectData<T>[]>
+
+    /**
+     * Removes the expired items from user's inventory and the expired effects of the used items.
+     * @param {Client} [client] Discord Client. [Specify if the role will be removed on a Discord server]
+     * @returns {Promise<ItemExpireData[]>} Expired items and effects.
      */
-    public use(itemID: string | number, client?: any): Promise<string>
+    public purgeExpired<T extends object = any>(client?: any): Promise<ItemExpireData<T>[]>
 
     /**
      * Returns the stacked item in user inventory: it will have the quantity and total price of the item.
@@ -19,6 +19,34 @@ declare class Emitter {
      */
     once<T extends keyof EconomyEvents>(event: T, listener: (...args: EconomyEvents[T][]) => any): Emitter
 
+    /**
+     * Removes the listener from the event.
+     * @param event Event name
+     * @param listener Callback function to remove
+     */
+    off<T extends keyof EconomyEvents>(event: T, listener: (...args: EconomyEvents[T][]) => any): Emitter
+
+    /**
+     * Removes the listener from the event.
+     *
+     * This method is an alias for the `Emitter.off()` method.
+     * @param event Event name
+     * @param listener Callback function to remove
+     */
+    removeListener<T extends keyof EconomyEvents>(event: T, listener: (...args: EconomyEvents[T][]) => any): Emitter
+
+    /**
+     * Removes all the listeners from the event, or from all events if the event is not specified.
+     * @param event Event name
+     */
+    removeAllListeners<T extends keyof EconomyEvents>(event?: T): Emitter
+
+    /**
+     * Gets the number of listeners of the event.
+     * @param event Event name
+     */
+    listenerCount<T extends keyof EconomyEvents>(event: T): number
+
     /**
      * Emits the event.
      * @param event Event name
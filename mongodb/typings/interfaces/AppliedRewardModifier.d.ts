@@ -0,0 +1,34 @@
+import RewardModifierSource from './RewardModifierSource'
+
+/**
+ * Reward modifier that was applied to the claimed reward.
+ */
+declare interface AppliedRewardModifier {
+
+    /**
+     * Source of the modifier.
+     */
+    source: RewardModifierSource | 'boost' | 'nextReward' | 'streak'
+
+    /**
+     * ID of the guild reward modifier or the user's boost.
+     */
+    id: number | null
+
+    /**
+     * Name of the modifier.
+     */
+    name: string | null
+
+    /**
+     * The number that the reward was multiplied by.
+     */
+    multiplier: number
+
+    /**
+     * The amount of money that was added to the reward.
+     */
+    bonus: number
+}
+
+export = AppliedRewardModifier
@@ -0,0 +1,47 @@
+/**
+ * Bank interest info object for the `bankInterest` event.
+ */
+declare interface BankInterestData {
+
+    /**
+     * Type of operation.
+     */
+    type: 'interest'
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * User ID.
+     */
+    memberID: string
+
+    /**
+     * Amount of the accrued interest.
+     */
+    amount: number
+
+    /**
+     * User's bank balance after the interest was accrued.
+     */
+    balance: number
+
+    /**
+     * Interest rate for each compounding period.
+     */
+    rate: number
+
+    /**
+     * Number of the compounding periods the interest was accrued for.
+     */
+    periods: number
+
+    /**
+     * The reason of the operation.
+     */
+    reason: 'bank interest'
+}
+
+export = BankInterestData
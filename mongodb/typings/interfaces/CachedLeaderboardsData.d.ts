@@ -0,0 +1,19 @@
+import LeaderboardData from './LeaderboardData'
+
+/**
+ * Cached guild leaderboards object.
+ */
+interface CachedLeaderboardsData {
+
+    /**
+     * Sorted balance leaderboard.
+     */
+    money: Omit<LeaderboardData, 'index'>[]
+
+    /**
+     * Sorted bank balance leaderboard.
+     */
+    bank: Omit<LeaderboardData, 'index'>[]
+}
+
+export = CachedLeaderboardsData
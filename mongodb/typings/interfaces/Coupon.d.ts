@@ -0,0 +1,70 @@
+import DiscountType from './DiscountType'
+
+/**
+ * Coupon object.
+ */
+declare interface Coupon {
+
+    /**
+     * Coupon code.
+     */
+    code: string
+
+    /**
+     * Discount type.
+     */
+    type: DiscountType
+
+    /**
+     * Discount percent or amount of money.
+     */
+    discount: number
+
+    /**
+     * Currency ID or 'money' for the main balance that the flat discount is taken in.
+     * 'null' for the percent discounts.
+     */
+    currency: number | 'money'
+
+    /**
+     * IDs or names of the items that the coupon applies to. 'null' means all.
+     */
+    items: Array<string | number>
+
+    /**
+     * Categories of the items that the coupon applies to. 'null' means all.
+     */
+    categories: string[]
+
+    /**
+     * Coupon expiry timestamp. 'null' means the coupon never expires.
+     */
+    expiresAt: number
+
+    /**
+     * How many times the coupon can be used in total. 'null' means no limit.
+     */
+    maxUses: number
+
+    /**
+     * How many times each user can use the coupon. 'null' means no limit.
+     */
+    maxUsesPerUser: number
+
+    /**
+     * How many times the coupon was used.
+     */
+    uses: number
+
+    /**
+     * How many times the coupon was used by each user, by the user ID.
+     */
+    usedBy: Record<string, number>
+
+    /**
+     * Coupon creation timestamp.
+     */
+    createdAt: number
+}
+
+export = Coupon
@@ -0,0 +1,19 @@
+import Coupon from './Coupon'
+
+/**
+ * Data of the coupon events.
+ */
+declare interface CouponEventData {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * The coupon that was created or deleted.
+     */
+    coupon: Coupon
+}
+
+export = CouponEventData
@@ -0,0 +1,28 @@
+import ShopItem from '../classes/ShopItem'
+import Coupon from './Coupon'
+
+
+declare interface CouponUseData {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * The user ID that used the coupon.
+     */
+    memberID: string
+
+    /**
+     * The coupon that was used, after its usage was counted.
+     */
+    coupon: Coupon
+
+    /**
+     * The item that was bought with the coupon.
+     */
+    item: ShopItem<any>
+}
+
+export = CouponUseData
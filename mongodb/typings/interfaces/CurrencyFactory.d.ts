@@ -1,4 +1,5 @@
 import Currency from '../classes/Currency'
+import InsufficientFundsResult from './InsufficientFundsResult'
 
 declare interface CurrencyFactory {
 
@@ -34,9 +35,9 @@ declare interface CurrencyFactory {
      * Subtracts the money from the currency balance.
      * @param {number} amount Amount of money to subtract.
      * @param {string} [reason] The reason why the money was subtracted.
-     * @returns {Promise<number>} Updated currency balance.
+     * @returns {Promise<number | InsufficientFundsResult>} Updated currency balance or 'insufficient funds' result.
      */
-    subtract(amount: number, reason?: string): Promise<number>
+    subtract(amount: number, reason?: string): Promise<number | InsufficientFundsResult>
 }
 
 export = CurrencyFactory
\ No newline at end of file
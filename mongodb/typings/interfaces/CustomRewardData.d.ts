@@ -0,0 +1,22 @@
+/**
+ * Registered custom reward type.
+ */
+declare interface CustomRewardData {
+
+    /**
+     * Reward name.
+     */
+    name: string
+
+    /**
+     * Amount of money for the reward.
+     */
+    amount: number | [number, number]
+
+    /**
+     * Cooldown for the reward (in ms).
+     */
+    cooldown: number
+}
+
+export = CustomRewardData
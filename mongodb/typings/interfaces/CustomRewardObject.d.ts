@@ -0,0 +1,46 @@
+import RewardCooldownData from './RewardCooldownData'
+import AppliedRewardModifier from './AppliedRewardModifier'
+
+
+/**
+ * Custom reward object.
+ */
+declare interface CustomRewardObject {
+
+    /**
+     * Name of the registered reward.
+     */
+    type: string
+
+    /**
+     * Whether the reward was claimed.
+     */
+    claimed: boolean
+
+    /**
+     * Cooldown object.
+     */
+    cooldown: RewardCooldownData
+
+    /**
+     * Amount of money that the user received: the base reward with all the modifiers applied.
+     */
+    reward: number
+
+    /**
+     * Amount of money for the reward before the modifiers were applied.
+     */
+    baseReward: number
+
+    /**
+     * Reward modifiers that were applied.
+     */
+    modifiers: AppliedRewardModifier[]
+
+    /**
+     * Reward that was specified in the reward options or in the guild settings.
+     */
+    defaultReward: number | [number, number]
+}
+
+export = CustomRewardObject
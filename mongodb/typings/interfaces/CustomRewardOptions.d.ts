@@ -0,0 +1,17 @@
+/**
+ * Options of the custom reward type.
+ */
+declare interface CustomRewardOptions {
+
+    /**
+     * Amount of money for the reward. Could be a [min, max] range.
+     */
+    amount: number | [number, number]
+
+    /**
+     * Cooldown for the reward: in ms or a time string (e.g. '12h').
+     */
+    cooldown: number | string
+}
+
+export = CustomRewardOptions
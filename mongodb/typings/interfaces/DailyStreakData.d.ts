@@ -0,0 +1,42 @@
+/**
+ * Daily streak information of the claimed daily reward.
+ */
+declare interface DailyStreakData {
+
+    /**
+     * Current daily streak.
+     */
+    current: number
+
+    /**
+     * Best daily streak of the user.
+     */
+    best: number
+
+    /**
+     * Daily streak before the reward was claimed.
+     */
+    previous: number
+
+    /**
+     * Whether the previous streak was broken by this claim.
+     */
+    broken: boolean
+
+    /**
+     * The number that the daily reward was multiplied by for the streak.
+     */
+    multiplier: number
+
+    /**
+     * The amount of money that was added to the daily reward for the streak.
+     */
+    bonus: number
+
+    /**
+     * The time after which the streak will be broken if the reward is not claimed.
+     */
+    endTimestamp: number
+}
+
+export = DailyStreakData
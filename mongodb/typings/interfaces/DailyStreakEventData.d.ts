@@ -0,0 +1,32 @@
+/**
+ * Data of the daily streak events.
+ */
+declare interface DailyStreakEventData {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * Member ID.
+     */
+    memberID: string
+
+    /**
+     * Daily streak after the reward was claimed.
+     */
+    streak: number
+
+    /**
+     * Daily streak before the reward was claimed.
+     */
+    previousStreak: number
+
+    /**
+     * Best daily streak of the user.
+     */
+    bestStreak: number
+}
+
+export = DailyStreakEventData
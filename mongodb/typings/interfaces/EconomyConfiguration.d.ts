@@ -3,6 +3,10 @@ import { IMongoConnectionOptions } from 'quick-mongo-super/typings/src/interface
 import CheckerConfiguration from './CheckerConfiguration'
 import ErrorHandlerConfiguration from './ErrorHandlerConfiguration'
 import UpdaterOptions from './UpdaterOptions'
+import OverdraftPolicy from './OverdraftPolicy'
+import ResetMode from './ResetMode'
+
+import StorageAdapter from '../adapters/StorageAdapter'
 
 /**
  * Economy configuration.
@@ -14,6 +18,11 @@ declare interface EconomyConfiguration {
      */
     connection?: IMongoConnectionOptions
 
+    /**
+     * Storage adapter to use instead of the MongoDB connection. Default: null.
+     */
+    storage?: StorageAdapter
+
     /**
      * Cooldown for Daily Command (in ms). Default: 24 hours (60000 * 60 * 24 ms)
      */
@@ -64,12 +73,106 @@ declare interface EconomyConfiguration {
      */
     savePurchasesHistory?: boolean
 
+    /**
+     * If true, the module will save all the money operations in the ledger. Default: true.
+     */
+    saveLedger?: boolean
+
+    /**
+     * Maximum amount of entries in each user's ledger; the oldest entries are removed first.
+     * Use 0 for no limit. Default: 1000.
+     */
+    ledgerLimit?: number
+
 
     /**
      * If true, when someone buys the item, their balance will subtract by item price.
      */
     subtractOnBuy?: boolean
 
+    /**
+     * Defines how far below zero the balances can go:
+     * 'forbid' - the balances cannot go below zero;
+     * 'allow' - the balances can go below zero with no limit;
+     * 'allowUntil: -N' - the balances can go below zero down to -N.
+     *
+     * Can be overridden for each guild in its settings. Default: 'allow'.
+     */
+    overdraft?: OverdraftPolicy
+
+    /**
+     * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%).
+     * 0 disables the interest. Can be overridden for each guild in its settings. Default: 0.
+     */
+    bankInterestRate?: number
+
+    /**
+     * Compounding period of the bank interest (in ms).
+     * Can be overridden for each guild in its settings. Default: 24 hours (86400000 ms).
+     */
+    bankInterestPeriod?: number
+
+    /**
+     * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit.
+     * Can be overridden for each guild in its settings. Default: 0.
+     */
+    bankInterestMaxBalance?: number
+
+    /**
+     * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+     * Can be overridden for each guild in its settings. Default: 24 hours (60000 * 60 * 24 ms).
+     */
+    dailyStreakGrace?: number
+
+    /**
+     * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks.
+     * Can be overridden for each guild in its settings. Default: [].
+     */
+    dailyStreakMultipliers?: number[]
+
+    /**
+     * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+     * Can be overridden for each guild in its settings. Default: [].
+     */
+    dailyStreakBonuses?: number[]
+
+    /**
+     * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+     * at the midnight, Monday midnight and the 1st day of the month in the time zone.
+     * Can be overridden for each guild in its settings. Default: 'rolling'.
+     */
+    resetMode?: ResetMode
+
+    /**
+     * IANA time zone (e.g. 'Europe/Berlin') for the calendar resets.
+     * Can be overridden for each guild in its settings. Default: 'UTC'.
+     */
+    timeZone?: string
+
+    /**
+     * Interval of applying the bank interest to all users (in ms).
+     * 0 means that the interest is only applied when the bank balance is fetched. Default: 0.
+     */
+    bankInterestSweepInterval?: number
+
+    /**
+     * Interval of purging the expired items and effects of all users (in ms).
+     * 0 means that the expired items are only purged when the inventory is fetched. Default: 0.
+     */
+    itemExpirySweepInterval?: number
+
+    /**
+     * Interval of ending the seasons that are over in all guilds (in ms).
+     * 0 means that the seasons are only ended when the season data is requested. Default: 0.
+     */
+    seasonSweepInterval?: number
+
+    /**
+     * Interval of applying the due restocks of the shop items in all guilds (in ms).
+     * 0 means that the items are only restocked when the shop is fetched or an item is bought. Default: 0.
+     */
+    restockSweepInterval?: number
+
     /**
      * Amount of money for Weekly Reward. Default: 1000.
      */
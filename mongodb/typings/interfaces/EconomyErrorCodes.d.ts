@@ -14,8 +14,14 @@ declare type EconomyErrorCodes =
     'READONLY_PROPERTY' |
     'INVALID_PROPERTY' |
     'CURRENCY_NOT_FOUND' |
+    'ITEM_EFFECT_NOT_FOUND' |
+    'REWARD_NOT_FOUND' |
+    'EXCHANGE_RATE_NOT_FOUND' |
+    'SEASON_ALREADY_STARTED' |
+    'COUPON_ALREADY_EXISTS' |
     'INVALID_ERROR_CODE' |
     'MODULE_NOT_READY' |
-    'NO_CONNECTION_DATA'
+    'NO_CONNECTION_DATA' |
+    'STORAGE_ADAPTER_ERROR'
 
 export = EconomyErrorCodes
\ No newline at end of file
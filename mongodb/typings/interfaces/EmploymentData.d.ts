@@ -0,0 +1,29 @@
+import Job from './Job'
+
+/**
+ * User's employment.
+ */
+declare interface EmploymentData {
+
+    /**
+     * The job the user is employed in.
+     */
+    job: Job
+
+    /**
+     * Amount of shifts the user has worked since they were hired or promoted.
+     */
+    shifts: number
+
+    /**
+     * The time when the user was hired.
+     */
+    hiredAt: number
+
+    /**
+     * The time when the user was promoted the last time.
+     */
+    promotedAt: number
+}
+
+export = EmploymentData
@@ -0,0 +1,33 @@
+/**
+ * Exchange rate between two currencies.
+ */
+declare interface ExchangeRate {
+
+    /**
+     * Source currency ID or 'money' for the main balance.
+     */
+    from: number | 'money'
+
+    /**
+     * Target currency ID or 'money' for the main balance.
+     */
+    to: number | 'money'
+
+    /**
+     * Amount of the target currency for 1 unit of the source currency.
+     */
+    rate: number
+
+    /**
+     * Percentage of the exchanged amount that is taken as a fee.
+     */
+    fee: number
+
+    /**
+     * Difference between the buying and selling rates (in percent).
+     * Each exchange is made at the rate that is worse than the set one by half of the spread.
+     */
+    spread: number
+}
+
+export = ExchangeRate
@@ -0,0 +1,18 @@
+/**
+ * Exchange rate options.
+ */
+declare interface ExchangeRateOptions {
+
+    /**
+     * Percentage of the exchanged amount that is taken as a fee. Default: 0.
+     */
+    fee?: number
+
+    /**
+     * Difference between the buying and selling rates (in percent).
+     * Each exchange is made at the rate that is worse than the set one by half of the spread. Default: 0.
+     */
+    spread?: number
+}
+
+export = ExchangeRateOptions
@@ -0,0 +1,52 @@
+/**
+ * Currency exchange result.
+ */
+declare interface ExchangeResult {
+
+    /**
+     * Operation status.
+     */
+    status: true
+
+    /**
+     * Source currency ID or 'money' for the main balance.
+     */
+    from: number | 'money'
+
+    /**
+     * Target currency ID or 'money' for the main balance.
+     */
+    to: number | 'money'
+
+    /**
+     * Amount of the source currency that was subtracted.
+     */
+    amount: number
+
+    /**
+     * Amount of the source currency that was taken as a fee.
+     */
+    fee: number
+
+    /**
+     * Amount of the target currency that was added.
+     */
+    received: number
+
+    /**
+     * The rate the exchange was made at, with the spread applied.
+     */
+    rate: number
+
+    /**
+     * Member's balance in the source currency after the exchange.
+     */
+    fromBalance: number
+
+    /**
+     * Member's balance in the target currency after the exchange.
+     */
+    toBalance: number
+}
+
+export = ExchangeResult
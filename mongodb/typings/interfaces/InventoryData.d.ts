@@ -1,4 +1,5 @@
 import CustomItemData from './CustomItemData'
+import ItemEffect from './ItemEffect'
 
 /**
  * Inventory object.
@@ -35,6 +36,16 @@ declare interface InventoryData<T extends object = any> {
      */
     role?: string
 
+    /**
+     * Timestamp when the item expires. 'null' means the item never expires.
+     */
+    expiresAt?: number
+
+    /**
+     * Effects that will be applied on item use.
+     */
+    effects?: ItemEffect[]
+
     /**
      * Date and time when the user bought the item.
      */
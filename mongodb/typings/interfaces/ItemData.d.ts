@@ -1,4 +1,8 @@
 import CustomItemData from './CustomItemData'
+import ItemEffect from './ItemEffect'
+import ItemRestockOptions from './ItemRestockOptions'
+import ItemPrice from './ItemPrice'
+import ItemRequirements from './ItemRequirements'
 
 /**
  * Item info object for item events.
@@ -20,6 +24,12 @@ declare interface ItemData<T extends object = any> {
      */
     price: number
 
+    /**
+     * Prices of the item in the currencies, by the currency ID or 'money' for the main balance.
+     * 'null' means the item is sold for its price in the main balance.
+     */
+    prices: ItemPrice[]
+
     /**
      * Item message that will be returned on item use.
      */
@@ -40,6 +50,61 @@ declare interface ItemData<T extends object = any> {
      */
     role: string
 
+    /**
+     * How long the item lasts after it was bought (in ms). 'null' means forever.
+     */
+    duration: number
+
+    /**
+     * Effects that will be applied on item use.
+     */
+    effects: ItemEffect[]
+
+    /**
+     * Amount of the items left in the shop. 'null' means unlimited.
+     */
+    stock: number
+
+    /**
+     * Restock schedule of the item. 'null' means the item is never restocked.
+     */
+    restock: ItemRestockOptions
+
+    /**
+     * Timestamp of the last restock of the item.
+     */
+    lastRestock: number
+
+    /**
+     * Item category. 'null' means the item has no category.
+     */
+    category: string
+
+    /**
+     * Position of the item in the search results, in ascending order.
+     */
+    sortOrder: number
+
+    /**
+     * If true, the item can only be found or bought by its ID.
+     */
+    hidden: boolean
+
+    /**
+     * Timestamp when the item becomes available. 'null' means always.
+     */
+    availableFrom: number
+
+    /**
+     * Timestamp when the item stops being available. 'null' means never.
+     */
+    availableUntil: number
+
+    /**
+     * Requirements that the member must meet to buy the item. 'null' means anyone can buy the item.
+     */
+    requirements: ItemRequirements
+
     /**
      * Formatted date when the item was added to the shop.
      */
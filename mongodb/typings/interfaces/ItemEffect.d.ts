@@ -0,0 +1,17 @@
+/**
+ * Effect that will be applied on item use.
+ */
+declare interface ItemEffect<P extends object = any> {
+
+    /**
+     * Name of the registered effect handler.
+     */
+    type: 'addMoney' | 'addBank' | 'grantItem' | 'multiplyNextReward' | 'clearCooldown' | 'rewardBoost' | string
+
+    /**
+     * Parameters that will be passed in the effect handler.
+     */
+    params?: P
+}
+
+export = ItemEffect
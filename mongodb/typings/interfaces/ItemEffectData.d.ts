@@ -0,0 +1,24 @@
+import InventoryData from './InventoryData'
+
+/**
+ * Effect of the used item that expires.
+ */
+declare interface ItemEffectData<T extends object = any> {
+
+    /**
+     * The item that was used.
+     */
+    item: InventoryData<T>
+
+    /**
+     * Timestamp when the item was used.
+     */
+    appliedAt: number
+
+    /**
+     * Timestamp when the effect expires.
+     */
+    expiresAt: number
+}
+
+export = ItemEffectData
@@ -0,0 +1,34 @@
+import InventoryItem from '../classes/InventoryItem'
+
+/**
+ * Expired item object for 'shopItemExpire' event.
+ */
+declare interface ItemExpireData<T extends object = any> {
+
+    /**
+     * Type of the expired entry: an item in the inventory or an effect of the used item.
+     */
+    type: 'item' | 'effect'
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * Member ID.
+     */
+    memberID: string
+
+    /**
+     * The expired item.
+     */
+    item: InventoryItem<T>
+
+    /**
+     * Timestamp when the item expired.
+     */
+    expiresAt: number
+}
+
+export = ItemExpireData
@@ -0,0 +1,7 @@
+/**
+ * Price of the shop item: amounts to charge by the currency ID, name or symbol, or 'money' for the main balance.
+ * All the currencies of one price are charged together.
+ */
+type ItemPrice = Record<string | number, number>
+
+export = ItemPrice
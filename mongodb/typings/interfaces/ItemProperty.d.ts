@@ -1,3 +1,3 @@
-declare type ItemProperty = 'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role' | 'custom'
+declare type ItemProperty = 'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role' | 'custom' | 'duration' | 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' | 'availableFrom' | 'availableUntil' | 'requirements'
 
 export = ItemProperty
\ No newline at end of file
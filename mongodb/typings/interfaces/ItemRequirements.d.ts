@@ -0,0 +1,32 @@
+/**
+ * Purchase requirements of the shop item.
+ */
+declare interface ItemRequirements {
+
+    /**
+     * IDs of the Discord roles that the member must have.
+     */
+    roles: string[]
+
+    /**
+     * Min age of the member's economy account (in ms).
+     */
+    accountAge: number
+
+    /**
+     * IDs or names of the items that the member must have in their inventory.
+     */
+    items: Array<string | number>
+
+    /**
+     * Min level of the member.
+     */
+    level: number
+
+    /**
+     * Names of the custom requirements that the member must meet.
+     */
+    custom: string[]
+}
+
+export = ItemRequirements
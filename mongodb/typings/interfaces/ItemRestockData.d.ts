@@ -0,0 +1,27 @@
+import ShopItem from '../classes/ShopItem'
+
+
+declare interface ItemRestockData {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * The item that was restocked.
+     */
+    item: ShopItem<any>
+
+    /**
+     * Amount of the items that were added to the stock.
+     */
+    amount: number
+
+    /**
+     * Item stock after the restock.
+     */
+    stock: number
+}
+
+export = ItemRestockData
\ No newline at end of file
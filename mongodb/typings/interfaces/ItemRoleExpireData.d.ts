@@ -0,0 +1,29 @@
+import InventoryItem from '../classes/InventoryItem'
+
+/**
+ * Expired role item object for 'shopItemRoleExpire' event.
+ */
+declare interface ItemRoleExpireData<T extends object = any> {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * Member ID.
+     */
+    memberID: string
+
+    /**
+     * ID of the Discord Role that should be removed from the member.
+     */
+    roleID: string
+
+    /**
+     * The item which effect expired.
+     */
+    item: InventoryItem<T>
+}
+
+export = ItemRoleExpireData
@@ -1,4 +1,5 @@
 import InventoryItem from '../classes/InventoryItem'
+import ItemEffectResult from './ItemEffectResult'
 
 
 declare interface ItemUseData {
@@ -22,6 +23,11 @@ declare interface ItemUseData {
      * The message that the user received after using the item.
      */
     receivedMessage: string
+
+    /**
+     * Applied item effects in order.
+     */
+    effects: ItemEffectResult[]
 }
 
 export = ItemUseData
\ No newline at end of file
@@ -0,0 +1,35 @@
+import InventoryItem from '../classes/InventoryItem'
+import ItemEffectResult from './ItemEffectResult'
+
+/**
+ * Item usage result.
+ */
+declare interface ItemUseResult<T extends object = any> {
+
+    /**
+     * Operation status.
+     */
+    status: boolean
+
+    /**
+     * Operation message.
+     */
+    message: 'OK' | 'item not found'
+
+    /**
+     * The used item.
+     */
+    item: InventoryItem<T>
+
+    /**
+     * Item usage message.
+     */
+    receivedMessage: string
+
+    /**
+     * Applied item effects in order.
+     */
+    effects: ItemEffectResult[]
+}
+
+export = ItemUseResult
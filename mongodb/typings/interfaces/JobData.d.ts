@@ -0,0 +1,52 @@
+/**
+ * Job options.
+ */
+declare interface JobData {
+
+    /**
+     * Job name.
+     */
+    name: string
+
+    /**
+     * Amount of money for each shift. Could be a [min, max] range.
+     */
+    pay: number | [number, number]
+
+    /**
+     * Job description.
+     */
+    description?: string
+
+    /**
+     * Cooldown between the shifts: in ms or a time string (e.g. '2h'). Default: the work reward cooldown.
+     */
+    cooldown?: number | string
+
+    /**
+     * Minimal user level to apply for the job. Default: 0.
+     */
+    requiredLevel?: number
+
+    /**
+     * IDs or names of the items the user must have to apply.
+     */
+    requiredItems?: Array<string | number>
+
+    /**
+     * Flavor messages; one of them is picked randomly for each shift.
+     */
+    messages?: string[]
+
+    /**
+     * Amount of shifts after which the user is promoted.
+     */
+    promoteAfter?: number
+
+    /**
+     * ID or name of the job the user is promoted to.
+     */
+    promoteTo?: string | number
+}
+
+export = JobData
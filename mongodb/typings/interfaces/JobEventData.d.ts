@@ -0,0 +1,34 @@
+import Job from './Job'
+
+/**
+ * Data of the job events.
+ */
+declare interface JobEventData<Event extends 'jobApply' | 'jobQuit' | 'jobPromote' = 'jobApply'> {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * Member ID.
+     */
+    memberID: string
+
+    /**
+     * The job the user applied for, quit or was promoted to.
+     */
+    job: Job
+
+    /**
+     * Amount of shifts the user has worked in the job. Only for the 'jobQuit' event.
+     */
+    shifts: Event extends 'jobQuit' ? number : never
+
+    /**
+     * The job the user was promoted from. Only for the 'jobPromote' event.
+     */
+    previousJob: Event extends 'jobPromote' ? Job : never
+}
+
+export = JobEventData
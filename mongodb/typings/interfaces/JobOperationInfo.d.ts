@@ -0,0 +1,30 @@
+import Job from './Job'
+import EmploymentData from './EmploymentData'
+
+/**
+ * Job operation information object.
+ */
+declare interface JobOperationInfo {
+
+    /**
+     * Operation status.
+     */
+    status: boolean
+
+    /**
+     * Operation message.
+     */
+    message: 'OK' | 'job not found' | 'already employed' | 'not employed' | 'no promotion available' | string
+
+    /**
+     * Job object.
+     */
+    job: Job
+
+    /**
+     * User's employment after the operation.
+     */
+    employment: EmploymentData
+}
+
+export = JobOperationInfo
@@ -0,0 +1,17 @@
+/**
+ * Leaderboard page options.
+ */
+interface LeaderboardPageOptions {
+
+    /**
+     * Page number, starting from 1. Default: 1.
+     */
+    page?: number
+
+    /**
+     * Amount of users on each page. Default: 10.
+     */
+    pageSize?: number
+}
+
+export = LeaderboardPageOptions
@@ -0,0 +1,54 @@
+import LedgerEntryType from './LedgerEntryType'
+
+/**
+ * Ledger entry object.
+ */
+interface LedgerEntry {
+
+    /**
+     * Entry ID.
+     */
+    id: number
+
+    /**
+     * The time when the operation was made.
+     */
+    timestamp: number
+
+    /**
+     * Operation type.
+     */
+    type: LedgerEntryType
+
+    /**
+     * Amount of money in the operation.
+     */
+    amount: number
+
+    /**
+     * Currency ID or 'null' for the main balance and the bank.
+     */
+    currencyID: number
+
+    /**
+     * The balance before the operation.
+     */
+    balanceBefore: number
+
+    /**
+     * The balance after the operation.
+     */
+    balanceAfter: number
+
+    /**
+     * The reason of the operation.
+     */
+    reason: string
+
+    /**
+     * ID of the other member in the transfer or 'null' for other operations.
+     */
+    counterparty: string
+}
+
+export = LedgerEntry
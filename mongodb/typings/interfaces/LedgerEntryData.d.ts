@@ -0,0 +1,44 @@
+import LedgerEntryType from './LedgerEntryType'
+
+/**
+ * Ledger entry data to record.
+ */
+interface LedgerEntryData {
+
+    /**
+     * Operation type.
+     */
+    type: LedgerEntryType
+
+    /**
+     * Amount of money in the operation.
+     */
+    amount: number
+
+    /**
+     * Currency ID. Not specified for the main balance and the bank.
+     */
+    currencyID?: number
+
+    /**
+     * The balance before the operation.
+     */
+    balanceBefore: number
+
+    /**
+     * The balance after the operation.
+     */
+    balanceAfter: number
+
+    /**
+     * The reason of the operation.
+     */
+    reason?: string
+
+    /**
+     * ID of the other member in the transfer.
+     */
+    counterparty?: string
+}
+
+export = LedgerEntryData
@@ -0,0 +1,34 @@
+import LedgerEntry from './LedgerEntry'
+
+/**
+ * Ledger page object.
+ */
+interface LedgerPage {
+
+    /**
+     * Ledger entries on the page.
+     */
+    entries: LedgerEntry[]
+
+    /**
+     * Page number.
+     */
+    page: number
+
+    /**
+     * Amount of entries on each page.
+     */
+    pageSize: number
+
+    /**
+     * Total amount of pages.
+     */
+    totalPages: number
+
+    /**
+     * Total amount of entries that match the query.
+     */
+    totalEntries: number
+}
+
+export = LedgerPage
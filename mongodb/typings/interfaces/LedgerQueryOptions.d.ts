@@ -0,0 +1,34 @@
+import LedgerEntryType from './LedgerEntryType'
+
+/**
+ * Ledger query options.
+ */
+interface LedgerQueryOptions {
+
+    /**
+     * Entry type(s) to filter by.
+     */
+    type?: LedgerEntryType | LedgerEntryType[]
+
+    /**
+     * Only the entries made at this time or later will be returned.
+     */
+    from?: Date | number
+
+    /**
+     * Only the entries made at this time or earlier will be returned.
+     */
+    to?: Date | number
+
+    /**
+     * Page number, starting from 1. Default: 1.
+     */
+    page?: number
+
+    /**
+     * Amount of entries on each page. Default: 10.
+     */
+    pageSize?: number
+}
+
+export = LedgerQueryOptions
@@ -0,0 +1,6 @@
+/**
+ * The function that returns the level of the member.
+ */
+declare type LevelResolver = (memberID: string, guildID: string) => number
+
+export = LevelResolver
@@ -0,0 +1,19 @@
+import LeaderboardData from './LeaderboardData'
+
+/**
+ * User's rank data object.
+ */
+interface RankData extends LeaderboardData {
+
+    /**
+     * Total amount of users in the leaderboard.
+     */
+    totalUsers: number
+
+    /**
+     * The leaderboard entries around the user, including the user.
+     */
+    entries: LeaderboardData[]
+}
+
+export = RankData
@@ -0,0 +1,29 @@
+import ShopItem from '../classes/ShopItem'
+
+/**
+ * Purchase context that the custom requirements receive.
+ */
+declare interface RequirementContext {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * Member ID.
+     */
+    memberID: string
+
+    /**
+     * The item that is being bought.
+     */
+    item: ShopItem<any>
+
+    /**
+     * Quantity of the items to buy.
+     */
+    quantity: number
+}
+
+export = RequirementContext
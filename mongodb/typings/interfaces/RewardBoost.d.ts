@@ -0,0 +1,37 @@
+/**
+ * User's timed reward boost.
+ */
+declare interface RewardBoost {
+
+    /**
+     * Boost ID.
+     */
+    id: number
+
+    /**
+     * Name of the boost.
+     */
+    name: string | null
+
+    /**
+     * Names of the rewards to boost. 'null' means all rewards.
+     */
+    rewards: string[] | null
+
+    /**
+     * The number that the reward is multiplied by.
+     */
+    multiplier: number
+
+    /**
+     * The amount of money that is added to the reward.
+     */
+    bonus: number
+
+    /**
+     * The time when the boost expires.
+     */
+    expiresAt: number
+}
+
+export = RewardBoost
@@ -0,0 +1,17 @@
+/**
+ * Reward multiplier that is applied on the next claimed reward.
+ */
+declare interface RewardMultiplierData {
+
+    /**
+     * The number that the reward will be multiplied by.
+     */
+    multiplier: number
+
+    /**
+     * The reward type to multiply. 'null' means any reward.
+     */
+    reward: 'daily' | 'work' | 'weekly' | 'monthly' | 'hourly' | null
+}
+
+export = RewardMultiplierData
@@ -0,0 +1,7 @@
+/**
+ * What happens to the balances and bank balances when the season ends:
+ * 'none' keeps them, 'reset' sets them to 0 and 'decay' takes the 'decay' percent of the positive balances.
+ */
+type SeasonBalanceReset = 'none' | 'reset' | 'decay'
+
+export = SeasonBalanceReset
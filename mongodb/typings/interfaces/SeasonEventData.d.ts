@@ -0,0 +1,20 @@
+import Season from './Season'
+import SeasonSnapshot from './SeasonSnapshot'
+
+/**
+ * Data of the season events.
+ */
+declare interface SeasonEventData<Event extends 'seasonStart' | 'seasonEnd' = 'seasonStart'> {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * The season that started or the snapshot of the season that ended.
+     */
+    season: Event extends 'seasonEnd' ? SeasonSnapshot : Season
+}
+
+export = SeasonEventData
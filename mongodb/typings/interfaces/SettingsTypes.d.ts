@@ -1,3 +1,7 @@
+import OverdraftPolicy from './OverdraftPolicy'
+import ResetMode from './ResetMode'
+import CustomRewardOptions from './CustomRewardOptions'
+
 declare interface SettingsTypes {
 
     /**
@@ -64,6 +68,63 @@ declare interface SettingsTypes {
      * If true, the module will save all the purchases history. Default: true.
      */
     savePurchasesHistory: boolean
+
+    /**
+     * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+     */
+    overdraft: OverdraftPolicy
+
+    /**
+     * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). Default: 0.
+     */
+    bankInterestRate: number
+
+    /**
+     * Compounding period of the bank interest (in ms). Default: 86400000.
+     */
+    bankInterestPeriod: number
+
+    /**
+     * Maximum bank balance that earns interest. 0 means no limit. Default: 0.
+     */
+    bankInterestMaxBalance: number
+
+    /**
+     * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+     * Default: 86400000.
+     */
+    dailyStreakGrace: number
+
+    /**
+     * Daily reward multipliers for each day of the streak. Default: [].
+     */
+    dailyStreakMultipliers: number[]
+
+    /**
+     * Flat bonuses added to the daily reward for each day of the streak. Default: [].
+     */
+    dailyStreakBonuses: number[]
+
+    /**
+     * Reset mode of the daily, weekly and monthly rewards: 'rolling' or 'calendar'. Default: 'rolling'.
+     */
+    resetMode: ResetMode
+
+    /**
+     * IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+     */
+    timeZone: string
+
+    /**
+     * Per-guild overrides of the registered custom rewards, keyed by the reward name. Default: {}.
+     */
+    rewards: Record<string, Partial<CustomRewardOptions>>
+
+    /**
+     * Weights of the custom currencies in the net worth leaderboard, by the currency ID, name or symbol.
+     * The currencies with no weight have a weight of 1. Default: {}.
+     */
+    currencyWeights: Record<string, number>
 }
 
 export = SettingsTypes
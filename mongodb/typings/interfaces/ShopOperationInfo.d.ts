@@ -1,4 +1,6 @@
 import ShopItem from '../classes/ShopItem'
+import ItemPrice from './ItemPrice'
+import UnmetRequirement from './UnmetRequirement'
 
 
 interface ShopOperationInfo<T extends object> {
@@ -24,9 +26,34 @@ interface ShopOperationInfo<T extends object> {
     quantity?: number
 
     /**
-     * Total price of the items.
+     * Total charged price of the items in the main balance or, if the price does not include it, in its currency.
      */
     totalPrice: number
+
+    /**
+     * Price of one item in the currencies it was bought for, before the discounts.
+     */
+    price: ItemPrice
+
+    /**
+     * Total price of the items before the discounts.
+     */
+    originalPrice?: number
+
+    /**
+     * Total discount of the sale and the coupon.
+     */
+    discount?: number
+
+    /**
+     * Total price of the items after the discounts.
+     */
+    chargedPrice?: number
+
+    /**
+     * The first unmet requirement of the item. Only specified if the purchase failed because of it.
+     */
+    requirement?: UnmetRequirement
 }
 
 export = ShopOperationInfo
\ No newline at end of file
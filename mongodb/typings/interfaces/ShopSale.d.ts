@@ -0,0 +1,55 @@
+import DiscountType from './DiscountType'
+
+/**
+ * Timed sale in the shop.
+ */
+declare interface ShopSale {
+
+    /**
+     * Sale ID.
+     */
+    id: number
+
+    /**
+     * Sale name.
+     */
+    name: string
+
+    /**
+     * Discount type.
+     */
+    type: DiscountType
+
+    /**
+     * Discount percent or amount of money.
+     */
+    discount: number
+
+    /**
+     * Currency ID or 'money' for the main balance that the flat discount is taken in.
+     * 'null' for the percent discounts.
+     */
+    currency: number | 'money'
+
+    /**
+     * IDs or names of the items that the sale applies to. 'null' means all.
+     */
+    items: Array<string | number>
+
+    /**
+     * Categories of the items that the sale applies to. 'null' means all.
+     */
+    categories: string[]
+
+    /**
+     * Sale start timestamp.
+     */
+    startsAt: number
+
+    /**
+     * Sale end timestamp.
+     */
+    endsAt: number
+}
+
+export = ShopSale
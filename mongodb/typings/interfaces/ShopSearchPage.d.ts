@@ -0,0 +1,34 @@
+import ShopItem from '../classes/ShopItem'
+
+/**
+ * Shop search results page.
+ */
+declare interface ShopSearchPage<T extends object = any> {
+
+    /**
+     * Found items on the page.
+     */
+    items: ShopItem<T>[]
+
+    /**
+     * Page number.
+     */
+    page: number
+
+    /**
+     * Amount of items on each page.
+     */
+    pageSize: number
+
+    /**
+     * Total amount of pages.
+     */
+    totalPages: number
+
+    /**
+     * Total amount of found items.
+     */
+    totalItems: number
+}
+
+export = ShopSearchPage
@@ -5,11 +5,15 @@ import Emitter from '../classes/util/Emitter'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import LeaderboardData from '../interfaces/LeaderboardData'
+import LeaderboardPage from '../interfaces/LeaderboardPage'
+import LeaderboardPageOptions from '../interfaces/LeaderboardPageOptions'
 
 import TransferingOptions from '../interfaces/TransferingOptions'
 import TransferingResult from '../interfaces/TransferingResult'
 
 import CurrencyFactory from '../interfaces/CurrencyFactory'
+import InsufficientFundsResult from '../interfaces/InsufficientFundsResult'
+import InvalidAmountResult from '../interfaces/InvalidAmountResult'
 
 
 /**
@@ -96,9 +100,9 @@ declare class BalanceManager extends Emitter {
     * @param {string} memberID Member ID.
     * @param {string} guildID Guild ID.
     * @param {string} [reason] The reason why you subtract the money.
-    * @returns {Promise<number>} Money amount.
+    * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
     */
-    public subtract(amount: number, memberID: string, guildID: string, reason?: string): Promise<number>
+    public subtract(amount: number, memberID: string, guildID: string, reason?: string): Promise<number | InsufficientFundsResult>
 
     /**
      * Deposits the specified amount of money.
@@ -106,24 +110,36 @@ declare class BalanceManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason of the operation.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
-    public deposit(amount: number, memberID: string, guildID: string, reason?: string): Promise<number>
+    public deposit(amount: number, memberID: string, guildID: string, reason?: string): Promise<number | InsufficientFundsResult>
 
     /**
     * Gets a balance leaderboard for specified guild.
+    *
+    * The users with the same balance are ranked by their IDs in ascending order.
     * @param {string} guildID Guild ID.
-    * @returns {Promise<number>} Sorted leaderboard array.
+    * @returns {Promise<LeaderboardData[]>} Sorted leaderboard array.
     */
     public leaderboard(guildID: string): Promise<LeaderboardData[]>
 
+    /**
+    * Gets the requested page of the balance leaderboard for specified guild.
+    *
+    * The users with the same balance are ranked by their IDs in ascending order.
+    * @param {string} guildID Guild ID.
+    * @param {LeaderboardPageOptions} options Leaderboard page options.
+    * @returns {Promise<LeaderboardPage>} Requested leaderboard page.
+    */
+    public leaderboard(guildID: string, options: LeaderboardPageOptions): Promise<LeaderboardPage>
+
     /**
      * Transfers the money to specified user.
      * @param {string} guildID Guild ID.
      * @param {TransferingOptions} options Transfering options.
-     * @returns {Promise<TransferingResult>} Transfering result object.
+     * @returns {Promise<TransferingResult | InsufficientFundsResult | InvalidAmountResult>} Transfering result object.
      */
-    public transfer(guildID: string, options: TransferingOptions): Promise<TransferingResult>
+    public transfer(guildID: string, options: TransferingOptions): Promise<TransferingResult | InsufficientFundsResult | InvalidAmountResult>
 }
 
 export = BalanceManager
@@ -5,6 +5,9 @@ import Emitter from '../classes/util/Emitter'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import LeaderboardData from '../interfaces/LeaderboardData'
+import LeaderboardPage from '../interfaces/LeaderboardPage'
+import LeaderboardPageOptions from '../interfaces/LeaderboardPageOptions'
+import InsufficientFundsResult from '../interfaces/InsufficientFundsResult'
 
 
 /**
@@ -16,6 +19,10 @@ declare class BankManager extends Emitter {
 
     /**
     * Fetches the user's bank balance.
+    *
+    * [!] This method writes to the database: the bank interest that the user has earned since the last accrual
+    * is applied with `BankManager.applyInterest()` before the balance is returned,
+    * so the read may add the interest to the bank balance, record it in the ledger and emit the `bankInterest` event.
     * @param {string} memberID Member ID.
     * @param {string} guildID Guild ID.
     * @returns {Promise<number>} User's bank balance.
@@ -58,9 +65,9 @@ declare class BankManager extends Emitter {
     * @param {string} memberID Member ID.
     * @param {string} guildID Guild ID.
     * @param {string} [reason] The reason why you subtract the money.
-    * @returns {Promise<number>} Money amount.
+    * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
     */
-    public subtract(amount: number, memberID: string, guildID: string, reason?: string): Promise<number>
+    public subtract(amount: number, memberID: string, guildID: string, reason?: string): Promise<number | InsufficientFundsResult>
 
     /**
      * Withdraws the specified amount of money.
@@ -68,16 +75,50 @@ declare class BankManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason of the operation.
-     * @returns {Promise<number>} Money amount.
+     * @returns {Promise<number | InsufficientFundsResult>} Money amount or 'insufficient funds' result.
      */
-    public withdraw(amount: number, memberID: string, guildID: string, reason?: string): Promise<number>
+    public withdraw(amount: number, memberID: string, guildID: string, reason?: string): Promise<number | InsufficientFundsResult>
+
+    /**
+     * Applies the bank interest that the user has earned since the last accrual.
+     *
+     * The interest is compounded every `bankInterestPeriod` milliseconds;
+     * the periods that have not ended yet are accrued on the next call.
+     *
+     * [!] The interest starts to accrue from the first call for the user that has a bank balance in the database.
+     * When the interest is disabled in the guild, the accrual time is reset.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns Amount of the accrued interest.
+     */
+    public applyInterest(memberID: string, guildID: string): Promise<number>
+
+    /**
+     * Applies the bank interest to all the users in the guild,
+     * or in all the guilds if the guild is not specified.
+     * @param {string} [guildID] Guild ID.
+     * @returns Total amount of the accrued interest.
+     */
+    public sweepInterest(guildID?: string): Promise<number>
 
     /**
     * Gets a bank balance leaderboard for specified guild.
+    *
+    * The users with the same bank balance are ranked by their IDs in ascending order.
     * @param {string} guildID Guild ID.
     * @returns {Promise<LeaderboardData[]>} Sorted leaderboard array.
     */
     public leaderboard(guildID: string): Promise<LeaderboardData[]>
+
+    /**
+    * Gets the requested page of the bank balance leaderboard for specified guild.
+    *
+    * The users with the same bank balance are ranked by their IDs in ascending order.
+    * @param {string} guildID Guild ID.
+    * @param {LeaderboardPageOptions} options Leaderboard page options.
+    * @returns {Promise<LeaderboardPage>} Requested leaderboard page.
+    */
+    public leaderboard(guildID: string, options: LeaderboardPageOptions): Promise<LeaderboardPage>
 }
 
 export = BankManager
\ No newline at end of file
@@ -14,15 +14,16 @@ import {
 	CachedCurrency,
     CachedShop,
     CachedHistory,
-    CachedInventory
+    CachedInventory,
+    CachedLeaderboards
 } from '../cached/CachedItems'
 
 
-type CachedItemNames = 'guilds' | 'users' | 'cooldowns' | 'balance' | 'bank' | 'currencies' | 'shop' | 'inventory' | 'history'
+type CachedItemNames = 'guilds' | 'users' | 'cooldowns' | 'balance' | 'bank' | 'currencies' | 'shop' | 'inventory' | 'history' | 'leaderboards'
 type ArrayElements<T extends readonly string[]> = T[number]
 
 type NonRequirable<CacheItemNamesArray extends readonly CachedItemNames[]> =
-    Extract<ArrayElements<CacheItemNamesArray>, 'guilds' | 'shop'> extends never ? true : false;
+    Extract<ArrayElements<CacheItemNamesArray>, 'guilds' | 'shop' | 'leaderboards'> extends never ? true : false;
 
 type MemberIDRequired<CacheItemNamesArray extends readonly CachedItemNames[]> =
     If<NonRequirable<CacheItemNamesArray>,
@@ -93,6 +94,12 @@ declare class CacheManager {
      */
     public inventory: CachedInventory
 
+    /**
+     * Cached guild leaderboards.
+     * @type {CachedLeaderboards}
+     */
+    public leaderboards: CachedLeaderboards
+
     /**
      * Updates all the cached items.
      * @param {DataIdentifier} id Identifiers object (memberID, guildID) to get value from cache.
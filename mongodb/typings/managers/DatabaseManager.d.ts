@@ -9,6 +9,8 @@ import {
 import EconomyDatabase from '../interfaces/EconomyDatabase'
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 
+import StorageAdapter from '../adapters/StorageAdapter'
+
 
 /**
  * Tbase manager methods class.
@@ -16,7 +18,12 @@ import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 declare class DatabaseManager {
     public _mongo: Mongo
 
-    public constructor(options: EconomyConfiguration, mongo: Mongo)
+    /**
+     * Storage adapter that all the database operations are performed on.
+     */
+    public adapter: StorageAdapter
+
+    public constructor(options: EconomyConfiguration, adapter: StorageAdapter)
 
     /**
     * Gets a list of keys in database.
@@ -127,6 +134,25 @@ declare class DatabaseManager {
     */
     public changeElement<T>(key: string, index: number, newValue: T): Promise<boolean>
 
+    /**
+     * Runs the callback function as a single transaction:
+     * if the returned promise rejects, all the changes
+     * made to the database during the callback will be rolled back.
+     *
+     * All the events emitted during the transaction are emitted only after it's committed.
+     *
+     * [!] All the transactions (including the ones started by the managers, e.g. in `BalanceManager.transfer()`)
+     * are run one by one. Transactions started inside other transactions
+     * are committed together with the outer transaction.
+     *
+     * [!] The transactions are not crash-atomic: the changes are written to the database immediately
+     * and reverted with the undo log on rollback, so if the process crashes in the middle of a transaction,
+     * the changes that were made before the crash are kept.
+     * @param {Function} callback The function to run.
+     * @returns {Promise<T>} The value returned from the callback function.
+     */
+    public transaction<T>(callback: (database: DatabaseManager) => Promise<T>): Promise<T>
+
     /**
      * Clears the whole database.
      * @returns {Promise<boolean>} If cleared: true; else: false.
@@ -2,6 +2,10 @@ import DatabaseManager from './DatabaseManager'
 import CacheManager from './CacheManager'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import LedgerEntry from '../interfaces/LedgerEntry'
+import LedgerEntryData from '../interfaces/LedgerEntryData'
+import LedgerQueryOptions from '../interfaces/LedgerQueryOptions'
+import LedgerPage from '../interfaces/LedgerPage'
 
 import HistoryItem from '../classes/HistoryItem'
 
@@ -76,6 +80,37 @@ declare class HistoryManager {
      * @returns {Promise<HistoryItem>} If removed: true, else: false.
      */
     public getItem<T extends object = any>(id: string, memberID: string, guildID: string): Promise<HistoryItem<T>>
+
+    /**
+     * Records the money operation in the user's ledger.
+     *
+     * [!] When the ledger becomes longer than the `ledgerLimit` option allows,
+     * the oldest entries are removed from it.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {LedgerEntryData} entryData Ledger entry data.
+     * @returns {Promise<LedgerEntry>} Recorded ledger entry or 'null' if saving the ledger is disabled.
+     */
+    public record(memberID: string, guildID: string, entryData: LedgerEntryData): Promise<LedgerEntry>
+
+    /**
+     * Gets the entries from the user's ledger.
+     *
+     * The entries are sorted from the newest to the oldest.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {LedgerQueryOptions} [options] Ledger query options.
+     * @returns {Promise<LedgerPage>} Requested ledger page.
+     */
+    public ledger(memberID: string, guildID: string, options?: LedgerQueryOptions): Promise<LedgerPage>
+
+    /**
+     * Clears the user's ledger.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<boolean>} If cleared: true, else: false.
+     */
+    public clearLedger(memberID: string, guildID: string): Promise<boolean>
 }
 
 export = HistoryManager
\ No newline at end of file
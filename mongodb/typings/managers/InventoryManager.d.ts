@@ -9,6 +9,10 @@ import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import ShopOperationInfo from '../interfaces/ShopOperationInfo'
 import SellingOperationInfo from '../interfaces/SellingOperationInfo'
 import StackedInventoryItemObject from '../interfaces/StackedInventoryItemObject'
+import ItemEffectData from '../interfaces/ItemEffectData'
+import ItemExpireData from '../interfaces/ItemExpireData'
+import ItemUseResult from '../interfaces/ItemUseResult'
+import { ItemEffectHandler } from '../interfaces/ItemEffectContext'
 
 
 /**
@@ -19,26 +23,84 @@ declare class InventoryManager extends Emitter {
     public constructor(options: EconomyConfiguration, database: DatabaseManager, cache: CacheManager)
 
     /**
-     * Uses the item from the user's inventory.
+     * Registers the custom item effect handler.
+     *
+     * Custom handlers override the built-in ones with the same name:
+     * 'addMoney', 'addBank', 'grantItem', 'multiplyNextReward', 'clearCooldown' and 'rewardBoost'.
+     * @param {string} name Effect name.
+     * @param {ItemEffectHandler} handler The function that applies the effect.
+     * @returns {boolean} If registered: true.
+     */
+    public registerEffect<P extends object = any, R = any>(name: string, handler: ItemEffectHandler<P, R>): boolean
+
+    /**
+     * Unregisters the custom item effect handler.
+     * @param {string} name Effect name.
+     * @returns {boolean} If unregistered: true, else: false.
+     */
+    public unregisterEffect(name: string): boolean
+
+    /**
+     * Checks if the item effect handler with specified name exists.
+     * @param {string} name Effect name.
+     * @returns {boolean} If the handler exists: true, else: false.
+     */
+    public hasEffect(name: string): boolean
+
+    /**
+     * Uses the item from the user's inventory: applies its effects in order, removes the item
+     * and returns the item usage message.
+     *
+     * Use the `InventoryManager.useItemWithResult()` method to get the information about the applied effects.
+     * @param {string} itemID Item ID or name
+     * @param {string} memberID Member ID
+     * @param {string} guildID Guild ID
+     * @param {any} client The Discord Client [Optional]
+     * @returns {Promise<?string>} Item message or 'null' if the item was not found.
+     */
+    public useItem(
+        itemID: string | number,
+        memberID: string,
+        guildID: string,
+        client?: any
+    ): Promise<string | null>
+
+    /**
+     * Uses the item from the user's inventory: applies its effects in order, removes the item
+     * and returns the item usage result.
+     *
+     * If any of the item effects fails, all the changes made by the effects are rolled back
+     * and the item stays in user's inventory.
      * @param {string} itemID Item ID or name
      * @param {string} memberID Member ID
      * @param {string} guildID Guild ID
      * @param {any} client The Discord Client [Optional]
-     * @returns {Promise<string>} Item message 
+     * @returns {Promise<ItemUseResult>} Item usage result.
      */
-    public useItem(itemID: string | number, memberID: string, guildID: string, client?: any): Promise<string>
+    public useItemWithResult<T extends object = any>(
+        itemID: string | number,
+        memberID: string,
+        guildID: string,
+        client?: any
+    ): Promise<ItemUseResult<T>>
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
      * 
      * This method is an alias for the `InventoryManager.useItem()` method.
      * @param {string | number} itemID Item ID or name.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
-     * @returns {Promise<string>} Item message or null if item not found.
+     * @returns {Promise<?string>} Item message or 'null' if the item was not found.
      */
-    public use(itemID: string | number, memberID: string, guildID: string, client?: any): Promise<string>
+    public use(
+        itemID: string | number,
+        memberID: string,
+        guildID: string,
+        client?: any
+    ): Promise<string | null>
 
     /**
      * Clears the user's inventory.
@@ -178,6 +240,37 @@ declare class InventoryManager extends Emitter {
      * @returns {Promise<boolean>} If removed successfully: true, else: false.
      */
     public removeItem(itemID: string | number, memberID: string, guildID: string, quantity?: number): Promise<boolean>
+
+    /**
+     * Gets the effects of the used items that are still active.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<ItemEffectData[]>} User's active item effects.
+     */
+    public effects<T extends object = any>(memberID: string, guildID: string): Promise<ItemEffectData<T>[]>
+
+    /**
+     * Removes the expired items from user's inventory and the expired effects of the used items.
+     *
+     * Emits the `shopItemExpire` event for each expired item or effect.
+     * When an effect of a role item expires, the `shopItemRoleExpire` event is emitted,
+     * so the role could be removed from the member. If the Discord Client is specified,
+     * the role is removed automatically.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {Client} [client] Discord Client. [Specify if the role will be removed on a Discord server]
+     * @returns {Promise<ItemExpireData[]>} Expired items and effects.
+     */
+    public purgeExpired<T extends object = any>(memberID: string, guildID: string, client?: any): Promise<ItemExpireData<T>[]>
+
+    /**
+     * Removes the expired items and effects from all the users in the guild,
+     * or in all the guilds if the guild is not specified.
+     * @param {string} [guildID] Guild ID.
+     * @param {Client} [client] Discord Client. [Specify if the roles will be removed on a Discord server]
+     * @returns {Promise<ItemExpireData[]>} Expired items and effects.
+     */
+    public sweepExpired<T extends object = any>(guildID?: string, client?: any): Promise<ItemExpireData<T>[]>
 }
 
 export = InventoryManager
\ No newline at end of file
@@ -6,6 +6,16 @@ import ShopItem from '../classes/ShopItem'
 
 import AddItemOptions from '../interfaces/AddItemOptions'
 import ShopOperationInfo from '../interfaces/ShopOperationInfo'
+import ItemRestockData from '../interfaces/ItemRestockData'
+
+import Coupon from '../interfaces/Coupon'
+import CouponOptions from '../interfaces/CouponOptions'
+import ShopSale from '../interfaces/ShopSale'
+import SaleOptions from '../interfaces/SaleOptions'
+
+import ShopSearchOptions from '../interfaces/ShopSearchOptions'
+import ShopSearchPage from '../interfaces/ShopSearchPage'
+import RequirementPredicate from '../interfaces/RequirementPredicate'
 
 
 import { ItemProperties, ItemPropertyType } from '../interfaces/ItemProperties'
@@ -143,14 +153,18 @@ declare class ShopManager extends Emitter {
      * @param {string} guildID Guild ID.
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
-     * @param {string | number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * @param {string | number | Array<string | number>} [currency=null] 
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -160,8 +174,9 @@ declare class ShopManager extends Emitter {
         memberID: string,
         guildID: string,
         quantity?: number,
-        currency?: string | number,
-        reason?: string
+        currency?: string | number | Array<string | number>,
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -172,13 +187,17 @@ declare class ShopManager extends Emitter {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -189,7 +208,8 @@ declare class ShopManager extends Emitter {
         guildID: string,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -200,13 +220,17 @@ declare class ShopManager extends Emitter {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -217,7 +241,8 @@ declare class ShopManager extends Emitter {
         guildID: string,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -228,13 +253,17 @@ declare class ShopManager extends Emitter {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -245,7 +274,8 @@ declare class ShopManager extends Emitter {
         guildID: string,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -256,13 +286,17 @@ declare class ShopManager extends Emitter {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buy<
@@ -273,7 +307,8 @@ declare class ShopManager extends Emitter {
         guildID: string,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -288,6 +323,8 @@ declare class ShopManager extends Emitter {
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buyItem<
@@ -297,7 +334,8 @@ declare class ShopManager extends Emitter {
         memberID: string,
         guildID: string,
         quantity?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -310,13 +348,17 @@ declare class ShopManager extends Emitter {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buyItem<
@@ -327,7 +369,8 @@ declare class ShopManager extends Emitter {
         guildID: string,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -340,13 +383,17 @@ declare class ShopManager extends Emitter {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buyItem<
@@ -357,7 +404,8 @@ declare class ShopManager extends Emitter {
         guildID: string,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -370,13 +418,17 @@ declare class ShopManager extends Emitter {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buyItem<
@@ -387,7 +439,8 @@ declare class ShopManager extends Emitter {
         guildID: string,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
     /**
@@ -400,13 +453,17 @@ declare class ShopManager extends Emitter {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {Promise<ShopOperationInfo>} Operation information object.
      */
     public buyItem<
@@ -417,9 +474,70 @@ declare class ShopManager extends Emitter {
         guildID: string,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): Promise<ShopOperationInfo<T>>
 
+    /**
+     * Creates a coupon in the guild.
+     *
+     * The coupon discounts the total price of the purchase by a percent or by a flat amount of money.
+     * It can expire, have limited uses in total and per user, and only apply to some items or categories.
+     * @param {string} guildID Guild ID.
+     * @param {CouponOptions} options Coupon options.
+     * @returns {Promise<Coupon>} Created coupon.
+     */
+    public createCoupon(guildID: string, options: CouponOptions): Promise<Coupon>
+
+    /**
+     * Gets the coupon in the guild.
+     * @param {string} code Coupon code. Case-insensitive.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<Coupon>} Coupon object. If not found: null.
+     */
+    public getCoupon(code: string, guildID: string): Promise<Coupon>
+
+    /**
+     * Gets all the coupons in the guild, including the expired and used up ones.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<Coupon[]>} Coupons array.
+     */
+    public coupons(guildID: string): Promise<Coupon[]>
+
+    /**
+     * Deletes the coupon in the guild.
+     * @param {string} code Coupon code. Case-insensitive.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<boolean>} If deleted: true, else: false.
+     */
+    public deleteCoupon(code: string, guildID: string): Promise<boolean>
+
+    /**
+     * Creates a timed sale in the guild.
+     *
+     * During the sale, the price of each item that it applies to is discounted by a percent
+     * or by a flat amount of money. If several sales apply to the item, the best one is used.
+     * @param {string} guildID Guild ID.
+     * @param {SaleOptions} options Sale options.
+     * @returns {Promise<ShopSale>} Created sale.
+     */
+    public createSale(guildID: string, options: SaleOptions): Promise<ShopSale>
+
+    /**
+     * Gets all the sales in the guild, including the scheduled and ended ones.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<ShopSale[]>} Sales array.
+     */
+    public sales(guildID: string): Promise<ShopSale[]>
+
+    /**
+     * Deletes the sale in the guild.
+     * @param {number} saleID Sale ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Promise<boolean>} If deleted: true, else: false.
+     */
+    public deleteSale(saleID: number, guildID: string): Promise<boolean>
+
     /**
      * Clears the shop.
      * @param {string} guildID Guild ID
@@ -456,13 +574,64 @@ declare class ShopManager extends Emitter {
      */
     public all<T extends object = any>(guildID: string): Promise<ShopItem<T>[]>
 
+    /**
+     * Applies the due restocks of the items in the guild's shop,
+     * or in all the guilds if the guild is not specified.
+     *
+     * The restocks are also applied when the shop is fetched or when an item is bought.
+     * @param {string} [guildID] Guild ID.
+     * @returns {Promise<ItemRestockData[]>} Restocked items.
+     */
+    public restock(guildID?: string): Promise<ItemRestockData[]>
+
     /**
      * Gets the item in the shop.
+     *
+     * Hidden items can only be found by their ID.
      * @param {string} itemID Item ID or name.
      * @param {string} guildID Guild ID
      * @returns {Promise<ShopItem<T>>} If item not found: null; else: item info object
      */
     public getItem<T extends object = any>(itemID: string | number, guildID: string): Promise<ShopItem<T>>
+
+    /**
+     * Searches the items in the shop by their names and returns the requested page of the results.
+     *
+     * The search is case-insensitive and fuzzy. Hidden items and items that are not available
+     * at the moment are not listed.
+     *
+     * Type parameters:
+     *
+     * - T: Set an object for 'custom' item property.
+     * @param {string} query Search query. If empty, all the listed items are found.
+     * @param {string} guildID Guild ID.
+     * @param {ShopSearchOptions} [options] Search options.
+     * @returns {Promise<ShopSearchPage<T>>} Requested page of the search results.
+     */
+    public search<T extends object = any>(
+        query: string, guildID: string,
+        options?: ShopSearchOptions
+    ): Promise<ShopSearchPage<T>>
+
+    /**
+     * Registers the custom purchase requirement.
+     *
+     * The shop items list the names of the custom requirements in their 'requirements.custom' array.
+     * If a listed requirement is not registered, the item cannot be bought.
+     * @param {string} name Requirement name.
+     * @param {RequirementPredicate} predicate
+     * The function that receives the purchase context and returns (or resolves) true if the requirement is met.
+     *
+     * @returns {boolean} If registered: true.
+     */
+    public registerRequirement(name: string, predicate: RequirementPredicate): boolean
+
+    /**
+     * Unregisters the custom purchase requirement.
+     * @param {string} name Requirement name.
+     * @returns {boolean} If unregistered: true, else: false.
+     */
+    public unregisterRequirement(name: string): boolean
 }
 
 export = ShopManager
\ No newline at end of file
@@ -0,0 +1,131 @@
+const StorageAdapter = require('./StorageAdapter')
+
+const DotParser = require('../classes/util/DotParser')
+const StorageEngine = require('../classes/util/StorageEngine')
+
+
+/**
+ * Storage adapter for the JSON storage file.
+ *
+ * This is the default storage adapter of the JSON version of the module.
+ * @extends {StorageAdapter}
+ */
+class JSONStorageAdapter extends StorageAdapter {
+
+    /**
+     * JSON Storage Adapter.
+     * @param {EconomyConfiguration} options Economy configuration.
+     * @param {string} options.storagePath Full path to a JSON file. Default: './storage.json'.
+     * @param {StorageEngine} [storage] Storage engine to work with. Default: the storage engine of the storage file.
+     */
+    constructor(options = {}, storage = StorageEngine.for(options)) {
+        super(options)
+
+        /**
+         * Storage engine.
+         * @type {StorageEngine}
+         * @private
+         */
+        this.storage = storage
+
+        /**
+         * Dot parser methods class.
+         * @type {DotParser}
+         * @private
+         */
+        this.parser = new DotParser(options, storage)
+    }
+
+    /**
+     * Fetches the data from the storage.
+     * @param {string} key The key in database.
+     * @returns {any} Value from the specified key or 'null' if nothing found.
+     */
+    get(key) {
+        return this.parser.parse(key)
+    }
+
+    /**
+     * Sets data in a property in the storage.
+     * @param {string} key The key in database.
+     * @param {any} value Any data to set in property.
+     * @returns {boolean} If set successfully: true; else: false.
+     */
+    set(key, value) {
+        return this.parser.set(key, value)
+    }
+
+    /**
+     * Removes the property from the storage.
+     * @param {string} key The key in database.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    delete(key) {
+        return this.parser.remove(key)
+    }
+
+    /**
+     * Pushes a value to a specified array in the storage.
+     * @param {string} key The key in database.
+     * @param {any} value Any value to push.
+     * @returns {boolean} If pushed successfully: true; else: false.
+     */
+    push(key, value) {
+        return this.parser.push(key, value)
+    }
+
+    /**
+     * Removes an element from a specified array in the storage.
+     * @param {string} key The key in database.
+     * @param {number} index The index in the array.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    pull(key, index) {
+        return this.parser.pull(key, index)
+    }
+
+    /**
+     * Fetches the entire database.
+     * @returns {EconomyDatabase} Database contents.
+     */
+    all() {
+        return this.parser.clone(this.storage.data)
+    }
+
+    /**
+     * Gets a list of keys in the storage.
+     * @param {string} [key] The key in database. If not specified, the top-level keys will be returned.
+     * @returns {string[]} An array with the keys.
+     */
+    keys(key) {
+        if (key) return super.keys(key)
+
+        const data = this.storage.data
+        return Object.keys(data).filter(key => data[key] !== undefined && data[key] !== null)
+    }
+
+    /**
+     * Clears the whole storage.
+     * @returns {boolean} If cleared: true; else: false.
+     */
+    clear() {
+        if (!Object.keys(this.storage.data).length) return false
+
+        this.storage.replace({})
+        return true
+    }
+
+    /**
+     * Writes all the pending changes to the storage file.
+     * @returns {boolean} If any changes were written: true; else: false.
+     */
+    flush() {
+        return this.storage.flush()
+    }
+}
+
+/**
+ * JSON storage adapter class.
+ * @type {JSONStorageAdapter}
+ */
+module.exports = JSONStorageAdapter
@@ -0,0 +1,44 @@
+const JSONStorageAdapter = require('./JSONStorageAdapter')
+
+
+/**
+ * Storage adapter that keeps all the data in memory.
+ *
+ * [!] The data is lost when the process exits - this adapter is made for tests.
+ * @extends {JSONStorageAdapter}
+ *
+ * @example
+ * const { MemoryStorageAdapter } = require('discord-economy-super')
+ * const eco = new Economy({ storage: new MemoryStorageAdapter() })
+ */
+class MemoryStorageAdapter extends JSONStorageAdapter {
+
+    /**
+     * Memory Storage Adapter.
+     * @param {EconomyConfiguration} [options] Economy configuration.
+     * @param {EconomyDatabase} [data] Initial database contents.
+     */
+    constructor(options = {}, data = {}) {
+        super(options, {
+            data,
+
+            markDirty() {
+                return
+            },
+
+            replace(data) {
+                this.data = data
+            },
+
+            flush() {
+                return false
+            }
+        })
+    }
+}
+
+/**
+ * Memory storage adapter class.
+ * @type {MemoryStorageAdapter}
+ */
+module.exports = MemoryStorageAdapter
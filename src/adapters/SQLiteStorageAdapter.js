@@ -0,0 +1,594 @@
+const StorageAdapter = require('./StorageAdapter')
+
+
+/**
+ * Guild-level keys that are stored in their own tables.
+ * @type {string[]}
+ */
+const tableKeys = ['shop', 'currencies', 'settings']
+
+/**
+ * Database schema.
+ * @type {string}
+ */
+const schema = `
+    CREATE TABLE IF NOT EXISTS users (
+        guild_id TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        money REAL,
+        bank REAL,
+        data TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (guild_id, member_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS users_money ON users (guild_id, money DESC);
+    CREATE INDEX IF NOT EXISTS users_bank ON users (guild_id, bank DESC);
+
+    CREATE TABLE IF NOT EXISTS history (
+        guild_id TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, member_id, position)
+    );
+
+    CREATE TABLE IF NOT EXISTS shop (
+        guild_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, position)
+    );
+
+    CREATE TABLE IF NOT EXISTS currencies (
+        guild_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, position)
+    );
+
+    CREATE TABLE IF NOT EXISTS settings (
+        guild_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS guild_data (
+        guild_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, key)
+    );
+`
+
+
+/**
+ * Storage adapter for the SQLite database.
+ *
+ * Users, their purchases history, shop items, currencies and settings are stored in their own tables,
+ * so the leaderboards are built with indexed `ORDER BY` queries instead of loading the entire guild.
+ *
+ * [!] Requires the `better-sqlite3` package to be installed.
+ *
+ * [!] Guild-level keys that are numbers (Discord IDs) are treated as member IDs.
+ * @extends {StorageAdapter}
+ *
+ * @example
+ * const { SQLiteStorageAdapter } = require('discord-economy-super')
+ * const eco = new Economy({ storage: new SQLiteStorageAdapter({ storagePath: './storage.sqlite' }) })
+ */
+class SQLiteStorageAdapter extends StorageAdapter {
+
+    /**
+     * SQLite Storage Adapter.
+     * @param {EconomyConfiguration} [options] Economy configuration.
+     * @param {string} [options.storagePath='./storage.sqlite'] Full path to an SQLite database file.
+     */
+    constructor(options = {}) {
+        super(options)
+
+        const Database = require('better-sqlite3')
+
+        /**
+         * Full path to an SQLite database file.
+         * @type {string}
+         */
+        this.storagePath = options.storagePath || './storage.sqlite'
+
+        /**
+         * SQLite database connection.
+         * @type {Database}
+         * @private
+         */
+        this.db = new Database(this.storagePath)
+
+        /**
+         * Number of the savepoints created in transactions.
+         * @type {number}
+         * @private
+         */
+        this._savepoints = 0
+
+        this.db.pragma('journal_mode = WAL')
+        this.db.exec(schema)
+    }
+
+    /**
+     * Fetches the data from the database.
+     * @param {string} key The key in database.
+     * @returns {any} Value from the specified key or 'null' if nothing found.
+     */
+    get(key) {
+        if (!key || typeof key !== 'string') return null
+
+        const [guildID, part, ...path] = key.split('.')
+
+        if (!part) {
+            return this._readGuild(guildID)
+        }
+
+        return getPath(this._readPart(guildID, part), path)
+    }
+
+    /**
+     * Sets data in a property in the database.
+     * @param {string} key The key in database.
+     * @param {any} value Any data to set in property.
+     * @returns {boolean} If set successfully: true; else: false.
+     */
+    set(key, value) {
+        if (!key || typeof key !== 'string') return false
+        if (value == undefined || typeof value == 'function') return false
+
+        const [guildID, part, ...path] = key.split('.')
+
+        this.db.transaction(() => {
+            if (!part) {
+                this._deleteGuild(guildID)
+
+                for (const [guildKey, guildValue] of Object.entries(value)) {
+                    this._writePart(guildID, guildKey, guildValue)
+                }
+
+                return
+            }
+
+            const partData = path.length
+                ? setPath(this._readPart(guildID, part), path, value)
+                : value
+
+            this._writePart(guildID, part, partData, !path.length || path[0] == 'history')
+        })()
+
+        return true
+    }
+
+    /**
+     * Removes the property from the database.
+     * @param {string} key The key in database.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    delete(key) {
+        if (!key || typeof key !== 'string') return false
+        if (this.get(key) == null) return false
+
+        const [guildID, part, ...path] = key.split('.')
+
+        this.db.transaction(() => {
+            if (!part) {
+                return this._deleteGuild(guildID)
+            }
+
+            if (!path.length) {
+                return this._writePart(guildID, part, null)
+            }
+
+            const partData = this._readPart(guildID, part)
+            deletePath(partData, path)
+
+            this._writePart(guildID, part, partData, path[0] == 'history')
+        })()
+
+        return true
+    }
+
+    /**
+     * Fetches the entire database.
+     * @returns {EconomyDatabase} Database contents.
+     */
+    all() {
+        const database = {}
+
+        for (const guildID of this.keys()) {
+            database[guildID] = this._readGuild(guildID)
+        }
+
+        return database
+    }
+
+    /**
+     * Adds a number to a property data in the database.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to add.
+     * @returns {boolean} If added successfully: true; else: false.
+     */
+    add(key, value) {
+        const column = this._getBalanceColumn(key)
+        if (!column) return super.add(key, value)
+
+        const [guildID, memberID] = key.split('.')
+
+        this.db.prepare(`
+            INSERT INTO users (guild_id, member_id, ${column}) VALUES (?, ?, ?)
+            ON CONFLICT (guild_id, member_id) DO UPDATE SET ${column} = COALESCE(${column}, 0) + excluded.${column}
+        `).run(guildID, memberID, Number(value))
+
+        return true
+    }
+
+    /**
+     * Subtracts a number from a property data in the database.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to subtract.
+     * @returns {boolean} If subtracted successfully: true; else: false.
+     */
+    subtract(key, value) {
+        return this.add(key, -Number(value))
+    }
+
+    /**
+     * Pushes a value to a specified array in the database.
+     * @param {string} key The key in database.
+     * @param {any} value Any value to push.
+     * @returns {boolean} If pushed successfully: true; else: false.
+     */
+    push(key, value) {
+        const [guildID, memberID, property, ...path] = key.split('.')
+
+        if (isNaN(memberID) || property !== 'history' || path.length) {
+            return super.push(key, value)
+        }
+
+        this.db.transaction(() => {
+            this.db.prepare('INSERT OR IGNORE INTO users (guild_id, member_id) VALUES (?, ?)').run(guildID, memberID)
+
+            this.db.prepare(`
+                INSERT INTO history (guild_id, member_id, position, data)
+                SELECT ?, ?, COALESCE(MAX(position), -1) + 1, ?
+                FROM history WHERE guild_id = ? AND member_id = ?
+            `).run(guildID, memberID, JSON.stringify(value), guildID, memberID)
+        })()
+
+        return true
+    }
+
+    /**
+     * Gets a list of keys in the database.
+     * @param {string} [key] The key in database. If not specified, the top-level keys will be returned.
+     * @returns {string[]} An array with the keys.
+     */
+    keys(key) {
+        if (key) return super.keys(key)
+
+        const rows = this.db.prepare(`
+            SELECT guild_id FROM users UNION SELECT guild_id FROM shop
+            UNION SELECT guild_id FROM currencies UNION SELECT guild_id FROM settings
+            UNION SELECT guild_id FROM guild_data
+        `).all()
+
+        return rows.map(row => row.guild_id)
+    }
+
+    /**
+     * Clears the whole database.
+     * @returns {boolean} If cleared: true; else: false.
+     */
+    clear() {
+        if (!this.keys().length) return false
+
+        this.db.transaction(() => {
+            for (const table of ['users', 'history', 'shop', 'currencies', 'settings', 'guild_data']) {
+                this.db.prepare(`DELETE FROM ${table}`).run()
+            }
+        })()
+
+        return true
+    }
+
+    /**
+     * Gets the users of the guild sorted by the specified property in descending order.
+     *
+     * The `money` and `bank` leaderboards are built with the indexed `ORDER BY` queries.
+     * The users with the same amount are sorted by their IDs in ascending order.
+     * @param {string} guildID Guild ID.
+     * @param {string} property User's property to sort by.
+     * @returns {Array<{ userID: string, money: number }>} Sorted users array.
+     */
+    leaderboard(guildID, property) {
+        if (property !== 'money' && property !== 'bank') {
+            return super.leaderboard(guildID, property)
+        }
+
+        const rows = this.db.prepare(`
+            SELECT member_id, ${property} FROM users
+            WHERE guild_id = ? AND ${property} IS NOT NULL
+            ORDER BY ${property} DESC, LENGTH(member_id), member_id
+        `).all(guildID)
+
+        return rows.map(row => ({
+            userID: row.member_id,
+            money: row[property]
+        }))
+    }
+
+    /**
+     * Runs the callback function as a single transaction:
+     * if it throws an error (or the returned promise rejects), all the changes
+     * made to the database during the callback will be rolled back.
+     *
+     * The synchronous callbacks are run in an SQLite savepoint, so their changes
+     * are written to the database file all together or not written at all.
+     *
+     * [!] The asynchronous callbacks may interleave with the other operations on the same connection,
+     * so their savepoints are released as soon as the callbacks return the promises, and the changes
+     * made after that are reverted with the undo log of the transaction.
+     * @param {(adapter: SQLiteStorageAdapter) => any} callback The function to run.
+     * @returns {any} The value returned from the callback function.
+     */
+    transaction(callback) {
+        const savepoint = `economy_transaction_${this._savepoints++}`
+        this.db.exec(`SAVEPOINT ${savepoint}`)
+
+        let result
+
+        try {
+            result = super.transaction(callback)
+        } catch (err) {
+            this.db.exec(`ROLLBACK TO ${savepoint}`)
+            this.db.exec(`RELEASE ${savepoint}`)
+
+            throw err
+        }
+
+        this.db.exec(`RELEASE ${savepoint}`)
+        return result
+    }
+
+    /**
+     * Closes the database connection.
+     * @returns {boolean} If closed: true; else: false.
+     */
+    close() {
+        if (!this.db.open) return false
+
+        this.db.close()
+        return true
+    }
+
+    /**
+     * Returns the column name if the key points to a user's balance or bank balance.
+     * @param {string} key The key in database.
+     * @returns {?string} Column name.
+     * @private
+     */
+    _getBalanceColumn(key) {
+        const [, memberID, property, ...path] = key.split('.')
+
+        if (isNaN(memberID) || path.length) return null
+        if (property !== 'money' && property !== 'bank') return null
+
+        return property
+    }
+
+    /**
+     * Reads the whole guild object.
+     * @param {string} guildID Guild ID.
+     * @returns {?object} Guild object.
+     * @private
+     */
+    _readGuild(guildID) {
+        const guild = {}
+
+        const members = this.db.prepare('SELECT member_id FROM users WHERE guild_id = ?').all(guildID)
+        const guildData = this.db.prepare('SELECT key FROM guild_data WHERE guild_id = ?').all(guildID)
+
+        const parts = [
+            ...members.map(row => row.member_id),
+            ...tableKeys,
+            ...guildData.map(row => row.key)
+        ]
+
+        for (const part of parts) {
+            const partData = this._readPart(guildID, part)
+
+            if (partData !== null) {
+                guild[part] = partData
+            }
+        }
+
+        return Object.keys(guild).length ? guild : null
+    }
+
+    /**
+     * Removes all the guild data.
+     * @param {string} guildID Guild ID.
+     * @returns {void}
+     * @private
+     */
+    _deleteGuild(guildID) {
+        for (const table of ['users', 'history', 'shop', 'currencies', 'settings', 'guild_data']) {
+            this.db.prepare(`DELETE FROM ${table} WHERE guild_id = ?`).run(guildID)
+        }
+    }
+
+    /**
+     * Reads the first-level property of the guild (member, shop, currencies, etc.).
+     * @param {string} guildID Guild ID.
+     * @param {string} part Guild property.
+     * @returns {any} Property data or 'null' if nothing found.
+     * @private
+     */
+    _readPart(guildID, part) {
+        if (part == 'shop' || part == 'currencies') {
+            const rows = this.db.prepare(`SELECT data FROM ${part} WHERE guild_id = ? ORDER BY position`).all(guildID)
+            return rows.length ? rows.map(row => JSON.parse(row.data)) : null
+        }
+
+        if (part == 'settings') {
+            const row = this.db.prepare('SELECT data FROM settings WHERE guild_id = ?').get(guildID)
+            return row ? JSON.parse(row.data) : null
+        }
+
+        if (!isNaN(part)) {
+            const row = this.db.prepare(
+                'SELECT money, bank, data FROM users WHERE guild_id = ? AND member_id = ?'
+            ).get(guildID, part)
+
+            if (!row) return null
+
+            const history = this.db.prepare(
+                'SELECT data FROM history WHERE guild_id = ? AND member_id = ? ORDER BY position'
+            ).all(guildID, part)
+
+            const member = JSON.parse(row.data)
+
+            if (row.money !== null) member.money = row.money
+            if (row.bank !== null) member.bank = row.bank
+
+            if (history.length) member.history = history.map(row => JSON.parse(row.data))
+            return member
+        }
+
+        const row = this.db.prepare('SELECT data FROM guild_data WHERE guild_id = ? AND key = ?').get(guildID, part)
+        return row ? JSON.parse(row.data) : null
+    }
+
+    /**
+     * Writes the first-level property of the guild (member, shop, currencies, etc.).
+     * @param {string} guildID Guild ID.
+     * @param {string} part Guild property.
+     * @param {any} value Property data. If 'null', the property will be removed.
+     * @param {boolean} [writeHistory=true] If false, the member's purchases history will not be rewritten.
+     * @returns {void}
+     * @private
+     */
+    _writePart(guildID, part, value, writeHistory = true) {
+        if (part == 'shop' || part == 'currencies') {
+            this.db.prepare(`DELETE FROM ${part} WHERE guild_id = ?`).run(guildID)
+            if (!Array.isArray(value)) return
+
+            const insert = this.db.prepare(`INSERT INTO ${part} (guild_id, position, data) VALUES (?, ?, ?)`)
+            return value.forEach((item, position) => insert.run(guildID, position, JSON.stringify(item)))
+        }
+
+        if (part == 'settings') {
+            if (value == null) {
+                return this.db.prepare('DELETE FROM settings WHERE guild_id = ?').run(guildID)
+            }
+
+            return this.db.prepare(`
+                INSERT INTO settings (guild_id, data) VALUES (?, ?)
+                ON CONFLICT (guild_id) DO UPDATE SET data = excluded.data
+            `).run(guildID, JSON.stringify(value))
+        }
+
+        if (!isNaN(part)) {
+            if (value == null || typeof value !== 'object') {
+                this.db.prepare('DELETE FROM users WHERE guild_id = ? AND member_id = ?').run(guildID, part)
+                return this.db.prepare('DELETE FROM history WHERE guild_id = ? AND member_id = ?').run(guildID, part)
+            }
+
+            const { money, bank, history, ...data } = value
+
+            this.db.prepare(`
+                INSERT INTO users (guild_id, member_id, money, bank, data) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (guild_id, member_id) DO UPDATE
+                SET money = excluded.money, bank = excluded.bank, data = excluded.data
+            `).run(
+                guildID, part,
+                isNaN(money) || money === null ? null : Number(money),
+                isNaN(bank) || bank === null ? null : Number(bank),
+                JSON.stringify(data)
+            )
+
+            if (!writeHistory) return
+
+            this.db.prepare('DELETE FROM history WHERE guild_id = ? AND member_id = ?').run(guildID, part)
+            if (!Array.isArray(history)) return
+
+            const insert = this.db.prepare(
+                'INSERT INTO history (guild_id, member_id, position, data) VALUES (?, ?, ?, ?)'
+            )
+
+            return history.forEach((item, position) => insert.run(guildID, part, position, JSON.stringify(item)))
+        }
+
+        if (value == null) {
+            return this.db.prepare('DELETE FROM guild_data WHERE guild_id = ? AND key = ?').run(guildID, part)
+        }
+
+        this.db.prepare(`
+            INSERT INTO guild_data (guild_id, key, data) VALUES (?, ?, ?)
+            ON CONFLICT (guild_id, key) DO UPDATE SET data = excluded.data
+        `).run(guildID, part, JSON.stringify(value))
+    }
+}
+
+
+/**
+ * Gets the value from the object by the path.
+ * @param {any} object The object to get the value from.
+ * @param {string[]} path The path in the object.
+ * @returns {any} The value or 'null' if nothing found.
+ */
+function getPath(object, path) {
+    let tmp = object
+
+    for (const key of path) {
+        tmp = tmp?.[key]
+    }
+
+    return tmp ?? null
+}
+
+/**
+ * Sets the value in the object by the path.
+ * @param {any} object The object to set the value in.
+ * @param {string[]} path The path in the object.
+ * @param {any} value The value to set.
+ * @returns {object} The changed object.
+ */
+function setPath(object, path, value) {
+    const root = typeof object == 'object' && object !== null ? object : {}
+    let tmp = root
+
+    for (let i = 0; i < path.length - 1; i++) {
+        if (typeof tmp[path[i]] !== 'object' || tmp[path[i]] === null) {
+            tmp[path[i]] = {}
+        }
+
+        tmp = tmp[path[i]]
+    }
+
+    tmp[path[path.length - 1]] = value
+    return root
+}
+
+/**
+ * Removes the value from the object by the path.
+ * @param {any} object The object to remove the value from.
+ * @param {string[]} path The path in the object.
+ * @returns {void}
+ */
+function deletePath(object, path) {
+    const parent = getPath(object, path.slice(0, -1))
+
+    if (typeof parent == 'object' && parent !== null) {
+        delete parent[path[path.length - 1]]
+    }
+}
+
+
+/**
+ * SQLite storage adapter class.
+ * @type {SQLiteStorageAdapter}
+ */
+module.exports = SQLiteStorageAdapter
@@ -0,0 +1,270 @@
+const errors = require('../structures/errors')
+const EconomyError = require('../classes/util/EconomyError')
+const compareRanks = require('../structures/compareRanks')
+
+const Transaction = require('../classes/util/Transaction')
+
+
+/**
+ * Methods that every storage adapter must implement.
+ * @type {string[]}
+ */
+const requiredMethods = ['get', 'set', 'delete', 'all']
+
+
+/**
+ * The storage adapter contract that the Economy managers depend on.
+ *
+ * [!] This class cannot be used directly.
+ *
+ * [!] When extending this class, make sure to implement the `get()`, `set()`, `delete()` and `all()` methods.
+ * All the other methods (including `transaction()`) have default implementations that are based on them,
+ * and may be overridden if the storage supports these operations natively.
+ *
+ * [!] The keys are dot-separated paths in the database (e.g. `guildID.memberID.money`).
+ * The values returned from `get()` and `all()` must be copies of the stored data.
+ *
+ * [!] All the methods in the JSON version of the module must be synchronous.
+ *
+ * @example
+ * const { StorageAdapter } = require('discord-economy-super')
+ *
+ * class MapStorageAdapter extends StorageAdapter {
+ *     constructor(options) {
+ *         super(options)
+ *         this.map = new Map()
+ *     }
+ *
+ *     get(key) {
+ *         return this.map.get(key) ?? null
+ *     }
+ *
+ *     set(key, value) {
+ *         this.map.set(key, value)
+ *         return true
+ *     }
+ *
+ *     delete(key) {
+ *         return this.map.delete(key)
+ *     }
+ *
+ *     all() {
+ *         return Object.fromEntries(this.map)
+ *     }
+ * }
+ *
+ * const eco = new Economy({ storage: new MapStorageAdapter() })
+ */
+class StorageAdapter {
+
+    /**
+     * Storage Adapter.
+     * @param {EconomyConfiguration} options Economy configuration.
+     */
+    constructor(options = {}) {
+
+        /**
+         * Economy configuration.
+         * @type {EconomyConfiguration}
+         * @private
+         */
+        this.options = options
+    }
+
+    /**
+     * Checks if the object implements all the required storage adapter methods.
+     * @param {any} adapter The object to check.
+     * @returns {boolean} Is the object a storage adapter or not.
+     */
+    static isStorageAdapter(adapter) {
+        return !!adapter && requiredMethods.every(method => typeof adapter[method] == 'function')
+    }
+
+    /**
+     * Throws an error if the object does not implement all the required storage adapter methods.
+     * @param {any} adapter The object to check.
+     * @returns {StorageAdapter} Storage adapter.
+     */
+    static validate(adapter) {
+        if (!StorageAdapter.isStorageAdapter(adapter)) {
+            const missingMethods = requiredMethods.filter(method => typeof adapter?.[method] !== 'function')
+            throw new EconomyError(errors.storageAdapter.invalidAdapter(missingMethods), 'STORAGE_ADAPTER_ERROR')
+        }
+
+        return adapter
+    }
+
+    /**
+     * Fetches the data from the storage.
+     * @param {string} key The key in database.
+     * @returns {any} Value from the specified key or 'null' if nothing found.
+     */
+    get() {
+        throw new EconomyError(
+            errors.storageAdapter.notImplemented(this.constructor.name, 'get'), 'STORAGE_ADAPTER_ERROR'
+        )
+    }
+
+    /**
+     * Sets data in a property in the storage.
+     * @param {string} key The key in database.
+     * @param {any} value Any data to set in property.
+     * @returns {boolean} If set successfully: true; else: false.
+     */
+    set() {
+        throw new EconomyError(
+            errors.storageAdapter.notImplemented(this.constructor.name, 'set'), 'STORAGE_ADAPTER_ERROR'
+        )
+    }
+
+    /**
+     * Removes the property from the storage.
+     * @param {string} key The key in database.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    delete() {
+        throw new EconomyError(
+            errors.storageAdapter.notImplemented(this.constructor.name, 'delete'), 'STORAGE_ADAPTER_ERROR'
+        )
+    }
+
+    /**
+     * Fetches the entire database.
+     * @returns {EconomyDatabase} Database contents.
+     */
+    all() {
+        throw new EconomyError(
+            errors.storageAdapter.notImplemented(this.constructor.name, 'all'), 'STORAGE_ADAPTER_ERROR'
+        )
+    }
+
+    /**
+     * Adds a number to a property data in the storage.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to add.
+     * @returns {boolean} If added successfully: true; else: false.
+     */
+    add(key, value) {
+        const data = this.get(key) || 0
+        return this.set(key, Number(data) + Number(value))
+    }
+
+    /**
+     * Subtracts a number from a property data in the storage.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to subtract.
+     * @returns {boolean} If subtracted successfully: true; else: false.
+     */
+    subtract(key, value) {
+        const data = this.get(key) || 0
+        return this.set(key, Number(data) - Number(value))
+    }
+
+    /**
+     * Pushes a value to a specified array in the storage.
+     * @param {string} key The key in database.
+     * @param {any} value Any value to push.
+     * @returns {boolean} If pushed successfully: true; else: false.
+     */
+    push(key, value) {
+        const data = this.get(key) || []
+        if (!Array.isArray(data)) return false
+
+        data.push(value)
+        return this.set(key, data)
+    }
+
+    /**
+     * Removes an element from a specified array in the storage.
+     * @param {string} key The key in database.
+     * @param {number} index The index in the array.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    pull(key, index) {
+        const data = this.get(key)
+        if (!Array.isArray(data)) return false
+
+        data.splice(index, 1)
+        return this.set(key, data)
+    }
+
+    /**
+     * Gets a list of keys in the storage.
+     * @param {string} [key] The key in database. If not specified, the top-level keys will be returned.
+     * @returns {string[]} An array with the keys.
+     */
+    keys(key) {
+        const data = key ? this.get(key) : this.all()
+        if (!data || typeof data !== 'object') return []
+
+        return Object.keys(data).filter(key => data[key] !== undefined && data[key] !== null)
+    }
+
+    /**
+     * Gets the users of the guild sorted by the specified property in descending order.
+     * The users with the same amount are sorted by their IDs in ascending order.
+     *
+     * [!] Override this method if the storage can sort the users natively (e.g. with an indexed query).
+     * @param {string} guildID Guild ID.
+     * @param {string} property User's property to sort by.
+     * @returns {Array<{ userID: string, money: number }>} Sorted users array.
+     */
+    leaderboard(guildID, property) {
+        const guildData = this.get(guildID) || {}
+
+        return Object.entries(guildData)
+            .filter(([key, user]) => key !== 'settings' && key !== 'shop' && !isNaN(user?.[property]))
+            .map(([userID, user]) => ({ userID, money: Number(user[property]) }))
+            .sort(compareRanks())
+    }
+
+    /**
+     * Clears the whole storage.
+     * @returns {boolean} If cleared: true; else: false.
+     */
+    clear() {
+        const keys = this.keys()
+        if (!keys.length) return false
+
+        for (const key of keys) {
+            this.delete(key)
+        }
+
+        return true
+    }
+
+    /**
+     * Writes all the pending changes to the storage.
+     *
+     * [!] Does nothing for the storages that write the changes immediately.
+     * @returns {boolean} If any changes were written: true; else: false.
+     */
+    flush() {
+        return false
+    }
+
+    /**
+     * Runs the callback function as a single transaction:
+     * if it throws an error (or the returned promise rejects), all the changes
+     * made to the storage during the callback will be rolled back.
+     *
+     * The default implementation uses the undo log: the database manager saves the way to revert
+     * every change it makes during the transaction, and on rollback the changes are reverted
+     * from the newest one to the oldest one without overwriting the changes made outside of the transaction.
+     *
+     * [!] Override this method if the storage supports transactions natively.
+     * Call `super.transaction()` inside the native transaction, so the events
+     * are still held until the commit and the nested transactions are still joined.
+     * @param {(adapter: StorageAdapter) => any} callback The function to run.
+     * @returns {any} The value returned from the callback function.
+     */
+    transaction(callback) {
+        return Transaction.run(() => callback(this))
+    }
+}
+
+/**
+ * Storage adapter class.
+ * @type {StorageAdapter}
+ */
+module.exports = StorageAdapter
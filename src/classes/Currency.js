@@ -2,8 +2,10 @@ const defaultCurrencyObject = require('../structures/DefaultCurrencyObject')
 
 const EconomyError = require('./util/EconomyError')
 const errors = require('../structures/errors')
+const overdraftLimit = require('../structures/overdraftLimit')
 
 const Emitter = require('./util/Emitter')
+const HistoryManager = require('../managers/HistoryManager')
 
 
 /**
@@ -90,7 +92,7 @@ class Currency extends Emitter {
      */
     create() {
         const currenciesArray = this._all(this.guildID)
-        const newCurrencyObject = defaultCurrencyObject
+        const newCurrencyObject = { ...defaultCurrencyObject, balances: {} }
 
         newCurrencyObject.id = currenciesArray.length ? currenciesArray[currenciesArray.length - 1].id + 1 : 1
         newCurrencyObject.name = this.name
@@ -169,12 +171,14 @@ class Currency extends Emitter {
     }
 
     /**
-     * Sets the currency for specified member.
+     * Gets the currency balance for specified member.
      * @param {string} memberID Member ID.
      * @returns {number} Member's balance.
      */
     getBalance(memberID) {
-        const currencyBalance = this.balances[memberID]
+        const currency = this._all().find(currency => currency.id == this.id)
+        const currencyBalance = currency?.balances?.[memberID]
+
         return currencyBalance || 0
     }
 
@@ -183,7 +187,8 @@ class Currency extends Emitter {
      * @param {number} amount Amount of money to set.
      * @param {string} memberID Member ID.
      * @param {string} [reason] The reason why the balance was set.
-     * @param {boolean} [emitSet=true] If true, `customCurrencySet` event will be emitted on set. Default: true.
+     * @param {boolean} [emitSet=true] If true, `customCurrencySet` event will be emitted on set
+     * and the operation will be recorded in the ledger. Default: true.
      * @returns {number} Amount of money that was set.
      */
     setBalance(amount, memberID, reason = '', emitSet = true) {
@@ -202,6 +207,7 @@ class Currency extends Emitter {
             throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
         }
 
+        const currencyBalance = currency.balances[memberID] || 0
         currency.balances[memberID] = amount
 
         delete currency.database
@@ -212,6 +218,14 @@ class Currency extends Emitter {
         this.database.set(`${this.guildID}.currencies`, currenciesArray)
 
         if (emitSet) {
+            this._record(memberID, {
+                type: 'customCurrencySet',
+                amount,
+                balanceBefore: currencyBalance,
+                balanceAfter: amount,
+                reason
+            })
+
             this.emit('customCurrencySet', {
                 type: 'customCurrencySet',
                 guildID: this.guildID,
@@ -237,6 +251,14 @@ class Currency extends Emitter {
         const currencyBalance = this.getBalance(memberID)
         const result = this.setBalance(currencyBalance + amount, memberID, reason, false)
 
+        this._record(memberID, {
+            type: 'customCurrencyAdd',
+            amount,
+            balanceBefore: currencyBalance,
+            balanceAfter: currencyBalance + amount,
+            reason
+        })
+
         this.emit('customCurrencyAdd', {
             type: 'customCurrencyAdd',
             guildID: this.guildID,
@@ -255,12 +277,27 @@ class Currency extends Emitter {
      * @param {number} amount Amount of money to subtract.
      * @param {string} memberID Member ID.
      * @param {string} [reason] The reason why the balance was subtracted.
-     * @returns {number} Amount of money that was subtracted.
+     * @returns {number | InsufficientFundsResult} Subtracted amount or 'insufficient funds' result.
      */
     subtractBalance(amount, memberID, reason = '') {
         const currencyBalance = this.getBalance(memberID)
+
+        const overdraft = this.database.fetch(`${this.guildID}.settings.overdraft`) || this.options.overdraft
+
+        if (currencyBalance - amount < overdraftLimit(overdraft)) {
+            return { status: false, reason: 'insufficient funds' }
+        }
+
         const result = this.setBalance(currencyBalance - amount, memberID, reason, false)
 
+        this._record(memberID, {
+            type: 'customCurrencySubtract',
+            amount,
+            balanceBefore: currencyBalance,
+            balanceAfter: currencyBalance - amount,
+            reason
+        })
+
         this.emit('customCurrencySubtract', {
             type: 'customCurrencySubtract',
             guildID: this.guildID,
@@ -277,7 +314,7 @@ class Currency extends Emitter {
     /**
      * Transfers the currency to specified user
      * @param {TransferingOptions} Currency transfering options.
-     * @returns {TransferingResult} Currency transfering result.
+     * @returns {TransferingResult | InsufficientFundsResult | InvalidAmountResult} Currency transfering result.
      */
     transfer(options) {
         const {
@@ -290,6 +327,10 @@ class Currency extends Emitter {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
         }
 
+        if (amount < 0) {
+            return { status: false, reason: 'invalid amount' }
+        }
+
         if (typeof receiverMemberID !== 'string') {
             throw new EconomyError(errors.invalidType('receiverMemberID', 'string', receiverMemberID), 'INVALID_TYPE')
         }
@@ -298,8 +339,57 @@ class Currency extends Emitter {
             throw new EconomyError(errors.invalidType('senderMemberID', 'string', senderMemberID), 'INVALID_TYPE')
         }
 
-        this.subtractBalance(amount, senderMemberID, sendingReason || 'sending money to {user}')
-        this.addBalance(amount, receiverMemberID, receivingReason || 'receiving money from {user}')
+        const senderBalance = this.getBalance(senderMemberID)
+        const receiverBalance = this.getBalance(receiverMemberID)
+
+        const overdraft = this.database.fetch(`${this.guildID}.settings.overdraft`) || this.options.overdraft
+
+        if (senderBalance - amount < overdraftLimit(overdraft)) {
+            return { status: false, reason: 'insufficient funds' }
+        }
+
+        this.database.transaction(() => {
+            this.setBalance(senderBalance - amount, senderMemberID, sendingReason, false)
+            this.setBalance(receiverBalance + amount, receiverMemberID, receivingReason, false)
+
+            this._record(senderMemberID, {
+                type: 'customCurrencySubtract',
+                amount,
+                balanceBefore: senderBalance,
+                balanceAfter: senderBalance - amount,
+                reason: sendingReason || 'sending money to {user}',
+                counterparty: receiverMemberID
+            })
+
+            this._record(receiverMemberID, {
+                type: 'customCurrencyAdd',
+                amount,
+                balanceBefore: receiverBalance,
+                balanceAfter: receiverBalance + amount,
+                reason: receivingReason || 'receiving money from {user}',
+                counterparty: senderMemberID
+            })
+
+            this.emit('customCurrencySubtract', {
+                type: 'customCurrencySubtract',
+                guildID: this.guildID,
+                memberID: senderMemberID,
+                amount,
+                balance: senderBalance - amount,
+                currency: this,
+                reason: sendingReason || 'sending money to {user}'
+            })
+
+            this.emit('customCurrencyAdd', {
+                type: 'customCurrencyAdd',
+                guildID: this.guildID,
+                memberID: receiverMemberID,
+                amount,
+                balance: receiverBalance + amount,
+                currency: this,
+                reason: receivingReason || 'receiving money from {user}'
+            })
+        })
 
         return {
             success: true,
@@ -318,6 +408,22 @@ class Currency extends Emitter {
         }
     }
 
+    /**
+     * Records the money operation in the member's ledger.
+     * @param {string} memberID Member ID.
+     * @param {LedgerEntryData} entryData Ledger entry data.
+     * @returns {?LedgerEntry} Recorded ledger entry or 'null' if saving the ledger is disabled.
+     * @private
+     */
+    _record(memberID, entryData) {
+        const history = new HistoryManager(this.options, this.database)
+
+        return history.record(memberID, this.guildID, {
+            ...entryData,
+            currencyID: this.id
+        })
+    }
+
     /**
      * Saves the currency object in database.
      * @returns {Currency} Currency instance.
@@ -1,5 +1,14 @@
+const EconomyError = require('../util/EconomyError')
+
 const BalanceManager = require('../../managers/BalanceManager')
 const BankManager = require('../../managers/BankManager')
+const CurrencyManager = require('../../managers/CurrencyManager')
+const SeasonManager = require('../../managers/SeasonManager')
+const DatabaseManager = require('../../managers/DatabaseManager')
+
+const netWorth = require('../../structures/netWorth')
+const compareRanks = require('../../structures/compareRanks')
+const errors = require('../../structures/errors')
 
 
 /**
@@ -34,22 +43,151 @@ class Leaderboards {
         * @private
         */
         this._bank = new BankManager(options)
+
+        /**
+        * Database Manager.
+        * @type {DatabaseManager}
+        * @private
+        */
+        this.database = new DatabaseManager(options)
+
+        /**
+        * Currency Manager.
+        * @type {CurrencyManager}
+        * @private
+        */
+        this._currencies = new CurrencyManager(options, this.database)
+
+        /**
+        * Season Manager.
+        * @type {SeasonManager}
+        * @private
+        */
+        this._seasons = new SeasonManager(options, this.database)
     }
 
     /**
      * Gets a money leaderboard for the guild.
-     * @returns {BalanceLeaderboard[]} Balance leaderboard array.
+     *
+     * If the page options are specified, only the requested page of the leaderboard is returned.
+     * @param {LeaderboardPageOptions} [options] Leaderboard page options.
+     * @returns {BalanceLeaderboard[] | LeaderboardPage} Balance leaderboard array or its page.
      */
-    money() {
-        return this._balance.leaderboard(this.guildID)
+    money(options) {
+        return this._balance.leaderboard(this.guildID, options)
     }
 
     /**
      * Gets a bank balance leaderboard for the guild.
-     * @returns {BankLeaderboard[]} Bank balance leaderboard array.
+     *
+     * If the page options are specified, only the requested page of the leaderboard is returned.
+     * @param {LeaderboardPageOptions} [options] Leaderboard page options.
+     * @returns {BankLeaderboard[] | LeaderboardPage} Bank balance leaderboard array or its page.
+     */
+    bank(options) {
+        return this._bank.leaderboard(this.guildID, options)
+    }
+
+    /**
+     * Gets the leaderboard of the current guild season, sorted by the users' season gains.
+     *
+     * If the page options are specified, only the requested page of the leaderboard is returned.
+     * @param {LeaderboardPageOptions} [options] Leaderboard page options.
+     * @returns {SeasonLeaderboard[] | LeaderboardPage} Season leaderboard array or its page.
+     */
+    season(options) {
+        return this._seasons.leaderboard(this.guildID, options)
+    }
+
+    /**
+     * Gets the snapshots of all the past guild seasons.
+     * @returns {SeasonSnapshot[]} Archived season snapshots, from the oldest to the newest.
+     */
+    seasons() {
+        return this._seasons.archive(this.guildID)
+    }
+
+    /**
+     * Gets the snapshot of the past guild season.
+     * @param {number} seasonID Season ID.
+     * @returns {SeasonSnapshot} Archived season snapshot. If not found: null.
+     */
+    pastSeason(seasonID) {
+        return this._seasons.snapshot(seasonID, this.guildID)
+    }
+
+    /**
+     * Gets the user's place in the guild leaderboard and the users around them.
+     *
+     * The users with the same amount are ranked by their IDs in ascending order.
+     * @param {string} memberID Member ID.
+     * @param {RankOptions} [options] Rank options.
+     * @returns {RankData} User's rank data. If the user is not in the leaderboard: null.
+     */
+    rankOf(memberID, options = {}) {
+        const { type = 'money', range = 2 } = options || {}
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (type !== 'money' && type !== 'bank') {
+            throw new EconomyError(errors.invalidType('type', 'leaderboard type (money or bank)', type), 'INVALID_TYPE')
+        }
+
+        if (!Number.isInteger(range) || range < 0) {
+            throw new EconomyError(errors.invalidType('range', 'non-negative integer', range), 'INVALID_TYPE')
+        }
+
+        const entries = (type == 'bank' ? this.bank() : this.money())
+        const position = entries.findIndex(entry => entry.userID == memberID)
+
+        if (position == -1) {
+            return null
+        }
+
+        return {
+            ...entries[position],
+            totalUsers: entries.length,
+            entries: entries.slice(Math.max(position - range, 0), position + range + 1)
+        }
+    }
+
+    /**
+     * Gets a custom currency balance leaderboard for the guild.
+     * @param {string | number} currencyID Currency ID, its name or its symbol.
+     * @returns {CurrencyLeaderboard[]} Currency balance leaderboard array.
+     */
+    currency(currencyID) {
+        return this._currencies.leaderboard(currencyID, this.guildID)
+    }
+
+    /**
+     * Gets a net worth leaderboard for the guild.
+     *
+     * The net worth is the sum of the balance, bank balance, custom currency balances
+     * multiplied by their weights from the 'currencyWeights' setting and the inventory value.
+     * The users with the same net worth are ranked by their IDs in ascending order.
+     * @returns {NetWorthLeaderboard[]} Net worth leaderboard array.
      */
-    bank() {
-        return this._bank.leaderboard(this.guildID)
+    netWorth() {
+        const guildData = this.database.fetch(this.guildID) || {}
+        const currencyWeights = guildData.settings?.currencyWeights || {}
+
+        const userIDs = new Set(
+            Object.keys(guildData).filter(key => !isNaN(guildData[key]?.money))
+        )
+
+        for (const currency of guildData.currencies || []) {
+            for (const userID of Object.keys(currency.balances || {})) {
+                userIDs.add(userID)
+            }
+        }
+
+        return [...userIDs]
+            .map(userID => ({ userID, ...netWorth(userID, guildData, currencyWeights) }))
+            .sort(compareRanks('netWorth'))
+            .map((entry, index) => ({ index: index + 1, ...entry }))
     }
 }
 
@@ -63,12 +201,30 @@ module.exports = Leaderboards
 /**
  * @typedef {object} EconomyConfiguration Default Economy configuration.
  * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
+ * @property {StorageAdapter} [storage] Storage adapter to use instead of the storage file. Default: null.
  * @property {boolean} [checkStorage=true] Checks the if database file exists and if it has errors. Default: true
  * @property {number} [dailyCooldown=86400000]
  * Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
  *
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000]
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  *
@@ -84,6 +240,35 @@ module.exports = Leaderboards
  * @property {boolean} [subtractOnBuy=true]
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [sellingItemPercent=75]
  * Percent of the item's price it will be sold for. Default: 75.
  *
@@ -92,7 +277,12 @@ module.exports = Leaderboards
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
- * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
+ * @property {number} [updateCountdown=1000] Storage file checking and writing interval (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru'; 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
  * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
@@ -117,3 +307,59 @@ module.exports = Leaderboards
  * @property {string} userID User ID.
  * @property {number} money Amount of money.
  */
+
+/**
+ * Currency balance leaderboard object.
+ * @typedef {object} CurrencyLeaderboard
+ * @property {number} index User's place in the leaderboard.
+ * @property {string} userID User ID.
+ * @property {number} money User's balance in the currency.
+ */
+
+/**
+ * Net worth leaderboard object.
+ * @typedef {object} NetWorthLeaderboard
+ * @property {number} index User's place in the leaderboard.
+ * @property {string} userID User ID.
+ * @property {number} netWorth Total net worth of the user.
+ * @property {number} balance User's balance.
+ * @property {number} bank User's bank balance.
+ * @property {number} currencies Sum of the user's custom currency balances multiplied by their weights.
+ * @property {number} inventory Value of the user's inventory items.
+ */
+
+/**
+ * @typedef {object} RankOptions
+ * @property {'money' | 'bank'} [type='money'] Leaderboard to get the rank in. Default: 'money'.
+ * @property {number} [range=2] Amount of users above and below the user to include. Default: 2.
+ */
+
+/**
+ * User's rank data object.
+ * @typedef {object} RankData
+ * @property {number} index User's place in the leaderboard.
+ * @property {string} userID User ID.
+ * @property {number} money Amount of money.
+ * @property {number} totalUsers Total amount of users in the leaderboard.
+ * @property {BalanceLeaderboard[]} entries The leaderboard entries around the user, including the user.
+ */
+
+/**
+ * Season leaderboard object.
+ * @typedef {object} SeasonLeaderboard
+ * @property {number} index User's place in the leaderboard.
+ * @property {string} userID User ID.
+ * @property {number} money Change of the user's balance and bank balance during the season.
+ */
+
+/**
+ * @typedef {object} SeasonSnapshot
+ * @property {number} id Season ID.
+ * @property {string} name Season name.
+ * @property {number} startedAt Season start timestamp.
+ * @property {number} endsAt Planned season end timestamp.
+ * @property {number} endedAt Season end timestamp.
+ * @property {'none' | 'reset' | 'decay'} balanceReset What happened to the balances when the season ended.
+ * @property {number} decay Percent of the balances that was taken when the season ended in 'decay' mode.
+ * @property {SeasonLeaderboard[]} leaderboard Final leaderboard of the season.
+ */
@@ -1,7 +1,15 @@
 const EconomyError = require('../util/EconomyError')
 const errors = require('../../structures/errors')
+const isValidEffects = require('../../structures/isValidEffects')
+const isValidRestock = require('../../structures/isValidRestock')
+const itemPrices = require('../../structures/itemPrices')
+const itemPrice = require('../../structures/itemPrice')
+const itemListing = require('../../structures/itemListing')
+const shopSearch = require('../../structures/shopSearch')
+const itemRequirements = require('../../structures/itemRequirements')
 
 const BaseManager = require('../../managers/BaseManager')
+const ShopManager = require('../../managers/ShopManager')
 
 const ShopItem = require('../ShopItem')
 
@@ -26,16 +34,25 @@ class Shop extends BaseManager {
          * @private
          */
         this.guildID = guildID
+
+        /**
+         * Shop manager.
+         * @type {ShopManager}
+         * @private
+         */
+        this._shop = new ShopManager(options)
     }
 
     /**
     * Gets the item in the shop.
+    *
+    * Hidden items can only be found by their ID.
     * @param {string | number} itemID Item ID.
     * @returns {ShopItem} Shop item.
     */
     findItem(itemID) {
         const shop = this.all()
-        const item = shop.find(item => item.id == itemID || item.name == itemID)
+        const item = shop.find(item => item.id == itemID || (!item.hidden && item.name == itemID))
 
         if (typeof itemID !== 'number' && typeof itemID !== 'string') {
             throw new EconomyError(errors.invalidType('itemID', 'string or number', itemID), 'INVALID_TYPE')
@@ -50,6 +67,12 @@ class Shop extends BaseManager {
      * @returns {ShopItem[]} Guild shop array.
      */
     all() {
+
+        // the shop manager is not set yet when the base manager counts the items in its constructor
+        if (this._shop) {
+            this._shop.restock(this.guildID)
+        }
+
         const items = this.database.fetch(`${this.guildID}.shop`) || []
         return items.map(item => new ShopItem(this.guildID, item, this.database))
     }
@@ -65,6 +88,19 @@ class Shop extends BaseManager {
         return this.findItem(itemID)
     }
 
+    /**
+     * Searches the items in the shop by their names and returns the requested page of the results.
+     *
+     * The search is case-insensitive and fuzzy. Hidden items and items that are not available
+     * at the moment are not listed.
+     * @param {string} query Search query. If empty, all the listed items are found.
+     * @param {ShopSearchOptions} [options] Search options.
+     * @returns {ShopSearchPage} Requested page of the search results.
+     */
+    search(query, options = {}) {
+        return shopSearch(this.all(), query, options)
+    }
+
     /**
      * Creates an item in shop.
      * @param {AddItemOptions} options Configuration with item info.
@@ -75,9 +111,13 @@ class Shop extends BaseManager {
 
         const {
             itemName, price, message, custom,
-            description, maxAmount, role
+            description, maxAmount, role, duration, effects,
+            stock, restock, prices
         } = options
 
+        const listing = itemListing(options)
+        const requirements = itemRequirements(options.requirements)
+
         const dateLocale = this.database.fetch(`${this.guildID}.settings.dateLocale`)
             || this.options.dateLocale
 
@@ -105,7 +145,7 @@ class Shop extends BaseManager {
             throw new EconomyError(errors.invalidTypes.addItemOptions.name + typeof name, 'INVALID_TYPE')
         }
 
-        if (isNaN(price)) {
+        if (isNaN(price) && (price !== undefined || prices == undefined)) {
             throw new EconomyError(errors.invalidTypes.addItemOptions.price + typeof price, 'INVALID_TYPE')
         }
 
@@ -129,14 +169,43 @@ class Shop extends BaseManager {
             throw new EconomyError(errors.invalidTypes.addItemOptions.role + typeof role, 'INVALID_TYPE')
         }
 
+        if (duration != undefined && (isNaN(duration) || duration < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.duration + duration, 'INVALID_TYPE')
+        }
+
+        if (effects != undefined && !isValidEffects(effects)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.effects, 'INVALID_TYPE')
+        }
+
+        if (stock != undefined && (isNaN(stock) || stock < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.stock + stock, 'INVALID_TYPE')
+        }
+
+        if (restock != undefined && !isValidRestock(restock)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.restock, 'INVALID_TYPE')
+        }
+
+        const currencies = this.database.fetch(`${this.guildID}.currencies`) || []
+
+        const resolvedPrices = prices == undefined ? null : itemPrices(prices, currencies, this.guildID)
+        const mainPrice = resolvedPrices && itemPrice({ prices: resolvedPrices }, 'money', currencies, this.guildID)
+
         const itemInfo = {
             id: shop?.length ? shop[shop.length - 1].id + 1 : 1,
             name,
-            price,
+            price: price === undefined ? mainPrice?.money ?? 0 : price,
+            prices: resolvedPrices,
             message: message || 'You have used this item!',
             description: description || 'Very mysterious item.',
             maxAmount: maxAmount == undefined ? null : Number(maxAmount),
             role: role || null,
+            duration: duration ? Number(duration) : null,
+            effects: effects || [],
+            stock: stock == undefined ? (restock ? 0 : null) : Number(stock),
+            restock: restock || null,
+            lastRestock: restock ? Date.now() : null,
+            ...listing,
+            requirements,
             date,
             custom: custom || {}
         }
@@ -164,15 +233,31 @@ class Shop extends BaseManager {
     /**
      * Edits the item in the shop.
      * @param {string | number} itemID Item ID or name.
-     * @param {'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role'} itemProperty
+     * @param {'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role' | 'custom' | 'duration' |
+     * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+     * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
      * This argument means what thing in item you want to edit (item property).
-     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+     * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+     * 'availableFrom', 'availableUntil', 'requirements'.
      *
      * @param {any} value Any value to set.
      * @returns {boolean} If edited successfully: true, else: false.
      */
     editItem(itemID, itemProperty, value) {
-        const itemProperties = ['description', 'price', 'name', 'message', 'maxAmount', 'role', 'custom']
+        const itemProperties = [
+            'description', 'price', 'name', 'message',
+            'maxAmount', 'role', 'custom', 'duration', 'effects',
+            'stock', 'restock', 'prices', 'category',
+            'sortOrder', 'hidden', 'availableFrom', 'availableUntil', 'requirements'
+        ]
+
+        const listingProperties = itemProperties.slice(12, 17)
+
+        const nullableProperties = [
+            'stock', 'restock', 'prices', 'category',
+            'availableFrom', 'availableUntil', 'requirements'
+        ]
 
         if (typeof itemID !== 'number' && typeof itemID !== 'string') {
             throw new EconomyError(errors.invalidType('itemID', 'string or number', itemID), 'INVALID_TYPE')
@@ -186,12 +271,37 @@ class Shop extends BaseManager {
             throw new EconomyError(errors.invalidTypes.editItemArgs.itemProperty + itemProperty, 'INVALID_TYPE')
         }
 
-        if (value == undefined) {
+        if (value == undefined && !nullableProperties.includes(itemProperty)) {
             throw new EconomyError(errors.invalidTypes.editItemArgs.itemProperty + value, 'INVALID_TYPE')
         }
 
+        if (itemProperty == 'duration' && (isNaN(value) || value < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.duration + value, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'effects' && !isValidEffects(value)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.effects, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'stock' && value !== null && (isNaN(value) || value < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.stock + value, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'restock' && value !== null && !isValidRestock(value)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.restock, 'INVALID_TYPE')
+        }
+
+        if (listingProperties.includes(itemProperty)) {
+            const shop = this.database.fetch(`${this.guildID}.shop`) || []
+            const item = shop.find(item => item.id == itemID || item.name == itemID)
+
+            // validating the new value together with the other listing options of the item
+            // keeps its availability window valid
+            value = itemListing({ ...item, [itemProperty]: value })[itemProperty]
+        }
+
         const edit = (itemProperty, value) => {
-            const shop = this.all(this.guildID)
+            const shop = this.database.fetch(`${this.guildID}.shop`) || []
 
             const itemIndex = shop.findIndex(item => item.id == itemID || item.name == itemID)
             const item = shop[itemIndex]
@@ -199,10 +309,19 @@ class Shop extends BaseManager {
             if (!item) return false
 
             item[itemProperty] = value
+
+            if (itemProperty == 'restock' && value && item.stock == undefined) {
+                item.stock = 0
+            }
+
+            if (itemProperty == 'stock' || itemProperty == 'restock') {
+                item.lastRestock = item.restock ? Date.now() : null
+            }
+
             this.database.pull(`${this.guildID}.shop`, itemIndex, item)
 
             this.emit('shopItemEdit', {
-                item,
+                item: new ShopItem(this.guildID, item, this.database),
                 guildID: this.guildID,
                 changedProperty: itemProperty,
                 oldValue: item[itemProperty],
@@ -232,6 +351,47 @@ class Shop extends BaseManager {
             case itemProperties[5]:
                 return edit(itemProperties[5], value)
 
+            case itemProperties[6]:
+                return edit(itemProperties[6], value)
+
+            case itemProperties[7]:
+                return edit(itemProperties[7], value)
+
+            case itemProperties[8]:
+                return edit(itemProperties[8], value)
+
+            case itemProperties[9]:
+                return edit(itemProperties[9], value)
+
+            case itemProperties[10]:
+                return edit(itemProperties[10], value)
+
+            case itemProperties[11]:
+                return edit(
+                    itemProperties[11],
+                    value === null
+                        ? null
+                        : itemPrices(value, this.database.fetch(`${this.guildID}.currencies`) || [], this.guildID)
+                )
+
+            case itemProperties[12]:
+                return edit(itemProperties[12], value)
+
+            case itemProperties[13]:
+                return edit(itemProperties[13], value)
+
+            case itemProperties[14]:
+                return edit(itemProperties[14], value)
+
+            case itemProperties[15]:
+                return edit(itemProperties[15], value)
+
+            case itemProperties[16]:
+                return edit(itemProperties[16], value)
+
+            case itemProperties[17]:
+                return edit(itemProperties[17], itemRequirements(value))
+
             default:
                 return null
         }
@@ -242,9 +402,13 @@ class Shop extends BaseManager {
      *
      * This method is an alias for the `Shop.editItem()` method.
      * @param {string | number} itemID Item ID or name.
-     * @param {'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role'} itemProperty
+     * @param {'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role' | 'custom' | 'duration' |
+     * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+     * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
      * This argument means what thing in item you want to edit (item property).
-     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+     * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+     * 'availableFrom', 'availableUntil', 'requirements'.
      *
      * @param {any} value Any value to set.
      * @returns {boolean} If edited successfully: true, else: false.
@@ -295,9 +459,25 @@ module.exports = Shop
  * @property {number} id Item ID.
  * @property {string} name Item name.
  * @property {number} price Item price.
+ * @property {?ItemPrice[]} prices
+ * Prices of the item in the currencies. 'null' means the item is sold for its price in the main balance.
+ *
  * @property {string} message The message that will be returned on item use.
  * @property {string} description Item description.
  * @property {string} role ID of Discord Role that will be given to the user on item use.
+ * @property {?number} duration How long the item lasts after it was bought (in ms). 'null' means forever.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
+ * @property {?number} stock Amount of the items left in the shop. 'null' means unlimited.
+ * @property {?ItemRestockOptions} restock Restock schedule of the item. 'null' means the item is never restocked.
+ * @property {?number} lastRestock Timestamp of the last restock of the item.
+ * @property {?string} category Item category. 'null' means the item has no category.
+ * @property {number} sortOrder Position of the item in the search results, in ascending order.
+ * @property {boolean} hidden If true, the item can only be found or bought by its ID.
+ * @property {?number} availableFrom Timestamp when the item becomes available. 'null' means always.
+ * @property {?number} availableUntil Timestamp when the item stops being available. 'null' means never.
+ * @property {?ItemRequirements} requirements
+ * Requirements that the member must meet to buy the item. 'null' means anyone can buy the item.
+ *
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was added in the shop.
  * @property {object} custom Custom item properties object.
@@ -306,11 +486,31 @@ module.exports = Shop
 /**
  * @typedef {object} AddItemOptions Configuration with item info for 'Economy.shop.addItem' method.
  * @property {string} name Item name.
- * @property {string | number} price Item price.
+ * @property {string | number} [price]
+ * Item price. Can be omitted if the prices are specified: then the price in the main balance is used, or 0.
+ *
  * @property {string} [message='You have used this item!'] Item message that will be returned on use.
  * @property {string} [description='Very mysterious item.'] Item description.
  * @property {string | number} [maxAmount=null] Max amount of the item that user can hold in their inventory.
  * @property {string} [role=null] Role **ID** from your Discord server.
+ * @property {number} [duration=null] How long the item lasts after it was bought (in ms). 'null' means forever.
+ * @property {ItemEffect[]} [effects=[]] Effects that will be applied on item use.
+ * @property {number} [stock=null]
+ * Amount of the items in the shop. 'null' means unlimited. If the restock schedule is specified, defaults to 0.
+ *
+ * @property {ItemRestockOptions} [restock=null] Restock schedule of the item.
+ * @property {ItemPrice[]} [prices=null]
+ * Prices of the item in the currencies, by the currency ID, name or symbol, or 'money' for the main balance.
+ * All the currencies of one price are charged together. If specified, the item can only be bought for them.
+ *
+ * @property {string} [category=null] Item category.
+ * @property {number} [sortOrder=0] Position of the item in the search results, in ascending order. Default: 0.
+ * @property {boolean} [hidden=false]
+ * If true, the item is not listed in the search results and can only be found or bought by its ID. Default: false.
+ *
+ * @property {Date | number} [availableFrom=null] Date when the item becomes available. Default: null.
+ * @property {Date | number} [availableUntil=null] Date when the item stops being available. Default: null.
+ * @property {ItemRequirementsOptions} [requirements=null] Requirements that the member must meet to buy the item.
  * @property {object} [custom] Custom item properties object.
  * @returns {ItemData} Item info.
  */
@@ -318,12 +518,30 @@ module.exports = Shop
 /**
  * @typedef {object} EconomyConfiguration Default Economy configuration.
  * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
+ * @property {StorageAdapter} [storage] Storage adapter to use instead of the storage file. Default: null.
  * @property {boolean} [checkStorage=true] Checks the if database file exists and if it has errors. Default: true
  * @property {number} [dailyCooldown=86400000]
  * Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
  *
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000]
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  *
@@ -339,6 +557,35 @@ module.exports = Shop
  * @property {boolean} [subtractOnBuy=true]
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [sellingItemPercent=75]
  * Percent of the item's price it will be sold for. Default: 75.
  *
@@ -347,7 +594,12 @@ module.exports = Shop
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
- * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
+ * @property {number} [updateCountdown=1000] Storage file checking and writing interval (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru'; 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
  * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
@@ -1,5 +1,9 @@
 const ms = require('../../structures/ms')
 const parse = require('../../structures/timeParser.js')
+const customRewards = require('../../structures/customRewards')
+const cooldownEnd = require('../../structures/cooldownEnd')
+
+const CooldownManager = require('../../managers/CooldownManager')
 
 class Cooldowns {
 
@@ -11,6 +15,9 @@ class Cooldowns {
      */
     constructor(userObject, options, database) {
         const settings = database.get(`${userObject.guildID}.settings`)
+        const jobs = database.get(`${userObject.guildID}.jobs`) || []
+
+        const job = jobs.find(job => job.id == userObject.employment?.jobID)
 
         /**
         * Guild ID.
@@ -51,17 +58,39 @@ class Cooldowns {
          */
         this._rewardCooldowns = {
             daily: settings?.dailyCooldown || options.dailyCooldown,
-            work: settings?.workCooldown || options.workCooldown,
+            work: job?.cooldown || settings?.workCooldown || options.workCooldown,
             weekly: settings?.weeklyCooldown || options.weeklyCooldown,
             monthly: settings?.monthlyCooldown || options.monthlyCooldown,
             hourly: settings?.hourlyCooldown || options.hourlyCooldown
         }
 
+        for (const [name, customReward] of customRewards(options)) {
+            this._cooldowns[name] = userObject.rewardCooldowns?.[name]
+            this._rewardCooldowns[name] = settings?.rewards?.[name]?.cooldown || customReward.cooldown
+        }
+
+        /**
+         * Reward reset mode and time zone of the guild.
+         * @type {{ resetMode: ResetMode, timeZone: string }}
+         * @private
+         */
+        this._resetOptions = {
+            resetMode: settings?.resetMode || options.resetMode,
+            timeZone: settings?.timeZone || options.timeZone
+        }
+
         /**
          * Database Manager.
          * @type {DatabaseManager}
          */
         this._database = database
+
+        /**
+         * Cooldown Manager.
+         * @type {CooldownManager}
+         * @private
+         */
+        this._cooldownManager = new CooldownManager(options, database)
     }
 
     /**
@@ -111,12 +140,15 @@ class Cooldowns {
 
         for (const [rewardType, userCooldown] of Object.entries(rawCooldownsObject)) {
             const rewardCooldown = this._rewardCooldowns[rewardType]
-            const cooldownEndTime = rewardCooldown - (Date.now() - userCooldown)
+            const { resetMode, timeZone } = this._resetOptions
+
+            const cooldownEndTimestamp = cooldownEnd(rewardType, userCooldown, rewardCooldown, resetMode, timeZone)
+            const cooldownEndTime = cooldownEndTimestamp - Date.now()
 
             const cooldownObject = userCooldown ? {
                 time: parse(cooldownEndTime),
                 pretty: ms(cooldownEndTime),
-                endTimestamp: userCooldown
+                endTimestamp: cooldownEndTimestamp
             } : null
 
             result[rewardType] = cooldownObject
@@ -134,7 +166,9 @@ class Cooldowns {
             this.clearDaily(),
             this.clearWork(),
             this.clearWeekly(),
-            this.clearM()
+            this.clearMonthly(),
+            this.clearHourly(),
+            this._database.delete(`${this.guildID}.${this.memberID}.rewardCooldowns`)
         ]
 
         if (results.some(result => !result)) {
@@ -188,6 +222,52 @@ class Cooldowns {
         const result = this._database.delete(`${this.guildID}.${this.memberID}.hourlyCooldown`)
         return result
     }
+
+    /**
+     * Clears user's cooldown of the registered custom reward.
+     * @param {string} name Name of the registered reward.
+     * @returns {boolean} If cleared: true; else: false.
+     */
+    clearCustom(name) {
+        const result = this._database.delete(`${this.guildID}.${this.memberID}.rewardCooldowns.${name}`)
+        return result
+    }
+
+    /**
+     * Sets the user's named cooldown.
+     * @param {string} name Cooldown name.
+     * @param {number | string} duration Cooldown duration: in ms or a time string (e.g. '30m').
+     * @returns {CooldownData} Cooldown object.
+     */
+    set(name, duration) {
+        return this._cooldownManager.set(name, this.memberID, this.guildID, duration)
+    }
+
+    /**
+     * Checks the user's named cooldown.
+     * @param {string} name Cooldown name.
+     * @returns {CooldownData} Cooldown object or 'null' if the cooldown is not active.
+     */
+    check(name) {
+        return this._cooldownManager.check(name, this.memberID, this.guildID)
+    }
+
+    /**
+     * Clears the user's named cooldown.
+     * @param {string} name Cooldown name.
+     * @returns {boolean} If cleared: true; else: false.
+     */
+    clear(name) {
+        return this._cooldownManager.clear(name, this.memberID, this.guildID)
+    }
+
+    /**
+     * Lists all the user's active named cooldowns.
+     * @returns {Record<string, CooldownData>} Object with the cooldown names as keys.
+     */
+    list() {
+        return this._cooldownManager.list(this.memberID, this.guildID)
+    }
 }
 
 /**
@@ -213,6 +293,9 @@ module.exports = Cooldowns
  * @property {number} weeklyCooldown User's weekly cooldown.
  * @property {number} monthlyCooldown User's monthly cooldown.
  * @property {number} hourlyCooldown User's hourly cooldown.
+ * @property {Record<string, number>} [rewardCooldowns] User's cooldowns of the registered custom rewards.
+ * @property {Record<string, number>} [namedCooldowns] End timestamps of the user's named cooldowns.
+ * @property {RawEmploymentData} [employment] User's employment.
  * @property {number} money User's balance.
  * @property {number} bank User's bank balance.
  * @property {InventoryData} inventory User's inventory.
@@ -221,15 +304,41 @@ module.exports = Cooldowns
  * @property {string} guildID Guild ID.
  */
 
+/**
+ * @typedef {object} RawEmploymentData Raw user's employment object from database.
+ * @property {number} jobID ID of the job the user is employed in.
+ * @property {number} shifts Amount of shifts the user has worked since they were hired or promoted.
+ * @property {number} hiredAt The time when the user was hired.
+ * @property {?number} promotedAt The time when the user was promoted the last time.
+ */
+
 /**
  * @typedef {object} EconomyConfiguration Default Economy configuration.
  * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
+ * @property {StorageAdapter} [storage] Storage adapter to use instead of the storage file. Default: null.
  * @property {boolean} [checkStorage=true] Checks the if database file exists and if it has errors. Default: true
  * @property {number} [dailyCooldown=86400000]
  * Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
  *
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000]
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  *
@@ -245,6 +354,35 @@ module.exports = Cooldowns
  * @property {boolean} [subtractOnBuy=true]
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
  * @property {number} [sellingItemPercent=75]
  * Percent of the item's price it will be sold for. Default: 75.
  *
@@ -253,7 +391,12 @@ module.exports = Cooldowns
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
- * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
+ * @property {number} [updateCountdown=1000] Storage file checking and writing interval (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru'; 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
  * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
@@ -0,0 +1,211 @@
+const JobManager = require('../../managers/JobManager')
+
+
+/**
+ * User jobs.
+ */
+class Jobs {
+
+    /**
+     * Jobs constructor.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {EconomyConfiguration} options Economy configuration.
+     * @param {DatabaseManager} database Database manager.
+     */
+    constructor(memberID, guildID, options, database) {
+
+        /**
+        * Member ID.
+        * @type {string}
+        */
+        this.memberID = memberID
+
+        /**
+         * Guild ID.
+         * @type {string}
+         */
+        this.guildID = guildID
+
+        /**
+         * Economy configuration.
+         * @type {EconomyConfiguration}
+         */
+        this.options = options
+
+        /**
+         * Job Manager.
+         * @type {JobManager}
+         * @private
+         */
+        this._jobs = new JobManager(options, database)
+    }
+
+    /**
+     * Gets the user's current employment.
+     * @returns {EmploymentData} User's employment or 'null' if the user is not employed.
+     */
+    current() {
+        return this._jobs.current(this.memberID, this.guildID)
+    }
+
+    /**
+     * Employs the user in the job.
+     * @param {string | number} jobID Job ID or name.
+     * @returns {JobOperationInfo} Operation information object.
+     */
+    apply(jobID) {
+        return this._jobs.apply(jobID, this.memberID, this.guildID)
+    }
+
+    /**
+     * Makes the user quit their job.
+     * @returns {JobOperationInfo} Operation information object.
+     */
+    quit() {
+        return this._jobs.quit(this.memberID, this.guildID)
+    }
+
+    /**
+     * Promotes the user to another job.
+     *
+     * @param {string | number} [jobID]
+     * ID or name of the job to promote the user to. Default: the 'promoteTo' job of the current job.
+     *
+     * @returns {JobOperationInfo} Operation information object.
+     */
+    promote(jobID) {
+        return this._jobs.promote(this.memberID, this.guildID, jobID)
+    }
+}
+
+/**
+ * @typedef {object} Job
+ * @property {number} id Job ID.
+ * @property {string} name Job name.
+ * @property {string} description Job description.
+ * @property {number | number[]} pay Amount of money for each shift. Could be a [min, max] range.
+ * @property {?number} cooldown Cooldown between the shifts (in ms). 'null' means the work reward cooldown.
+ * @property {number} requiredLevel Minimal user level to apply for the job.
+ * @property {Array<string | number>} requiredItems IDs or names of the items the user must have to apply.
+ * @property {string[]} messages Flavor messages; one of them is picked randomly for each shift.
+ * @property {?number} promoteAfter Amount of shifts after which the user is promoted.
+ * @property {?(string | number)} promoteTo ID or name of the job the user is promoted to.
+ * @property {number} createdAt The time when the job was created.
+ */
+
+/**
+ * @typedef {object} EmploymentData
+ * @property {Job} job The job the user is employed in.
+ * @property {number} shifts Amount of shifts the user has worked since they were hired or promoted.
+ * @property {number} hiredAt The time when the user was hired.
+ * @property {?number} promotedAt The time when the user was promoted the last time.
+ */
+
+/**
+ * @typedef {object} JobOperationInfo
+ * @property {boolean} status Operation status.
+ * @property {string} message Operation message.
+ * @property {Job} job Job object.
+ * @property {EmploymentData} employment User's employment after the operation.
+ */
+
+/**
+ * @typedef {object} EconomyConfiguration Default Economy configuration.
+ * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
+ * @property {StorageAdapter} [storage] Storage adapter to use instead of the storage file. Default: null.
+ * @property {boolean} [checkStorage=true] Checks the if database file exists and if it has errors. Default: true
+ * @property {number} [dailyCooldown=86400000]
+ * Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
+ *
+ * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
+ * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
+ * @property {number} [weeklyCooldown=604800000]
+ * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
+ *
+ * @property {number} [sellingItemPercent=75]
+ * Percent of the item's price it will be sold for. Default: 75.
+ *
+ * @property {boolean} [deprecationWarnings=true]
+ * If true, the deprecation warnings will be sent in the console.
+ *
+ * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
+ *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
+ * @property {number | number[]} [weeklyAmount=100] Amount of money for Weekly Reward. Default: 1000.
+ * @property {number | number[]} [workAmount=[10, 50]] Amount of money for Work Reward. Default: [10, 50].
+ *
+ * @property {number | number[]} [monthlyAmount=10000] Amount of money for Monthly Reward. Default: 10000.
+ * @property {number} [monthlyCooldown=2629746000] Cooldown for Weekly Reward (in ms). Default: 1 month (2629746000 ms).
+ * 
+ * @property {number | number[]} [hourlyAmount=20] Amount of money for Hourly Reward. Default: 20.
+ * @property {number} [hourlyCooldown=3600000] Cooldown for Hourly Reward (in ms). Default: 1 hour (3600000 ms).
+ *
+ * @property {boolean} [subtractOnBuy=true]
+ * If true, when someone buys the item, their balance will subtract by item price. Default: false
+ *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
+ * @property {number} [updateCountdown=1000] Storage file checking and writing interval (in ms). Default: 1000.
+ * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
+ * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
+ * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
+
+ * @property {CheckerConfiguration} [optionsChecker=CheckerConfiguration]
+ * Configuration for an 'Economy.utils.checkConfiguration' method.
+ * @property {boolean} [debug=false] Enables or disables the debug mode.
+ */
+
+/**
+ * Jobs class.
+ * @type {Jobs}
+ */
+module.exports = Jobs
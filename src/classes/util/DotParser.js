@@ -1,6 +1,4 @@
-const { writeFileSync } = require('fs')
-
-const FetchManager = require('../../managers/FetchManager')
+const StorageEngine = require('./StorageEngine')
 const DefaultConfiguration = require('../../structures/DefaultConfiguration')
 
 
@@ -14,8 +12,9 @@ class DotParser {
      * Economy configuration.
      * @param {object} options Economy configuration.
      * @param {string} options.storagePath Full path to a JSON file. Default: './storage.json'.
+     * @param {StorageEngine} [storage] Storage engine to work with. Default: the storage engine of the storage file.
      */
-    constructor(options = {}) {
+    constructor(options = {}, storage) {
 
         /**
          * Economy configuration.
@@ -25,11 +24,11 @@ class DotParser {
         this.options = options
 
         /**
-         * Fetch manager methods class.
-         * @type {FetchManager}
+         * Storage engine.
+         * @type {StorageEngine}
          * @private
          */
-        this.fetcher = new FetchManager(options)
+        this.storage = storage || StorageEngine.for(options)
 
         if (!options.storagePath) this.storagePath = DefaultConfiguration.storagePath
     }
@@ -40,13 +39,25 @@ class DotParser {
     * @returns {any | boolean} The data from database or 'false' if failed to parse or 'null' if nothing found.
     */
     parse(key) {
-        let parsed = this.fetcher.fetchAll()
-
         if (!key) return false
         if (typeof key !== 'string') return false
 
+        return this.clone(this._find(key))
+    }
+
+    /**
+     * Finds the value by the key in the data tree in memory.
+     *
+     * [!] The value is not copied, so it must not be changed.
+     * @param {string} key The key in database.
+     * @returns {any} The value from the data tree or 'null' if nothing found.
+     * @private
+     */
+    _find(key) {
         const keys = key.split('.')
-        let tmp = parsed
+
+        let parsed = null
+        let tmp = this.storage.data
 
         for (let i = 0; i < keys.length; i++) {
             if ((keys.length - 1) == i) {
@@ -67,7 +78,7 @@ class DotParser {
      */
     set(key, value) {
         const { isObject } = this
-        const storageData = this.fetcher.fetchAll()
+        const storageData = this.storage.data
 
         if (!key) return false
         if (typeof key !== 'string') return false
@@ -82,7 +93,7 @@ class DotParser {
         for (let i = 0; i < keys.length; i++) {
 
             if ((keys.length - 1) == i) {
-                tmp[keys[i]] = value
+                tmp[keys[i]] = this.clone(value)
 
             } else if (!isObject(tmp[keys[i]])) {
                 tmp[keys[i]] = {}
@@ -91,8 +102,7 @@ class DotParser {
             tmp = tmp?.[keys[i]]
         }
 
-        writeFileSync(this.options.storagePath || './storage.json', JSON.stringify(storageData, null, '\t'))
-
+        this.storage.markDirty()
         return true
     }
 
@@ -103,13 +113,12 @@ class DotParser {
      */
     remove(key) {
         const { isObject } = this
-        const storageData = this.fetcher.fetchAll()
+        const storageData = this.storage.data
 
         if (!key) return false
         if (typeof key !== 'string') return false
 
-        const data = this.parse(key)
-        if (data == null) return false
+        if (this._find(key) == null) return false
 
         const keys = key.split('.')
         let tmp = storageData
@@ -125,11 +134,67 @@ class DotParser {
             tmp = tmp[keys[i]]
         }
 
-        writeFileSync(this.options.storagePath || './storage.json', JSON.stringify(storageData, null, '\t'))
+        this.storage.markDirty()
+        return true
+    }
+
+    /**
+     * Parses the key and pushes the value to the array in database.
+     *
+     * The array is changed in place, so it's not copied on every push.
+     * @param {string} key The key in database.
+     * @param {any} value Any value to push.
+     * @returns {boolean} If pushed successfully: true; else: false
+     */
+    push(key, value) {
+        if (!key) return false
+        if (typeof key !== 'string') return false
+
+        if (value == undefined) return false
+
+        const array = this._find(key)
+
+        if (array == null) return this.set(key, [value])
+        if (!Array.isArray(array)) return false
+
+        array.push(this.clone(value))
 
+        this.storage.markDirty()
         return true
     }
 
+    /**
+     * Parses the key and removes the element from the array in database.
+     *
+     * The array is changed in place, so it's not copied on every removal.
+     * @param {string} key The key in database.
+     * @param {number} index The index in the array.
+     * @returns {boolean} If removed successfully: true; else: false
+     */
+    pull(key, index) {
+        if (!key) return false
+        if (typeof key !== 'string') return false
+
+        const array = this._find(key)
+        if (!Array.isArray(array)) return false
+
+        array.splice(index, 1)
+
+        this.storage.markDirty()
+        return true
+    }
+
+    /**
+     * Makes a deep copy of the value, so the data in memory
+     * cannot be changed without writing it back through the parser.
+     * @param {any} value The value to copy.
+     * @returns {any} Copy of the value.
+     */
+    clone(value) {
+        if (typeof value !== 'object' || value === null) return value
+        return JSON.parse(JSON.stringify(value))
+    }
+
     /**
      * Checks for is the item object and returns it.
      * @param {any} item The item to check.
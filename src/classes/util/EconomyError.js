@@ -14,9 +14,15 @@ const errorCodes = [
     'READONLY_PROPERTY',
     'INVALID_PROPERTY',
     'CURRENCY_NOT_FOUND',
+    'ITEM_EFFECT_NOT_FOUND',
+    'REWARD_NOT_FOUND',
+    'EXCHANGE_RATE_NOT_FOUND',
+    'SEASON_ALREADY_STARTED',
+    'COUPON_ALREADY_EXISTS',
     'INVALID_ERROR_CODE',
     'MODULE_NOT_READY',
-    'STORAGE_FILE_ERROR'
+    'STORAGE_FILE_ERROR',
+    'STORAGE_ADAPTER_ERROR'
 ]
 
 /**
@@ -41,9 +47,15 @@ class EconomyError extends Error {
      * 'READONLY_PROPERTY' |
      * 'INVALID_PROPERTY' |
      * 'CURRENCY_NOT_FOUND' |
+     * 'ITEM_EFFECT_NOT_FOUND' |
+     * 'REWARD_NOT_FOUND' |
+     * 'EXCHANGE_RATE_NOT_FOUND' |
+     * 'SEASON_ALREADY_STARTED' |
+     * 'COUPON_ALREADY_EXISTS' |
      * 'INVALID_ERROR_CODE' |
      * 'MODULE_NOT_READY' |
-     * 'STORAGE_FILE_ERROR'} code Error code.
+     * 'STORAGE_FILE_ERROR' |
+     * 'STORAGE_ADAPTER_ERROR'} code Error code.
      */
     constructor(errorMessage = '', code = '') {
         if (errorMessage instanceof Error == 'Error') {
@@ -83,9 +95,15 @@ class EconomyError extends Error {
          * 'READONLY_PROPERTY' |
          * 'INVALID_PROPERTY' |
          * 'CURRENCY_NOT_FOUND' |
+         * 'ITEM_EFFECT_NOT_FOUND' |
+         * 'REWARD_NOT_FOUND' |
+         * 'EXCHANGE_RATE_NOT_FOUND' |
+         * 'SEASON_ALREADY_STARTED' |
+         * 'COUPON_ALREADY_EXISTS' |
          * 'INVALID_ERROR_CODE' |
          * 'MODULE_NOT_READY' |
-         * 'STORAGE_FILE_ERROR'}
+         * 'STORAGE_FILE_ERROR' |
+         * 'STORAGE_ADAPTER_ERROR'}
          */
         this.code = code
 
@@ -1,8 +1,15 @@
 const { EventEmitter } = require('events')
+const Logger = require('./Logger')
+const Transaction = require('./Transaction')
 
-const emitter = new EventEmitter({
-    captureRejections: true
-})
+/**
+ * Event emitters of the Economy instances.
+ *
+ * The emitters are stored by the configuration object of the Economy instance,
+ * so all the managers and classes that were created by the same instance share the same emitter.
+ * @type {WeakMap<EconomyConfiguration, EventEmitter>}
+ */
+const emitters = new WeakMap()
 
 
 /**
@@ -17,6 +24,36 @@ class Emitter {
     */
     constructor() { }
 
+    /**
+     * Gets the event emitter for the specified configuration object.
+     * @param {object} key Configuration object of the Economy instance.
+     * @returns {EventEmitter} Event emitter.
+     */
+    static for(key) {
+        if (!emitters.has(key)) {
+            emitters.set(key, new EventEmitter({
+                captureRejections: true
+            }))
+        }
+
+        return emitters.get(key)
+    }
+
+    /**
+     * Event emitter of the Economy instance that created this object.
+     *
+     * [!] If the object has no Economy configuration, it gets its own emitter.
+     * @type {EventEmitter}
+     * @private
+     */
+    get _emitter() {
+        const options = this.options
+
+        return Emitter.for(
+            typeof options == 'object' && options !== null ? options : this
+        )
+    }
+
     /**
      * Listens to the event.
      * @param {EconomyEvents} event Event name.
@@ -24,7 +61,7 @@ class Emitter {
      * @returns {Emitter} Economy Emitter.
      */
     on(event, listener) {
-        emitter.on(event, listener)
+        this._emitter.on(event, listener)
         return this
     }
 
@@ -35,18 +72,81 @@ class Emitter {
      * @returns {Emitter} Economy Emitter.
      */
     once(event, listener) {
-        emitter.once(event, listener)
+        this._emitter.once(event, listener)
+        return this
+    }
+
+    /**
+     * Removes the listener from the event.
+     * @param {EconomyEvents} event Event name.
+     * @param {Function} listener Callback function to remove.
+     * @returns {Emitter} Economy Emitter.
+     */
+    off(event, listener) {
+        this._emitter.off(event, listener)
         return this
     }
 
+    /**
+     * Removes the listener from the event.
+     *
+     * This method is an alias for `Emitter.off()` method.
+     * @param {EconomyEvents} event Event name.
+     * @param {Function} listener Callback function to remove.
+     * @returns {Emitter} Economy Emitter.
+     */
+    removeListener(event, listener) {
+        return this.off(event, listener)
+    }
+
+    /**
+     * Removes all the listeners from the event, or from all events if the event is not specified.
+     * @param {EconomyEvents} [event] Event name.
+     * @returns {Emitter} Economy Emitter.
+     */
+    removeAllListeners(event) {
+        if (event == undefined) this._emitter.removeAllListeners()
+        else this._emitter.removeAllListeners(event)
+
+        return this
+    }
+
+    /**
+     * Gets the number of listeners of the event.
+     * @param {EconomyEvents} event Event name.
+     * @returns {number} Number of listeners.
+     */
+    listenerCount(event) {
+        return this._emitter.listenerCount(event)
+    }
+
     /**
      * Emits the event.
+     *
+     * [!] The events emitted in a transaction are held until the transaction is committed.
      * @param {EconomyEvents} event Event name.
      * @param {any} data Any data to send.
      * @returns {boolean} If emitted: true; else: false.
      */
     emit(event, data) {
-        return emitter.emit(event, data)
+        const emitter = this._emitter
+        const transaction = Transaction.current()
+
+        const emitEvent = () => {
+            // logging here instead of listening to the events, so the debug mode doesn't change the listener counts
+            if (this.options?.debug) {
+                new Logger(this.options).debug(`"${event}" event is emitted.`)
+            }
+
+            return emitter.emit(event, data)
+        }
+
+        if (transaction) {
+            transaction.hold(emitEvent)
+            return true
+        }
+
+        return emitEvent()
     }
 }
 
@@ -58,9 +158,13 @@ module.exports = Emitter
 
 /**
  * @typedef {'balanceSet' | 'balanceAdd' | 'balanceSubtract' |
- * 'bankSet' | 'bankAdd' | 'bankSubtract' |
- * 'customCurrencySet' | 'customCurrencyAdd' | 'customCurrencySubtract' |
- * 'shopItemAdd' | 'shopItemEdit' | 'shopItemBuy' |
- * 'shopItemUse' | 'shopClear' |
- * 'ready' | 'destroy'} EconomyEvents Economy events.
+ * 'bankSet' | 'bankAdd' | 'bankSubtract' | 'bankInterest' |
+ * 'customCurrencySet' | 'customCurrencyAdd' | 'customCurrencySubtract' | 'currencyExchange' |
+ * 'shopItemAdd' | 'shopItemEdit' | 'shopItemBuy' | 'shopItemRestock' | 'shopItemSoldOut' |
+ * 'shopItemUse' | 'shopItemExpire' | 'shopItemRoleExpire' | 'shopClear' |
+ * 'couponCreate' | 'couponDelete' | 'couponUse' | 'saleCreate' | 'saleDelete' |
+ * 'dailyStreakIncrease' | 'dailyStreakBroken' |
+ * 'jobApply' | 'jobQuit' | 'jobPromote' |
+ * 'seasonStart' | 'seasonEnd' |
+ * 'storageError' | 'ready' | 'destroy'} EconomyEvents Economy events.
  */
@@ -0,0 +1,313 @@
+const { readFileSync, writeFileSync, existsSync, renameSync } = require('fs')
+const { resolve } = require('path')
+const { EventEmitter } = require('events')
+
+const DefaultConfiguration = require('../../structures/DefaultConfiguration')
+const errors = require('../../structures/errors')
+
+const EconomyError = require('./EconomyError')
+const Transaction = require('./Transaction')
+
+
+/**
+ * Storage engines for every storage file that is used in the process.
+ * @type {Map<string, StorageEngine>}
+ */
+const engines = new Map()
+
+
+/**
+ * Signals that the pending changes are written to the storage file on.
+ * @type {NodeJS.Signals[]}
+ */
+const signals = ['SIGINT', 'SIGTERM']
+
+
+/**
+ * In-memory write-behind storage engine for the JSON storage file.
+ *
+ * The storage file is read and parsed only once; all the reads and writes
+ * are performed on the parsed tree in memory. While the engine is started, changed data is written
+ * back to the file in batches every `updateCountdown` milliseconds, on process exit
+ * and when the process receives the SIGINT or SIGTERM signal. The pending changes
+ * are also written when the engine is stopped (e.g. on `Economy.kill()`).
+ *
+ * If writing the changes in the background fails, the engine emits the `flushError` event with the error.
+ * @extends {EventEmitter}
+ * @private
+ */
+class StorageEngine extends EventEmitter {
+
+    /**
+     * Storage Engine.
+     * @param {EconomyConfiguration} options Economy configuration.
+     * @param {string} options.storagePath Full path to a JSON file. Default: './storage.json'.
+     * @param {number} options.updateCountdown How often the pending changes will be written to the file (in ms).
+     */
+    constructor(options = {}) {
+        super()
+
+        /**
+         * Full path to a JSON file.
+         * @type {string}
+         */
+        this.storagePath = options.storagePath || DefaultConfiguration.storagePath
+
+        /**
+         * How often the pending changes will be written to the file (in ms).
+         * @type {number}
+         */
+        this.flushInterval = options.updateCountdown || DefaultConfiguration.updateCountdown
+
+        /**
+         * Parsed storage file data.
+         * @type {?object}
+         * @private
+         */
+        this._data = null
+
+        /**
+         * Whether the data in memory has the changes that were not written to the file yet.
+         * @type {boolean}
+         */
+        this.dirty = false
+
+        /**
+         * Flushing interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._interval = null
+
+        /**
+         * Number of the times the engine was started and not stopped yet.
+         * @type {number}
+         * @private
+         */
+        this._starts = 0
+
+        /**
+         * Writes the pending changes to the storage file when the process exits.
+         * @returns {void}
+         * @private
+         */
+        this._onExit = () => this.flush()
+
+        /**
+         * Writes the pending changes to the storage file when the process receives the signal.
+         * @param {NodeJS.Signals} signal The received signal.
+         * @returns {void}
+         * @private
+         */
+        this._onSignal = signal => {
+            this.flush()
+
+            // listening to the signal disables its default behavior,
+            // so the signal is raised again if nothing else handles it
+            if (!process.listenerCount(signal)) {
+                process.kill(process.pid, signal)
+            }
+        }
+    }
+
+    /**
+     * Gets the storage engine for the storage file from the specified configuration.
+     *
+     * All the managers that work with the same storage file share the same storage engine.
+     * @param {EconomyConfiguration} options Economy configuration.
+     * @returns {StorageEngine} Storage engine.
+     */
+    static for(options = {}) {
+        const storagePath = resolve(options.storagePath || DefaultConfiguration.storagePath)
+
+        if (!engines.has(storagePath)) {
+            engines.set(storagePath, new StorageEngine(options))
+        }
+
+        return engines.get(storagePath)
+    }
+
+    /**
+     * Starts writing the pending changes to the storage file in the background:
+     * every `updateCountdown` milliseconds, on process exit and when the process receives the SIGINT or SIGTERM signal.
+     *
+     * [!] The engine is shared by all the Economy instances that use the same storage file,
+     * so it's stopped only when `StorageEngine.stop()` is called as many times as it was started.
+     * @returns {StorageEngine} Storage engine.
+     */
+    start() {
+        this._starts++
+        if (this._interval) return this
+
+        this._interval = setInterval(() => {
+            try {
+                this.flush()
+            } catch (err) {
+                if (!this.emit('flushError', err)) console.error(err)
+            }
+        }, this.flushInterval)
+
+        this._interval.unref()
+        process.once('exit', this._onExit)
+
+        for (const signal of signals) {
+            process.once(signal, this._onSignal)
+        }
+
+        return this
+    }
+
+    /**
+     * Writes the pending changes to the storage file and stops writing them in the background.
+     * @returns {boolean} If the engine was stopped: true; else: false.
+     */
+    stop() {
+        this.flush()
+
+        if (this._starts > 1) {
+            this._starts--
+            return false
+        }
+
+        this._starts = 0
+
+        if (!this._interval) return false
+
+        clearInterval(this._interval)
+        this._interval = null
+
+        process.off('exit', this._onExit)
+
+        for (const signal of signals) {
+            process.off(signal, this._onSignal)
+        }
+
+        return true
+    }
+
+    /**
+     * Parsed storage file data.
+     *
+     * [!] This is the live data tree - any changes made to it
+     * must be followed by the `StorageEngine.markDirty()` call.
+     * @type {object}
+     */
+    get data() {
+        if (this._data == null) {
+            this.load()
+        }
+
+        return this._data
+    }
+
+    /**
+     * Reads and parses the storage file.
+     *
+     * [!] Throws the `STORAGE_FILE_ERROR` error if the storage file does not contain a JSON object.
+     * @returns {object} Parsed storage file data.
+     */
+    load() {
+        if (!existsSync(this.storagePath)) {
+            writeFileSync(this.storagePath, '{}')
+        }
+
+        const fileData = readFileSync(this.storagePath)
+        let data = null
+
+        try {
+            data = JSON.parse(fileData.toString())
+        } catch (err) {
+            throw new EconomyError(errors.storageMalformed, 'STORAGE_FILE_ERROR')
+        }
+
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            throw new EconomyError(errors.storageMalformed, 'STORAGE_FILE_ERROR')
+        }
+
+        this._data = data
+        this.dirty = false
+
+        return this._data
+    }
+
+    /**
+     * Replaces the whole data tree.
+     * @param {object} data New data tree.
+     * @returns {void}
+     */
+    replace(data) {
+        this._data = data
+        this.markDirty()
+    }
+
+    /**
+     * Marks the data as changed, so it will be written to the file on the next flush.
+     * @returns {void}
+     */
+    markDirty() {
+        this.dirty = true
+    }
+
+    /**
+     * Writes the pending changes to the storage file.
+     *
+     * The data is written to a temporary file first and then it's renamed
+     * to the storage file, so the storage file can never be left half-written.
+     *
+     * [!] Only the committed changes are written: the changes of the transactions that are still running
+     * are left out, and they are written on one of the next flushes after the transactions are committed.
+     * @returns {boolean} If any changes were written: true; else: false.
+     */
+    flush() {
+        if (!this.dirty || this._data == null) return false
+
+        const temporaryPath = `${this.storagePath}.${process.pid}.tmp`
+        const undoActions = Transaction.uncommitted(target => target?.storage === this)
+
+        const data = undoActions.length
+            ? this._revert(undoActions)
+            : this._data
+
+        writeFileSync(temporaryPath, JSON.stringify(data, null, '\t'))
+        renameSync(temporaryPath, this.storagePath)
+
+        this.dirty = undoActions.length > 0
+        return true
+    }
+
+    /**
+     * Reverts the uncommitted changes on a copy of the data.
+     * @param {UndoAction[]} undoActions The actions that revert the uncommitted changes, from the newest one.
+     * @returns {object} Copy of the data without the uncommitted changes.
+     * @private
+     */
+    _revert(undoActions) {
+        // required here because the memory storage adapter is built on top of the storage engine
+        const MemoryStorageAdapter = require('../../adapters/MemoryStorageAdapter')
+        const adapter = new MemoryStorageAdapter({}, JSON.parse(JSON.stringify(this._data)))
+
+        for (const undoAction of undoActions) {
+            undoAction.undo(adapter)
+        }
+
+        return adapter.storage.data
+    }
+
+    /**
+     * Writes the pending changes to the storage file and stops the storage engine.
+     * @returns {void}
+     */
+    destroy() {
+        this._starts = 0
+        this.stop()
+
+        engines.delete(resolve(this.storagePath))
+    }
+}
+
+
+/**
+ * Storage engine class.
+ * @type {StorageEngine}
+ */
+module.exports = StorageEngine
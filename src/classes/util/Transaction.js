@@ -0,0 +1,199 @@
+const { AsyncLocalStorage } = require('async_hooks')
+
+
+/**
+ * Storage of the currently running transaction.
+ *
+ * Every transaction callback (including all the asynchronous operations started from it)
+ * runs in its own context, so the changes and events from outside of it are never mixed in.
+ * @type {AsyncLocalStorage<Transaction>}
+ */
+const transactions = new AsyncLocalStorage()
+
+/**
+ * All the transactions that are currently running, including the nested ones.
+ * @type {Set<Transaction>}
+ */
+const runningTransactions = new Set()
+
+/**
+ * Number of the changes recorded in all the transactions. Used to order the changes of different transactions.
+ * @type {number}
+ */
+let recordedChanges = 0
+
+
+/**
+ * Database transaction.
+ *
+ * Keeps the list of actions that revert all the database changes made during the transaction
+ * and holds all the events emitted during it: the events are emitted only after the transaction is committed,
+ * and they are discarded if the transaction is rolled back.
+ * @private
+ */
+class Transaction {
+
+    /**
+     * Database transaction.
+     * @param {?Transaction} [parent] Transaction that this transaction was started in.
+     */
+    constructor(parent = null) {
+
+        /**
+         * Transaction that this transaction was started in.
+         * @type {?Transaction}
+         */
+        this.parent = parent
+
+        /**
+         * Actions that revert the changes made during the transaction, in the order the changes were made.
+         * @type {UndoAction[]}
+         */
+        this.undoActions = []
+
+        /**
+         * Functions that emit the events that were held during the transaction.
+         * @type {Array<() => any>}
+         */
+        this.heldEvents = []
+    }
+
+    /**
+     * Gets the actions that revert the changes of all the transactions that are currently running.
+     *
+     * Applying these actions to a copy of the data gives the data without any uncommitted changes.
+     * @param {(target: any) => boolean} [filter] Filters the actions by the object that the changes were made on.
+     * @returns {UndoAction[]} Undo actions, from the newest change to the oldest one.
+     */
+    static uncommitted(filter = () => true) {
+        const undoActions = []
+
+        for (const transaction of runningTransactions) {
+            undoActions.push(...transaction.undoActions.filter(undoAction => filter(undoAction.target)))
+        }
+
+        return undoActions.sort((previous, current) => current.order - previous.order)
+    }
+
+    /**
+     * Gets the transaction that the current code is running in.
+     * @returns {?Transaction} Current transaction or 'null' if the code is not running in a transaction.
+     */
+    static current() {
+        return transactions.getStore() || null
+    }
+
+    /**
+     * Runs the callback function in a new transaction.
+     *
+     * If the callback throws an error (or the returned promise rejects),
+     * all the changes made during it are reverted and the error is thrown further;
+     * otherwise, the transaction is committed and all the held events are emitted.
+     *
+     * [!] Transactions started inside other transactions are committed
+     * together with the outer transaction.
+     * @param {() => any} callback The function to run.
+     * @returns {any} The value returned from the callback function.
+     */
+    static run(callback) {
+        const transaction = new Transaction(Transaction.current())
+        let result
+
+        runningTransactions.add(transaction)
+
+        try {
+            result = transactions.run(transaction, callback)
+        } catch (err) {
+            transaction.rollback()
+            throw err
+        }
+
+        if (result instanceof Promise) {
+            return result.then(value => {
+                transaction.commit()
+                return value
+            }, err => {
+                transaction.rollback()
+                throw err
+            })
+        }
+
+        transaction.commit()
+        return result
+    }
+
+    /**
+     * Saves the function that reverts the change made in the transaction.
+     * @param {(target: any) => any} undo The function that reverts the change.
+     * @param {any} [target] The object that the change was made on. It's passed to the function on rollback.
+     * @returns {void}
+     */
+    record(undo, target = null) {
+        this.undoActions.push({
+            undo,
+            target,
+            order: recordedChanges++
+        })
+    }
+
+    /**
+     * Holds the event until the transaction is committed.
+     * @param {() => any} emitEvent The function that emits the event.
+     * @returns {void}
+     */
+    hold(emitEvent) {
+        this.heldEvents.push(emitEvent)
+    }
+
+    /**
+     * Commits the transaction.
+     *
+     * If the transaction was started inside another transaction,
+     * its changes and events are passed to the outer transaction.
+     * @returns {void}
+     */
+    commit() {
+        runningTransactions.delete(this)
+
+        if (this.parent) {
+            this.parent.undoActions.push(...this.undoActions)
+            this.parent.heldEvents.push(...this.heldEvents)
+
+            return
+        }
+
+        for (const emitEvent of this.heldEvents) {
+            emitEvent()
+        }
+    }
+
+    /**
+     * Reverts all the changes made during the transaction and discards all the held events.
+     * @returns {void}
+     */
+    rollback() {
+        runningTransactions.delete(this)
+
+        const undoActions = this.undoActions.sort((previous, current) => current.order - previous.order)
+
+        for (const undoAction of undoActions) {
+            undoAction.undo(undoAction.target)
+        }
+
+        this.undoActions = []
+        this.heldEvents = []
+    }
+}
+
+/**
+ * @typedef {object} UndoAction
+ * @property {(target: any) => any} undo The function that reverts the change.
+ * @property {any} target The object that the change was made on.
+ * @property {number} order Number of the change among the changes of all the transactions.
+ */
+
+/**
+ * Transaction class.
+ * @type {Transaction}
+ */
+module.exports = Transaction
@@ -13,6 +13,8 @@ const CurrencyManager = require('./managers/CurrencyManager')
 
 const RewardManager = require('./managers/RewardManager')
 const CooldownManager = require('./managers/CooldownManager')
+const JobManager = require('./managers/JobManager')
+const SeasonManager = require('./managers/SeasonManager')
 
 const ShopManager = require('./managers/ShopManager')
 const InventoryManager = require('./managers/InventoryManager')
@@ -23,6 +25,8 @@ const SettingsManager = require('./managers/SettingsManager')
 
 
 const Emitter = require('./classes/util/Emitter')
+const StorageEngine = require('./classes/util/StorageEngine')
+const Transaction = require('./classes/util/Transaction')
 const EconomyError = require('./classes/util/EconomyError')
 
 const errors = require('./structures/errors')
@@ -71,7 +75,9 @@ class Economy extends Emitter {
 
         if (options.debug) {
             this._logger.debug('Economy version: ' + this.version, 'lightcyan')
-            this._logger.debug('Database type is JSON.', 'lightcyan')
+            this._logger.debug(
+                `Database type is ${options.storage ? options.storage.constructor.name : 'JSON'}.`, 'lightcyan'
+            )
         }
 
         /**
@@ -110,6 +116,34 @@ class Economy extends Emitter {
         */
         this.interval = null
 
+        /**
+         * Bank interest sweeping interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._interestInterval = null
+
+        /**
+         * Expired items sweeping interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._expiryInterval = null
+
+        /**
+         * Ended seasons sweeping interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._seasonInterval = null
+
+        /**
+         * Shop items restocking interval.
+         * @type {?NodeJS.Timeout}
+         * @private
+         */
+        this._restockInterval = null
+
         /**
          * Economy error class.
          * @type {EconomyError}
@@ -182,6 +216,18 @@ class Economy extends Emitter {
         */
         this.rewards = null
 
+        /**
+        * Jobs manager.
+        * @type {JobManager}
+        */
+        this.jobs = null
+
+        /**
+        * Seasons manager.
+        * @type {SeasonManager}
+        */
+        this.seasons = null
+
         /**
         * Economy users manager.
         * @type {UserManager}
@@ -206,6 +252,24 @@ class Economy extends Emitter {
          */
         this.economy = this
 
+        /**
+         * Promise of the last transaction in the queue.
+         * @type {Promise<any>}
+         * @private
+         */
+        this._transactionQueue = Promise.resolve()
+
+        /**
+         * Re-emits the errors of writing the changes to the storage file as the `storageError` event.
+         * @param {Error} err The error that occurred.
+         * @returns {void}
+         * @private
+         */
+        this._onFlushError = err => {
+            this._logger.error(`Failed to write the changes to the storage file: ${err.message}`)
+            this.emit('storageError', err)
+        }
+
         this._logger.debug('Economy starting process launched.')
 
         this.init().then(status => {
@@ -226,6 +290,18 @@ class Economy extends Emitter {
         if (!this.ready) return false
 
         clearInterval(this.interval)
+        clearInterval(this._interestInterval)
+        clearInterval(this._expiryInterval)
+        clearInterval(this._seasonInterval)
+        clearInterval(this._restockInterval)
+        this.database.flush()
+
+        const { storage } = this.database.adapter
+
+        if (storage instanceof StorageEngine) {
+            storage.off('flushError', this._onFlushError)
+            storage.stop()
+        }
 
         for (const manager of this.managers) {
             this[manager.name] = null
@@ -240,6 +316,45 @@ class Economy extends Emitter {
         return this
     }
 
+    /**
+     * Runs the callback function as a single transaction.
+     *
+     * All the balance, bank, currency, inventory and history changes made during the callback
+     * are committed all together; if the callback throws an error (or the returned promise rejects),
+     * all of them are rolled back and the error is thrown further.
+     *
+     * All the events emitted during the transaction are emitted only after it's committed.
+     *
+     * [!] Transactions are run one by one. Transactions started inside
+     * other transactions are committed together with the outer transaction.
+     *
+     * @example
+     * await eco.transaction(async tx => {
+     *     tx.balance.subtract(100, senderID, guildID, 'buying a gift')
+     *     tx.inventory.addItem('gift', receiverID, guildID)
+     * })
+     * @param {(economy: Economy) => any} callback The function to run.
+     * @returns {Promise<any>} The value returned from the callback function.
+     */
+    async transaction(callback) {
+        if (!this.ready) {
+            throw new EconomyError(errors.notReady, 'MODULE_NOT_READY')
+        }
+
+        if (typeof callback !== 'function') {
+            throw new EconomyError(errors.invalidType('callback', 'function', callback), 'INVALID_TYPE')
+        }
+
+        if (Transaction.current()) {
+            return this.database.transaction(() => callback(this))
+        }
+
+        const transaction = this._transactionQueue.then(() => this.database.transaction(() => callback(this)))
+        this._transactionQueue = transaction.catch(() => null)
+
+        return transaction
+    }
+
     /**
      * Starts the module.
      * @returns {Promise<boolean>} If started successfully: true.
@@ -340,6 +455,7 @@ class Economy extends Emitter {
             !__dirname.includes('discord-economy-super/tests')
 
         const isFileExist = existsSync(this.options.storagePath)
+        const isStorageFileUsed = !this.options.storage
 
         return new Promise((resolve, reject) => {
             try {
@@ -393,7 +509,7 @@ class Economy extends Emitter {
                     this._logger.debug('Skipped updates checking...')
                 }
 
-                if (this.options.checkStorage == undefined ? true : this.options.checkStorage) {
+                if (isStorageFileUsed && (this.options.checkStorage == undefined ? true : this.options.checkStorage)) {
                     this._logger.debug('Checking for reserved words in a storage file path...')
 
                     if (!isFileExist && isReservedStorage) writeFileSync(this.options.storagePath, '{}')
@@ -428,11 +544,11 @@ class Economy extends Emitter {
                     )
                 }
 
-                if (this.options.checkStorage == undefined ? true : this.options.checkStorage) {
-                    const storageExists = existsSync(this.options.storagePath)
+                if (isStorageFileUsed && (this.options.checkStorage == undefined ? true : this.options.checkStorage)) {
+                    const storage = StorageEngine.for(this.options)
 
                     const interval = setInterval(() => {
-                        if (!storageExists) {
+                        if (!existsSync(this.options.storagePath)) {
                             this._logger.debug('Checking for reserved words in a storage file path...')
 
                             try {
@@ -450,7 +566,9 @@ class Economy extends Emitter {
                                     }
                                 }
 
-                                writeFileSync(this.options.storagePath, '{}', 'utf-8')
+                                // the data is still in memory, so the file is recreated from it
+                                storage.markDirty()
+                                storage.flush()
                             } catch (err) {
                                 throw new EconomyError(errors.notReady, 'MODULE_NOT_READY')
                             }
@@ -461,25 +579,6 @@ class Economy extends Emitter {
                             )
                         }
 
-                        try {
-                            if (!storageExists) writeFileSync(this.options.storagePath, '{}', 'utf-8')
-
-                            const data = readFileSync(this.options.storagePath)
-                            JSON.parse(data.toString())
-
-                        } catch (err) {
-                            if (err.message.includes('Unexpected token') ||
-                                err.message.includes('Unexpected end') ||
-                                err.message.includes('no such file')) {
-                                reject(new EconomyError(errors.storageMalformed, 'STORAGE_FILE_ERROR'))
-                            }
-
-                            else {
-                                reject(err)
-                                throw err
-                            }
-                        }
-
                     }, updateCountdown)
                     this.interval = interval
                 }
@@ -487,6 +586,12 @@ class Economy extends Emitter {
                 this._logger.debug('Starting the managers...', 'lightyellow')
                 this.start()
 
+                const { storage } = this.database.adapter
+
+                if (storage instanceof StorageEngine) {
+                    storage.start().on('flushError', this._onFlushError)
+                }
+
                 return resolve(true)
 
             } catch (err) {
@@ -551,6 +656,14 @@ class Economy extends Emitter {
                 name: 'cooldowns',
                 manager: CooldownManager
             },
+            {
+                name: 'jobs',
+                manager: JobManager
+            },
+            {
+                name: 'seasons',
+                manager: SeasonManager
+            },
             {
                 name: 'users',
                 manager: UserManager
@@ -566,24 +679,57 @@ class Economy extends Emitter {
             },
         ]
 
-        const events = [
-            'balanceSet', 'balanceAdd', 'balanceSubtract',
-            'bankSet', 'bankAdd', 'bankSubtract',
-            'customCurrencySet', 'customCurrencyAdd', 'customCurrencySubtract',
-            'shopItemAdd', 'shopClear', 'shopItemEdit',
-            'shopItemBuy', 'shopItemUse',
-            'ready', 'destroy'
-        ]
-
         for (const manager of managers) {
             this[manager.name] = new manager.manager(this.options, new DatabaseManager(this.options))
             this._logger.debug(`${manager.manager.name} was started.`)
         }
 
-        for (const event of events) {
-            this.on(event, () => {
-                this._logger.debug(`"${event}" event is emitted.`)
-            })
+        if (this.options.bankInterestSweepInterval > 0) {
+            this._interestInterval = setInterval(() => {
+                try {
+                    this.bank.sweepInterest()
+                } catch (err) {
+                    this._logger.error(`Failed to apply the bank interest: ${err.message}`)
+                }
+            }, this.options.bankInterestSweepInterval)
+
+            this._interestInterval.unref()
+        }
+
+        if (this.options.itemExpirySweepInterval > 0) {
+            this._expiryInterval = setInterval(() => {
+                try {
+                    this.inventory.sweepExpired()
+                } catch (err) {
+                    this._logger.error(`Failed to purge the expired items: ${err.message}`)
+                }
+            }, this.options.itemExpirySweepInterval)
+
+            this._expiryInterval.unref()
+        }
+
+        if (this.options.seasonSweepInterval > 0) {
+            this._seasonInterval = setInterval(() => {
+                try {
+                    this.seasons.sweepEnded()
+                } catch (err) {
+                    this._logger.error(`Failed to end the seasons: ${err.message}`)
+                }
+            }, this.options.seasonSweepInterval)
+
+            this._seasonInterval.unref()
+        }
+
+        if (this.options.restockSweepInterval > 0) {
+            this._restockInterval = setInterval(() => {
+                try {
+                    this.shop.restock()
+                } catch (err) {
+                    this._logger.error(`Failed to restock the shop items: ${err.message}`)
+                }
+            }, this.options.restockSweepInterval)
+
+            this._restockInterval.unref()
         }
 
         this.managers = managers
@@ -819,10 +965,28 @@ class Economy extends Emitter {
 /**
  * @typedef {object} EconomyConfiguration Default Economy configuration.
  * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
+ * @property {StorageAdapter} [storage] Storage adapter to use instead of the storage file. Default: null.
  * @property {boolean} [checkStorage=true] Checks the if database file exists and if it has errors. Default: true
  * @property {number} [dailyCooldown=86400000] Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000] Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  * @property {number} [sellingItemPercent=75]
  * Percent of the item's price it will be sold for. Default: 75.
@@ -832,6 +996,11 @@ class Economy extends Emitter {
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
  * @property {number | number[]} [weeklyAmount=100] Amount of money for Weekly Reward. Default: 1000.
  * @property {number | number[]} [workAmount=[10, 50]] Amount of money for Work Reward. Default: [10, 50].
  *
@@ -843,7 +1012,36 @@ class Economy extends Emitter {
  *
  * @property {boolean} [subtractOnBuy=true] If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
- * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
+ *
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ * @property {number} [updateCountdown=1000] Storage file checking and writing interval (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
  * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
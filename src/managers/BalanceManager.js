@@ -5,10 +5,15 @@ const EconomyError = require('../classes/util/EconomyError')
 const FetchManager = require('./FetchManager')
 const DatabaseManager = require('./DatabaseManager')
 
+const BankManager = require('./BankManager')
 const CurrencyManager = require('./CurrencyManager')
+const HistoryManager = require('./HistoryManager')
 const Currency = require('../classes/Currency')
 
 const errors = require('../structures/errors')
+const overdraftLimit = require('../structures/overdraftLimit')
+const trackSeasonGain = require('../structures/trackSeasonGain')
+const leaderboardPage = require('../structures/leaderboardPage')
 
 
 /**
@@ -54,6 +59,20 @@ class BalanceManager extends Emitter {
          * @private
          */
         this._currencies = new CurrencyManager(options, this.database)
+
+        /**
+         * History Manager.
+         * @type {HistoryManager}
+         * @private
+         */
+        this._history = new HistoryManager(options, this.database)
+
+        /**
+         * Bank Manager.
+         * @type {BankManager}
+         * @private
+         */
+        this._bank = new BankManager(options)
     }
 
     /**
@@ -150,6 +169,16 @@ class BalanceManager extends Emitter {
 
         this.database.set(`${guildID}.${memberID}.money`, amount)
 
+        trackSeasonGain(this.database, memberID, guildID, amount - balance)
+
+        this._history.record(memberID, guildID, {
+            type: 'balanceSet',
+            amount,
+            balanceBefore: balance,
+            balanceAfter: amount,
+            reason
+        })
+
         this.emit('balanceSet', {
             type: 'set',
             guildID,
@@ -187,6 +216,16 @@ class BalanceManager extends Emitter {
 
         this.database.add(`${guildID}.${memberID}.money`, amount)
 
+        trackSeasonGain(this.database, memberID, guildID, amount)
+
+        this._history.record(memberID, guildID, {
+            type: 'balanceAdd',
+            amount,
+            balanceBefore: balance,
+            balanceAfter: balance + amount,
+            reason
+        })
+
         this.emit('balanceAdd', {
             type: 'add',
             guildID,
@@ -205,7 +244,7 @@ class BalanceManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason why you subreact the money.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
     subtract(amount, memberID, guildID, reason = null) {
         const balance = this.fetcher.fetchBalance(memberID, guildID)
@@ -222,8 +261,24 @@ class BalanceManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
+        const overdraft = this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
+
+        if (balance - amount < overdraftLimit(overdraft)) {
+            return { status: false, reason: 'insufficient funds' }
+        }
+
         this.database.subtract(`${guildID}.${memberID}.money`, amount)
 
+        trackSeasonGain(this.database, memberID, guildID, -amount)
+
+        this._history.record(memberID, guildID, {
+            type: 'balanceSubtract',
+            amount,
+            balanceBefore: balance,
+            balanceAfter: balance - amount,
+            reason
+        })
+
         this.emit('balanceSubtract', {
             type: 'subtract',
             guildID,
@@ -242,11 +297,11 @@ class BalanceManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason of the operation.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
     deposit(amount, memberID, guildID, reason = null) {
         const balance = this.fetcher.fetchBalance(memberID, guildID)
-        const bank = this.fetcher.fetchBank(memberID, guildID)
+        const bank = this._bank.fetch(memberID, guildID)
 
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
@@ -264,25 +319,53 @@ class BalanceManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        this.database.subtract(`${guildID}.${memberID}.money`, amount)
-        this.database.add(`${guildID}.${memberID}.bank`, amount)
+        const overdraft = this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
 
-        this.emit('balanceSubtract', {
-            type: 'subtract',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: balance - amount,
-            reason
-        })
+        if (balance - amount < overdraftLimit(overdraft)) {
+            return { status: false, reason: 'insufficient funds' }
+        }
 
-        this.emit('bankAdd', {
-            type: 'add',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: bank + amount,
-            reason
+        this.database.transaction(() => {
+            this.database.subtract(`${guildID}.${memberID}.money`, amount)
+            this.database.add(`${guildID}.${memberID}.bank`, amount)
+
+            trackSeasonGain(this.database, memberID, guildID, -amount)
+
+            this._history.record(memberID, guildID, {
+                type: 'balanceSubtract',
+                amount,
+                balanceBefore: balance,
+                balanceAfter: balance - amount,
+                reason
+            })
+
+            trackSeasonGain(this.database, memberID, guildID, amount)
+
+            this._history.record(memberID, guildID, {
+                type: 'bankAdd',
+                amount,
+                balanceBefore: bank,
+                balanceAfter: bank + amount,
+                reason
+            })
+
+            this.emit('balanceSubtract', {
+                type: 'subtract',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: balance - amount,
+                reason
+            })
+
+            this.emit('bankAdd', {
+                type: 'add',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: bank + amount,
+                reason
+            })
         })
 
         return amount
@@ -290,38 +373,33 @@ class BalanceManager extends Emitter {
 
     /**
      * Gets a balance leaderboard for specified guild.
+     *
+     * The users with the same balance are ranked by their IDs in ascending order.
+     * If the page options are specified, only the requested page of the leaderboard is returned.
      * @param {string} guildID Guild ID.
-     * @returns {BalanceLeaderboard[]} Sorted leaderboard array.
+     * @param {LeaderboardPageOptions} [options] Leaderboard page options.
+     * @returns {BalanceLeaderboard[] | LeaderboardPage} Sorted leaderboard array or its page.
      */
-    leaderboard(guildID) {
-        const lb = []
-        const data = this.fetcher.fetchAll()
-
+    leaderboard(guildID, options) {
         if (typeof guildID !== 'string') {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        if (!guildData) return []
+        const entries = this.database.leaderboard(guildID, 'money')
+            .map((entry, index) => ({ index: index + 1, ...entry }))
 
-        const users = Object.keys(guildData).filter(key => key !== 'settings' && key !== 'shop')
-        const ranks = Object.values(guildData).map(user => user.money).filter(userID => !isNaN(userID))
-
-        for (const rank in ranks) lb.push({
-            userID: users[rank],
-            money: Number(ranks[rank])
-        })
-
-        return lb
-            .sort((previous, current) => current.money - previous.money)
-            .filter(entry => entry.userID !== 'shop' && entry.userID !== 'settings')
+        return options ? leaderboardPage(entries, options) : entries
     }
 
     /**
      * Transfers the money to a specified user.
+     *
+     * The money is subtracted from the sender and added to the receiver in a single transaction.
+     * If the amount is negative or the sender cannot afford it, nothing is changed
+     * and the structured failure result is returned.
      * @param {string} guildID Guild ID.
      * @param {TransferingOptions} options Transfering options.
-     * @returns {TransferingResult} Transfering result object.
+     * @returns {TransferingResult | InsufficientFundsResult | InvalidAmountResult} Transfering result object.
      */
     transfer(guildID, options) {
         const {
@@ -338,6 +416,10 @@ class BalanceManager extends Emitter {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
         }
 
+        if (amount < 0) {
+            return { status: false, reason: 'invalid amount' }
+        }
+
         if (typeof senderMemberID !== 'string') {
             throw new EconomyError(errors.invalidType('senderMemberID', 'string', senderMemberID), 'INVALID_TYPE')
         }
@@ -346,8 +428,59 @@ class BalanceManager extends Emitter {
             throw new EconomyError(errors.invalidType('receiverMemberID', 'string', receiverMemberID), 'INVALID_TYPE')
         }
 
-        this.add(amount, receiverMemberID, guildID, receivingReason || 'receiving money from user')
-        this.subtract(amount, senderMemberID, guildID, sendingReason || 'sending money to user')
+        const currentSenderBalance = this.fetch(senderMemberID, guildID)
+        const overdraft = this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
+
+        if (currentSenderBalance - amount < overdraftLimit(overdraft)) {
+            return { status: false, reason: 'insufficient funds' }
+        }
+
+        this.database.transaction(() => {
+            this.database.subtract(`${guildID}.${senderMemberID}.money`, amount)
+            const currentReceiverBalance = this.fetch(receiverMemberID, guildID)
+
+            this.database.add(`${guildID}.${receiverMemberID}.money`, amount)
+
+            trackSeasonGain(this.database, senderMemberID, guildID, -amount)
+
+            this._history.record(senderMemberID, guildID, {
+                type: 'balanceSubtract',
+                amount,
+                balanceBefore: currentSenderBalance,
+                balanceAfter: currentSenderBalance - amount,
+                reason: sendingReason || 'sending money to user',
+                counterparty: receiverMemberID
+            })
+
+            trackSeasonGain(this.database, receiverMemberID, guildID, amount)
+
+            this._history.record(receiverMemberID, guildID, {
+                type: 'balanceAdd',
+                amount,
+                balanceBefore: currentReceiverBalance,
+                balanceAfter: currentReceiverBalance + Number(amount),
+                reason: receivingReason || 'receiving money from user',
+                counterparty: senderMemberID
+            })
+
+            this.emit('balanceAdd', {
+                type: 'add',
+                guildID,
+                memberID: receiverMemberID,
+                amount: Number(amount),
+                balance: currentReceiverBalance + Number(amount),
+                reason: receivingReason || 'receiving money from user'
+            })
+
+            this.emit('balanceSubtract', {
+                type: 'subtract',
+                guildID,
+                memberID: senderMemberID,
+                amount: Number(amount),
+                balance: currentSenderBalance - amount,
+                reason: sendingReason || 'sending money to user'
+            })
+        })
 
         return {
             success: true,
@@ -418,7 +551,7 @@ class BalanceManager extends Emitter {
  * @callback FactorySubtract
  * @param {number} amount Amount of money to subtract.
  * @param {string} [reason] The reason why the money was subtracted.
- * @returns {number} Updated currency balance.
+ * @returns {number | InsufficientFundsResult} Updated currency balance or 'insufficient funds' result.
  */
 
 /**
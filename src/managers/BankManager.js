@@ -3,8 +3,13 @@ const EconomyError = require('../classes/util/EconomyError')
 
 const FetchManager = require('./FetchManager')
 const DatabaseManager = require('./DatabaseManager')
+const HistoryManager = require('./HistoryManager')
 
 const errors = require('../structures/errors')
+const overdraftLimit = require('../structures/overdraftLimit')
+const trackSeasonGain = require('../structures/trackSeasonGain')
+const leaderboardPage = require('../structures/leaderboardPage')
+const bankInterest = require('../structures/bankInterest')
 
 
 /**
@@ -43,10 +48,21 @@ class BankManager extends Emitter {
          * @private
          */
         this.database = new DatabaseManager(options)
+
+        /**
+         * History Manager.
+         * @type {HistoryManager}
+         * @private
+         */
+        this._history = new HistoryManager(options, this.database)
     }
 
     /**
     * Fetches the user's bank balance.
+    *
+    * [!] This method writes to the database: the bank interest that the user has earned since the last accrual
+    * is applied with `BankManager.applyInterest()` before the balance is returned,
+    * so the read may add the interest to the bank balance, record it in the ledger and emit the `bankInterest` event.
     * @param {string} memberID Member ID.
     * @param {string} guildID Guild ID.
     * @returns {number} User's bank balance
@@ -60,6 +76,7 @@ class BankManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
+        this.applyInterest(memberID, guildID)
         return this.fetcher.fetchBank(memberID, guildID)
     }
 
@@ -84,7 +101,7 @@ class BankManager extends Emitter {
      * @returns {number} Money amount.
      */
     set(amount, memberID, guildID, reason = null) {
-        const bank = this.fetcher.fetchBank(memberID, guildID)
+        const bank = this.fetch(memberID, guildID)
 
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
@@ -100,6 +117,16 @@ class BankManager extends Emitter {
 
         this.database.set(`${guildID}.${memberID}.bank`, Number(amount))
 
+        trackSeasonGain(this.database, memberID, guildID, amount - bank)
+
+        this._history.record(memberID, guildID, {
+            type: 'bankSet',
+            amount,
+            balanceBefore: bank,
+            balanceAfter: amount,
+            reason
+        })
+
         this.emit('bankSet', {
             type: 'set',
             guildID,
@@ -121,7 +148,7 @@ class BankManager extends Emitter {
      * @returns {number} Money amount.
      */
     add(amount, memberID, guildID, reason = null) {
-        const bank = this.fetcher.fetchBank(memberID, guildID)
+        const bank = this.fetch(memberID, guildID)
 
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
@@ -137,6 +164,16 @@ class BankManager extends Emitter {
 
         this.database.add(`${guildID}.${memberID}.bank`, Number(amount))
 
+        trackSeasonGain(this.database, memberID, guildID, amount)
+
+        this._history.record(memberID, guildID, {
+            type: 'bankAdd',
+            amount,
+            balanceBefore: bank,
+            balanceAfter: bank + amount,
+            reason
+        })
+
         this.emit('bankAdd', {
             type: 'add',
             guildID,
@@ -155,10 +192,10 @@ class BankManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason why you subtract the money.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
     subtract(amount, memberID, guildID, reason = null) {
-        const bank = this.fetcher.fetchBank(memberID, guildID)
+        const bank = this.fetch(memberID, guildID)
 
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
@@ -172,8 +209,24 @@ class BankManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
+        const overdraft = this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
+
+        if (bank - amount < overdraftLimit(overdraft)) {
+            return { status: false, reason: 'insufficient funds' }
+        }
+
         this.database.subtract(`${guildID}.${memberID}.bank`, Number(amount))
 
+        trackSeasonGain(this.database, memberID, guildID, -amount)
+
+        this._history.record(memberID, guildID, {
+            type: 'bankSubtract',
+            amount,
+            balanceBefore: bank,
+            balanceAfter: bank - amount,
+            reason
+        })
+
         this.emit('bankSubtract', {
             type: 'subtract',
             guildID,
@@ -192,11 +245,11 @@ class BankManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason of the operation.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
     withdraw(amount, memberID, guildID, reason = null) {
         const balance = this.fetcher.fetchBalance(memberID, guildID)
-        const bank = this.fetcher.fetchBank(memberID, guildID)
+        const bank = this.fetch(memberID, guildID)
 
         if (isNaN(amount)) {
             throw new EconomyError(errors.invalidType('amount', 'number', amount), 'INVALID_TYPE')
@@ -214,61 +267,203 @@ class BankManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        this.database.subtract(`${guildID}.${memberID}.money`, amount)
-        this.database.add(`${guildID}.${memberID}.bank`, amount)
+        const overdraft = this.database.fetch(`${guildID}.settings.overdraft`) || this.options.overdraft
 
-        this.emit('balanceAdd', {
-            type: 'add',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: balance + amount,
-            reason
-        })
+        if (bank - amount < overdraftLimit(overdraft)) {
+            return { status: false, reason: 'insufficient funds' }
+        }
 
-        this.emit('bankSubtract', {
-            type: 'subtract',
-            guildID,
-            memberID,
-            amount: Number(amount),
-            balance: bank - amount,
-            reason
+        this.database.transaction(() => {
+            this.database.add(`${guildID}.${memberID}.money`, amount)
+            this.database.subtract(`${guildID}.${memberID}.bank`, amount)
+
+            trackSeasonGain(this.database, memberID, guildID, amount)
+
+            this._history.record(memberID, guildID, {
+                type: 'balanceAdd',
+                amount,
+                balanceBefore: balance,
+                balanceAfter: balance + amount,
+                reason
+            })
+
+            trackSeasonGain(this.database, memberID, guildID, -amount)
+
+            this._history.record(memberID, guildID, {
+                type: 'bankSubtract',
+                amount,
+                balanceBefore: bank,
+                balanceAfter: bank - amount,
+                reason
+            })
+
+            this.emit('balanceAdd', {
+                type: 'add',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: balance + amount,
+                reason
+            })
+
+            this.emit('bankSubtract', {
+                type: 'subtract',
+                guildID,
+                memberID,
+                amount: Number(amount),
+                balance: bank - amount,
+                reason
+            })
         })
 
         return amount
     }
 
     /**
-     * Gets a balance leaderboard for specified server.
+     * Applies the bank interest that the user has earned since the last accrual.
+     *
+     * The interest is compounded every `bankInterestPeriod` milliseconds;
+     * the periods that have not ended yet are accrued on the next call.
+     *
+     * [!] The interest starts to accrue from the first call for the user that has a bank balance in the database.
+     * When the interest is disabled in the guild, the accrual time is reset.
+     * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
-     * @returns {BankLeaderboard[]} Sorted leaderboard array.
+     * @returns {number} Amount of the accrued interest.
      */
-    leaderboard(guildID) {
-        const lb = []
-        const data = this.fetcher.fetchAll()
+    applyInterest(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
 
         if (typeof guildID !== 'string') {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        if (!guildData) return []
+        const { rate, period, maxBalance } = this._getInterestSettings(guildID)
+        const lastAccrual = this.database.fetch(`${guildID}.${memberID}.bankInterestTimestamp`)
+
+        if (!rate || !period) {
+            if (lastAccrual) this.database.delete(`${guildID}.${memberID}.bankInterestTimestamp`)
+            return 0
+        }
+
+        const bankBalance = this.database.fetch(`${guildID}.${memberID}.bank`)
 
-        const users = Object.keys(guildData).filter(key => key !== 'settings' && key !== 'shop')
-        const ranks = Object.values(guildData).map(user => user.bank).filter(userID => !isNaN(userID))
+        if (!lastAccrual) {
+            if (bankBalance != null) {
+                this.database.set(`${guildID}.${memberID}.bankInterestTimestamp`, Date.now())
+            }
 
-        for (const rank in ranks) lb.push({
-            userID: users[rank],
-            money: Number(ranks[rank])
+            return 0
+        }
+
+        const periods = Math.floor((Date.now() - lastAccrual) / period)
+        if (periods < 1) return 0
+
+        const bank = Number(bankBalance) || 0
+        const interest = bankInterest(bank, rate, periods, maxBalance)
+
+        this.database.transaction(() => {
+            this.database.set(`${guildID}.${memberID}.bankInterestTimestamp`, lastAccrual + periods * period)
+            if (!interest) return
+
+            this.database.add(`${guildID}.${memberID}.bank`, interest)
+
+            trackSeasonGain(this.database, memberID, guildID, interest)
+
+            this._history.record(memberID, guildID, {
+                type: 'bankInterest',
+                amount: interest,
+                balanceBefore: bank,
+                balanceAfter: bank + interest,
+                reason: 'bank interest'
+            })
+
+            this.emit('bankInterest', {
+                type: 'interest',
+                guildID,
+                memberID,
+                amount: interest,
+                balance: bank + interest,
+                rate,
+                periods,
+                reason: 'bank interest'
+            })
         })
 
-        return lb
-            .sort((previous, current) => current.money - previous.money)
-            .filter(entry => entry.userID !== 'shop' && entry.userID !== 'settings')
+        return interest
+    }
+
+    /**
+     * Applies the bank interest to all the users in the guild,
+     * or in all the guilds if the guild is not specified.
+     * @param {string} [guildID] Guild ID.
+     * @returns {number} Total amount of the accrued interest.
+     */
+    sweepInterest(guildID) {
+        if (guildID !== undefined && typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const guildIDs = guildID ? [guildID] : this.database.keysList()
+        let totalInterest = 0
+
+        for (const guild of guildIDs) {
+            for (const { userID } of this.database.leaderboard(guild, 'bank')) {
+                totalInterest += this.applyInterest(userID, guild)
+            }
+        }
+
+        return Math.round(totalInterest * 100) / 100
+    }
+
+    /**
+     * Gets the bank interest settings of the guild.
+     * @param {string} guildID Guild ID.
+     * @returns {BankInterestSettings} Bank interest settings.
+     * @private
+     */
+    _getInterestSettings(guildID) {
+        const settings = this.database.fetch(`${guildID}.settings`) || {}
+
+        return {
+            rate: settings.bankInterestRate ?? this.options.bankInterestRate,
+            period: settings.bankInterestPeriod ?? this.options.bankInterestPeriod,
+            maxBalance: settings.bankInterestMaxBalance ?? this.options.bankInterestMaxBalance
+        }
+    }
+
+    /**
+     * Gets a bank balance leaderboard for specified guild.
+     *
+     * The users with the same bank balance are ranked by their IDs in ascending order.
+     * If the page options are specified, only the requested page of the leaderboard is returned.
+     * @param {string} guildID Guild ID.
+     * @param {LeaderboardPageOptions} [options] Leaderboard page options.
+     * @returns {BankLeaderboard[] | LeaderboardPage} Sorted leaderboard array or its page.
+     */
+    leaderboard(guildID, options) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const entries = this.database.leaderboard(guildID, 'bank')
+            .map((entry, index) => ({ index: index + 1, ...entry }))
+
+        return options ? leaderboardPage(entries, options) : entries
     }
 }
 
 
+/**
+ * Bank interest settings object.
+ * @typedef {object} BankInterestSettings
+ * @property {number} rate Interest rate for each compounding period.
+ * @property {number} period Compounding period (in ms).
+ * @property {number} maxBalance Maximum bank balance that earns interest. 0 means no limit.
+ */
+
 /**
  * Bank leaderboard object.
  * @typedef {object} BankLeaderboard
@@ -3,6 +3,8 @@ const errors = require('../structures/errors')
 
 const ms = require('../structures/ms')
 const parse = require('../structures/timeParser.js')
+const customRewards = require('../structures/customRewards')
+const cooldownEnd = require('../structures/cooldownEnd')
 
 
 /**
@@ -155,11 +157,17 @@ class CooldownManager {
         const rawUserObject = this.database.fetch(`${guildID}.${memberID}`)
         const settings = this.database.fetch(`${guildID}.settings`)
 
+        const jobs = this.database.fetch(`${guildID}.jobs`) || []
+        const job = jobs.find(job => job.id == rawUserObject?.employment?.jobID)
+
+        const resetMode = settings?.resetMode || this.options.resetMode
+        const timeZone = settings?.timeZone || this.options.timeZone
+
         const result = {}
 
         const cooldownsConfiguration = {
             daily: settings?.dailyCooldown || this.options.dailyCooldown,
-            work: settings?.workCooldown || this.options.workCooldown,
+            work: job?.cooldown || settings?.workCooldown || this.options.workCooldown,
             weekly: settings?.weeklyCooldown || this.options.weeklyCooldown,
             monthly: settings?.monthlyCooldown || this.options.monthlyCooldown,
             hourly: settings?.hourlyCooldown || this.options.hourlyCooldown
@@ -173,14 +181,21 @@ class CooldownManager {
             hourly: rawUserObject?.hourlyCooldown || 0
         }
 
+        for (const [rewardName, customReward] of customRewards(this.options)) {
+            cooldownsConfiguration[rewardName] = settings?.rewards?.[rewardName]?.cooldown || customReward.cooldown
+            rawCooldownsObject[rewardName] = rawUserObject?.rewardCooldowns?.[rewardName] || 0
+        }
+
         for (const [rewardType, userCooldown] of Object.entries(rawCooldownsObject)) {
             const rewardCooldown = cooldownsConfiguration[rewardType]
-            const cooldownEndTime = rewardCooldown - (Date.now() - userCooldown)
+
+            const cooldownEndTimestamp = cooldownEnd(rewardType, userCooldown, rewardCooldown, resetMode, timeZone)
+            const cooldownEndTime = cooldownEndTimestamp - Date.now()
 
             const cooldownObject = userCooldown ? {
                 time: parse(cooldownEndTime),
                 pretty: ms(cooldownEndTime),
-                endTimestamp: userCooldown
+                endTimestamp: cooldownEndTimestamp
             } : null
 
             result[rewardType] = cooldownObject
@@ -209,7 +224,8 @@ class CooldownManager {
             this.clearWork(memberID, guildID),
             this.clearWeekly(memberID, guildID),
             this.clearMonthly(memberID, guildID),
-            this.clearHourly(memberID, guildID)
+            this.clearHourly(memberID, guildID),
+            this.database.delete(`${guildID}.${memberID}.rewardCooldowns`)
         ]
 
         if (results.some(result => !result)) {
@@ -308,6 +324,201 @@ class CooldownManager {
 
         return this.database.delete(`${guildID}.${memberID}.hourlyCooldown`)
     }
+
+    /**
+     * Gets user's cooldown of the custom reward.
+     * @param {string} rewardName Name of the registered reward.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {number} Cooldown end timestamp
+     */
+    getCustom(rewardName, memberID, guildID) {
+        if (typeof rewardName !== 'string') {
+            throw new EconomyError(errors.invalidType('rewardName', 'string', rewardName), 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const cooldown = this.database.fetch(`${guildID}.${memberID}.rewardCooldowns.${rewardName}`)
+        return cooldown
+    }
+
+    /**
+     * Clears user's cooldown of the custom reward.
+     * @param {string} rewardName Name of the registered reward.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {boolean} If cleared: true; else: false
+     */
+    clearCustom(rewardName, memberID, guildID) {
+        if (typeof rewardName !== 'string') {
+            throw new EconomyError(errors.invalidType('rewardName', 'string', rewardName), 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        return this.database.delete(`${guildID}.${memberID}.rewardCooldowns.${rewardName}`)
+    }
+
+    /**
+     * Sets the user's named cooldown.
+     *
+     * Named cooldowns are not tied to any reward and can be used
+     * for the custom commands (e.g. 'rob', 'beg' or 'fish').
+     * @param {string} name Cooldown name.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {number | string} duration Cooldown duration: in ms or a time string (e.g. '30m').
+     * @returns {CooldownData} Cooldown object.
+     */
+    set(name, memberID, guildID, duration) {
+        if (typeof name !== 'string' || !name.length || name.includes('.')) {
+            throw new EconomyError(errors.cooldowns.invalidName + name, 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const cooldownTime = typeof duration == 'string' ? ms(duration) : duration
+
+        if (typeof cooldownTime !== 'number' || !(cooldownTime > 0)) {
+            throw new EconomyError(errors.cooldowns.invalidDuration + duration, 'INVALID_TYPE')
+        }
+
+        const endTimestamp = Date.now() + cooldownTime
+        this.database.set(`${guildID}.${memberID}.namedCooldowns.${name}`, endTimestamp)
+
+        return this._parseCooldown(endTimestamp)
+    }
+
+    /**
+     * Checks the user's named cooldown.
+     *
+     * [!] If the cooldown has expired, it will be removed from the database.
+     * @param {string} name Cooldown name.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {CooldownData} Cooldown object or 'null' if the cooldown is not active.
+     */
+    check(name, memberID, guildID) {
+        if (typeof name !== 'string' || !name.length || name.includes('.')) {
+            throw new EconomyError(errors.cooldowns.invalidName + name, 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const endTimestamp = this.database.fetch(`${guildID}.${memberID}.namedCooldowns.${name}`)
+
+        if (!endTimestamp) {
+            return null
+        }
+
+        if (endTimestamp <= Date.now()) {
+            this.clear(name, memberID, guildID)
+            return null
+        }
+
+        return this._parseCooldown(endTimestamp)
+    }
+
+    /**
+     * Clears the user's named cooldown.
+     * @param {string} name Cooldown name.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {boolean} If cleared: true; else: false
+     */
+    clear(name, memberID, guildID) {
+        if (typeof name !== 'string' || !name.length || name.includes('.')) {
+            throw new EconomyError(errors.cooldowns.invalidName + name, 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const result = this.database.delete(`${guildID}.${memberID}.namedCooldowns.${name}`)
+
+        return result
+    }
+
+    /**
+     * Lists all the user's active named cooldowns.
+     *
+     * [!] The expired cooldowns will be removed from the database.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {Record<string, CooldownData>} Object with the cooldown names as keys.
+     */
+    list(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const namedCooldowns = this.database.fetch(`${guildID}.${memberID}.namedCooldowns`) || {}
+        const activeCooldowns = {}
+
+        for (const [name, endTimestamp] of Object.entries(namedCooldowns)) {
+            if (endTimestamp > Date.now()) {
+                activeCooldowns[name] = endTimestamp
+            }
+        }
+
+        if (Object.keys(activeCooldowns).length !== Object.keys(namedCooldowns).length) {
+            this.database.set(`${guildID}.${memberID}.namedCooldowns`, activeCooldowns)
+        }
+
+        return Object.fromEntries(
+            Object.entries(activeCooldowns).map(([name, endTimestamp]) => [name, this._parseCooldown(endTimestamp)])
+        )
+    }
+
+    /**
+     * Builds the cooldown object from the cooldown end timestamp.
+     * @param {number} endTimestamp Cooldown end timestamp.
+     * @returns {CooldownData} Cooldown object.
+     * @private
+     */
+    _parseCooldown(endTimestamp) {
+        const cooldownEndTime = endTimestamp - Date.now()
+
+        return {
+            time: parse(cooldownEndTime),
+            pretty: ms(cooldownEndTime),
+            endTimestamp
+        }
+    }
 }
 
 /**
@@ -323,4 +534,22 @@ module.exports = CooldownManager
  * @property {number} weekly Cooldown for Weekly Reward.
  * @property {number} monthly Cooldown for Monthly Reward.
  * @property {number} hourly Cooldown for Hourly Reward.
+ *
+ * The cooldowns of the registered custom rewards are also included under their names.
+ */
+
+/**
+ * @typedef {object} TimeData
+ * @property {number} days Amount of days until the cooldown ends.
+ * @property {number} hours Amount of hours until the cooldown ends.
+ * @property {number} minutes Amount of minutes until the cooldown ends.
+ * @property {number} seconds Amount of seconds until the cooldown ends.
+ * @property {number} milliseconds Amount of milliseconds until the cooldown ends.
+ */
+
+/**
+ * @typedef {object} CooldownData
+ * @property {TimeData} time A time object with the remaining time until the cooldown ends.
+ * @property {string} pretty A formatted string with the remaining time until the cooldown ends.
+ * @property {number} endTimestamp Cooldown end timestamp.
  */
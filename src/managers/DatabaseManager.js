@@ -1,10 +1,13 @@
-const FetchManager = require('./FetchManager')
-
 const DefaultConfiguration = require('../structures/DefaultConfiguration')
 const errors = require('../structures/errors')
+const undoChange = require('../structures/undoChange')
 
 const EconomyError = require('../classes/util/EconomyError')
 const Logger = require('../classes/util/Logger')
+const Transaction = require('../classes/util/Transaction')
+
+const StorageAdapter = require('../adapters/StorageAdapter')
+const JSONStorageAdapter = require('../adapters/JSONStorageAdapter')
 
 
 /**
@@ -16,9 +19,9 @@ class DatabaseManager {
      * Database Manager.
      * @param {EconomyConfiguration} options Economy configuration.
      * @param {string} options.storagePath Full path to a JSON file. Default: './storage.json'.
+     * @param {StorageAdapter} [options.storage] Storage adapter to use. Default: JSON storage adapter.
      */
     constructor(options = {}) {
-        const DotParser = require('../classes/util/DotParser')
 
         /**
          * Economy configuration.
@@ -32,13 +35,6 @@ class DatabaseManager {
          */
         this.logger = new Logger(options)
 
-        /**
-         * Fetch manager methods class.
-         * @type {FetchManager}
-         * @private
-         */
-        this.fetcher = new FetchManager(options)
-
         /**
          * Full path to a JSON file.
          * @type {string}
@@ -47,11 +43,12 @@ class DatabaseManager {
         this.storagePath = options.storagePath || './storage.json'
 
         /**
-         * Dot parser methods class.
-         * @type {DotParser}
-         * @private
+         * Storage adapter that all the database operations are performed on.
+         * @type {StorageAdapter}
          */
-        this.parser = new DotParser(options)
+        this.adapter = options.storage
+            ? StorageAdapter.validate(options.storage)
+            : new JSONStorageAdapter(options)
 
         if (!options.storagePath) this.storagePath = DefaultConfiguration.storagePath
     }
@@ -62,14 +59,10 @@ class DatabaseManager {
      * @returns {string[]} An array with all keys in database or 'null' if nothing found.
      */
     keysList(key) {
-        const storageData = this.all()
-        const data = this.fetch(key)
-
-        if (!key || typeof key !== 'string') return Object.keys(storageData).filter(key => storageData[key])
-        if (data == null) return null
+        if (!key || typeof key !== 'string') return this.adapter.keys()
+        if (this.fetch(key) == null) return null
 
-        const keys = Object.keys(data)
-        return keys.filter(key => data[key] !== undefined && data[key] !== null)
+        return this.adapter.keys(key)
     }
 
     /**
@@ -88,11 +81,15 @@ class DatabaseManager {
                 throw new EconomyError(errors.databaseManager.invalidTypes.key + typeof data, 'INVALID_TYPE')
             }
 
+            this._record(key, 'set', value)
+
             if (debug) this.logger.debug(`Performed "set" operation on key "${key}".`)
-            return this.parser.set(key, value)
+            return this.adapter.set(key, value)
         } catch (err) {
             this.logger.error(`Failed to perform "set" operation on the on key "${key}".`)
             console.error(err)
+
+            if (Transaction.current()) throw err
         }
     }
 
@@ -104,7 +101,7 @@ class DatabaseManager {
      */
     add(key, value) {
         try {
-            const data = this.parser.parse(key)
+            const data = this.adapter.get(key)
 
             if (!key) return false
             if (typeof key !== 'string') {
@@ -119,14 +116,16 @@ class DatabaseManager {
                 throw new EconomyError(errors.databaseManager.invalidTypes.target.number + typeof data, 'INVALID_TYPE')
             }
 
-            const numData = Number(data)
             const numValue = Number(value)
+            this._record(key, 'add', numValue)
 
             this.logger.debug(`Performed "add" operation on key "${key}".`)
-            return this.set(key, numData + numValue, false)
+            return this.adapter.add(key, numValue)
         } catch (err) {
             this.logger.error(`Failed to perform "add" operation on the on key "${key}".`)
             console.error(err)
+
+            if (Transaction.current()) throw err
         }
     }
 
@@ -138,7 +137,7 @@ class DatabaseManager {
      */
     subtract(key, value) {
         try {
-            const data = this.parser.parse(key)
+            const data = this.adapter.get(key)
 
             if (!key) return false
             if (typeof key !== 'string') {
@@ -153,14 +152,16 @@ class DatabaseManager {
                 throw new EconomyError(errors.databaseManager.invalidTypes.target.number + typeof data, 'INVALID_TYPE')
             }
 
-            const numData = Number(data)
             const numValue = Number(value)
+            this._record(key, 'subtract', numValue)
 
             this.logger.debug(`Performed "subtract" operation on key "${key}".`)
-            return this.set(key, numData - numValue, false)
+            return this.adapter.subtract(key, numValue)
         } catch (err) {
             this.logger.error(`Failed to perform "subtract" operation on the on key "${key}".`)
             console.error(err)
+
+            if (Transaction.current()) throw err
         }
     }
 
@@ -175,7 +176,7 @@ class DatabaseManager {
             throw new EconomyError(errors.databaseManager.invalidTypes.key + typeof data, 'INVALID_TYPE')
         }
 
-        return this.parser.parse(key)
+        return this.adapter.get(key)
     }
 
     /**
@@ -213,11 +214,15 @@ class DatabaseManager {
                 throw new EconomyError(errors.databaseManager.invalidTypes.key + typeof data, 'INVALID_TYPE')
             }
 
+            this._record(key, 'delete')
+
             this.logger.debug(`Performed "delete" operation on key "${key}".`)
-            return this.parser.remove(key)
+            return this.adapter.delete(key)
         } catch (err) {
             this.logger.error(`Failed to perform "delete" operation on the on key "${key}".`)
             console.error(err)
+
+            if (Transaction.current()) throw err
         }
     }
 
@@ -247,18 +252,21 @@ class DatabaseManager {
                 throw new EconomyError(errors.databaseManager.invalidTypes.key + typeof data, 'INVALID_TYPE')
             }
 
-            const data = this.fetch(key) || []
-            if (!Array.isArray(data) && !data.length) {
+            this._record(key, 'push', value)
+
+            // the adapter checks the target itself, so the whole array is not fetched on every push
+            if (this.adapter.push(key, value) === false) {
+                const data = this.fetch(key)
                 throw new EconomyError(errors.databaseManager.invalidTypes.target.array + typeof data, 'INVALID_TYPE')
             }
 
             this.logger.debug(`Performed "push" operation on key "${key}".`)
-
-            data.push(value)
-            return this.set(key, data, false)
+            return true
         } catch (err) {
             this.logger.error(`Failed to perform "push" operation on the on key "${key}".`)
             console.error(err)
+
+            if (Transaction.current()) throw err
         }
     }
 
@@ -276,18 +284,20 @@ class DatabaseManager {
                 throw new EconomyError(errors.databaseManager.invalidTypes.key + typeof data, 'INVALID_TYPE')
             }
 
-            const data = this.fetch(key)
-            if (!Array.isArray(data)) {
+            this._record(key, 'pull', null, index)
+
+            if (this.adapter.pull(key, index) === false) {
+                const data = this.fetch(key)
                 throw new EconomyError(errors.databaseManager.invalidTypes.target.array + typeof data, 'INVALID_TYPE')
             }
 
             this.logger.debug(`Performed "pop" operation on key "${key}".`)
-
-            data.splice(index, 1)
-            return this.set(key, data, false)
+            return true
         } catch (err) {
             this.logger.error(`Failed to perform "pop" operation on the on key "${key}".`)
             console.error(err)
+
+            if (Transaction.current()) throw err
         }
     }
 
@@ -297,17 +307,151 @@ class DatabaseManager {
      */
     clear() {
         try {
-            const data = this.all()
-            const stringData = JSON.stringify(data)
-
-            if (stringData == '{}') return false
-            this.write(this.options.storagePath, '{}')
+            this._recordClear()
+            const cleared = this.adapter.clear()
+            if (!cleared) return false
 
             this.logger.debug('Performed "clear" operation on the database.')
             return true
         } catch (err) {
             this.logger.error('Failed to perform "clear" operation on the database.')
             console.error(err)
+
+            if (Transaction.current()) throw err
+        }
+    }
+
+    /**
+     * Gets the users of the guild sorted by the specified property in descending order.
+     * @param {string} guildID Guild ID.
+     * @param {string} property User's property to sort by.
+     * @returns {Array<{ userID: string, money: number }>} Sorted users array.
+     */
+    leaderboard(guildID, property) {
+        return this.adapter.leaderboard(guildID, property)
+    }
+
+    /**
+     * Runs the callback function as a single transaction:
+     * if it throws an error (or the returned promise rejects), all the changes
+     * made to the database during the callback will be rolled back.
+     *
+     * All the events emitted during the transaction are emitted only after it's committed.
+     *
+     * The transaction is run with the `transaction()` method of the storage adapter,
+     * so the storages that support transactions natively can use them.
+     *
+     * [!] Transactions started inside other transactions are committed together with the outer transaction.
+     * @param {(database: DatabaseManager) => any} callback The function to run.
+     * @returns {any} The value returned from the callback function.
+     */
+    transaction(callback) {
+        return this.adapter.transaction(() => callback(this))
+    }
+
+    /**
+     * Saves the way to revert the change of the key if the change is made in a transaction.
+     *
+     * The change is reverted without overwriting the changes that are made
+     * to the same key outside of the transaction while it's running.
+     * @param {string} key The key in database.
+     * @param {'set' | 'delete' | 'add' | 'subtract' | 'push' | 'pull' | 'change'} operation
+     * The operation that is going to be performed on the key.
+     *
+     * @param {any} [value] The value that is going to be written, added, subtracted or pushed.
+     * @param {number} [index] Index of the array element that is going to be removed or replaced.
+     * @returns {void}
+     * @private
+     */
+    _record(key, operation, value, index) {
+        const transaction = Transaction.current()
+        if (!transaction) return
+
+        const previousValue = this._readPreviousValue(key, operation, index)
+        if (operation == 'delete' && previousValue == null) return
+
+        const keys = key.split('.')
+
+        // finding the outermost object that is going to be created with the key
+        while (previousValue == null && keys.length > 1 && this.adapter.get(keys.slice(0, -1).join('.')) == null) {
+            keys.pop()
+        }
+
+        const change = {
+            operation,
+            key,
+            index,
+            previousValue,
+            value: typeof value == 'object' && value !== null ? JSON.parse(JSON.stringify(value)) : value,
+            createdKey: previousValue == null ? keys.join('.') : null
+        }
+
+        transaction.record(adapter => undoChange(adapter, change), this.adapter)
+    }
+
+    /**
+     * Reads the value that is needed to revert the change of the key.
+     *
+     * The array changes are reverted without the whole array, so it's not copied on every change:
+     * only the removed or replaced element is read, and for the push to a non-empty array,
+     * 'true' is returned since it's only needed to know that the array existed.
+     * @param {string} key The key in database.
+     * @param {'set' | 'delete' | 'add' | 'subtract' | 'push' | 'pull' | 'change'} operation
+     * The operation that is going to be performed on the key.
+     *
+     * @param {number} [index] Index of the array element that is going to be removed or replaced.
+     * @returns {any} The value before the change.
+     * @private
+     */
+    _readPreviousValue(key, operation, index) {
+        if (operation == 'pull' || operation == 'change') {
+            return this.adapter.get(`${key}.${index}`)
+        }
+
+        if (operation == 'push' && this.adapter.get(`${key}.0`) != null) {
+            return true
+        }
+
+        return this.adapter.get(key)
+    }
+
+    /**
+     * Saves the way to restore the whole database if it's cleared in a transaction.
+     * @returns {void}
+     * @private
+     */
+    _recordClear() {
+        const transaction = Transaction.current()
+        if (!transaction) return
+
+        const change = {
+            operation: 'clear',
+            previousValue: this.adapter.all()
+        }
+
+        transaction.record(adapter => undoChange(adapter, change), this.adapter)
+    }
+
+    /**
+     * Writes all the pending changes to the storage file immediately.
+     *
+     * [!] While the Economy instance is running, the changes are written to the storage file automatically
+     * every `updateCountdown` milliseconds, on process exit and on the SIGINT and SIGTERM signals,
+     * and on `Economy.kill()`. Call this method before exiting the process
+     * in any other way (e.g. on the signals that are not listed) to make sure no changes are lost.
+     * @returns {boolean} If any changes were written: true; else: false.
+     */
+    flush() {
+        try {
+            const flushed = this.adapter.flush()
+
+            this.logger.debug('Performed "flush" operation on the database.')
+            return flushed
+        } catch (err) {
+            this.logger.error('Failed to perform "flush" operation on the database.')
+            console.error(err)
+
+            return false
         }
     }
 
@@ -364,13 +508,16 @@ class DatabaseManager {
                 )
             }
 
+            this._record(key, 'change', newValue, index)
             this.logger.debug(`Performed "pull" operation on key "${key}".`)
 
             data.splice(index, 1, newValue)
-            return this.set(key, data, false)
+            return this.adapter.set(key, data)
         } catch (err) {
             this.logger.error(`Failed to perform "pull" operation on key "${key}".`)
             console.error(err)
+
+            if (Transaction.current()) throw err
         }
     }
 
@@ -412,7 +559,7 @@ class DatabaseManager {
     * @returns {object} Database contents
     */
     all() {
-        return this.fetcher.fetchAll()
+        return this.adapter.all()
     }
 }
 
@@ -1,5 +1,3 @@
-const { readFileSync, writeFileSync, existsSync } = require('fs')
-
 const errors = require('../structures/errors')
 
 const EconomyError = require('../classes/util/EconomyError')
@@ -8,6 +6,9 @@ const ShopItem = require('../classes/ShopItem')
 const InventoryItem = require('../classes/InventoryItem')
 const HistoryItem = require('../classes/HistoryItem')
 
+const StorageAdapter = require('../adapters/StorageAdapter')
+const JSONStorageAdapter = require('../adapters/JSONStorageAdapter')
+
 /**
 * Fetch manager methods class.
 */
@@ -40,6 +41,15 @@ class FetchManager {
          * @private
          */
         this.database = database
+
+        /**
+         * Storage adapter that the data is fetched from.
+         * @type {StorageAdapter}
+         * @private
+         */
+        this.adapter = options.storage
+            ? StorageAdapter.validate(options.storage)
+            : new JSONStorageAdapter(options)
     }
 
     /**
@@ -47,14 +57,7 @@ class FetchManager {
     * @returns {object} Database contents
     */
     fetchAll() {
-        const isFileExisting = existsSync(this.storagePath)
-
-        if (!isFileExisting) writeFileSync(this.storagePath, '{}')
-
-        const fileData = readFileSync(this.storagePath)
-        const stringData = fileData.toString()
-
-        return JSON.parse(stringData)
+        return this.adapter.all()
     }
 
     /**
@@ -64,8 +67,6 @@ class FetchManager {
     * @returns {number} User's balance.
     */
     fetchBalance(memberID, guildID) {
-        const data = this.fetchAll()
-
         if (typeof memberID !== 'string') {
             throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
         }
@@ -74,10 +75,7 @@ class FetchManager {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        const memberData = guildData?.[memberID]
-
-        const money = memberData?.money
+        const money = this.adapter.get(`${guildID}.${memberID}.money`)
         return money || 0
     }
 
@@ -88,8 +86,6 @@ class FetchManager {
      * @returns {number} User's bank balance.
      */
     fetchBank(memberID, guildID) {
-        const data = this.fetchAll()
-
         if (typeof memberID !== 'string') {
             throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
         }
@@ -98,10 +94,7 @@ class FetchManager {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        const memberData = guildData?.[memberID]
-
-        const bankMoney = memberData?.bank
+        const bankMoney = this.adapter.get(`${guildID}.${memberID}.bank`)
         return bankMoney || 0
     }
 
@@ -112,8 +105,6 @@ class FetchManager {
      * @returns {InventoryItem[]} User's inventory.
      */
     fetchInventory(memberID, guildID) {
-        const data = this.fetchAll()
-
         if (typeof memberID !== 'string') {
             throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
         }
@@ -122,10 +113,7 @@ class FetchManager {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        const memberData = guildData?.[memberID]
-
-        const inventory = memberData?.inventory || []
+        const inventory = this.adapter.get(`${guildID}.${memberID}.inventory`) || []
         return inventory.map(item => new InventoryItem(guildID, memberID, this.options, item, this.database))
     }
 
@@ -136,8 +124,6 @@ class FetchManager {
      * @returns {HistoryItem[]} User's purchases history.
      */
     fetchHistory(memberID, guildID) {
-        const data = this.fetchAll()
-
         if (typeof memberID !== 'string') {
             throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
         }
@@ -146,10 +132,7 @@ class FetchManager {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        const memberData = guildData?.[memberID]
-
-        const history = memberData?.history || []
+        const history = this.adapter.get(`${guildID}.${memberID}.history`) || []
         return history.map(item => new HistoryItem(guildID, memberID, this.options, item, this.database))
     }
 
@@ -160,8 +143,6 @@ class FetchManager {
      * @returns {CooldownData} User's cooldowns object.
      */
     fetchCooldowns(memberID, guildID) {
-        const data = this.fetchAll()
-
         if (typeof memberID !== 'string') {
             throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
         }
@@ -170,8 +151,7 @@ class FetchManager {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        const memberData = guildData?.[memberID]
+        const memberData = this.adapter.get(`${guildID}.${memberID}`)
 
         const dailyCooldown = memberData?.dailyCooldown || 0
         const workCooldown = memberData?.workCooldown || 0
@@ -194,14 +174,11 @@ class FetchManager {
      * @returns {ShopItem[]} The shop array.
      */
     fetchShop(guildID) {
-        const data = this.fetchAll()
-
         if (typeof guildID !== 'string') {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const guildData = data[guildID]
-        const shop = guildData?.shop || []
+        const shop = this.adapter.get(`${guildID}.shop`) || []
 
         return shop.map(item => new ShopItem(guildID, item, this.database))
     }
@@ -235,6 +212,8 @@ class FetchManager {
  * @property {number} price Item price.
  * @property {string} message The message that will be returned on item use.
  * @property {string} role ID of Discord Role that will be given to user on item use.
+ * @property {?number} expiresAt Timestamp when the item expires. 'null' means the item never expires.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was bought by a user.
  * @property {object} custom Custom item properties object.
@@ -246,9 +225,25 @@ class FetchManager {
  * @property {number} id Item ID.
  * @property {string} name Item name.
  * @property {number} price Item price.
+ * @property {?ItemPrice[]} prices
+ * Prices of the item in the currencies. 'null' means the item is sold for its price in the main balance.
+ *
  * @property {string} message The message that will be returned on item use.
  * @property {string} description Item description.
  * @property {string} role ID of Discord Role that will be given to the user on item use.
+ * @property {?number} duration How long the item lasts after it was bought (in ms). 'null' means forever.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
+ * @property {?number} stock Amount of the items left in the shop. 'null' means unlimited.
+ * @property {?ItemRestockOptions} restock Restock schedule of the item. 'null' means the item is never restocked.
+ * @property {?number} lastRestock Timestamp of the last restock of the item.
+ * @property {?string} category Item category. 'null' means the item has no category.
+ * @property {number} sortOrder Position of the item in the search results, in ascending order.
+ * @property {boolean} hidden If true, the item can only be found or bought by its ID.
+ * @property {?number} availableFrom Timestamp when the item becomes available. 'null' means always.
+ * @property {?number} availableUntil Timestamp when the item stops being available. 'null' means never.
+ * @property {?ItemRequirements} requirements
+ * Requirements that the member must meet to buy the item. 'null' means anyone can buy the item.
+ *
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was added in the shop.
  * @property {object} custom Custom item properties object.
@@ -230,17 +230,239 @@ class HistoryManager {
     getItem(id, memberID, guildID) {
         return this.findItem(id, memberID, guildID)
     }
+
+    /**
+     * Records the money operation in the user's ledger.
+     *
+     * [!] When the ledger becomes longer than the `ledgerLimit` option allows,
+     * the oldest entries are removed from it.
+     *
+     * The balance and bank balance changes are also added to the user's gains in the current guild season,
+     * even if saving the ledger is disabled. The first recorded operation also marks the time
+     * when the user's economy account was created.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {LedgerEntryData} entryData Ledger entry data.
+     * @returns {?LedgerEntry} Recorded ledger entry or 'null' if saving the ledger is disabled.
+     */
+    record(memberID, guildID, entryData) {
+        const {
+            type, amount, currencyID,
+            balanceBefore, balanceAfter,
+            reason, counterparty
+        } = entryData || {}
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (!this.database.fetch(`${guildID}.${memberID}.createdAt`)) {
+            this.database.set(`${guildID}.${memberID}.createdAt`, Date.now())
+        }
+
+        if (!this.options.saveLedger) return null
+
+        const ledgerKey = `${guildID}.${memberID}.ledger`
+        const ledgerStateKey = `${guildID}.${memberID}.ledgerState`
+
+        const ledgerState = this.database.fetch(ledgerStateKey) || { lastID: 0, size: 0 }
+        const ledgerLimit = this.options.ledgerLimit
+
+        const entry = {
+            id: ledgerState.lastID + 1,
+            timestamp: Date.now(),
+            type,
+            amount: Number(amount),
+            currencyID: currencyID ?? null,
+            balanceBefore: Number(balanceBefore),
+            balanceAfter: Number(balanceAfter),
+            reason: reason || null,
+            counterparty: counterparty || null
+        }
+
+        this.database.push(ledgerKey, entry)
+
+        // removing the oldest entries only when the ledger is over the limit
+        let ledgerSize = ledgerState.size + 1
+
+        while (ledgerLimit && ledgerSize > ledgerLimit) {
+            this.database.pop(ledgerKey, 0)
+            ledgerSize--
+        }
+
+        this.database.set(ledgerStateKey, { lastID: entry.id, size: ledgerSize })
+
+        return entry
+    }
+
+    /**
+     * Gets the entries from the user's ledger.
+     *
+     * The entries are sorted from the newest to the oldest.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {LedgerQueryOptions} [options] Ledger query options.
+     * @returns {LedgerPage} Requested ledger page.
+     */
+    ledger(memberID, guildID, options = {}) {
+        const {
+            type, from, to,
+            page = 1, pageSize = 10
+        } = options || {}
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (!Number.isInteger(page) || page < 1) {
+            throw new EconomyError(errors.invalidType('page', 'positive integer', page), 'INVALID_TYPE')
+        }
+
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            throw new EconomyError(errors.invalidType('pageSize', 'positive integer', pageSize), 'INVALID_TYPE')
+        }
+
+        const types = type == undefined ? null : [].concat(type)
+
+        const fromTimestamp = from == undefined ? -Infinity : new Date(from).getTime()
+        const toTimestamp = to == undefined ? Infinity : new Date(to).getTime()
+
+        if (isNaN(fromTimestamp)) {
+            throw new EconomyError(errors.invalidType('from', 'date or timestamp', from), 'INVALID_TYPE')
+        }
+
+        if (isNaN(toTimestamp)) {
+            throw new EconomyError(errors.invalidType('to', 'date or timestamp', to), 'INVALID_TYPE')
+        }
+
+        const ledger = this.database.fetch(`${guildID}.${memberID}.ledger`) || []
+
+        const entries = ledger
+            .filter(entry =>
+                (!types || types.includes(entry.type)) &&
+                entry.timestamp >= fromTimestamp &&
+                entry.timestamp <= toTimestamp
+            )
+            .reverse()
+
+        return {
+            entries: entries.slice((page - 1) * pageSize, page * pageSize),
+            page,
+            pageSize,
+            totalPages: Math.ceil(entries.length / pageSize),
+            totalEntries: entries.length
+        }
+    }
+
+    /**
+     * Clears the user's ledger.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {boolean} If cleared: true, else: false.
+     */
+    clearLedger(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const ledger = this.database.fetch(`${guildID}.${memberID}.ledger`)
+
+        if (!ledger) return false
+        this.database.delete(`${guildID}.${memberID}.ledgerState`)
+        return this.database.delete(`${guildID}.${memberID}.ledger`)
+    }
 }
 
+/**
+ * Ledger entry type: the name of the event that was emitted for the money operation.
+ * @typedef {'balanceSet' | 'balanceAdd' | 'balanceSubtract' |
+ * 'bankSet' | 'bankAdd' | 'bankSubtract' | 'bankInterest' |
+ * 'customCurrencySet' | 'customCurrencyAdd' | 'customCurrencySubtract'} LedgerEntryType
+ */
+
+/**
+ * Ledger entry data to record.
+ * @typedef {object} LedgerEntryData
+ * @property {LedgerEntryType} type Operation type.
+ * @property {number} amount Amount of money in the operation.
+ * @property {?number} [currencyID] Currency ID. Not specified for the main balance and the bank.
+ * @property {number} balanceBefore The balance before the operation.
+ * @property {number} balanceAfter The balance after the operation.
+ * @property {?string} [reason] The reason of the operation.
+ * @property {?string} [counterparty] ID of the other member in the transfer.
+ */
+
+/**
+ * Ledger entry object.
+ * @typedef {object} LedgerEntry
+ * @property {number} id Entry ID.
+ * @property {number} timestamp The time when the operation was made.
+ * @property {LedgerEntryType} type Operation type.
+ * @property {number} amount Amount of money in the operation.
+ * @property {?number} currencyID Currency ID or 'null' for the main balance and the bank.
+ * @property {number} balanceBefore The balance before the operation.
+ * @property {number} balanceAfter The balance after the operation.
+ * @property {?string} reason The reason of the operation.
+ * @property {?string} counterparty ID of the other member in the transfer or 'null' for other operations.
+ */
+
+/**
+ * Ledger query options.
+ * @typedef {object} LedgerQueryOptions
+ * @property {LedgerEntryType | LedgerEntryType[]} [type] Entry type(s) to filter by.
+ * @property {Date | number} [from] Only the entries made at this time or later will be returned.
+ * @property {Date | number} [to] Only the entries made at this time or earlier will be returned.
+ * @property {number} [page=1] Page number, starting from 1. Default: 1.
+ * @property {number} [pageSize=10] Amount of entries on each page. Default: 10.
+ */
+
+/**
+ * Ledger page object.
+ * @typedef {object} LedgerPage
+ * @property {LedgerEntry[]} entries Ledger entries on the page.
+ * @property {number} page Page number.
+ * @property {number} pageSize Amount of entries on each page.
+ * @property {number} totalPages Total amount of pages.
+ * @property {number} totalEntries Total amount of entries that match the query.
+ */
+
 /**
  * Item data object.
  * @typedef {object} ItemData
  * @property {number} id Item ID.
  * @property {string} name Item name.
  * @property {number} price Item price.
+ * @property {?ItemPrice[]} prices
+ * Prices of the item in the currencies. 'null' means the item is sold for its price in the main balance.
+ *
  * @property {string} message The message that will be returned on item use.
  * @property {string} description Item description.
  * @property {string} role ID of Discord Role that will be given to the user on item use.
+ * @property {?number} duration How long the item lasts after it was bought (in ms). 'null' means forever.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
+ * @property {?number} stock Amount of the items left in the shop. 'null' means unlimited.
+ * @property {?ItemRestockOptions} restock Restock schedule of the item. 'null' means the item is never restocked.
+ * @property {?number} lastRestock Timestamp of the last restock of the item.
+ * @property {?string} category Item category. 'null' means the item has no category.
+ * @property {number} sortOrder Position of the item in the search results, in ascending order.
+ * @property {boolean} hidden If true, the item can only be found or bought by its ID.
+ * @property {?number} availableFrom Timestamp when the item becomes available. 'null' means always.
+ * @property {?number} availableUntil Timestamp when the item stops being available. 'null' means never.
+ * @property {?ItemRequirements} requirements
+ * Requirements that the member must meet to buy the item. 'null' means anyone can buy the item.
+ *
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was added in the shop.
  * @property {object} custom Custom item properties object.
@@ -254,6 +476,8 @@ class HistoryManager {
  * @property {number} price Item price.
  * @property {string} message The message that will be returned on item use.
  * @property {string} role ID of Discord Role that will be given to user on item use.
+ * @property {?number} expiresAt Timestamp when the item expires. 'null' means the item never expires.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was bought by a user.
  * @property {object} custom Custom item properties object.
@@ -262,12 +486,30 @@ class HistoryManager {
 /**
  * @typedef {object} EconomyConfiguration Default Economy configuration.
  * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
+ * @property {StorageAdapter} [storage] Storage adapter to use instead of the storage file. Default: null.
  * @property {boolean} [checkStorage=true] Checks the if database file exists and if it has errors. Default: true
  * @property {number} [dailyCooldown=86400000]
  * Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
  *
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000]
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  *
@@ -276,6 +518,11 @@ class HistoryManager {
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
  * @property {number} [sellingItemPercent=75]
  * Percent of the item's price it will be sold for. Default: 75.
  *
@@ -291,7 +538,36 @@ class HistoryManager {
  * @property {boolean} [subtractOnBuy=true]
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
- * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
+ * @property {number} [updateCountdown=1000] Storage file checking and writing interval (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
  * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
@@ -3,12 +3,22 @@ const Emitter = require('../classes/util/Emitter')
 
 const FetchManager = require('./FetchManager')
 const BalanceManager = require('./BalanceManager')
+const BankManager = require('./BankManager')
+const CooldownManager = require('./CooldownManager')
+const RewardManager = require('./RewardManager')
 
 const errors = require('../structures/errors')
+const itemEffects = require('../structures/itemEffects')
 
 const InventoryItem = require('../classes/InventoryItem')
 const ShopItem = require('../classes/ShopItem')
 
+/**
+ * Custom item effect handlers of each Economy instance.
+ * @type {WeakMap<EconomyConfiguration, Map<string, ItemEffectHandler>>}
+ */
+const customEffects = new WeakMap()
+
 /**
  * Inventory manager methods class.
  * @extends {Emitter}
@@ -53,6 +63,88 @@ class InventoryManager extends Emitter {
          * @private
          */
         this.balance = new BalanceManager(options, database)
+
+        /**
+         * Bank balance manager methods class.
+         * @type {BankManager}
+         * @private
+         */
+        this._bank = new BankManager(options, database)
+
+        /**
+         * Cooldown manager methods class.
+         * @type {CooldownManager}
+         * @private
+         */
+        this.cooldowns = new CooldownManager(options, database)
+
+        /**
+         * Reward manager methods class.
+         * @type {RewardManager}
+         * @private
+         */
+        this._rewards = new RewardManager(options, database)
+    }
+
+    /**
+     * Registers the custom item effect handler.
+     *
+     * Custom handlers override the built-in ones with the same name:
+     * 'addMoney', 'addBank', 'grantItem', 'multiplyNextReward', 'clearCooldown' and 'rewardBoost'.
+     * @param {string} name Effect name.
+     * @param {ItemEffectHandler} handler The function that applies the effect.
+     * @returns {boolean} If registered: true.
+     */
+    registerEffect(name, handler) {
+        if (typeof name !== 'string') {
+            throw new EconomyError(errors.invalidType('name', 'string', name), 'INVALID_TYPE')
+        }
+
+        if (typeof handler !== 'function') {
+            throw new EconomyError(errors.invalidType('handler', 'function', handler), 'INVALID_TYPE')
+        }
+
+        if (!customEffects.has(this.options)) {
+            customEffects.set(this.options, new Map())
+        }
+
+        customEffects.get(this.options).set(name, handler)
+        return true
+    }
+
+    /**
+     * Unregisters the custom item effect handler.
+     * @param {string} name Effect name.
+     * @returns {boolean} If unregistered: true, else: false.
+     */
+    unregisterEffect(name) {
+        if (typeof name !== 'string') {
+            throw new EconomyError(errors.invalidType('name', 'string', name), 'INVALID_TYPE')
+        }
+
+        return customEffects.get(this.options)?.delete(name) || false
+    }
+
+    /**
+     * Checks if the item effect handler with specified name exists.
+     * @param {string} name Effect name.
+     * @returns {boolean} If the handler exists: true, else: false.
+     */
+    hasEffect(name) {
+        return !!this._getEffect(name)
+    }
+
+    /**
+     * Gets the item effect handler: custom handlers take precedence over the built-in ones.
+     * @param {string} name Effect name.
+     * @returns {?ItemEffectHandler} Effect handler.
+     * @private
+     */
+    _getEffect(name) {
+        const customHandler = customEffects.get(this.options)?.get(name)
+
+        if (customHandler) return customHandler
+        return Object.prototype.hasOwnProperty.call(itemEffects, name) ? itemEffects[name] : null
     }
 
     /**
@@ -123,13 +215,13 @@ class InventoryManager extends Emitter {
 
     /**
      * Fetches the user's inventory.
+     *
+     * [!] The expired items are purged from the inventory before fetching.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @returns {InventoryItem[]} User's inventory array.
      */
     fetch(memberID, guildID) {
-        const inventory = this.fetcher.fetchInventory(memberID, guildID)
-
         if (typeof memberID !== 'string') {
             throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
         }
@@ -138,6 +230,9 @@ class InventoryManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
+        this.purgeExpired(memberID, guildID)
+        const inventory = this.fetcher.fetchInventory(memberID, guildID)
+
         return inventory.map(item => {
             return new InventoryItem(guildID, memberID, this.options, item, this.database)
         })
@@ -156,14 +251,38 @@ class InventoryManager extends Emitter {
     }
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
+     *
+     * Use the `InventoryManager.useItemWithResult()` method to get the information about the applied effects.
      * @param {string | number} itemID Item ID or name.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
-     * @returns {string} Item message.
+     * @returns {?string} Item message or 'null' if the item was not found.
      */
     useItem(itemID, memberID, guildID, client) {
+        const result = this.useItemWithResult(itemID, memberID, guildID, client)
+        return result.receivedMessage
+    }
+
+    /**
+     * Uses the item: applies its effects, returns the item usage result
+     * and removes the item from user's inventory.
+     *
+     * The item effects are applied in the order they are listed in the item.
+     * If any of them fails, all the changes made by the effects are rolled back
+     * and the item stays in user's inventory.
+     *
+     * If the item expires, its effect (e.g. the given role) is applied until the item's expiration time
+     * and can be found in the `InventoryManager.effects()` method.
+     * @param {string | number} itemID Item ID or name.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
+     * @returns {ItemUseResult} Item usage result.
+     */
+    useItemWithResult(itemID, memberID, guildID, client) {
         const inventory = this.fetch(memberID, guildID)
 
         const itemObject = this.getItem(itemID, memberID, guildID)
@@ -183,13 +302,35 @@ class InventoryManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        if (!item) return null
+        if (!item) return {
+            status: false,
+            message: 'item not found',
+            item: null,
+            receivedMessage: null,
+            effects: []
+        }
 
-        if (item.role) {
-            if (item.role && !client) {
-                throw new EconomyError(errors.noClient, 'NO_DISCORD_CLIENT')
+        if (item.role && !client) {
+            throw new EconomyError(errors.noClient, 'NO_DISCORD_CLIENT')
+        }
+
+        const effects = this.database.transaction(() => {
+            const appliedEffects = this._applyEffects(item, memberID, guildID)
+
+            this.removeItem(itemID, memberID, guildID)
+
+            if (item.expiresAt) {
+                this.database.push(`${guildID}.${memberID}.effects`, {
+                    item: item.rawObject,
+                    appliedAt: Date.now(),
+                    expiresAt: item.expiresAt
+                })
             }
 
+            return appliedEffects
+        })
+
+        if (item.role) {
             const guild = client.guilds.cache.get(guildID)
             const roleID = item.role.replace('<@&', '').replace('>', '')
 
@@ -212,8 +353,6 @@ class InventoryManager extends Emitter {
             })
         }
 
-        this.removeItem(itemID, memberID, guildID)
-
         let msg
         const string = item?.message || 'You have used this item!'
 
@@ -246,26 +385,72 @@ class InventoryManager extends Emitter {
             guildID,
             usedBy: memberID,
             item,
-            receivedMessage: msg
+            receivedMessage: msg,
+            effects
         })
 
-        return msg
+        return {
+            status: true,
+            message: 'OK',
+            item,
+            receivedMessage: msg,
+            effects
+        }
     }
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
      *
      * This method is an alias for the `InventoryManager.useItem()` method.
      * @param {string | number} itemID Item ID or name.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {Client} [client] The Discord Client. [Specify if the role will be given on a Discord server].
-     * @returns {string} Item message.
+     * @returns {?string} Item message or 'null' if the item was not found.
      */
     use(itemID, memberID, guildID, client) {
         return this.useItem(itemID, memberID, guildID, client)
     }
 
+    /**
+     * Applies all the effects of the item in order.
+     * @param {InventoryItem} item The item that is being used.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {ItemEffectResult[]} Applied effects.
+     * @private
+     */
+    _applyEffects(item, memberID, guildID) {
+        const context = {
+            guildID,
+            memberID,
+            item,
+            balance: this.balance,
+            bank: this._bank,
+            inventory: this,
+            cooldowns: this.cooldowns,
+            rewards: this._rewards,
+            database: this.database
+        }
+
+        return (item.effects || []).map(effect => {
+            const handler = this._getEffect(effect.type)
+
+            if (!handler) {
+                throw new EconomyError(errors.itemEffects.notFound(effect.type), 'ITEM_EFFECT_NOT_FOUND')
+            }
+
+            const params = effect.params || {}
+
+            return {
+                type: effect.type,
+                params,
+                result: handler(params, context)
+            }
+        })
+    }
+
     /**
      * Returns the stacked user's inventory -
      * an array of objects of item's quantity, total price and the item itself from user's inventory
@@ -275,6 +460,8 @@ class InventoryManager extends Emitter {
      * @returns {StackedInventoryItemObject[]} Stacked user's inventory.
      */
     stacked(memberID, guildID) {
+        this.purgeExpired(memberID, guildID)
+
         const inventoryArray = this.database.fetch(`${guildID}.${memberID}.inventory`) || []
         const shopArray = this.database.fetch(`${guildID}.shop`) || []
 
@@ -324,7 +511,6 @@ class InventoryManager extends Emitter {
         const inventoryObjects = inventory.map(item => item.rawObject)
 
         const item = inventory.find(invItem => invItem.id == itemID || invItem.name == itemID)
-        const itemQuantity = inventoryObjects.filter(item => item.id == itemID).length
 
         if (!arguments[3]) {
             this.database.logger.optionalParamNotSpecified(
@@ -348,15 +534,179 @@ class InventoryManager extends Emitter {
 
         if (!item) return false
 
+        // the earliest bought items are removed first, so the rest keep their expiration time
         const newInventory = [
             ...inventoryObjects.filter(invItem => invItem.id != item.id),
-            ...Array(itemQuantity - quantity).fill(item.rawObject)
+            ...inventoryObjects.filter(invItem => invItem.id == item.id).slice(quantity)
         ]
 
         const result = this.database.set(`${guildID}.${memberID}.inventory`, newInventory)
         return result
     }
 
+    /**
+     * Gets the effects of the used items that are still active.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {ItemEffectData[]} User's active item effects.
+     */
+    effects(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        this.purgeExpired(memberID, guildID)
+        return this.database.fetch(`${guildID}.${memberID}.effects`) || []
+    }
+
+    /**
+     * Removes the expired items from user's inventory and the expired effects of the used items.
+     *
+     * Emits the `shopItemExpire` event for each expired item or effect.
+     * When an effect of a role item expires, the `shopItemRoleExpire` event is emitted,
+     * so the role could be removed from the member. If the Discord Client is specified,
+     * the role is removed automatically.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {Client} [client] Discord Client. [Specify if the role will be removed on a Discord server]
+     * @returns {ItemExpireData[]} Expired items and effects.
+     */
+    purgeExpired(memberID, guildID, client) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const now = Date.now()
+        const isExpired = entry => !!entry.expiresAt && entry.expiresAt <= now
+
+        /**
+         * @type {InventoryData[]}
+         */
+        const inventory = this.database.fetch(`${guildID}.${memberID}.inventory`) || []
+
+        /**
+         * @type {ItemEffectData[]}
+         */
+        const effects = this.database.fetch(`${guildID}.${memberID}.effects`) || []
+
+        const expiredItems = inventory.filter(isExpired)
+        const expiredEffects = effects.filter(isExpired)
+
+        if (!expiredItems.length && !expiredEffects.length) return []
+
+        const expired = [
+            ...expiredItems.map(item => ({ type: 'item', item })),
+            ...expiredEffects.map(effect => ({ type: 'effect', item: effect.item }))
+        ].map(({ type, item }) => ({
+            type,
+            guildID,
+            memberID,
+            item: new InventoryItem(guildID, memberID, this.options, item, this.database),
+            expiresAt: item.expiresAt
+        }))
+
+        this.database.transaction(() => {
+            if (expiredItems.length) {
+                this.database.set(`${guildID}.${memberID}.inventory`, inventory.filter(item => !isExpired(item)))
+            }
+
+            if (expiredEffects.length) {
+                this.database.set(`${guildID}.${memberID}.effects`, effects.filter(effect => !isExpired(effect)))
+            }
+
+            for (const expireData of expired) {
+                this.emit('shopItemExpire', expireData)
+
+                if (expireData.type == 'effect' && expireData.item.role) {
+                    this.emit('shopItemRoleExpire', {
+                        guildID,
+                        memberID,
+                        roleID: expireData.item.role.replace('<@&', '').replace('>', ''),
+                        item: expireData.item
+                    })
+                }
+            }
+        })
+
+        if (client) {
+            for (const expireData of expired) {
+                if (expireData.type == 'effect' && expireData.item.role) {
+                    this._removeRole(expireData.item.role, memberID, guildID, client)
+                }
+            }
+        }
+
+        return expired
+    }
+
+    /**
+     * Removes the expired items and effects from all the users in the guild,
+     * or in all the guilds if the guild is not specified.
+     * @param {string} [guildID] Guild ID.
+     * @param {Client} [client] Discord Client. [Specify if the roles will be removed on a Discord server]
+     * @returns {ItemExpireData[]} Expired items and effects.
+     */
+    sweepExpired(guildID, client) {
+        if (guildID !== undefined && guildID !== null && typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const guildIDs = guildID ? [guildID] : this.database.keysList()
+        const expired = []
+
+        for (const guild of guildIDs) {
+            for (const memberID of this.database.keysList(guild) || []) {
+                const user = this.database.fetch(`${guild}.${memberID}`)
+
+                if (Array.isArray(user?.inventory) || Array.isArray(user?.effects)) {
+                    expired.push(...this.purgeExpired(memberID, guild, client))
+                }
+            }
+        }
+
+        return expired
+    }
+
+    /**
+     * Removes the role of the expired item from the member.
+     * @param {string} role Role ID or mention.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {Client} client Discord Client.
+     * @returns {void}
+     * @private
+     */
+    _removeRole(role, memberID, guildID, client) {
+        const guild = client.guilds.cache.get(guildID)
+        const roleID = role.replace('<@&', '').replace('>', '')
+
+        guild.roles.fetch(roleID).then(role => {
+            const member = guild.members.cache.get(memberID)
+
+            member.roles.remove(role).catch(err => {
+                if (!role) {
+                    return console.error(new EconomyError(errors.roleNotFound + roleID, 'ROLE_NOT_FOUND'))
+                }
+
+                console.error(
+                    `\x1b[31mFailed to remove a role "${guild.roles.cache.get(roleID)?.name}"` +
+                    `on guild "${guild.name}" from member ${guild.member(memberID).user.tag}:\x1b[36m`
+                )
+
+                console.error(err)
+                console.error('\x1b[0m')
+            })
+        })
+    }
+
 
     /**
      * Adds the item from the shop to user's inventory.
@@ -412,7 +762,8 @@ class InventoryManager extends Emitter {
         }
 
         const totalPrice = item.price * quantity
-        const arrayOfItems = Array(quantity).fill(item.rawObject ? item.rawObject : item)
+        const expiresAt = item.duration ? Date.now() + item.duration : null
+        const arrayOfItems = Array(quantity).fill({ ...(item.rawObject ? item.rawObject : item), expiresAt })
 
         const newInventory = [...inventory, ...arrayOfItems]
 
@@ -541,11 +892,71 @@ class InventoryManager extends Emitter {
 /**
  * @typedef {object} AddItemOptions Configuration with item info for 'Economy.shop.addItem' method.
  * @property {string} name Item name.
- * @property {number} price Item price.
+ * @property {number} [price]
+ * Item price. Can be omitted if the prices are specified: then the price in the main balance is used, or 0.
+ *
  * @property {string} [message='You have used this item!'] Item message that will be returned on use.
  * @property {string} [description='Very mysterious item.'] Item description.
  * @property {number} [maxAmount=null] Max amount of the item that user can hold in their inventory.
  * @property {string} [role=null] Role **ID** from your Discord server.
+ * @property {number} [duration=null] How long the item lasts after it was bought (in ms). 'null' means forever.
+ * @property {ItemEffect[]} [effects=[]] Effects that will be applied on item use.
+ * @property {number} [stock=null]
+ * Amount of the items in the shop. 'null' means unlimited. If the restock schedule is specified, defaults to 0.
+ *
+ * @property {ItemRestockOptions} [restock=null] Restock schedule of the item.
+ * @property {ItemPrice[]} [prices=null]
+ * Prices of the item in the currencies, by the currency ID, name or symbol, or 'money' for the main balance.
+ * All the currencies of one price are charged together. If specified, the item can only be bought for them.
+ *
+ * @property {string} [category=null] Item category.
+ * @property {number} [sortOrder=0] Position of the item in the search results, in ascending order. Default: 0.
+ * @property {boolean} [hidden=false]
+ * If true, the item is not listed in the search results and can only be found or bought by its ID. Default: false.
+ *
+ * @property {Date | number} [availableFrom=null] Date when the item becomes available. Default: null.
+ * @property {Date | number} [availableUntil=null] Date when the item stops being available. Default: null.
+ * @property {ItemRequirementsOptions} [requirements=null] Requirements that the member must meet to buy the item.
+ */
+
+/**
+ * @typedef {object} ItemEffectData
+ * @property {InventoryData} item The item that was used.
+ * @property {number} appliedAt Timestamp when the item was used.
+ * @property {number} expiresAt Timestamp when the effect expires.
+ */
+
+/**
+ * @typedef {object} ItemExpireData
+ * @property {'item' | 'effect'} type
+ * Type of the expired entry: an item in the inventory or an effect of the used item.
+ *
+ * @property {string} guildID Guild ID.
+ * @property {string} memberID Member ID.
+ * @property {InventoryItem} item The expired item.
+ * @property {number} expiresAt Timestamp when the item expired.
+ */
+
+/**
+ * @typedef {object} ItemEffect
+ * @property {string} type Name of the registered effect handler.
+ * @property {object} [params] Parameters that will be passed in the effect handler.
+ */
+
+/**
+ * @typedef {object} ItemEffectResult
+ * @property {string} type Name of the applied effect.
+ * @property {object} params Parameters the effect was applied with.
+ * @property {any} result The information about what was done, returned from the effect handler.
+ */
+
+/**
+ * @typedef {object} ItemUseResult
+ * @property {boolean} status Operation status.
+ * @property {string} message Operation message.
+ * @property {?InventoryItem} item The used item.
+ * @property {?string} receivedMessage Item usage message.
+ * @property {ItemEffectResult[]} effects Applied item effects in order.
  */
 
 /**
@@ -554,7 +965,15 @@ class InventoryManager extends Emitter {
  * @property {string} message Operation message.
  * @property {ShopItem | InventoryItem} item Item object.
  * @property {number} quantity Item quantity.
- * @property {number} totalPrice Total price of the items.
+ * @property {number} totalPrice
+ * Total charged price of the items in the main balance or, if the price does not include it, in its currency.
+ *
+ * @property {?ItemPrice} price Price of one item in the currencies it was bought for, before the discounts.
+ * @property {number} originalPrice Total price of the items before the discounts.
+ * @property {number} discount Total discount of the sale and the coupon.
+ * @property {number} chargedPrice Total price of the items after the discounts.
+ * @property {UnmetRequirement} [requirement]
+ * The first unmet requirement of the item. Only specified if the purchase failed because of it.
  */
 
 /**
@@ -581,12 +1000,30 @@ class InventoryManager extends Emitter {
 /**
  * @typedef {object} EconomyConfiguration Default Economy configuration.
  * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
+ * @property {StorageAdapter} [storage] Storage adapter to use instead of the storage file. Default: null.
  * @property {boolean} [checkStorage=true] Checks the if database file exists and if it has errors. Default: true
  * @property {number} [dailyCooldown=86400000]
  * Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
  *
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000]
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  *
@@ -598,6 +1035,11 @@ class InventoryManager extends Emitter {
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
  * @property {number | number[]} [weeklyAmount=100] Amount of money for Weekly Reward. Default: 1000.
  * @property {number | number[]} [workAmount=[10, 50]] Amount of money for Work Reward. Default: [10, 50].
  *
@@ -610,7 +1052,36 @@ class InventoryManager extends Emitter {
  * @property {boolean} [subtractOnBuy=true]
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
- * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
+ * @property {number} [updateCountdown=1000] Storage file checking and writing interval (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
  * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
@@ -0,0 +1,505 @@
+const Emitter = require('../classes/util/Emitter')
+const EconomyError = require('../classes/util/EconomyError')
+
+const errors = require('../structures/errors')
+const jobOptions = require('../structures/jobOptions')
+const memberResolvers = require('../structures/memberResolvers')
+
+
+/**
+ * Job manager methods class.
+ * @extends {Emitter}
+ */
+class JobManager extends Emitter {
+
+    /**
+     * Job Manager.
+     * @param {EconomyConfiguration} options Economy configuration.
+     * @param {DatabaseManager} database Database manager.
+     */
+    constructor(options, database) {
+        super(options)
+
+        /**
+         * Economy configuration.
+         * @type {EconomyConfiguration}
+         * @private
+         */
+        this.options = options
+
+        /**
+         * Database manager.
+         * @type {DatabaseManager}
+         * @private
+         */
+        this.database = database
+    }
+
+    /**
+     * Sets the function that returns the level of the member.
+     *
+     * The level is used to check the 'requiredLevel' of the jobs. If the resolver is not set,
+     * all the users are considered to be on level 0.
+     * @param {LevelResolver} resolver
+     * The function that receives the member ID and guild ID and returns the member's level.
+     *
+     * @returns {boolean} If set: true.
+     */
+    setLevelResolver(resolver) {
+        if (typeof resolver !== 'function') {
+            throw new EconomyError(errors.jobs.invalidLevelResolver + typeof resolver, 'INVALID_TYPE')
+        }
+
+        memberResolvers(this.options).level = resolver
+        return true
+    }
+
+    /**
+     * Creates a job in the guild.
+     * @param {string} guildID Guild ID.
+     * @param {JobData} options Job options.
+     * @returns {Job} Created job.
+     */
+    create(guildID, options = {}) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const jobData = jobOptions(options)
+        const jobs = this.all(guildID)
+
+        if (jobs.some(job => job.name == jobData.name)) {
+            throw new EconomyError(errors.jobs.nameTaken + jobData.name, 'INVALID_INPUT')
+        }
+
+        const job = {
+            id: jobs.length ? jobs[jobs.length - 1].id + 1 : 1,
+            ...jobData,
+            createdAt: Date.now()
+        }
+
+        this.database.push(`${guildID}.jobs`, job)
+
+        return job
+    }
+
+    /**
+     * Edits the job in the guild.
+     * @param {string | number} jobID Job ID or name.
+     * @param {string} guildID Guild ID.
+     * @param {Partial<JobData>} options Job options to change.
+     * @returns {Job} Edited job or 'null' if the job was not found.
+     */
+    edit(jobID, guildID, options = {}) {
+        if (typeof jobID !== 'number' && typeof jobID !== 'string') {
+            throw new EconomyError(errors.invalidType('jobID', 'string or number', jobID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const jobs = this.all(guildID)
+        const jobIndex = jobs.findIndex(job => job.id == jobID || job.name == jobID)
+
+        if (jobIndex == -1) return null
+
+        const changes = jobOptions(options, true)
+
+        if (changes.name && jobs.some((job, index) => index !== jobIndex && job.name == changes.name)) {
+            throw new EconomyError(errors.jobs.nameTaken + changes.name, 'INVALID_INPUT')
+        }
+
+        const job = {
+            ...jobs[jobIndex],
+            ...changes
+        }
+
+        this.database.pull(`${guildID}.jobs`, jobIndex, job)
+
+        return job
+    }
+
+    /**
+     * Deletes the job from the guild.
+     *
+     * The users employed in the deleted job are considered unemployed.
+     * @param {string | number} jobID Job ID or name.
+     * @param {string} guildID Guild ID.
+     * @returns {boolean} If deleted: true, else: false.
+     */
+    delete(jobID, guildID) {
+        if (typeof jobID !== 'number' && typeof jobID !== 'string') {
+            throw new EconomyError(errors.invalidType('jobID', 'string or number', jobID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const jobs = this.all(guildID)
+        const jobIndex = jobs.findIndex(job => job.id == jobID || job.name == jobID)
+
+        if (jobIndex == -1) return false
+
+        this.database.pop(`${guildID}.jobs`, jobIndex)
+
+        return true
+    }
+
+    /**
+     * Gets the job from the guild.
+     * @param {string | number} jobID Job ID or name.
+     * @param {string} guildID Guild ID.
+     * @returns {Job} Job object or 'null' if the job was not found.
+     */
+    get(jobID, guildID) {
+        if (typeof jobID !== 'number' && typeof jobID !== 'string') {
+            throw new EconomyError(errors.invalidType('jobID', 'string or number', jobID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const jobs = this.all(guildID)
+        return jobs.find(job => job.id == jobID || job.name == jobID) || null
+    }
+
+    /**
+     * Gets all the jobs in the guild.
+     * @param {string} guildID Guild ID.
+     * @returns {Job[]} Guild jobs.
+     */
+    all(guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const jobs = this.database.fetch(`${guildID}.jobs`)
+        return jobs || []
+    }
+
+    /**
+     * Gets the user's current employment.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {EmploymentData} User's employment or 'null' if the user is not employed.
+     */
+    current(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const employment = this.database.fetch(`${guildID}.${memberID}.employment`)
+        if (!employment) return null
+
+        const job = this.get(employment.jobID, guildID)
+        if (!job) return null
+
+        return {
+            job,
+            shifts: employment.shifts,
+            hiredAt: employment.hiredAt,
+            promotedAt: employment.promotedAt
+        }
+    }
+
+    /**
+     * Employs the user in the job.
+     *
+     * The user must not be employed and must meet the job requirements:
+     * the required level (see `JobManager.setLevelResolver()`) and the required items in the inventory.
+     * @param {string | number} jobID Job ID or name.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {JobOperationInfo} Operation information object.
+     */
+    apply(jobID, memberID, guildID) {
+        if (typeof jobID !== 'number' && typeof jobID !== 'string') {
+            throw new EconomyError(errors.invalidType('jobID', 'string or number', jobID), 'INVALID_TYPE')
+        }
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const job = this.get(jobID, guildID)
+
+        if (!job) return {
+            status: false,
+            message: 'job not found',
+            job: null,
+            employment: null
+        }
+
+        const currentEmployment = this.current(memberID, guildID)
+
+        if (currentEmployment) return {
+            status: false,
+            message: 'already employed',
+            job,
+            employment: currentEmployment
+        }
+
+        const requirementsProblem = this._checkRequirements(job, memberID, guildID)
+
+        if (requirementsProblem) return {
+            status: false,
+            message: requirementsProblem,
+            job,
+            employment: null
+        }
+
+        const employment = {
+            jobID: job.id,
+            shifts: 0,
+            hiredAt: Date.now(),
+            promotedAt: null
+        }
+
+        this.database.set(`${guildID}.${memberID}.employment`, employment)
+
+        this.emit('jobApply', {
+            guildID,
+            memberID,
+            job
+        })
+
+        return {
+            status: true,
+            message: 'OK',
+            job,
+            employment: {
+                job,
+                shifts: employment.shifts,
+                hiredAt: employment.hiredAt,
+                promotedAt: employment.promotedAt
+            }
+        }
+    }
+
+    /**
+     * Makes the user quit their job.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {JobOperationInfo} Operation information object.
+     */
+    quit(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const employment = this.current(memberID, guildID)
+
+        if (!employment) return {
+            status: false,
+            message: 'not employed',
+            job: null,
+            employment: null
+        }
+
+        this.database.delete(`${guildID}.${memberID}.employment`)
+
+        this.emit('jobQuit', {
+            guildID,
+            memberID,
+            job: employment.job,
+            shifts: employment.shifts
+        })
+
+        return {
+            status: true,
+            message: 'OK',
+            job: employment.job,
+            employment: null
+        }
+    }
+
+    /**
+     * Promotes the user to another job.
+     *
+     * The job requirements are not checked on promotion. The shifts counter starts over.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     *
+     * @param {string | number} [jobID]
+     * ID or name of the job to promote the user to. Default: the 'promoteTo' job of the current job.
+     *
+     * @returns {JobOperationInfo} Operation information object.
+     */
+    promote(memberID, guildID, jobID = null) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (jobID !== null && typeof jobID !== 'number' && typeof jobID !== 'string') {
+            throw new EconomyError(errors.invalidType('jobID', 'string or number', jobID), 'INVALID_TYPE')
+        }
+
+        const currentEmployment = this.current(memberID, guildID)
+
+        if (!currentEmployment) return {
+            status: false,
+            message: 'not employed',
+            job: null,
+            employment: null
+        }
+
+        const promotionJobID = jobID ?? currentEmployment.job.promoteTo
+
+        if (promotionJobID == null) return {
+            status: false,
+            message: 'no promotion available',
+            job: currentEmployment.job,
+            employment: currentEmployment
+        }
+
+        const job = this.get(promotionJobID, guildID)
+
+        if (!job) return {
+            status: false,
+            message: 'job not found',
+            job: null,
+            employment: currentEmployment
+        }
+
+        const employment = {
+            jobID: job.id,
+            shifts: 0,
+            hiredAt: currentEmployment.hiredAt,
+            promotedAt: Date.now()
+        }
+
+        this.database.set(`${guildID}.${memberID}.employment`, employment)
+
+        this.emit('jobPromote', {
+            guildID,
+            memberID,
+            job,
+            previousJob: currentEmployment.job
+        })
+
+        return {
+            status: true,
+            message: 'OK',
+            job,
+            employment: {
+                job,
+                shifts: employment.shifts,
+                hiredAt: employment.hiredAt,
+                promotedAt: employment.promotedAt
+            }
+        }
+    }
+
+    /**
+     * Checks if the user meets the job requirements.
+     * @param {Job} job Job to check.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {string} The problem message or 'null' if all the requirements are met.
+     * @private
+     */
+    _checkRequirements(job, memberID, guildID) {
+        if (job.requiredLevel > 0) {
+            const levelResolver = memberResolvers(this.options).level
+            const level = levelResolver ? (levelResolver(memberID, guildID)) || 0 : 0
+
+            if (level < job.requiredLevel) {
+                return `level too low (required: ${job.requiredLevel})`
+            }
+        }
+
+        if (job.requiredItems.length) {
+            const inventory = ((this.database.fetch(`${guildID}.${memberID}.inventory`)) || [])
+                .filter(item => !item.expiresAt || item.expiresAt > Date.now())
+
+            const missingItems = job.requiredItems.filter(
+                itemID => !inventory.some(item => item.id == itemID || item.name == itemID)
+            )
+
+            if (missingItems.length) {
+                return `missing required items: ${missingItems.join(', ')}`
+            }
+        }
+
+        return null
+    }
+}
+
+/**
+ * @callback LevelResolver
+ * @param {string} memberID Member ID.
+ * @param {string} guildID Guild ID.
+ * @returns {number} Member's level.
+ */
+
+/**
+ * @typedef {object} JobData
+ * @property {string} name Job name.
+ * @property {number | number[]} pay Amount of money for each shift. Could be a [min, max] range.
+ * @property {string} [description=''] Job description.
+ *
+ * @property {number | string} [cooldown]
+ * Cooldown between the shifts: in ms or a time string (e.g. '2h'). Default: the work reward cooldown.
+ *
+ * @property {number} [requiredLevel=0] Minimal user level to apply for the job. Default: 0.
+ * @property {Array<string | number>} [requiredItems=[]] IDs or names of the items the user must have to apply.
+ * @property {string[]} [messages=[]] Flavor messages; one of them is picked randomly for each shift.
+ * @property {number} [promoteAfter] Amount of shifts after which the user is promoted.
+ * @property {string | number} [promoteTo] ID or name of the job the user is promoted to.
+ */
+
+/**
+ * @typedef {object} Job
+ * @property {number} id Job ID.
+ * @property {string} name Job name.
+ * @property {string} description Job description.
+ * @property {number | number[]} pay Amount of money for each shift. Could be a [min, max] range.
+ * @property {?number} cooldown Cooldown between the shifts (in ms). 'null' means the work reward cooldown.
+ * @property {number} requiredLevel Minimal user level to apply for the job.
+ * @property {Array<string | number>} requiredItems IDs or names of the items the user must have to apply.
+ * @property {string[]} messages Flavor messages; one of them is picked randomly for each shift.
+ * @property {?number} promoteAfter Amount of shifts after which the user is promoted.
+ * @property {?(string | number)} promoteTo ID or name of the job the user is promoted to.
+ * @property {number} createdAt The time when the job was created.
+ */
+
+/**
+ * @typedef {object} EmploymentData
+ * @property {Job} job The job the user is employed in.
+ * @property {number} shifts Amount of shifts the user has worked since they were hired or promoted.
+ * @property {number} hiredAt The time when the user was hired.
+ * @property {?number} promotedAt The time when the user was promoted the last time.
+ */
+
+/**
+ * @typedef {object} JobOperationInfo
+ * @property {boolean} status Operation status.
+ * @property {string} message Operation message.
+ * @property {Job} job Job object.
+ * @property {EmploymentData} employment User's employment after the operation.
+ */
+
+/**
+ * Job manager class.
+ * @type {JobManager}
+ */
+module.exports = JobManager
@@ -1,12 +1,21 @@
 const ms = require('../structures/ms')
 
+const Emitter = require('../classes/util/Emitter')
 const EconomyError = require('../classes/util/EconomyError')
 const errors = require('../structures/errors')
 
 const parse = require('../structures/timeParser.js')
+const customRewards = require('../structures/customRewards')
+const memberResolvers = require('../structures/memberResolvers')
+const rewardOptions = require('../structures/rewardOptions')
+const dailyStreak = require('../structures/dailyStreak')
+const cooldownEnd = require('../structures/cooldownEnd')
+const modifyReward = require('../structures/modifyReward')
+const rewardModifierOptions = require('../structures/rewardModifierOptions')
 
 const BalanceManager = require('./BalanceManager')
 const CooldownManager = require('./CooldownManager')
+const JobManager = require('./JobManager')
 
 const RewardType = {
     DAILY: 0,
@@ -16,11 +25,15 @@ const RewardType = {
     HOURLY: 4
 }
 
+const rewardTypes = ['daily', 'work', 'weekly', 'monthly', 'hourly']
+const modifierSources = ['role', 'item', 'event']
+
 
 /**
  * Reward manager methods class.
+ * @extends {Emitter}
  */
-class RewardManager {
+class RewardManager extends Emitter {
 
     /**
       * Reward Manager.
@@ -36,6 +49,7 @@ class RewardManager {
       * @param {DatabaseManager} database Database manager.
      */
     constructor(options, database) {
+        super(options)
 
         /**
          * Economy configuration.
@@ -64,19 +78,295 @@ class RewardManager {
          * @private
          */
         this.balance = new BalanceManager(options)
+
+        /**
+         * Job manager methods class.
+         * @type {JobManager}
+         * @private
+         */
+        this._jobs = new JobManager(options, database)
+    }
+
+    /**
+     * Registers the custom reward type.
+     *
+     * Custom rewards are claimed with the `RewardManager.receive()` method by their name
+     * and their cooldowns are tracked by the Cooldown Manager like the built-in ones.
+     * The amount and cooldown can be overridden for each guild in the 'rewards' setting.
+     * @param {string} name Reward name.
+     * @param {object} options Reward options.
+     * @param {number | number[]} options.amount Amount of money for the reward. Could be a [min, max] range.
+     * @param {number | string} options.cooldown Cooldown for the reward: in ms or a time string (e.g. '12h').
+     * @returns {CustomRewardData} Registered reward.
+     */
+    register(name, options = {}) {
+        if (typeof name !== 'string' || !name.length || name.includes('.')) {
+            throw new EconomyError(errors.rewards.invalidName + name, 'INVALID_TYPE')
+        }
+
+        if (rewardTypes.includes(name)) {
+            throw new EconomyError(errors.rewards.builtInName + name, 'INVALID_INPUT')
+        }
+
+        const customReward = rewardOptions(options)
+        customRewards(this.options).set(name, customReward)
+
+        return {
+            name,
+            ...customReward
+        }
+    }
+
+    /**
+     * Unregisters the custom reward type.
+     *
+     * The users' cooldowns of the reward are kept in the database.
+     * @param {string} name Reward name.
+     * @returns {boolean} If unregistered: true, else: false.
+     */
+    unregister(name) {
+        return customRewards(this.options).delete(name)
+    }
+
+    /**
+     * Checks if the custom reward type is registered.
+     * @param {string} name Reward name.
+     * @returns {boolean} If registered: true, else: false.
+     */
+    has(name) {
+        return customRewards(this.options).has(name)
+    }
+
+    /**
+     * Returns all the registered custom reward types.
+     * @returns {CustomRewardData[]} Registered rewards.
+     */
+    list() {
+        return [...customRewards(this.options)].map(([name, customReward]) => ({
+            name,
+            ...customReward
+        }))
+    }
+
+    /**
+     * Sets the function that returns the Discord role IDs of the member.
+     *
+     * The roles are used to apply the 'role' reward modifiers. If the resolver is not set,
+     * the 'role' modifiers are not applied.
+     * @param {RolesResolver} resolver
+     * The function that receives the member ID and guild ID and returns an array of the member's role IDs.
+     *
+     * @returns {boolean} If set: true.
+     */
+    setRolesResolver(resolver) {
+        if (typeof resolver !== 'function') {
+            throw new EconomyError(errors.rewards.invalidRolesResolver + typeof resolver, 'INVALID_TYPE')
+        }
+
+        memberResolvers(this.options).roles = resolver
+        return true
+    }
+
+    /**
+     * Adds the reward modifier in the guild.
+     *
+     * The guild modifiers are applied to the rewards of all the guild members who match the modifier source:
+     * - 'role' - the member has the Discord role (see `RewardManager.setRolesResolver()`);
+     * - 'item' - the member has the item in their inventory;
+     * - 'event' - the modifier applies to everyone (e.g. a double-rewards weekend).
+     *
+     * @param {string} guildID Guild ID.
+     * @param {RewardModifierData} options Reward modifier options.
+     * @returns {RewardModifier} Added reward modifier.
+     */
+    addModifier(guildID, options = {}) {
+        const { source, roleID, itemID, name = null, startsAt = null, endsAt = null } = options
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (!modifierSources.includes(source)) {
+            throw new EconomyError(errors.rewards.invalidModifierSource + source, 'INVALID_INPUT')
+        }
+
+        if (source == 'role' && typeof roleID !== 'string') {
+            throw new EconomyError(errors.rewards.invalidRoleID + roleID, 'INVALID_TYPE')
+        }
+
+        if (source == 'item' && typeof itemID !== 'string' && typeof itemID !== 'number') {
+            throw new EconomyError(errors.rewards.invalidItemID + itemID, 'INVALID_TYPE')
+        }
+
+        if (name !== null && typeof name !== 'string') {
+            throw new EconomyError(errors.invalidType('options.name', 'string', name), 'INVALID_TYPE')
+        }
+
+        const startTimestamp = startsAt === null ? null : Number(startsAt)
+        const endTimestamp = endsAt === null ? null : Number(endsAt)
+
+        if (
+            (startTimestamp !== null && isNaN(startTimestamp)) ||
+            (endTimestamp !== null && isNaN(endTimestamp)) ||
+            (startTimestamp !== null && endTimestamp !== null && endTimestamp <= startTimestamp)
+        ) {
+            throw new EconomyError(errors.rewards.invalidModifierPeriod, 'INVALID_INPUT')
+        }
+
+        const { multiplier, bonus, rewards } = rewardModifierOptions(options)
+        const modifiers = this.getModifiers(guildID)
+
+        const modifier = {
+            id: modifiers.length ? modifiers[modifiers.length - 1].id + 1 : 1,
+            name,
+            source,
+            roleID: source == 'role' ? roleID : null,
+            itemID: source == 'item' ? itemID : null,
+            rewards,
+            multiplier,
+            bonus,
+            startsAt: startTimestamp,
+            endsAt: endTimestamp
+        }
+
+        this.database.push(`${guildID}.rewardModifiers`, modifier)
+
+        return modifier
+    }
+
+    /**
+     * Removes the reward modifier from the guild.
+     * @param {number} modifierID Reward modifier ID.
+     * @param {string} guildID Guild ID.
+     * @returns {boolean} If removed: true, else: false.
+     */
+    removeModifier(modifierID, guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const modifiers = this.getModifiers(guildID)
+        const modifierIndex = modifiers.findIndex(modifier => modifier.id == modifierID)
+
+        if (modifierIndex == -1) return false
+
+        this.database.pop(`${guildID}.rewardModifiers`, modifierIndex)
+
+        return true
+    }
+
+    /**
+     * Gets all the reward modifiers in the guild.
+     * @param {string} guildID Guild ID.
+     * @returns {RewardModifier[]} Guild reward modifiers.
+     */
+    getModifiers(guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const modifiers = this.database.fetch(`${guildID}.rewardModifiers`)
+        return modifiers || []
+    }
+
+    /**
+     * Gives the user a timed reward boost (e.g. 2x work rewards for 1 hour).
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {RewardBoostData} options Reward boost options.
+     * @returns {RewardBoost} Added reward boost.
+     */
+    addBoost(memberID, guildID, options = {}) {
+        const { name = null } = options
+
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (name !== null && typeof name !== 'string') {
+            throw new EconomyError(errors.invalidType('options.name', 'string', name), 'INVALID_TYPE')
+        }
+
+        const { multiplier, bonus, rewards, duration } = rewardModifierOptions(options)
+
+        if (duration === null) {
+            throw new EconomyError(errors.rewards.invalidDuration + duration, 'INVALID_TYPE')
+        }
+
+        const boosts = this.database.fetch(`${guildID}.${memberID}.rewardBoosts`) || []
+
+        const boost = {
+            id: boosts.length ? boosts[boosts.length - 1].id + 1 : 1,
+            name,
+            rewards,
+            multiplier,
+            bonus,
+            expiresAt: Date.now() + duration
+        }
+
+        this.database.push(`${guildID}.${memberID}.rewardBoosts`, boost)
+
+        return boost
+    }
+
+    /**
+     * Gets the user's active reward boosts.
+     *
+     * [!] The expired boosts are removed from the database.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {RewardBoost[]} Active reward boosts.
+     */
+    getBoosts(memberID, guildID) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const boosts = this.database.fetch(`${guildID}.${memberID}.rewardBoosts`) || []
+        const activeBoosts = boosts.filter(boost => boost.expiresAt > Date.now())
+
+        if (activeBoosts.length !== boosts.length) {
+            this.database.set(`${guildID}.${memberID}.rewardBoosts`, activeBoosts)
+        }
+
+        return activeBoosts
+    }
+
+    /**
+     * Removes the reward boost from the user.
+     * @param {number} boostID Reward boost ID.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns {boolean} If removed: true, else: false.
+     */
+    removeBoost(boostID, memberID, guildID) {
+        const boosts = this.getBoosts(memberID, guildID)
+        const boostIndex = boosts.findIndex(boost => boost.id == boostID)
+
+        if (boostIndex == -1) return false
+
+        this.database.pop(`${guildID}.${memberID}.rewardBoosts`, boostIndex)
+
+        return true
     }
 
     /**
      * Adds a reward on user's balance.
-     * @param {RewardType} reward Reward to give.
+     * @param {RewardType | string} reward Reward to give: a built-in reward type or a name of the registered reward.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason why the money was added.
      * @returns {RewardData} Daily reward object.
     */
     receive(reward, memberID, guildID, reason) {
-        const rewardTypes = ['daily', 'work', 'weekly', 'monthly', 'hourly']
-
         if (typeof memberID !== 'string') {
             throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
         }
@@ -85,6 +375,14 @@ class RewardManager {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
+        if (typeof reward == 'string') {
+            if (!rewardTypes.includes(reward)) {
+                return this.getCustom(reward, memberID, guildID, reason)
+            }
+
+            reward = rewardTypes.indexOf(reward)
+        }
+
         if (isNaN(reward) || !rewardTypes[reward]) {
             throw new EconomyError(
                 errors.invalidType('reward', 'key of RewardType enum', typeof reward),
@@ -119,6 +417,12 @@ class RewardManager {
 
     /**
      * Adds a daily reward on user's balance.
+     *
+     * Each claim continues the user's daily streak if it was made before the grace window
+     * after the cooldown ends; otherwise, the streak starts over. The streak multiplier and bonus
+     * for the current streak day are applied to the reward.
+     *
+     * In the 'calendar' reset mode, the cooldown ends at the next midnight in the guild time zone.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * 
@@ -142,6 +446,22 @@ class RewardManager {
         const defaultDailyReward = this.database.get(`${guildID}.settings.dailyAmount`)
             || this.options.dailyAmount
 
+        const streakGrace = this.database.get(`${guildID}.settings.dailyStreakGrace`)
+            ?? this.options.dailyStreakGrace
+
+        const streakMultipliers = this.database.get(`${guildID}.settings.dailyStreakMultipliers`)
+            || this.options.dailyStreakMultipliers
+
+        const streakBonuses = this.database.get(`${guildID}.settings.dailyStreakBonuses`)
+            || this.options.dailyStreakBonuses
+
+        const resetMode = this.database.get(`${guildID}.settings.resetMode`)
+            || this.options.resetMode
+
+        const timeZone = this.database.get(`${guildID}.settings.timeZone`)
+            || this.options.timeZone
+
+
         let reward
 
         if (Array.isArray(defaultDailyReward)) {
@@ -155,38 +475,100 @@ class RewardManager {
         else reward = defaultDailyReward
 
         const userCooldown = this.cooldowns.getDaily(memberID, guildID)
-        const cooldownEndTimestamp = cooldown - (Date.now() - userCooldown)
+        const cooldownEndTimestamp = cooldownEnd('daily', userCooldown, cooldown, resetMode, timeZone)
+        const cooldownTime = cooldownEndTimestamp - Date.now()
+
+        const userStreak = this.database.get(`${guildID}.${memberID}.dailyStreak`) || 0
+        const userBestStreak = this.database.get(`${guildID}.${memberID}.bestDailyStreak`) || 0
 
-        if (userCooldown !== null && cooldownEndTimestamp > 0) {
+        // the streak continues only if the reward is claimed before the grace window after the cooldown ends
+        const streakEndTimestamp = userCooldown ? cooldownEndTimestamp + streakGrace : null
+
+        if (userCooldown !== null && cooldownTime > 0) {
             return {
                 type: 'daily',
                 claimed: false,
 
                 cooldown: {
-                    time: parse(cooldownEndTimestamp),
-                    pretty: ms(cooldownEndTimestamp),
+                    time: parse(cooldownTime),
+                    pretty: ms(cooldownTime),
                     endTimestamp: cooldownEndTimestamp
                 },
 
                 reward: null,
-                defaultReward: defaultDailyReward
+                baseReward: null,
+                modifiers: [],
+                defaultReward: defaultDailyReward,
+
+                streak: {
+                    current: userStreak,
+                    best: userBestStreak,
+                    previous: userStreak,
+                    broken: false,
+                    ...dailyStreak(userStreak, streakMultipliers, streakBonuses),
+                    endTimestamp: streakEndTimestamp
+                }
             }
         }
 
+        const streakBroken = userStreak > 0 && Date.now() > streakEndTimestamp
+
+        const streak = streakBroken ? 1 : userStreak + 1
+        const bestStreak = Math.max(userBestStreak, streak)
+
+        const { multiplier, bonus } = dailyStreak(streak, streakMultipliers, streakBonuses)
+
+        const baseReward = reward
+
+        const modifiers = this._getRewardModifiers('daily', memberID, guildID, [{
+            source: 'streak',
+            id: null,
+            name: null,
+            multiplier,
+            bonus
+        }])
+
+        reward = modifyReward(baseReward, modifiers)
+
         this.balance.add(reward, memberID, guildID, reason)
         this.database.set(`${guildID}.${memberID}.dailyCooldown`, Date.now())
+        this.database.set(`${guildID}.${memberID}.dailyStreak`, streak)
+        this.database.set(`${guildID}.${memberID}.bestDailyStreak`, bestStreak)
+
+        this.emit(streakBroken ? 'dailyStreakBroken' : 'dailyStreakIncrease', {
+            guildID,
+            memberID,
+            streak,
+            previousStreak: userStreak,
+            bestStreak
+        })
 
         return {
             type: 'daily',
             claimed: true,
             cooldown: null,
             reward,
-            defaultReward: defaultDailyReward
+            baseReward,
+            modifiers,
+            defaultReward: defaultDailyReward,
+
+            streak: {
+                current: streak,
+                best: bestStreak,
+                previous: userStreak,
+                broken: streakBroken,
+                multiplier,
+                bonus,
+                endTimestamp: cooldownEnd('daily', Date.now(), cooldown, resetMode, timeZone) + streakGrace
+            }
         }
     }
 
     /**
      * Adds a work reward on user's balance.
+     *
+     * If the user is employed, the pay and cooldown of their job are used instead of the work reward settings,
+     * and a random job message is picked. After the required amount of shifts, the user is promoted.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * 
@@ -204,11 +586,16 @@ class RewardManager {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
-        const cooldown = this.database.get(`${guildID}.settings.workCooldown`)
+        const employment = this._jobs.current(memberID, guildID)
+        const job = employment?.job || null
+
+        const cooldown = job?.cooldown
+            || this.database.get(`${guildID}.settings.workCooldown`)
             || this.options.workCooldown
 
-        const defaultWorkReward = this.database.get(`${guildID}.settings.workAmount`)
-            || this.options.workAmount
+        const defaultWorkReward = job
+            ? job.pay
+            : this.database.get(`${guildID}.settings.workAmount`) || this.options.workAmount
 
         let reward
 
@@ -222,38 +609,72 @@ class RewardManager {
         else reward = defaultWorkReward
 
         const userCooldown = this.cooldowns.getWork(memberID, guildID)
-        const cooldownEndTimestamp = cooldown - (Date.now() - userCooldown)
+        const cooldownEndTimestamp = cooldownEnd('work', userCooldown, cooldown)
+        const cooldownTime = cooldownEndTimestamp - Date.now()
 
-        if (userCooldown !== null && cooldownEndTimestamp > 0) {
+        if (userCooldown !== null && cooldownTime > 0) {
             return {
                 type: 'work',
                 claimed: false,
 
                 cooldown: {
-                    time: parse(cooldownEndTimestamp),
-                    pretty: ms(cooldownEndTimestamp),
+                    time: parse(cooldownTime),
+                    pretty: ms(cooldownTime),
                     endTimestamp: cooldownEndTimestamp,
                 },
 
                 reward: null,
-                defaultReward: defaultWorkReward
+                baseReward: null,
+                modifiers: [],
+                defaultReward: defaultWorkReward,
+
+                job,
+                message: null,
+                promotedTo: null
             }
         }
 
+        const baseReward = reward
+        const modifiers = this._getRewardModifiers('work', memberID, guildID)
+
+        reward = modifyReward(baseReward, modifiers)
         this.balance.add(reward, memberID, guildID, reason)
         this.database.set(`${guildID}.${memberID}.workCooldown`, Date.now())
 
+        let promotedTo = null
+
+        if (job) {
+            this.database.add(`${guildID}.${memberID}.employment.shifts`, 1)
+
+            if (job.promoteAfter && employment.shifts + 1 >= job.promoteAfter) {
+                const promotion = this._jobs.promote(memberID, guildID)
+                if (promotion.status) promotedTo = promotion.job
+            }
+        }
+
+        const message = job?.messages.length
+            ? job.messages[Math.floor(Math.random() * job.messages.length)]
+            : null
+
         return {
             type: 'work',
             claimed: true,
             cooldown: null,
             reward,
-            defaultReward: defaultWorkReward
+            baseReward,
+            modifiers,
+            defaultReward: defaultWorkReward,
+
+            job,
+            message,
+            promotedTo
         }
     }
 
     /**
      * Adds a weekly reward on user's balance.
+     *
+     * In the 'calendar' reset mode, the cooldown ends on the next Monday midnight in the guild time zone.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * 
@@ -274,6 +695,12 @@ class RewardManager {
         const cooldown = this.database.get(`${guildID}.settings.weeklyCooldown`)
             || this.options.weeklyCooldown
 
+        const resetMode = this.database.get(`${guildID}.settings.resetMode`)
+            || this.options.resetMode
+
+        const timeZone = this.database.get(`${guildID}.settings.timeZone`)
+            || this.options.timeZone
+
         const defaultWeeklyReward = this.database.get(`${guildID}.settings.weeklyAmount`)
             || this.options.weeklyAmount
 
@@ -289,24 +716,31 @@ class RewardManager {
         else reward = defaultWeeklyReward
 
         const userCooldown = this.cooldowns.getWeekly(memberID, guildID)
-        const cooldownEndTimestamp = cooldown - (Date.now() - userCooldown)
+        const cooldownEndTimestamp = cooldownEnd('weekly', userCooldown, cooldown, resetMode, timeZone)
+        const cooldownTime = cooldownEndTimestamp - Date.now()
 
-        if (userCooldown !== null && cooldownEndTimestamp > 0) {
+        if (userCooldown !== null && cooldownTime > 0) {
             return {
                 type: 'weekly',
                 claimed: false,
 
                 cooldown: {
-                    time: parse(cooldownEndTimestamp),
-                    pretty: ms(cooldownEndTimestamp),
+                    time: parse(cooldownTime),
+                    pretty: ms(cooldownTime),
                     endTimestamp: cooldownEndTimestamp,
                 },
 
                 reward: null,
+                baseReward: null,
+                modifiers: [],
                 defaultReward: defaultWeeklyReward
             }
         }
 
+        const baseReward = reward
+        const modifiers = this._getRewardModifiers('weekly', memberID, guildID)
+
+        reward = modifyReward(baseReward, modifiers)
         this.balance.add(reward, memberID, guildID, reason)
         this.database.set(`${guildID}.${memberID}.weeklyCooldown`, Date.now())
 
@@ -315,12 +749,16 @@ class RewardManager {
             claimed: true,
             cooldown: null,
             reward,
+            baseReward,
+            modifiers,
             defaultReward: defaultWeeklyReward
         }
     }
 
     /**
      * Adds a monthly reward on user's balance.
+     *
+     * In the 'calendar' reset mode, the cooldown ends on the 1st day of the next month in the guild time zone.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * 
@@ -341,6 +779,12 @@ class RewardManager {
         const cooldown = this.database.get(`${guildID}.settings.monthlyCooldown`)
             || this.options.monthlyCooldown
 
+        const resetMode = this.database.get(`${guildID}.settings.resetMode`)
+            || this.options.resetMode
+
+        const timeZone = this.database.get(`${guildID}.settings.timeZone`)
+            || this.options.timeZone
+
         const defaultMonthlyReward = this.database.get(`${guildID}.settings.monthlyAmount`)
             || this.options.monthlyAmount
 
@@ -356,24 +800,31 @@ class RewardManager {
         else reward = defaultMonthlyReward
 
         const userCooldown = this.cooldowns.getMonthly(memberID, guildID)
-        const cooldownEndTimestamp = cooldown - (Date.now() - userCooldown)
+        const cooldownEndTimestamp = cooldownEnd('monthly', userCooldown, cooldown, resetMode, timeZone)
+        const cooldownTime = cooldownEndTimestamp - Date.now()
 
-        if (userCooldown !== null && cooldownEndTimestamp > 0) {
+        if (userCooldown !== null && cooldownTime > 0) {
             return {
                 type: 'monthly',
                 claimed: false,
 
                 cooldown: {
-                    time: parse(cooldownEndTimestamp),
-                    pretty: ms(cooldownEndTimestamp),
+                    time: parse(cooldownTime),
+                    pretty: ms(cooldownTime),
                     endTimestamp: cooldownEndTimestamp,
                 },
 
                 reward: null,
+                baseReward: null,
+                modifiers: [],
                 defaultReward: defaultMonthlyReward
             }
         }
 
+        const baseReward = reward
+        const modifiers = this._getRewardModifiers('monthly', memberID, guildID)
+
+        reward = modifyReward(baseReward, modifiers)
         this.balance.add(reward, memberID, guildID, reason)
         this.database.set(`${guildID}.${memberID}.monthlyCooldown`, Date.now())
 
@@ -382,6 +833,8 @@ class RewardManager {
             claimed: true,
             cooldown: null,
             reward,
+            baseReward,
+            modifiers,
             defaultReward: defaultMonthlyReward
         }
     }
@@ -423,24 +876,31 @@ class RewardManager {
         else reward = defaultHourlyReward
 
         const userCooldown = this.cooldowns.getHourly(memberID, guildID)
-        const cooldownEndTimestamp = cooldown - (Date.now() - userCooldown)
+        const cooldownEndTimestamp = cooldownEnd('hourly', userCooldown, cooldown)
+        const cooldownTime = cooldownEndTimestamp - Date.now()
 
-        if (userCooldown !== null && cooldownEndTimestamp > 0) {
+        if (userCooldown !== null && cooldownTime > 0) {
             return {
                 type: 'hourly',
                 claimed: false,
 
                 cooldown: {
-                    time: parse(cooldownEndTimestamp),
-                    pretty: ms(cooldownEndTimestamp),
+                    time: parse(cooldownTime),
+                    pretty: ms(cooldownTime),
                     endTimestamp: cooldownEndTimestamp,
                 },
 
                 reward: null,
+                baseReward: null,
+                modifiers: [],
                 defaultReward: defaultHourlyReward
             }
         }
 
+        const baseReward = reward
+        const modifiers = this._getRewardModifiers('hourly', memberID, guildID)
+
+        reward = modifyReward(baseReward, modifiers)
         this.balance.add(reward, memberID, guildID, reason)
         this.database.set(`${guildID}.${memberID}.hourlyCooldown`, Date.now())
 
@@ -449,9 +909,176 @@ class RewardManager {
             claimed: true,
             cooldown: null,
             reward,
+            baseReward,
+            modifiers,
             defaultReward: defaultHourlyReward
         }
     }
+
+    /**
+     * Adds a custom reward on user's balance.
+     * @param {string} name Name of the registered reward.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     *
+     * @param {string} [reason='claimed the {name} reward']
+     * The reason why the money was added. Default: 'claimed the {name} reward'.
+     *
+     * @returns {RewardData} Custom reward object.
+     */
+    getCustom(name, memberID, guildID, reason = `claimed the ${name} reward`) {
+        if (typeof memberID !== 'string') {
+            throw new EconomyError(errors.invalidType('memberID', 'string', memberID), 'INVALID_TYPE')
+        }
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const customReward = customRewards(this.options).get(name)
+
+        if (!customReward) {
+            throw new EconomyError(errors.rewards.notFound(name), 'REWARD_NOT_FOUND')
+        }
+
+        const rewardSettings = this.database.get(`${guildID}.settings.rewards.${name}`)
+
+        const cooldown = rewardSettings?.cooldown || customReward.cooldown
+        const defaultCustomReward = rewardSettings?.amount ?? customReward.amount
+
+        let reward
+
+        if (Array.isArray(defaultCustomReward)) {
+            const [min, max] = defaultCustomReward
+
+            if (defaultCustomReward.length == 1) reward = min
+            else reward = Math.floor(Math.random() * (Number(min) - Number(max)) + Number(max))
+        }
+
+        else reward = defaultCustomReward
+
+        const userCooldown = this.cooldowns.getCustom(name, memberID, guildID)
+        const cooldownEndTimestamp = cooldownEnd(name, userCooldown, cooldown)
+        const cooldownTime = cooldownEndTimestamp - Date.now()
+
+        if (userCooldown != null && cooldownTime > 0) {
+            return {
+                type: name,
+                claimed: false,
+
+                cooldown: {
+                    time: parse(cooldownTime),
+                    pretty: ms(cooldownTime),
+                    endTimestamp: cooldownEndTimestamp
+                },
+
+                reward: null,
+                baseReward: null,
+                modifiers: [],
+                defaultReward: defaultCustomReward
+            }
+        }
+
+        const baseReward = reward
+        const modifiers = this._getRewardModifiers(name, memberID, guildID)
+
+        reward = modifyReward(baseReward, modifiers)
+        this.balance.add(reward, memberID, guildID, reason)
+        this.database.set(`${guildID}.${memberID}.rewardCooldowns.${name}`, Date.now())
+
+        return {
+            type: name,
+            claimed: true,
+            cooldown: null,
+            reward,
+            baseReward,
+            modifiers,
+            defaultReward: defaultCustomReward
+        }
+    }
+
+    /**
+     * Collects the reward modifiers that apply to the user's reward.
+     *
+     * The modifiers are collected from the guild modifiers the user matches, the user's active boosts
+     * and the first saved one-time reward multiplier (the multiplier is removed from the database).
+     * @param {string} rewardType The name of the reward that is being claimed.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @param {AppliedRewardModifier[]} [modifiers=[]] Modifiers of the reward itself, e.g. the daily streak.
+     * @returns {AppliedRewardModifier[]} Reward modifiers to apply.
+     * @private
+     */
+    _getRewardModifiers(rewardType, memberID, guildID, modifiers = []) {
+        const now = Date.now()
+        const appliesTo = modifier => !modifier.rewards || modifier.rewards.includes(rewardType)
+
+        const result = modifiers.filter(modifier => modifier.multiplier !== 1 || modifier.bonus !== 0)
+
+        const guildModifiers = (this.getModifiers(guildID)).filter(modifier =>
+            appliesTo(modifier) &&
+            (!modifier.startsAt || modifier.startsAt <= now) &&
+            (!modifier.endsAt || modifier.endsAt > now)
+        )
+
+        if (guildModifiers.length) {
+            const rolesResolver = memberResolvers(this.options).roles
+
+            const roles = rolesResolver && guildModifiers.some(modifier => modifier.source == 'role')
+                ? (rolesResolver(memberID, guildID)) || []
+                : []
+
+            const inventory = ((this.database.fetch(`${guildID}.${memberID}.inventory`)) || [])
+                .filter(item => !item.expiresAt || item.expiresAt > now)
+
+            for (const modifier of guildModifiers) {
+                const isMatching = modifier.source == 'event' ||
+                    (modifier.source == 'role' && roles.includes(modifier.roleID)) ||
+                    (modifier.source == 'item' && inventory.some(
+                        item => item.id == modifier.itemID || item.name == modifier.itemID
+                    ))
+
+                if (isMatching) {
+                    result.push({
+                        source: modifier.source,
+                        id: modifier.id,
+                        name: modifier.name,
+                        multiplier: modifier.multiplier,
+                        bonus: modifier.bonus
+                    })
+                }
+            }
+        }
+
+        for (const boost of (this.getBoosts(memberID, guildID)).filter(appliesTo)) {
+            result.push({
+                source: 'boost',
+                id: boost.id,
+                name: boost.name,
+                multiplier: boost.multiplier,
+                bonus: boost.bonus
+            })
+        }
+
+        const rewardMultipliers = (this.database.fetch(`${guildID}.${memberID}.rewardMultipliers`)) || []
+        const multiplierIndex = rewardMultipliers.findIndex(
+            rewardMultiplier => rewardMultiplier.reward == null || rewardMultiplier.reward == rewardType
+        )
+
+        if (multiplierIndex !== -1) {
+            this.database.pop(`${guildID}.${memberID}.rewardMultipliers`, multiplierIndex)
+
+            result.push({
+                source: 'nextReward',
+                id: null,
+                name: null,
+                multiplier: rewardMultipliers[multiplierIndex].multiplier,
+                bonus: 0
+            })
+        }
+
+        return result
+    }
 }
 
 /**
@@ -459,8 +1086,94 @@ class RewardManager {
  * @property {'daily' | 'work' | 'weekly'} type Type of the operation.
  * @property {boolean} claimed Whether the reward was claimed.
  * @property {CooldownData} cooldown Cooldown object.
- * @property {number} reward Amount of money that the user received.
+ * @property {number} reward Amount of money that the user received: the base reward with all the modifiers applied.
+ * @property {number} baseReward Amount of money for the reward before the modifiers were applied.
+ * @property {AppliedRewardModifier[]} modifiers Reward modifiers that were applied.
  * @property {number} defaultReward Reward that was specified in a module configuration.
+ * @property {DailyStreakData} [streak] Daily streak information. Only for the daily reward.
+ * @property {?Job} [job] The job the user worked in. Only for the work reward.
+ * @property {?string} [message] The job message that was picked. Only for the work reward.
+ * @property {?Job} [promotedTo] The job the user was promoted to after the shift. Only for the work reward.
+ */
+
+/**
+ * @callback RolesResolver
+ * @param {string} memberID Member ID.
+ * @param {string} guildID Guild ID.
+ * @returns {string[]} Discord role IDs of the member.
+ */
+
+/**
+ * @typedef {object} RewardModifierData
+ * @property {'role' | 'item' | 'event'} source Source of the modifier.
+ * @property {string} [roleID] Discord role ID. Required for the 'role' modifiers.
+ * @property {string | number} [itemID] ID or name of the shop item. Required for the 'item' modifiers.
+ * @property {string} [name] Name of the modifier.
+ * @property {number} [multiplier=1] The number that the reward will be multiplied by.
+ * @property {number} [bonus=0] The amount of money that will be added to the reward.
+ * @property {string | string[]} [rewards] Names of the rewards to modify. If not specified, all rewards are modified.
+ * @property {number | Date} [startsAt] The time when the modifier starts to apply.
+ * @property {number | Date} [endsAt] The time when the modifier stops to apply.
+ */
+
+/**
+ * @typedef {object} RewardModifier
+ * @property {number} id Modifier ID.
+ * @property {?string} name Name of the modifier.
+ * @property {'role' | 'item' | 'event'} source Source of the modifier.
+ * @property {?string} roleID Discord role ID.
+ * @property {?(string | number)} itemID ID or name of the shop item.
+ * @property {?string[]} rewards Names of the rewards to modify. 'null' means all rewards.
+ * @property {number} multiplier The number that the reward is multiplied by.
+ * @property {number} bonus The amount of money that is added to the reward.
+ * @property {?number} startsAt The time when the modifier starts to apply.
+ * @property {?number} endsAt The time when the modifier stops to apply.
+ */
+
+/**
+ * @typedef {object} RewardBoostData
+ * @property {number | string} duration Duration of the boost: in ms or a time string (e.g. '1h').
+ * @property {string} [name] Name of the boost.
+ * @property {number} [multiplier=1] The number that the reward will be multiplied by.
+ * @property {number} [bonus=0] The amount of money that will be added to the reward.
+ * @property {string | string[]} [rewards] Names of the rewards to boost. If not specified, all rewards are boosted.
+ */
+
+/**
+ * @typedef {object} RewardBoost
+ * @property {number} id Boost ID.
+ * @property {?string} name Name of the boost.
+ * @property {?string[]} rewards Names of the rewards to boost. 'null' means all rewards.
+ * @property {number} multiplier The number that the reward is multiplied by.
+ * @property {number} bonus The amount of money that is added to the reward.
+ * @property {number} expiresAt The time when the boost expires.
+ */
+
+/**
+ * @typedef {object} AppliedRewardModifier
+ * @property {'role' | 'item' | 'event' | 'boost' | 'nextReward' | 'streak'} source Source of the modifier.
+ * @property {?number} id ID of the guild reward modifier or the user's boost.
+ * @property {?string} name Name of the modifier.
+ * @property {number} multiplier The number that the reward was multiplied by.
+ * @property {number} bonus The amount of money that was added to the reward.
+ */
+
+/**
+ * @typedef {object} DailyStreakData
+ * @property {number} current Current daily streak.
+ * @property {number} best Best daily streak of the user.
+ * @property {number} previous Daily streak before the reward was claimed.
+ * @property {boolean} broken Whether the previous streak was broken by this claim.
+ * @property {number} multiplier The number that the daily reward was multiplied by for the streak.
+ * @property {number} bonus The amount of money that was added to the daily reward for the streak.
+ * @property {?number} endTimestamp The time after which the streak will be broken if the reward is not claimed.
+ */
+
+/**
+ * @typedef {object} CustomRewardData
+ * @property {string} name Reward name.
+ * @property {number | number[]} amount Amount of money for the reward.
+ * @property {number} cooldown Cooldown for the reward (in ms).
  */
 
 /**
@@ -3,8 +3,25 @@ const EconomyError = require('../classes/util/EconomyError')
 
 const DatabaseManager = require('./DatabaseManager')
 const CurrencyManager = require('./CurrencyManager')
+const HistoryManager = require('./HistoryManager')
 
 const errors = require('../structures/errors')
+const ms = require('../structures/ms')
+const overdraftLimit = require('../structures/overdraftLimit')
+const trackSeasonGain = require('../structures/trackSeasonGain')
+const isValidEffects = require('../structures/isValidEffects')
+const isValidRestock = require('../structures/isValidRestock')
+const itemRestock = require('../structures/itemRestock')
+const itemPrices = require('../structures/itemPrices')
+const itemPrice = require('../structures/itemPrice')
+const purchasePrice = require('../structures/purchasePrice')
+const discountOptions = require('../structures/discountOptions')
+const itemListing = require('../structures/itemListing')
+const isItemAvailable = require('../structures/isItemAvailable')
+const shopSearch = require('../structures/shopSearch')
+const itemRequirements = require('../structures/itemRequirements')
+const unmetRequirement = require('../structures/unmetRequirement')
+const customRequirements = require('../structures/customRequirements')
 const ShopItem = require('../classes/ShopItem')
 const InventoryItem = require('../classes/InventoryItem')
 
@@ -49,6 +66,13 @@ class ShopManager extends Emitter {
          * @type {CurrencyManager}
          */
         this.currencies = new CurrencyManager(options, this.database)
+
+        /**
+         * History Manager.
+         * @type {HistoryManager}
+         * @private
+         */
+        this._history = new HistoryManager(options, this.database)
     }
 
     /**
@@ -62,9 +86,13 @@ class ShopManager extends Emitter {
 
         const {
             itemName, price, message, custom,
-            description, maxAmount, role
+            description, maxAmount, role, duration, effects,
+            stock, restock, prices
         } = options
 
+        const listing = itemListing(options)
+        const requirements = itemRequirements(options.requirements)
+
         const dateLocale = this.database.fetch(`${guildID}.settings.dateLocale`)
             || this.options.dateLocale
 
@@ -92,7 +120,7 @@ class ShopManager extends Emitter {
             throw new EconomyError(errors.invalidTypes.addItemOptions.name + typeof name, 'INVALID_TYPE')
         }
 
-        if (isNaN(price)) {
+        if (isNaN(price) && (price !== undefined || prices == undefined)) {
             throw new EconomyError(errors.invalidTypes.addItemOptions.price + typeof price, 'INVALID_TYPE')
         }
 
@@ -116,14 +144,43 @@ class ShopManager extends Emitter {
             throw new EconomyError(errors.invalidTypes.addItemOptions.role + typeof role, 'INVALID_TYPE')
         }
 
+        if (duration != undefined && (isNaN(duration) || duration < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.duration + duration, 'INVALID_TYPE')
+        }
+
+        if (effects != undefined && !isValidEffects(effects)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.effects, 'INVALID_TYPE')
+        }
+
+        if (stock != undefined && (isNaN(stock) || stock < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.stock + stock, 'INVALID_TYPE')
+        }
+
+        if (restock != undefined && !isValidRestock(restock)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.restock, 'INVALID_TYPE')
+        }
+
+        const currencies = this.database.fetch(`${guildID}.currencies`) || []
+
+        const resolvedPrices = prices == undefined ? null : itemPrices(prices, currencies, guildID)
+        const mainPrice = resolvedPrices && itemPrice({ prices: resolvedPrices }, 'money', currencies, guildID)
+
         const itemInfo = {
             id: shop?.length ? shop[shop.length - 1].id + 1 : 1,
             name,
-            price,
+            price: price === undefined ? mainPrice?.money ?? 0 : price,
+            prices: resolvedPrices,
             message: message || 'You have used this item!',
             description: description || 'Very mysterious item.',
             maxAmount: maxAmount == undefined ? null : Number(maxAmount),
             role: role || null,
+            duration: duration ? Number(duration) : null,
+            effects: effects || [],
+            stock: stock == undefined ? (restock ? 0 : null) : Number(stock),
+            restock: restock || null,
+            lastRestock: restock ? Date.now() : null,
+            ...listing,
+            requirements,
             date,
             custom: custom || {}
         }
@@ -153,15 +210,31 @@ class ShopManager extends Emitter {
      * Edits the item in the shop.
      * @param {string | number} itemID Item ID or name.
      * @param {string} guildID Guild ID
-     * @param {'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role' | 'custom'} itemProperty
+     * @param {'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role' | 'custom' | 'duration' |
+     * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+     * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
      * This argument means what thing in item you want to edit (item property).
-     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+     * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+     * 'availableFrom', 'availableUntil', 'requirements'.
      *
      * @param {any} value Any value to set.
      * @returns {boolean} If edited successfully: true, else: false.
      */
     editItem(itemID, guildID, itemProperty, value) {
-        const itemProperties = ['description', 'price', 'name', 'message', 'maxAmount', 'role', 'custom']
+        const itemProperties = [
+            'description', 'price', 'name', 'message',
+            'maxAmount', 'role', 'custom', 'duration', 'effects',
+            'stock', 'restock', 'prices', 'category',
+            'sortOrder', 'hidden', 'availableFrom', 'availableUntil', 'requirements'
+        ]
+
+        const listingProperties = itemProperties.slice(12, 17)
+
+        const nullableProperties = [
+            'stock', 'restock', 'prices', 'category',
+            'availableFrom', 'availableUntil', 'requirements'
+        ]
 
         if (typeof itemID !== 'number' && typeof itemID !== 'string') {
             throw new EconomyError(errors.invalidType('itemID', 'string or number', itemID), 'INVALID_TYPE')
@@ -177,12 +250,37 @@ class ShopManager extends Emitter {
             )
         }
 
-        if (value == undefined) {
+        if (value == undefined && !nullableProperties.includes(itemProperty)) {
             throw new EconomyError(errors.invalidTypes.editItemArgs.itemProperty + value, 'INVALID_TYPE')
         }
 
+        if (itemProperty == 'duration' && (isNaN(value) || value < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.duration + value, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'effects' && !isValidEffects(value)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.effects, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'stock' && value !== null && (isNaN(value) || value < 0)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.stock + value, 'INVALID_TYPE')
+        }
+
+        if (itemProperty == 'restock' && value !== null && !isValidRestock(value)) {
+            throw new EconomyError(errors.invalidTypes.addItemOptions.restock, 'INVALID_TYPE')
+        }
+
+        if (listingProperties.includes(itemProperty)) {
+            const shop = this.database.fetch(`${guildID}.shop`) || []
+            const item = shop.find(item => item.id == itemID || item.name == itemID)
+
+            // validating the new value together with the other listing options of the item
+            // keeps its availability window valid
+            value = itemListing({ ...item, [itemProperty]: value })[itemProperty]
+        }
+
         const edit = (itemProperty, value) => {
-            const shop = this.fetch(guildID)
+            const shop = this.database.fetch(`${guildID}.shop`) || []
 
             const itemIndex = shop.findIndex(item => item.id == itemID || item.name == itemID)
             const item = shop[itemIndex]
@@ -190,10 +288,19 @@ class ShopManager extends Emitter {
             if (!item) return false
 
             item[itemProperty] = value
+
+            if (itemProperty == 'restock' && value && item.stock == undefined) {
+                item.stock = 0
+            }
+
+            if (itemProperty == 'stock' || itemProperty == 'restock') {
+                item.lastRestock = item.restock ? Date.now() : null
+            }
+
             this.database.pull(`${guildID}.shop`, itemIndex, item)
 
             this.emit('shopItemEdit', {
-                item,
+                item: new ShopItem(guildID, item, this.database),
                 guildID,
                 changedProperty: itemProperty,
                 oldValue: item[itemProperty],
@@ -225,6 +332,44 @@ class ShopManager extends Emitter {
         case itemProperties[6]:
             return edit(itemProperties[6], value)
 
+        case itemProperties[7]:
+            return edit(itemProperties[7], value)
+
+        case itemProperties[8]:
+            return edit(itemProperties[8], value)
+
+        case itemProperties[9]:
+            return edit(itemProperties[9], value)
+
+        case itemProperties[10]:
+            return edit(itemProperties[10], value)
+
+        case itemProperties[11]:
+            return edit(
+                itemProperties[11],
+                value === null
+                    ? null
+                    : itemPrices(value, this.database.fetch(`${guildID}.currencies`) || [], guildID)
+            )
+
+        case itemProperties[12]:
+            return edit(itemProperties[12], value)
+
+        case itemProperties[13]:
+            return edit(itemProperties[13], value)
+
+        case itemProperties[14]:
+            return edit(itemProperties[14], value)
+
+        case itemProperties[15]:
+            return edit(itemProperties[15], value)
+
+        case itemProperties[16]:
+            return edit(itemProperties[16], value)
+
+        case itemProperties[17]:
+            return edit(itemProperties[17], itemRequirements(value))
+
         default:
             return null
         }
@@ -236,9 +381,13 @@ class ShopManager extends Emitter {
      * This method is an alias for the `ShopManager.editItem()` method.
      * @param {string | number} itemID Item ID or name.
      * @param {string} guildID Guild ID
-     * @param {'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role' | 'custom'} itemProperty
+     * @param {'description' | 'price' | 'name' | 'message' | 'maxAmount' | 'role' | 'custom' | 'duration' |
+     * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+     * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
      * This argument means what thing in item you want to edit (item property).
-     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+     * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+     * 'availableFrom', 'availableUntil', 'requirements'.
      *
      * @param {any} value Any value to set.
      * @returns {boolean} If edited successfully: true, else: false.
@@ -375,6 +524,8 @@ class ShopManager extends Emitter {
             throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
         }
 
+        this.restock(guildID)
+
         const shop = this.database.fetch(`${guildID}.shop`) || []
         return shop.map(item => new ShopItem(guildID, item, this.database))
     }
@@ -401,8 +552,60 @@ class ShopManager extends Emitter {
         return this.get(guildID)
     }
 
+    /**
+     * Applies the due restocks of the items in the guild's shop,
+     * or in all the guilds if the guild is not specified.
+     *
+     * The restocks are also applied when the shop is fetched or when an item is bought.
+     * @param {string} [guildID] Guild ID.
+     * @returns {ItemRestockData[]} Restocked items.
+     */
+    restock(guildID) {
+        if (guildID !== undefined && guildID !== null && typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        const guildIDs = guildID ? [guildID] : this.database.keysList()
+        const restocked = []
+
+        for (const guild of guildIDs) {
+            const shop = this.database.fetch(`${guild}.shop`)
+            const restocks = Array.isArray(shop) ? shop.map(item => itemRestock(item)) : []
+
+            if (restocks.some(restock => restock)) {
+                const newShop = shop.map((item, index) => restocks[index] ? {
+                    ...item,
+                    stock: restocks[index].stock,
+                    lastRestock: restocks[index].lastRestock
+                } : item)
+
+                this.database.set(`${guild}.shop`, newShop)
+
+                const restockedItems = restocks
+                    .map((restock, index) => ({ restock, item: newShop[index] }))
+                    .filter(({ restock }) => restock?.amount > 0)
+                    .map(({ restock, item }) => ({
+                        guildID: guild,
+                        item: new ShopItem(guild, item, this.database),
+                        amount: restock.amount,
+                        stock: restock.stock
+                    }))
+
+                for (const restockData of restockedItems) {
+                    this.emit('shopItemRestock', restockData)
+                }
+
+                restocked.push(...restockedItems)
+            }
+        }
+
+        return restocked
+    }
+
     /**
      * Gets the item in the shop.
+     *
+     * Hidden items can only be found by their ID.
      * @param {string | number} itemID Item ID or name.
      * @param {string} guildID Guild ID.
      * @returns {ShopItem} If item not found: null; else: item info object.
@@ -413,7 +616,7 @@ class ShopManager extends Emitter {
         * @type {ShopItem[]}
         */
         const shop = this.fetch(guildID)
-        const item = shop.find(item => item.id == itemID || item.name == itemID)
+        const item = shop.find(item => item.id == itemID || (!item.hidden && item.name == itemID))
 
         if (typeof itemID !== 'number' && typeof itemID !== 'string') {
             throw new EconomyError(errors.invalidType('itemID', 'string or number', itemID), 'INVALID_TYPE')
@@ -439,6 +642,57 @@ class ShopManager extends Emitter {
         return this.getItem(itemID, guildID)
     }
 
+    /**
+     * Searches the items in the shop by their names and returns the requested page of the results.
+     *
+     * The search is case-insensitive and fuzzy. Hidden items and items that are not available
+     * at the moment are not listed.
+     * @param {string} query Search query. If empty, all the listed items are found.
+     * @param {string} guildID Guild ID.
+     * @param {ShopSearchOptions} [options] Search options.
+     * @returns {ShopSearchPage} Requested page of the search results.
+     */
+    search(query, guildID, options = {}) {
+        return shopSearch(this.fetch(guildID), query, options)
+    }
+
+    /**
+     * Registers the custom purchase requirement.
+     *
+     * The shop items list the names of the custom requirements in their 'requirements.custom' array.
+     * If a listed requirement is not registered, the item cannot be bought.
+     * @param {string} name Requirement name.
+     * @param {RequirementPredicate} predicate
+     * The function that receives the purchase context and returns true if the requirement is met.
+     *
+     * @returns {boolean} If registered: true.
+     */
+    registerRequirement(name, predicate) {
+        if (typeof name !== 'string') {
+            throw new EconomyError(errors.invalidType('name', 'string', name), 'INVALID_TYPE')
+        }
+
+        if (typeof predicate !== 'function') {
+            throw new EconomyError(errors.invalidType('predicate', 'function', predicate), 'INVALID_TYPE')
+        }
+
+        customRequirements(this.options).set(name, predicate)
+        return true
+    }
+
+    /**
+     * Unregisters the custom purchase requirement.
+     * @param {string} name Requirement name.
+     * @returns {boolean} If unregistered: true, else: false.
+     */
+    unregisterRequirement(name) {
+        if (typeof name !== 'string') {
+            throw new EconomyError(errors.invalidType('name', 'string', name), 'INVALID_TYPE')
+        }
+
+        return customRequirements(this.options).delete(name)
+    }
+
     /**
      * Gets the item in the inventory.
      *
@@ -491,29 +745,38 @@ class ShopManager extends Emitter {
 
     /**
      * Buys the item from the shop.
+     *
+     * The item's requirements are checked before anything is charged: if the member does not meet them,
+     * the purchase fails and the first unmet requirement is returned.
      * @param {string | number} itemID Item ID or name.
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      *
-     * @param {string | number} [currency=null]
-     * The currency to subtract the money from.
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * @param {string | number | Array<string | number>} [currency=null]
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      *
      * @param {string} [reason='received the item from the shop']
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      *
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     *
      * @returns {ShopOperationInfo} Operation information object.
      */
-    buy(itemID, memberID, guildID, quantity = 1, currency = null, reason = 'received the item from the shop') {
+    buy(
+        itemID, memberID, guildID, quantity = 1, currency = null,
+        reason = 'received the item from the shop', coupon = null
+    ) {
         const balance = this.database.fetch(`${guildID}.${memberID}.money`) || 0
 
         const shop = this.fetch(guildID)
-        const item = shop.find(item => item.id == itemID || item.name == itemID)
+        const item = shop.find(item => item.id == itemID || (!item.hidden && item.name == itemID))
 
         const inventory = this.database.fetch(`${guildID}.${memberID}.inventory`) || []
-        const inventoryItems = inventory.filter(invItem => invItem.name == item.name)
 
         const settings = this.database.fetch(`${guildID}.settings`) || {}
 
@@ -526,6 +789,9 @@ class ShopManager extends Emitter {
         const savePurchasesHistory = settings.savePurchasesHistory
             || this.options.savePurchasesHistory
 
+        const overdraft = settings.overdraft
+            || this.options.overdraft
+
         if (!arguments[3]) {
             this.database.logger.optionalParamNotSpecified(
                 'ShopManager.buy',
@@ -567,11 +833,98 @@ class ShopManager extends Emitter {
             message: 'item not found',
             item: null,
             quantity: 0,
-            totalPrice: 0
+            totalPrice: 0,
+            price: null,
+            originalPrice: 0,
+            discount: 0,
+            chargedPrice: 0
+        }
+
+        const inventoryItems = inventory.filter(invItem => invItem.name == item.name)
+
+        if (!isItemAvailable(item)) return {
+            status: false,
+            message: 'item not available',
+            item,
+            quantity,
+            totalPrice: 0,
+            price: null,
+            originalPrice: 0,
+            discount: 0,
+            chargedPrice: 0
+        }
+
+        const requirement = unmetRequirement(item, {
+            guildID: guildID,
+            memberID,
+            quantity,
+            database: this.database,
+            options: this.options
+        })
+
+        if (requirement) return {
+            status: false,
+            message: 'requirements not met',
+            item,
+            quantity,
+            totalPrice: 0,
+            price: null,
+            originalPrice: 0,
+            discount: 0,
+            chargedPrice: 0,
+            requirement
+        }
+
+        const price = itemPrice(item, currency, this.database.fetch(`${guildID}.currencies`) || [], guildID)
+
+        if (!price) return {
+            status: false,
+            message: 'currency not accepted',
+            item,
+            quantity,
+            totalPrice: 0,
+            price: null,
+            originalPrice: 0,
+            discount: 0,
+            chargedPrice: 0
+        }
+
+        const purchase = purchasePrice(item, price, quantity, {
+            sales: this.database.fetch(`${guildID}.sales`) || [],
+            coupons: this.database.fetch(`${guildID}.coupons`) || [],
+            couponCode: coupon,
+            memberID
+        })
+
+        const { originalPrice, discount, chargedPrice } = purchase
+        const totalPrice = chargedPrice
+
+        if (!purchase.status) return {
+            status: false,
+            message: purchase.message,
+            item,
+            quantity,
+            totalPrice,
+            price,
+            originalPrice,
+            discount,
+            chargedPrice
         }
 
-        const totalPrice = item.price * quantity
-        const arrayOfItems = Array(quantity).fill(item.rawObject ? item.rawObject : item)
+        if (item.stock != undefined && item.stock < quantity) return {
+            status: false,
+            message: 'out of stock',
+            item,
+            quantity,
+            totalPrice,
+            price,
+            originalPrice,
+            discount,
+            chargedPrice
+        }
+
+        const expiresAt = item.duration ? Date.now() + item.duration : null
+        const arrayOfItems = Array(quantity).fill({ ...(item.rawObject ? item.rawObject : item), expiresAt })
 
         const newInventory = [...inventory, ...arrayOfItems]
             .map(item => item.rawObject ? item.rawObject : item)
@@ -585,55 +938,127 @@ class ShopManager extends Emitter {
             message: `maximum items reached (${item.maxAmount})`,
             item,
             quantity,
-            totalPrice
+            totalPrice,
+            price,
+            originalPrice,
+            discount,
+            chargedPrice
+        }
+
+        const isEnoughMoney = Object.entries(purchase.charges).every(([currencyID, charge]) => {
+            const buyerBalance = currencyID == 'money'
+                ? balance
+                : this.currencies.getBalance(currencyID, memberID, guildID)
+
+            return buyerBalance - charge >= overdraftLimit(overdraft)
+        })
+
+        if (subtractOnBuy && !isEnoughMoney) return {
+            status: false,
+            message: 'insufficient funds',
+            item,
+            quantity,
+            totalPrice,
+            price,
+            originalPrice,
+            discount,
+            chargedPrice
         }
 
-        if (subtractOnBuy) {
-            if (currency) {
-                this.currencies.subtractBalance(currency, totalPrice, memberID, guildID, reason)
-                this.database.logger.debug('ShopItem.buy - Subtracting the balance from specified currency.')
+        this.database.transaction(() => {
+            if (subtractOnBuy) {
+                const charges = Object.entries(purchase.charges).filter(([, charge]) => charge > 0)
+
+                for (const [currencyID, charge] of charges) {
+                    if (currencyID !== 'money') {
+                        this.currencies.subtractBalance(currencyID, charge, memberID, guildID, reason)
+                        this.database.logger.debug('ShopItem.buy - Subtracting the balance from specified currency.')
+                    } else {
+                        this.database.subtract(`${guildID}.${memberID}.money`, charge)
+
+                        trackSeasonGain(this.database, memberID, guildID, -charge)
+
+                        this._history.record(memberID, guildID, {
+                            type: 'balanceSubtract',
+                            amount: charge,
+                            balanceBefore: balance,
+                            balanceAfter: balance - charge,
+                            reason
+                        })
+
+                        this.emit('balanceSubtract', {
+                            type: 'subtract',
+                            guildID,
+                            memberID,
+                            amount: charge,
+                            balance: balance - charge,
+                            reason
+                        })
+                    }
+                }
             } else {
-                this.database.subtract(`${guildID}.${memberID}.money`, totalPrice)
+                this.database.logger.debug('ShopItem.buy - Subtracting on buying is disabled.')
+            }
 
-                this.emit('balanceSubtract', {
-                    type: 'subtract',
+            this.database.set(`${guildID}.${memberID}.inventory`, newInventory)
+
+            if (purchase.coupon) {
+                const coupons = this.database.fetch(`${guildID}.coupons`) || []
+                const couponIndex = coupons.findIndex(coupon => coupon.code == purchase.coupon.code)
+
+                purchase.coupon.uses += 1
+                purchase.coupon.usedBy[memberID] = (purchase.coupon.usedBy[memberID] || 0) + 1
+
+                this.database.pull(`${guildID}.coupons`, couponIndex, purchase.coupon)
+
+                this.emit('couponUse', {
                     guildID,
                     memberID,
-                    amount: Number(totalPrice),
-                    balance: balance - totalPrice,
-                    reason
+                    coupon: purchase.coupon,
+                    item
                 })
             }
-        } else {
-            this.database.logger.debug('ShopItem.buy - Subtracting on buying is disabled.')
-        }
 
-        this.database.set(`${guildID}.${memberID}.inventory`, newInventory)
+            if (item.stock != undefined) {
+                const itemIndex = shop.findIndex(shopItem => shopItem.id == item.id)
+                item.stock -= quantity
 
-        if (savePurchasesHistory) {
-            const history = this.database.fetch(`${guildID}.${memberID}.history`) || []
+                this.database.pull(`${guildID}.shop`, itemIndex, { ...item.rawObject, stock: item.stock })
+            }
+
+            if (savePurchasesHistory) {
+                const history = this.database.fetch(`${guildID}.${memberID}.history`) || []
 
-            this.database.push(`${guildID}.${memberID}.history`, {
-                id: history.length ? history[history.length - 1].id + 1 : 1,
-                memberID,
+                this.database.push(`${guildID}.${memberID}.history`, {
+                    id: history.length ? history[history.length - 1].id + 1 : 1,
+                    memberID,
+                    guildID,
+                    name: item.name,
+                    price: item.price,
+                    quantity,
+                    totalPrice,
+                    role: item.role || null,
+                    maxAmount: item.maxAmount,
+                    date: new Date().toLocaleString(dateLocale),
+                    custom: item.custom || {}
+                })
+            } else {
+                this.database.logger.debug('ShopItem.buy - Saving purchases history is disabled.')
+            }
+
+            this.emit('shopItemBuy', {
                 guildID,
-                name: item.name,
-                price: item.price,
-                quantity,
-                totalPrice,
-                role: item.role || null,
-                maxAmount: item.maxAmount,
-                date: new Date().toLocaleString(dateLocale),
-                custom: item.custom || {}
+                boughtBy: memberID,
+                item
             })
-        } else {
-            this.database.logger.debug('ShopItem.buy - Saving purchases history is disabled.')
-        }
 
-        this.emit('shopItemBuy', {
-            guildID,
-            boughtBy: memberID,
-            item
+            if (item.stock == 0) {
+                this.emit('shopItemSoldOut', {
+                    guildID,
+                    boughtBy: memberID,
+                    item
+                })
+            }
         })
 
         return {
@@ -641,7 +1066,11 @@ class ShopManager extends Emitter {
             message: 'OK',
             item,
             quantity,
-            totalPrice
+            totalPrice,
+            price,
+            originalPrice,
+            discount,
+            chargedPrice
         }
     }
 
@@ -654,18 +1083,228 @@ class ShopManager extends Emitter {
      * @param {string} guildID Guild ID.
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      *
-     * @param {string | number} [currency=null]
-     * The currency to subtract the money from.
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * @param {string | number | Array<string | number>} [currency=null]
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      *
      * @param {string} [reason='received the item from the shop']
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      *
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     *
      * @returns {ShopOperationInfo} Operation information object.
      */
-    buyItem(itemID, memberID, guildID, quantity, currency, reason) {
-        return this.buy(itemID, memberID, guildID, quantity, currency, reason)
+    buyItem(itemID, memberID, guildID, quantity, currency, reason, coupon) {
+        return this.buy(itemID, memberID, guildID, quantity, currency, reason, coupon)
+    }
+
+    /**
+     * Creates a coupon in the guild.
+     *
+     * The coupon discounts the total price of the purchase by a percent or by a flat amount of money.
+     * It can expire, have limited uses in total and per user, and only apply to some items or categories.
+     * @param {string} guildID Guild ID.
+     * @param {CouponOptions} options Coupon options.
+     * @returns {Coupon} Created coupon.
+     */
+    createCoupon(guildID, options = {}) {
+        const {
+            code, expiresAt, duration,
+            maxUses = null, maxUsesPerUser = null
+        } = options || {}
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (typeof code !== 'string' || !code.trim() || /\s/.test(code.trim())) {
+            throw new EconomyError(errors.discounts.invalidCode + code, 'INVALID_TYPE')
+        }
+
+        const currencies = this.database.fetch(`${guildID}.currencies`) || []
+        const discount = discountOptions(options, currencies, guildID)
+
+        const now = Date.now()
+        const durationTime = typeof duration == 'string' ? ms(duration) : duration
+
+        const expiresAtTimestamp = expiresAt !== undefined
+            ? new Date(expiresAt).getTime()
+            : duration !== undefined ? now + durationTime : null
+
+        if (expiresAtTimestamp !== null && !(expiresAtTimestamp > now)) {
+            throw new EconomyError(errors.discounts.invalidExpiry + (expiresAt ?? duration), 'INVALID_INPUT')
+        }
+
+        for (const uses of [maxUses, maxUsesPerUser]) {
+            if (uses !== null && (!Number.isInteger(uses) || uses < 1)) {
+                throw new EconomyError(errors.discounts.invalidUses + uses, 'INVALID_TYPE')
+            }
+        }
+
+        if (this.getCoupon(code, guildID)) {
+            throw new EconomyError(errors.discounts.couponExists(code.trim(), guildID), 'COUPON_ALREADY_EXISTS')
+        }
+
+        const coupon = {
+            code: code.trim(),
+            ...discount,
+            expiresAt: expiresAtTimestamp,
+            maxUses,
+            maxUsesPerUser,
+            uses: 0,
+            usedBy: {},
+            createdAt: now
+        }
+
+        this.database.push(`${guildID}.coupons`, coupon)
+
+        this.emit('couponCreate', {
+            guildID,
+            coupon
+        })
+
+        return coupon
+    }
+
+    /**
+     * Gets the coupon in the guild.
+     * @param {string} code Coupon code. Case-insensitive.
+     * @param {string} guildID Guild ID.
+     * @returns {Coupon} Coupon object. If not found: null.
+     */
+    getCoupon(code, guildID) {
+        const coupons = this.coupons(guildID)
+        return coupons.find(coupon => coupon.code.toLowerCase() == String(code).trim().toLowerCase()) || null
+    }
+
+    /**
+     * Gets all the coupons in the guild, including the expired and used up ones.
+     * @param {string} guildID Guild ID.
+     * @returns {Coupon[]} Coupons array.
+     */
+    coupons(guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        return this.database.fetch(`${guildID}.coupons`) || []
+    }
+
+    /**
+     * Deletes the coupon in the guild.
+     * @param {string} code Coupon code. Case-insensitive.
+     * @param {string} guildID Guild ID.
+     * @returns {boolean} If deleted: true, else: false.
+     */
+    deleteCoupon(code, guildID) {
+        const coupons = this.coupons(guildID)
+        const couponIndex = coupons.findIndex(coupon => coupon.code.toLowerCase() == String(code).trim().toLowerCase())
+
+        if (couponIndex == -1) return false
+
+        this.database.pop(`${guildID}.coupons`, couponIndex)
+
+        this.emit('couponDelete', {
+            guildID,
+            coupon: coupons[couponIndex]
+        })
+
+        return true
+    }
+
+    /**
+     * Creates a timed sale in the guild.
+     *
+     * During the sale, the price of each item that it applies to is discounted by a percent
+     * or by a flat amount of money. If several sales apply to the item, the best one is used.
+     * @param {string} guildID Guild ID.
+     * @param {SaleOptions} options Sale options.
+     * @returns {ShopSale} Created sale.
+     */
+    createSale(guildID, options = {}) {
+        const { name, startsAt, endsAt, duration } = options || {}
+
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            throw new EconomyError(errors.invalidType('options.name', 'non-empty string', name), 'INVALID_TYPE')
+        }
+
+        const currencies = this.database.fetch(`${guildID}.currencies`) || []
+        const discount = discountOptions(options, currencies, guildID)
+
+        const now = Date.now()
+        const durationTime = typeof duration == 'string' ? ms(duration) : duration
+
+        const startTimestamp = startsAt !== undefined ? new Date(startsAt).getTime() : now
+
+        const endTimestamp = endsAt !== undefined
+            ? new Date(endsAt).getTime()
+            : startTimestamp + durationTime
+
+        if (isNaN(startTimestamp) || !(endTimestamp > startTimestamp) || !(endTimestamp > now)) {
+            throw new EconomyError(errors.discounts.invalidWindow + (endsAt ?? duration), 'INVALID_INPUT')
+        }
+
+        const sales = this.sales(guildID)
+        const id = sales.length ? sales[sales.length - 1].id + 1 : 1
+
+        const sale = {
+            id,
+            name: name?.trim() || `Sale ${id}`,
+            ...discount,
+            startsAt: startTimestamp,
+            endsAt: endTimestamp
+        }
+
+        this.database.push(`${guildID}.sales`, sale)
+
+        this.emit('saleCreate', {
+            guildID,
+            sale
+        })
+
+        return sale
+    }
+
+    /**
+     * Gets all the sales in the guild, including the scheduled and ended ones.
+     * @param {string} guildID Guild ID.
+     * @returns {ShopSale[]} Sales array.
+     */
+    sales(guildID) {
+        if (typeof guildID !== 'string') {
+            throw new EconomyError(errors.invalidType('guildID', 'string', guildID), 'INVALID_TYPE')
+        }
+
+        return this.database.fetch(`${guildID}.sales`) || []
+    }
+
+    /**
+     * Deletes the sale in the guild.
+     * @param {number} saleID Sale ID.
+     * @param {string} guildID Guild ID.
+     * @returns {boolean} If deleted: true, else: false.
+     */
+    deleteSale(saleID, guildID) {
+        const sales = this.sales(guildID)
+        const saleIndex = sales.findIndex(sale => sale.id == saleID)
+
+        if (saleIndex == -1) return false
+
+        this.database.pop(`${guildID}.sales`, saleIndex)
+
+        this.emit('saleDelete', {
+            guildID,
+            sale: sales[saleIndex]
+        })
+
+        return true
     }
 
     /**
@@ -917,21 +1556,136 @@ class ShopManager extends Emitter {
 /**
  * @typedef {object} AddItemOptions Configuration with item info for 'Economy.shop.addItem' method.
  * @property {string} name Item name.
- * @property {string | number} price Item price.
+ * @property {string | number} [price]
+ * Item price. Can be omitted if the prices are specified: then the price in the main balance is used, or 0.
+ *
  * @property {string} [message='You have used this item!'] Item message that will be returned on use.
  * @property {string} [description='Very mysterious item.'] Item description.
  * @property {string | number} [maxAmount=null] Max amount of the item that user can hold in their inventory.
  * @property {string} [role=null] Role **ID** from your Discord server.
+ * @property {number} [duration=null] How long the item lasts after it was bought (in ms). 'null' means forever.
+ * @property {ItemEffect[]} [effects=[]] Effects that will be applied on item use.
+ * @property {number} [stock=null]
+ * Amount of the items in the shop. 'null' means unlimited. If the restock schedule is specified, defaults to 0.
+ *
+ * @property {ItemRestockOptions} [restock=null] Restock schedule of the item.
+ * @property {ItemPrice[]} [prices=null]
+ * Prices of the item in the currencies, by the currency ID, name or symbol, or 'money' for the main balance.
+ * All the currencies of one price are charged together. If specified, the item can only be bought for them.
+ *
+ * @property {string} [category=null] Item category.
+ * @property {number} [sortOrder=0] Position of the item in the search results, in ascending order. Default: 0.
+ * @property {boolean} [hidden=false]
+ * If true, the item is not listed in the search results and can only be found or bought by its ID. Default: false.
+ *
+ * @property {Date | number} [availableFrom=null] Date when the item becomes available. Default: null.
+ * @property {Date | number} [availableUntil=null] Date when the item stops being available. Default: null.
+ * @property {ItemRequirementsOptions} [requirements=null] Requirements that the member must meet to buy the item.
  * @property {object} [custom] Custom item properties object.
  */
 
+/**
+ * @typedef {object} ItemRestockOptions
+ * @property {number} amount Amount of the items that are added to the stock on each restock.
+ * @property {number | string} interval Time between the restocks in ms or as a time string (e.g. '24h').
+ * @property {number} [max] Max stock that the restocks can fill the item up to. Default: no limit.
+ */
+
+/**
+ * @typedef {object} ItemRestockData
+ * @property {string} guildID Guild ID.
+ * @property {ShopItem} item The item that was restocked.
+ * @property {number} amount Amount of the items that were added to the stock.
+ * @property {number} stock Item stock after the restock.
+ */
+
+/**
+ * @typedef {object} CouponOptions
+ * @property {string} code Coupon code without spaces. Case-insensitive.
+ * @property {'percent' | 'flat'} [type='percent']
+ * Discount type: 'percent' takes the percent of all the amounts of the price,
+ * 'flat' takes the amount of money in one currency. Default: 'percent'.
+ *
+ * @property {number} discount Discount percent (up to 100) or amount of money.
+ * @property {string | number} [currency='money']
+ * Currency ID, its name or its symbol, or 'money' for the main balance, that the flat discount is taken in.
+ * Default: 'money'.
+ *
+ * @property {Array<string | number>} [items] IDs or names of the items that the coupon applies to. Default: all.
+ * @property {string[]} [categories] Categories of the items that the coupon applies to. Default: all.
+ * @property {Date | number} [expiresAt] Date when the coupon expires. Default: never.
+ * @property {number | string} [duration]
+ * How long the coupon lasts in milliseconds or as a time string (e.g. '7d'), if the expiry date is not specified.
+ *
+ * @property {number} [maxUses] How many times the coupon can be used in total. Default: no limit.
+ * @property {number} [maxUsesPerUser] How many times each user can use the coupon. Default: no limit.
+ */
+
+/**
+ * @typedef {object} Coupon
+ * @property {string} code Coupon code.
+ * @property {'percent' | 'flat'} type Discount type.
+ * @property {number} discount Discount percent or amount of money.
+ * @property {?ExchangeCurrencyID} currency Currency of the flat discount. 'null' for the percent discounts.
+ * @property {?Array<string | number>} items IDs or names of the items that the coupon applies to. 'null' means all.
+ * @property {?string[]} categories Categories of the items that the coupon applies to. 'null' means all.
+ * @property {?number} expiresAt Coupon expiry timestamp. 'null' means the coupon never expires.
+ * @property {?number} maxUses How many times the coupon can be used in total. 'null' means no limit.
+ * @property {?number} maxUsesPerUser How many times each user can use the coupon. 'null' means no limit.
+ * @property {number} uses How many times the coupon was used.
+ * @property {Record<string, number>} usedBy How many times the coupon was used by each user, by the user ID.
+ * @property {number} createdAt Coupon creation timestamp.
+ */
+
+/**
+ * @typedef {object} SaleOptions
+ * @property {string} [name] Sale name. Default: 'Sale {id}'.
+ * @property {'percent' | 'flat'} [type='percent']
+ * Discount type: 'percent' takes the percent of all the amounts of the price,
+ * 'flat' takes the amount of money in one currency. Default: 'percent'.
+ *
+ * @property {number} discount Discount percent (up to 100) or amount of money.
+ * @property {string | number} [currency='money']
+ * Currency ID, its name or its symbol, or 'money' for the main balance, that the flat discount is taken in.
+ * Default: 'money'.
+ *
+ * @property {Array<string | number>} [items] IDs or names of the items that the sale applies to. Default: all.
+ * @property {string[]} [categories] Categories of the items that the sale applies to. Default: all.
+ * @property {Date | number} [startsAt] Date when the sale starts. Default: now.
+ * @property {Date | number} [endsAt] Date when the sale ends. Required if the duration is not specified.
+ * @property {number | string} [duration]
+ * Duration of the sale in milliseconds or as a time string (e.g. '2d').
+ * Required if the end date is not specified.
+ */
+
+/**
+ * @typedef {object} ShopSale
+ * @property {number} id Sale ID.
+ * @property {string} name Sale name.
+ * @property {'percent' | 'flat'} type Discount type.
+ * @property {number} discount Discount percent or amount of money.
+ * @property {?ExchangeCurrencyID} currency Currency of the flat discount. 'null' for the percent discounts.
+ * @property {?Array<string | number>} items IDs or names of the items that the sale applies to. 'null' means all.
+ * @property {?string[]} categories Categories of the items that the sale applies to. 'null' means all.
+ * @property {number} startsAt Sale start timestamp.
+ * @property {number} endsAt Sale end timestamp.
+ */
+
 /**
  * @typedef {object} ShopOperationInfo
  * @property {boolean} status Operation status.
  * @property {string} message Operation message.
  * @property {ShopItem | InventoryItem} item Item object.
  * @property {number} quantity Item quantity.
- * @property {number} totalPrice Total price of the items.
+ * @property {number} totalPrice
+ * Total charged price of the items in the main balance or, if the price does not include it, in its currency.
+ *
+ * @property {?ItemPrice} price Price of one item in the currencies it was bought for, before the discounts.
+ * @property {number} originalPrice Total price of the items before the discounts.
+ * @property {number} discount Total discount of the sale and the coupon.
+ * @property {number} chargedPrice Total price of the items after the discounts.
+ * @property {UnmetRequirement} [requirement]
+ * The first unmet requirement of the item. Only specified if the purchase failed because of it.
  */
 
 /**
@@ -955,6 +1709,8 @@ class ShopManager extends Emitter {
  * @property {number} price Item price.
  * @property {string} message The message that will be returned on item use.
  * @property {string} role ID of Discord Role that will be given to user on item use.
+ * @property {?number} expiresAt Timestamp when the item expires. 'null' means the item never expires.
+ * @property {ItemEffect[]} effects Effects that will be applied on item use.
  * @property {number} maxAmount Max amount of the item that user can hold in their inventory.
  * @property {string} date Date when the item was bought by a user.
  * @property {object} custom Custom item properties object.
@@ -963,12 +1719,30 @@ class ShopManager extends Emitter {
 /**
  * @typedef {object} EconomyConfiguration Default Economy configuration.
  * @property {string} [storagePath='./storage.json'] Full path to a JSON file. Default: './storage.json'
+ * @property {StorageAdapter} [storage] Storage adapter to use instead of the storage file. Default: null.
  * @property {boolean} [checkStorage=true] Checks the if database file exists and if it has errors. Default: true
  * @property {number} [dailyCooldown=86400000]
  * Cooldown for Daily Reward (in ms). Default: 24 hours (60000 * 60 * 24 ms)
  *
  * @property {number} [workCooldown=3600000] Cooldown for Work Reward (in ms). Default: 1 hour (60000 * 60 ms)
  * @property {number | number[]} [dailyAmount=100] Amount of money for Daily Reward. Default: 100.
+ * @property {number} [dailyStreakGrace=86400000]
+ * Time after the daily cooldown ends during which the next daily reward continues the streak (in ms).
+ * Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number[]} [dailyStreakMultipliers=[]]
+ * Daily reward multipliers for each day of the streak; the last one is used for the longer streaks. Default: [].
+ *
+ * @property {number[]} [dailyStreakBonuses=[]]
+ * Flat bonuses added to the daily reward for each day of the streak; the last one is used for the longer streaks.
+ * Default: [].
+ *
+ * @property {ResetMode} [resetMode='rolling']
+ * Reset mode of the daily, weekly and monthly rewards: 'rolling' cooldowns or 'calendar' resets
+ * at the midnight, Monday midnight and the 1st day of the month in the time zone. Default: 'rolling'.
+ *
+ * @property {string} [timeZone='UTC'] IANA time zone (e.g. 'Europe/Berlin') for the calendar resets. Default: 'UTC'.
+ *
  * @property {number} [weeklyCooldown=604800000]
  * Cooldown for Weekly Reward (in ms). Default: 7 days (60000 * 60 * 24 * 7 ms)
  *
@@ -977,6 +1751,11 @@ class ShopManager extends Emitter {
  *
  * @property {boolean} [savePurchasesHistory=true] If true, the module will save all the purchases history.
  *
+ * @property {boolean} [saveLedger=true] If true, the module will save all the money operations in the ledger.
+ * @property {number} [ledgerLimit=1000]
+ * Maximum amount of entries in each user's ledger; the oldest entries are removed first. Use 0 for no limit.
+ * Default: 1000.
+ *
  * @property {number} [sellingItemPercent=75]
  * Percent of the item's price it will be sold for. Default: 75.
  *
@@ -992,7 +1771,36 @@ class ShopManager extends Emitter {
  * @property {boolean} [subtractOnBuy=true]
  * If true, when someone buys the item, their balance will subtract by item price. Default: false
  *
- * @property {number} [updateCountdown=1000] Checks for if storage file exists in specified time (in ms). Default: 1000.
+ * @property {OverdraftPolicy} [overdraft='allow']
+ * Defines how far below zero the balances can go: 'forbid', 'allow' or 'allowUntil: -N'. Default: 'allow'.
+ *
+ * @property {number} [bankInterestRate=0]
+ * Interest rate for the bank balances in each compounding period (e.g. 0.01 for 1%). 0 disables the interest.
+ * Default: 0.
+ *
+ * @property {number} [bankInterestPeriod=86400000]
+ * Compounding period of the bank interest (in ms). Default: 24 hours (60000 * 60 * 24 ms).
+ *
+ * @property {number} [bankInterestMaxBalance=0]
+ * Maximum bank balance that earns interest; the money above it earns nothing. 0 means no limit. Default: 0.
+ *
+ * @property {number} [bankInterestSweepInterval=0]
+ * Interval of applying the bank interest to all users (in ms). 0 means that the interest
+ * is only applied when the bank balance is fetched. Default: 0.
+ *
+ * @property {number} [itemExpirySweepInterval=0]
+ * Interval of purging the expired items and effects of all users (in ms). 0 means that the expired items
+ * are only purged when the inventory is fetched. Default: 0.
+ *
+ * @property {number} [seasonSweepInterval=0]
+ * Interval of ending the seasons that are over in all guilds (in ms). 0 means that the seasons
+ * are only ended when the season data is requested. Default: 0.
+ *
+ * @property {number} [restockSweepInterval=0]
+ * Interval of applying the due restocks of the shop items in all guilds (in ms). 0 means that the items
+ * are only restocked when the shop is fetched or an item is bought. Default: 0.
+ *
+ * @property {number} [updateCountdown=1000] Storage file checking and writing interval (in ms). Default: 1000.
  * @property {string} [dateLocale='en'] The region (example: 'ru' or 'en') to format the date and time. Default: 'en'.
  * @property {UpdaterOptions} [updater=UpdaterOptions] Update checker configuration.
  * @property {ErrorHandlerConfiguration} [errorHandler=ErrorHandlerConfiguration] Error handler configuration.
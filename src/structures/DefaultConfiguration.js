@@ -1,5 +1,6 @@
 const economyConfig = {
     storagePath: './storage.json',
+    storage: null,
 
     checkStorage: true,
     updateCountdown: 1000,
@@ -10,6 +11,13 @@ const economyConfig = {
     dailyAmount: 100,
     dailyCooldown: 86400000,
 
+    dailyStreakGrace: 86400000,
+    dailyStreakMultipliers: [],
+    dailyStreakBonuses: [],
+
+    resetMode: 'rolling',
+    timeZone: 'UTC',
+
     workAmount: [10, 50],
     workCooldown: 3600000,
 
@@ -22,10 +30,22 @@ const economyConfig = {
     sellingItemPercent: 75,
 
     savePurchasesHistory: true,
+    saveLedger: true,
+    ledgerLimit: 1000,
     deprecationWarnings: true,
 
     dateLocale: 'en',
     subtractOnBuy: true,
+    overdraft: 'allow',
+
+    bankInterestRate: 0,
+    bankInterestPeriod: 86400000,
+    bankInterestMaxBalance: 0,
+    bankInterestSweepInterval: 0,
+
+    itemExpirySweepInterval: 0,
+    seasonSweepInterval: 0,
+    restockSweepInterval: 0,
 
     updater: {
         checkUpdates: true,
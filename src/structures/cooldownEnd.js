@@ -0,0 +1,38 @@
+const resetBoundary = require('./resetBoundary')
+
+const calendarPeriods = {
+    daily: 'day',
+    weekly: 'week',
+    monthly: 'month'
+}
+
+/**
+ * Calculates the end timestamp of the reward cooldown. Utility function.
+ *
+ * In the 'rolling' reset mode, the cooldown ends when the cooldown time passes after the claim.
+ * In the 'calendar' reset mode, the daily, weekly and monthly cooldowns end at the next reset boundary
+ * in the guild time zone: the midnight, Monday midnight and the 1st day of the month respectively.
+ * Other rewards always use the rolling cooldowns.
+ *
+ * @param {string} rewardType Reward type.
+ * @param {number} claimTimestamp The time when the reward was claimed.
+ * @param {number} cooldown Cooldown for the reward (in ms).
+ * @param {ResetMode} [resetMode='rolling'] Reward reset mode.
+ * @param {string} [timeZone='UTC'] IANA time zone name.
+ * @returns {number} Cooldown end timestamp.
+ */
+const cooldownEnd = (rewardType, claimTimestamp, cooldown, resetMode = 'rolling', timeZone = 'UTC') => {
+    const period = calendarPeriods[rewardType]
+
+    if (resetMode == 'calendar' && period) {
+        return resetBoundary(claimTimestamp, period, timeZone)
+    }
+
+    return claimTimestamp + cooldown
+}
+
+/**
+ * @typedef {'rolling' | 'calendar'} ResetMode
+ */
+
+module.exports = cooldownEnd
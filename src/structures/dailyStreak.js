@@ -0,0 +1,28 @@
+/**
+ * Picks the daily reward multiplier and bonus for the specified streak day. Utility function.
+ *
+ * The tables are indexed by the streak day: the first element is used on the first day of the streak,
+ * the second one - on the second day, and so on. When the streak is longer than the table,
+ * its last element is used.
+ *
+ * @param {number} streak Current daily streak.
+ * @param {number[]} [multipliers=[]] Daily reward multipliers for each streak day.
+ * @param {number[]} [bonuses=[]] Flat bonuses added to the daily reward for each streak day.
+ * @returns {DailyStreakBonus} Multiplier and bonus for the streak day.
+ */
+const dailyStreak = (streak, multipliers = [], bonuses = []) => {
+    const pick = table => table?.length ? table[Math.min(Math.max(streak, 1), table.length) - 1] : null
+
+    return {
+        multiplier: pick(multipliers) ?? 1,
+        bonus: pick(bonuses) ?? 0
+    }
+}
+
+/**
+ * @typedef {object} DailyStreakBonus
+ * @property {number} multiplier The number that the daily reward is multiplied by.
+ * @property {number} bonus The amount of money added to the daily reward.
+ */
+
+module.exports = dailyStreak
@@ -19,7 +19,22 @@ const settingsArray = [
     'dateLocale',
     'subtractOnBuy',
 
-    'sellingItemPercent'
+    'sellingItemPercent',
+    'overdraft',
+
+    'bankInterestRate',
+    'bankInterestPeriod',
+    'bankInterestMaxBalance',
+
+    'dailyStreakGrace',
+    'dailyStreakMultipliers',
+    'dailyStreakBonuses',
+
+    'resetMode',
+    'timeZone',
+
+    'rewards',
+    'currencyWeights'
 ]
 
 const colors = {
@@ -38,7 +53,18 @@ const availableItemProps = [
     'message',
     'maxAmount',
     'role',
-    'custom'
+    'custom',
+    'duration',
+    'effects',
+    'stock',
+    'restock',
+    'prices',
+    'category',
+    'sortOrder',
+    'hidden',
+    'availableFrom',
+    'availableUntil',
+    'requirements'
 ]
 
 const availableCurrencyProps = [
@@ -113,6 +139,21 @@ module.exports = {
             maxAmount: 'options.maxAmount must be a number. Received type: ',
             role: 'options.role must be a string. Received type: ',
             custom: 'options.custom must be an object. Received type: ',
+            effects: 'options.effects must be an array of objects with a string \'type\' property.',
+            duration: 'options.duration must be a non-negative number. Received: ',
+            stock: 'options.stock must be a non-negative number or null. Received: ',
+            restock: 'options.restock must be an object with a positive \'amount\' number, a positive \'interval\' ' +
+                '(in ms or as a time string) and an optional non-negative \'max\' number.',
+            prices: 'options.prices must be a non-empty array of objects with non-negative amounts ' +
+                'by the currency ID, name or symbol, or \'money\' for the main balance.',
+            category: 'options.category must be a non-empty string or null. Received: ',
+            sortOrder: 'options.sortOrder must be a number. Received: ',
+            hidden: 'options.hidden must be a boolean. Received: ',
+            availableFrom: 'options.availableFrom must be a date or null. Received: ',
+            availableUntil: 'options.availableUntil must be a date after options.availableFrom or null. Received: ',
+            requirements: 'options.requirements must be an object with optional \'roles\' (array of role IDs), ' +
+                '\'accountAge\' (in ms or as a time string), \'items\' (array of item IDs or names), ' +
+                '\'level\' (non-negative number) and \'custom\' (array of requirement names) properties, or null.',
         },
 
         editItemArgs: {
@@ -134,7 +175,147 @@ module.exports = {
          */
         notFound(currencyID, guildID) {
             return `Currency with ID/name/symbol "${currencyID}" not found in guild ${guildID}.`
-        }
+        },
+
+        /**
+         * Returns a message for an EXCHANGE_RATE_NOT_FOUND error.
+         * @param {string | number} fromID Source currency ID.
+         * @param {string | number} toID Target currency ID.
+         * @param {string} guildID Guild ID.
+         * @returns {string} No exchange rate from "{fromID}" to "{toID}" in guild {guildID}.
+         */
+        exchangeRateNotFound(fromID, toID, guildID) {
+            return `No exchange rate from "${fromID}" to "${toID}" in guild ${guildID}.`
+        },
+
+        sameExchangeCurrency: 'Cannot exchange the currency to itself. Received: ',
+        invalidExchangeRate: 'Exchange rate must be a positive number. Received: ',
+        invalidExchangeFee: 'Exchange fee must be a number from 0 to 100 (not including 100). Received: ',
+        invalidExchangeSpread: 'Exchange spread must be a number from 0 to 100 (not including 100). Received: ',
+        invalidExchangeAmount: 'Amount of money to exchange must be a positive number. Received: '
+    },
+
+    itemEffects: {
+
+        /**
+         * Returns a message for an ITEM_EFFECT_NOT_FOUND error.
+         * @param {string} type Item effect type.
+         * @returns {string} Item effect "{type}" is not registered.
+         */
+        notFound(type) {
+            return `Item effect "${type}" is not registered.`
+        },
+
+        invalidReward: 'params.reward must be one of these values: ' +
+            '\'daily\', \'work\', \'weekly\', \'monthly\', \'hourly\' or a registered custom reward name. Received: '
+    },
+
+    jobs: {
+        invalidName: 'options.name must be a non-empty string. Received: ',
+        nameTaken: 'Job with this name already exists in the guild: ',
+        invalidPay: 'options.pay must be a number or an array of two numbers. Received: ',
+        invalidCooldown: 'options.cooldown must be a positive number of milliseconds ' +
+            'or a time string (e.g. \'1h\'). Received: ',
+
+        invalidRequiredLevel: 'options.requiredLevel must be a non-negative number. Received: ',
+        invalidRequiredItems: 'options.requiredItems must be an array of item IDs or names. Received: ',
+        invalidMessages: 'options.messages must be an array of strings. Received: ',
+        invalidPromoteAfter: 'options.promoteAfter must be a positive integer. Received: ',
+        invalidPromoteTo: 'options.promoteTo must be a job ID or name. Received: ',
+        invalidLevelResolver: 'Level resolver must be a function. Received: '
+    },
+
+    seasons: {
+
+        /**
+         * Returns a message for an SEASON_ALREADY_STARTED error.
+         * @param {string} guildID Guild ID.
+         * @returns {string} A season is already going on in guild {guildID}.
+         */
+        alreadyStarted(guildID) {
+            return `A season is already going on in guild ${guildID}.`
+        },
+
+        invalidName: 'options.name must be a non-empty string. Received: ',
+        invalidEnd: 'options.endsAt must be a future date or options.duration must be a positive number ' +
+            'of milliseconds or a time string (e.g. \'30d\'). Received: ',
+
+        invalidBalanceReset: 'options.balanceReset must be one of \'none\', \'reset\' or \'decay\'. Received: ',
+        invalidDecay: 'options.decay must be a number from 0 to 100. Received: '
+    },
+
+    discounts: {
+
+        /**
+         * Returns a message for an COUPON_ALREADY_EXISTS error.
+         * @param {string} code Coupon code.
+         * @param {string} guildID Guild ID.
+         * @returns {string} Coupon "{code}" already exists in guild {guildID}.
+         */
+        couponExists(code, guildID) {
+            return `Coupon "${code}" already exists in guild ${guildID}.`
+        },
+
+        invalidCode: 'options.code must be a non-empty string without spaces. Received: ',
+        invalidType: 'options.type must be one of \'percent\' or \'flat\'. Received: ',
+        invalidDiscount: 'options.discount must be a positive number, not greater than 100 for percent discounts. ' +
+            'Received: ',
+
+        invalidExpiry: 'options.expiresAt must be a future date or options.duration must be a positive number ' +
+            'of milliseconds or a time string (e.g. \'7d\'). Received: ',
+
+        invalidWindow: 'options.endsAt must be a future date after options.startsAt or options.duration must be ' +
+            'a positive number of milliseconds or a time string (e.g. \'2d\'). Received: ',
+
+        invalidUses: 'options.maxUses and options.maxUsesPerUser must be positive integers. Received: ',
+        invalidItems: 'options.items must be an array of item IDs or names.',
+        invalidCategories: 'options.categories must be an array of category names.'
+    },
+
+    shopSearch: {
+        invalidQuery: 'query must be a string. Received type: ',
+        invalidCategory: 'options.category must be a string. Received type: ',
+        invalidPrice: 'options.minPrice and options.maxPrice must be non-negative numbers. Received: ',
+        invalidSort: 'options.sort must be one of \'relevance\', \'order\', \'name\', \'priceAsc\' ' +
+            'or \'priceDesc\'. Received: '
+    },
+
+    cooldowns: {
+        invalidName: 'Cooldown name must be a non-empty string without dots. Received: ',
+        invalidDuration: 'duration must be a positive number of milliseconds ' +
+            'or a time string (e.g. \'30m\'). Received: '
+    },
+
+    rewards: {
+
+        /**
+         * Returns a message for an REWARD_NOT_FOUND error.
+         * @param {string} name Reward name.
+         * @returns {string} Reward "{name}" is not registered.
+         */
+        notFound(name) {
+            return `Reward "${name}" is not registered.`
+        },
+
+        invalidName: 'Reward name must be a non-empty string without dots. Received: ',
+        builtInName: 'Cannot register a reward with the name of a built-in reward. Received: ',
+        invalidAmount: 'options.amount must be a number or an array of two numbers. Received: ',
+        invalidCooldown: 'options.cooldown must be a positive number of milliseconds ' +
+            'or a time string (e.g. \'12h\'). Received: ',
+
+        invalidMultiplier: 'options.multiplier must be a non-negative number. Received: ',
+        invalidBonus: 'options.bonus must be a number. Received: ',
+        invalidRewards: 'options.rewards must be a reward name or an array of reward names. Received: ',
+        invalidDuration: 'options.duration must be a positive number of milliseconds ' +
+            'or a time string (e.g. \'1h\'). Received: ',
+
+        invalidModifierSource: 'options.source must be one of \'role\', \'item\' or \'event\'. Received: ',
+        invalidRoleID: 'options.roleID must be a string. Received: ',
+        invalidItemID: 'options.itemID must be a string or a number. Received: ',
+        invalidModifierPeriod: 'options.startsAt and options.endsAt must be timestamps, ' +
+            'and options.endsAt must be later than options.startsAt.',
+
+        invalidRolesResolver: 'Roles resolver must be a function. Received: '
     },
 
     workAmount: {
@@ -157,12 +338,46 @@ module.exports = {
         }
     },
 
+    storageAdapter: {
+
+        /**
+         * Returns a message for a STORAGE_ADAPTER_ERROR error.
+         * @param {string} adapterName Storage adapter name.
+         * @param {string} method Method name.
+         * @returns {string} {adapterName} does not implement the "{method}" storage adapter method.
+         */
+        notImplemented(adapterName, method) {
+            return `${adapterName} does not implement the "${method}" storage adapter method.`
+        },
+
+        /**
+         * Returns a message for a STORAGE_ADAPTER_ERROR error.
+         * @param {string[]} missingMethods Methods that the storage adapter is missing.
+         * @returns {string} options.storage is not a valid storage adapter. Missing methods: {missingMethods}.
+         */
+        invalidAdapter(missingMethods) {
+            return `options.storage is not a valid storage adapter. Missing methods: ${missingMethods.join(', ')}.`
+        }
+    },
+
     settingsManager: {
         invalidKey: 'You have specified the incorrect settings key.' +
             'It must be one of the following values:\n' +
             settingsArray.map(x => `'${x}'`).join(', ') +
             '.\nReceived: ',
 
+        invalidOverdraft: 'Overdraft policy must be one of the following: ' +
+            '\'forbid\', \'allow\', \'allowUntil: -N\'. Received: ',
+
+        invalidRewards: 'Rewards setting must be an object of reward names and their ' +
+            '{ amount?, cooldown? } overrides. Received: ',
+
+        invalidCurrencyWeights: 'Currency weights setting must be an object of currency IDs, names or symbols ' +
+            'and their non-negative weights. Received: ',
+
+        invalidResetMode: 'Reset mode must be one of the following: \'rolling\', \'calendar\'. Received: ',
+        invalidTimeZone: 'Time zone must be a valid IANA time zone name (e.g. \'Europe/Berlin\'). Received: ',
+
         valueNotFound(setting, value) {
             return `Cannot find the value "${value}" in a setting "${setting}".`
         },
@@ -0,0 +1,19 @@
+/**
+ * Checks if the specified value is a valid list of item effects. Utility function.
+ *
+ * Each effect must be an object with a string 'type' property
+ * and, optionally, a 'params' object.
+ *
+ * @param {any} effects The value to check.
+ * @returns {boolean} If the value is a valid list of item effects: true, else: false.
+ */
+const isValidEffects = effects => {
+    if (!Array.isArray(effects)) return false
+
+    return effects.every(effect =>
+        typeof effect?.type == 'string' &&
+        (effect.params == undefined || (typeof effect.params == 'object' && !Array.isArray(effect.params)))
+    )
+}
+
+module.exports = isValidEffects
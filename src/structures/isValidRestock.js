@@ -0,0 +1,22 @@
+const ms = require('./ms')
+
+/**
+ * Checks if the specified value is a valid item restock schedule. Utility function.
+ *
+ * The schedule must be an object with a positive 'amount' number, a positive 'interval'
+ * (in ms or as a time string, e.g. '24h') and, optionally, a non-negative 'max' number.
+ *
+ * @param {any} restock The value to check.
+ * @returns {boolean} If the value is a valid item restock schedule: true, else: false.
+ */
+const isValidRestock = restock => {
+    if (typeof restock !== 'object' || restock === null || Array.isArray(restock)) return false
+
+    const interval = typeof restock.interval == 'string' ? ms(restock.interval) : restock.interval
+
+    return typeof restock.amount == 'number' && restock.amount > 0 &&
+        typeof interval == 'number' && interval > 0 &&
+        (restock.max == undefined || (typeof restock.max == 'number' && restock.max >= 0))
+}
+
+module.exports = isValidRestock
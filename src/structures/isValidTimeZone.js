@@ -0,0 +1,18 @@
+/**
+ * Checks if the specified value is a valid IANA time zone name (e.g. 'Europe/Berlin'). Utility function.
+ *
+ * @param {any} timeZone The value to check.
+ * @returns {boolean} If the value is a valid time zone name: true, else: false.
+ */
+const isValidTimeZone = timeZone => {
+    if (typeof timeZone !== 'string') return false
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone })
+        return true
+    } catch {
+        return false
+    }
+}
+
+module.exports = isValidTimeZone
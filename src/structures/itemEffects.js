@@ -0,0 +1,208 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const rewardTypes = ['daily', 'work', 'weekly', 'monthly', 'hourly']
+
+/**
+ * Checks if the reward is a built-in reward or a custom reward that is registered in the Economy instance.
+ * @param {string} reward Reward name.
+ * @param {ItemEffectContext} context Item usage context.
+ * @returns {boolean} Is the reward available or not.
+ */
+const isRewardAvailable = (reward, context) => rewardTypes.includes(reward) || context.rewards.has(reward)
+
+/**
+ * Built-in item effect handlers.
+ *
+ * Each handler receives the effect parameters from the shop item and the usage context,
+ * and returns the information about what was done.
+ * @type {Record<string, ItemEffectHandler>}
+ */
+const itemEffects = {
+
+    /**
+     * Adds the money on user's balance.
+     * @param {{ amount: number, reason?: string }} params Effect parameters.
+     * @param {ItemEffectContext} context Item usage context.
+     * @returns {{ amount: number }} Added money amount.
+     */
+    addMoney(params, context) {
+        const { guildID, memberID, item } = context
+
+        if (isNaN(params.amount)) {
+            throw new EconomyError(errors.invalidType('params.amount', 'number', params.amount), 'INVALID_TYPE')
+        }
+
+        const amount = Number(params.amount)
+        context.balance.add(amount, memberID, guildID, params.reason || `used the item "${item.name}"`)
+
+        return { amount }
+    },
+
+    /**
+     * Adds the money on user's bank balance.
+     * @param {{ amount: number, reason?: string }} params Effect parameters.
+     * @param {ItemEffectContext} context Item usage context.
+     * @returns {{ amount: number }} Added money amount.
+     */
+    addBank(params, context) {
+        const { guildID, memberID, item } = context
+
+        if (isNaN(params.amount)) {
+            throw new EconomyError(errors.invalidType('params.amount', 'number', params.amount), 'INVALID_TYPE')
+        }
+
+        const amount = Number(params.amount)
+        context.bank.add(amount, memberID, guildID, params.reason || `used the item "${item.name}"`)
+
+        return { amount }
+    },
+
+    /**
+     * Adds the item from the shop to user's inventory.
+     * @param {{ itemID: string | number, quantity?: number }} params Effect parameters.
+     * @param {ItemEffectContext} context Item usage context.
+     * @returns {ShopOperationInfo} Operation information object.
+     */
+    grantItem(params, context) {
+        const { guildID, memberID } = context
+        const quantity = params.quantity || 1
+
+        if (typeof params.itemID !== 'number' && typeof params.itemID !== 'string') {
+            throw new EconomyError(
+                errors.invalidType('params.itemID', 'string or number', params.itemID), 'INVALID_TYPE'
+            )
+        }
+
+        if (isNaN(quantity) || quantity < 1) {
+            throw new EconomyError(errors.invalidType('params.quantity', 'number', quantity), 'INVALID_TYPE')
+        }
+
+        return context.inventory.addItem(params.itemID, memberID, guildID, Number(quantity))
+    },
+
+    /**
+     * Multiplies the next reward that the user will claim.
+     * @param {{ multiplier: number, reward?: RewardName | string }} params
+     * Effect parameters: the reward is a built-in reward or a registered custom reward.
+     * If the reward is not specified, the next claimed reward of any type is multiplied.
+     *
+     * @param {ItemEffectContext} context Item usage context.
+     * @returns {RewardMultiplierData} Saved reward multiplier.
+     */
+    multiplyNextReward(params, context) {
+        const { guildID, memberID } = context
+        const reward = params.reward || null
+
+        if (isNaN(params.multiplier) || params.multiplier < 0) {
+            throw new EconomyError(
+                errors.invalidType('params.multiplier', 'number', params.multiplier), 'INVALID_TYPE'
+            )
+        }
+
+        if (reward !== null && !isRewardAvailable(reward, context)) {
+            throw new EconomyError(errors.itemEffects.invalidReward + reward, 'INVALID_INPUT')
+        }
+
+        const rewardMultiplier = {
+            multiplier: Number(params.multiplier),
+            reward
+        }
+
+        context.database.push(`${guildID}.${memberID}.rewardMultipliers`, rewardMultiplier)
+        return rewardMultiplier
+    },
+
+    /**
+     * Clears the user's reward cooldown or named cooldown.
+     * @param {{ reward?: RewardName | string | 'all', cooldown?: string }} params
+     * Effect parameters: the reward is a built-in reward or a registered custom reward,
+     * and the cooldown is the name of the user's named cooldown. If the cooldown is specified,
+     * the reward is ignored; if neither of them is specified, all the reward cooldowns are cleared.
+     *
+     * @param {ItemEffectContext} context Item usage context.
+     * @returns {{ reward: ?(RewardName | string | 'all'), cooldown: ?string, cleared: boolean }} Cleared cooldown.
+     */
+    clearCooldown(params, context) {
+        const { guildID, memberID } = context
+
+        if (params.cooldown !== undefined) {
+            const cleared = context.cooldowns.clear(params.cooldown, memberID, guildID)
+
+            return {
+                reward: null,
+                cooldown: params.cooldown,
+                cleared: !!cleared
+            }
+        }
+
+        const reward = params.reward || 'all'
+
+        if (reward !== 'all' && !isRewardAvailable(reward, context)) {
+            throw new EconomyError(errors.itemEffects.invalidReward + reward, 'INVALID_INPUT')
+        }
+
+        let cleared = false
+
+        if (reward == 'all') {
+            cleared = context.cooldowns.clearAll(memberID, guildID)
+        } else if (rewardTypes.includes(reward)) {
+            cleared = context.cooldowns[`clear${reward[0].toUpperCase()}${reward.slice(1)}`](memberID, guildID)
+        } else {
+            cleared = context.cooldowns.clearCustom(reward, memberID, guildID)
+        }
+
+        return {
+            reward,
+            cooldown: null,
+            cleared: !!cleared
+        }
+    },
+
+    /**
+     * Gives the user a timed reward boost.
+     * @param {RewardBoostData} params Effect parameters. The boost name is the item name by default.
+     * @param {ItemEffectContext} context Item usage context.
+     * @returns {RewardBoost} Added reward boost.
+     */
+    rewardBoost(params, context) {
+        const { guildID, memberID, item } = context
+
+        return context.rewards.addBoost(memberID, guildID, {
+            ...params,
+            name: params.name || item.name
+        })
+    }
+}
+
+/**
+ * @callback ItemEffectHandler
+ * @param {object} params Effect parameters from the shop item.
+ * @param {ItemEffectContext} context Item usage context.
+ * @returns {any} The information about what was done.
+ */
+
+/**
+ * @typedef {object} ItemEffectContext
+ * @property {string} guildID Guild ID.
+ * @property {string} memberID Member ID.
+ * @property {InventoryItem} item The item that is being used.
+ * @property {BalanceManager} balance Balance Manager.
+ * @property {BankManager} bank Bank Manager.
+ * @property {InventoryManager} inventory Inventory Manager.
+ * @property {CooldownManager} cooldowns Cooldown Manager.
+ * @property {RewardManager} rewards Reward Manager.
+ * @property {DatabaseManager} database Database Manager.
+ */
+
+/**
+ * @typedef {object} RewardMultiplierData
+ * @property {number} multiplier The number that the reward will be multiplied by.
+ * @property {?RewardName} reward The reward type to multiply. 'null' means any reward.
+ */
+
+/**
+ * @typedef {'daily' | 'work' | 'weekly' | 'monthly' | 'hourly'} RewardName
+ */
+
+module.exports = itemEffects
@@ -0,0 +1,70 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+/**
+ * Validates the listing options of the shop item and converts its availability dates to timestamps.
+ * Utility function.
+ *
+ * @param {ItemListingOptions} options Listing options to check.
+ * @returns {ItemListing} Validated listing options.
+ */
+const itemListing = options => {
+    const {
+        category, sortOrder, hidden,
+        availableFrom, availableUntil
+    } = options || {}
+
+    if (category != undefined && (typeof category !== 'string' || !category.trim())) {
+        throw new EconomyError(errors.invalidTypes.addItemOptions.category + category, 'INVALID_TYPE')
+    }
+
+    if (sortOrder != undefined && (typeof sortOrder !== 'number' || isNaN(sortOrder))) {
+        throw new EconomyError(errors.invalidTypes.addItemOptions.sortOrder + sortOrder, 'INVALID_TYPE')
+    }
+
+    if (hidden != undefined && typeof hidden !== 'boolean') {
+        throw new EconomyError(errors.invalidTypes.addItemOptions.hidden + hidden, 'INVALID_TYPE')
+    }
+
+    const from = availableFrom == undefined ? null : new Date(availableFrom).getTime()
+    const until = availableUntil == undefined ? null : new Date(availableUntil).getTime()
+
+    if (availableFrom != undefined && isNaN(from)) {
+        throw new EconomyError(errors.invalidTypes.addItemOptions.availableFrom + availableFrom, 'INVALID_TYPE')
+    }
+
+    if (availableUntil != undefined && (isNaN(until) || (from !== null && until <= from))) {
+        throw new EconomyError(errors.invalidTypes.addItemOptions.availableUntil + availableUntil, 'INVALID_INPUT')
+    }
+
+    return {
+        category: category == undefined ? null : category.trim(),
+        sortOrder: sortOrder ?? 0,
+        hidden: hidden ?? false,
+        availableFrom: from,
+        availableUntil: until
+    }
+}
+
+/**
+ * @typedef {object} ItemListingOptions
+ * @property {string} [category] Item category. Default: null.
+ * @property {number} [sortOrder=0] Position of the item in the search results, in ascending order. Default: 0.
+ * @property {boolean} [hidden=false]
+ * If true, the item is not listed in the search results and can only be found or bought by its exact ID.
+ * Default: false.
+ *
+ * @property {Date | number} [availableFrom] Date when the item becomes available. Default: null.
+ * @property {Date | number} [availableUntil] Date when the item stops being available. Default: null.
+ */
+
+/**
+ * @typedef {object} ItemListing
+ * @property {?string} category Item category.
+ * @property {number} sortOrder Position of the item in the search results.
+ * @property {boolean} hidden If true, the item can only be found or bought by its exact ID.
+ * @property {?number} availableFrom Timestamp when the item becomes available. 'null' means always.
+ * @property {?number} availableUntil Timestamp when the item stops being available. 'null' means never.
+ */
+
+module.exports = itemListing
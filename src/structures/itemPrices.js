@@ -0,0 +1,45 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const resolveCurrency = require('./resolveCurrency')
+
+/**
+ * Validates the prices of the shop item and resolves their currencies. Utility function.
+ *
+ * Each price is an object with the amounts to charge by the currency ID, name or symbol,
+ * or 'money' for the main balance. All the currencies of one price are charged together.
+ *
+ * @param {ItemPrice[]} prices Item prices to check.
+ * @param {CurrencyObject[]} currencies Currencies of the guild.
+ * @param {string} guildID Guild ID.
+ * @returns {ItemPrice[]} Item prices by the currency IDs.
+ */
+const itemPrices = (prices, currencies, guildID) => {
+    const isValidPrice = price => typeof price == 'object' && price !== null && !Array.isArray(price) &&
+        Object.keys(price).length && Object.values(price).every(amount => typeof amount == 'number' && amount >= 0)
+
+    if (!Array.isArray(prices) || !prices.length || !prices.every(isValidPrice)) {
+        throw new EconomyError(errors.invalidTypes.addItemOptions.prices, 'INVALID_TYPE')
+    }
+
+    return prices.map(price => {
+        const entries = Object.entries(price).map(([currencyID, amount]) => {
+            const resolvedCurrencyID = resolveCurrency(currencyID, currencies)
+
+            if (resolvedCurrencyID === null) {
+                throw new EconomyError(errors.currencies.notFound(currencyID, guildID), 'CURRENCY_NOT_FOUND')
+            }
+
+            return [resolvedCurrencyID, amount]
+        })
+
+        return Object.fromEntries(entries)
+    })
+}
+
+/**
+ * Item price object. Amounts to charge by the currency ID or 'money' for the main balance.
+ * @typedef {Record<string, number>} ItemPrice
+ */
+
+module.exports = itemPrices
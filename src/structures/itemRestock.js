@@ -0,0 +1,39 @@
+const ms = require('./ms')
+
+/**
+ * Calculates the restock of the shop item that is due since its last restock. Utility function.
+ *
+ * Every restock interval that has passed adds the restock amount to the item's stock.
+ * The stock is never raised above the schedule's 'max' value, but the stock that is already above it is kept.
+ *
+ * @param {ItemData} item Shop item object.
+ * @param {number} [now=Date.now()] Current timestamp.
+ * @returns {?ItemRestock} Restocked item data. If no restock is due: null.
+ */
+const itemRestock = (item, now = Date.now()) => {
+    if (!item?.restock || item.stock == undefined || !item.lastRestock) return null
+
+    const { amount, max } = item.restock
+    const interval = typeof item.restock.interval == 'string' ? ms(item.restock.interval) : item.restock.interval
+
+    const restocks = Math.floor((now - item.lastRestock) / interval)
+    if (!(restocks >= 1)) return null
+
+    const maxStock = max == undefined ? Infinity : max
+    const stock = Math.max(item.stock, Math.min(maxStock, item.stock + amount * restocks))
+
+    return {
+        amount: stock - item.stock,
+        stock,
+        lastRestock: item.lastRestock + restocks * interval
+    }
+}
+
+/**
+ * @typedef {object} ItemRestock
+ * @property {number} amount Amount of the items that were added to the stock.
+ * @property {number} stock Item stock after the restock.
+ * @property {number} lastRestock Timestamp of the last restock that was due.
+ */
+
+module.exports = itemRestock
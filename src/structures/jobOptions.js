@@ -0,0 +1,122 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const ms = require('./ms')
+
+/**
+ * Validates the job options and converts the cooldown to milliseconds. Utility function.
+ *
+ * @param {JobData} options Job options to check.
+ * @param {boolean} [partial=false] If true, the options that are not specified will be skipped.
+ * @returns {JobOptions} Validated job options.
+ */
+const jobOptions = (options, partial = false) => {
+    const {
+        name, description = '', pay, cooldown = null,
+        requiredLevel = 0, requiredItems = [], messages = [],
+        promoteAfter = null, promoteTo = null
+    } = options || {}
+
+    const isSpecified = key => options?.[key] !== undefined || !partial
+    const result = {}
+
+    if (isSpecified('name')) {
+        if (typeof name !== 'string' || !name.length) {
+            throw new EconomyError(errors.jobs.invalidName + name, 'INVALID_TYPE')
+        }
+
+        result.name = name
+    }
+
+    if (isSpecified('description')) {
+        if (typeof description !== 'string') {
+            throw new EconomyError(errors.invalidType('options.description', 'string', description), 'INVALID_TYPE')
+        }
+
+        result.description = description
+    }
+
+    if (isSpecified('pay')) {
+        const isValidPay = typeof pay == 'number' || (
+            Array.isArray(pay) &&
+            pay.length >= 1 && pay.length <= 2 &&
+            pay.every(value => typeof value == 'number')
+        )
+
+        if (!isValidPay) {
+            throw new EconomyError(errors.jobs.invalidPay + pay, 'INVALID_TYPE')
+        }
+
+        result.pay = pay
+    }
+
+    if (isSpecified('cooldown')) {
+        const cooldownTime = typeof cooldown == 'string' ? ms(cooldown) : cooldown
+
+        if (cooldownTime !== null && (typeof cooldownTime !== 'number' || !(cooldownTime > 0))) {
+            throw new EconomyError(errors.jobs.invalidCooldown + cooldown, 'INVALID_TYPE')
+        }
+
+        result.cooldown = cooldownTime
+    }
+
+    if (isSpecified('requiredLevel')) {
+        if (typeof requiredLevel !== 'number' || !(requiredLevel >= 0)) {
+            throw new EconomyError(errors.jobs.invalidRequiredLevel + requiredLevel, 'INVALID_TYPE')
+        }
+
+        result.requiredLevel = requiredLevel
+    }
+
+    if (isSpecified('requiredItems')) {
+        if (
+            !Array.isArray(requiredItems) ||
+            requiredItems.some(itemID => typeof itemID !== 'string' && typeof itemID !== 'number')
+        ) {
+            throw new EconomyError(errors.jobs.invalidRequiredItems + requiredItems, 'INVALID_TYPE')
+        }
+
+        result.requiredItems = requiredItems
+    }
+
+    if (isSpecified('messages')) {
+        if (!Array.isArray(messages) || messages.some(message => typeof message !== 'string')) {
+            throw new EconomyError(errors.jobs.invalidMessages + messages, 'INVALID_TYPE')
+        }
+
+        result.messages = messages
+    }
+
+    if (isSpecified('promoteAfter')) {
+        if (promoteAfter !== null && (!Number.isInteger(promoteAfter) || promoteAfter < 1)) {
+            throw new EconomyError(errors.jobs.invalidPromoteAfter + promoteAfter, 'INVALID_TYPE')
+        }
+
+        result.promoteAfter = promoteAfter
+    }
+
+    if (isSpecified('promoteTo')) {
+        if (promoteTo !== null && typeof promoteTo !== 'string' && typeof promoteTo !== 'number') {
+            throw new EconomyError(errors.jobs.invalidPromoteTo + promoteTo, 'INVALID_TYPE')
+        }
+
+        result.promoteTo = promoteTo
+    }
+
+    return result
+}
+
+/**
+ * @typedef {object} JobOptions
+ * @property {string} name Job name.
+ * @property {string} description Job description.
+ * @property {number | number[]} pay Amount of money for each shift. Could be a [min, max] range.
+ * @property {?number} cooldown Cooldown between the shifts (in ms). 'null' means the work reward cooldown.
+ * @property {number} requiredLevel Minimal user level to apply for the job.
+ * @property {Array<string | number>} requiredItems IDs or names of the items the user must have to apply.
+ * @property {string[]} messages Flavor messages; one of them is picked randomly for each shift.
+ * @property {?number} promoteAfter Amount of shifts after which the user is promoted.
+ * @property {?(string | number)} promoteTo ID or name of the job the user is promoted to.
+ */
+
+module.exports = jobOptions
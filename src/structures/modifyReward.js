@@ -0,0 +1,27 @@
+/**
+ * Applies the reward modifiers to the base reward amount. Utility function.
+ *
+ * The multipliers of all the modifiers are applied to the base amount first,
+ * then their bonuses are added. The result is rounded down and cannot be negative.
+ *
+ * @param {number} reward Base reward amount.
+ * @param {AppliedRewardModifier[]} modifiers Reward modifiers to apply.
+ * @returns {number} Final reward amount.
+ */
+const modifyReward = (reward, modifiers) => {
+    const multiplier = modifiers.reduce((result, modifier) => result * modifier.multiplier, 1)
+    const bonus = modifiers.reduce((result, modifier) => result + modifier.bonus, 0)
+
+    return Math.max(Math.floor(reward * multiplier + bonus), 0)
+}
+
+/**
+ * @typedef {object} AppliedRewardModifier
+ * @property {'role' | 'item' | 'event' | 'boost' | 'nextReward' | 'streak'} source Source of the modifier.
+ * @property {?number} id ID of the guild reward modifier or the user's boost.
+ * @property {?string} name Name of the modifier.
+ * @property {number} multiplier The number that the reward was multiplied by.
+ * @property {number} bonus The amount of money that was added to the reward.
+ */
+
+module.exports = modifyReward
@@ -0,0 +1,54 @@
+/**
+ * Calculates the net worth of the user. Utility function.
+ *
+ * The net worth is the sum of the user's balance, bank balance, custom currency balances multiplied by
+ * their weights and the inventory items valued at their current shop price. The items that were removed
+ * from the shop are valued at the price they were bought for; the expired items are not counted.
+ * @param {string} userID User ID.
+ * @param {object} guildData Raw guild object from database.
+ * @param {Record<string, number>} [currencyWeights={}]
+ * Weights of the currencies by their ID, name or symbol. The currencies with no weight have a weight of 1.
+ *
+ * @returns {NetWorthData} Net worth of the user.
+ */
+const netWorth = (userID, guildData, currencyWeights = {}) => {
+    const user = guildData[userID] || {}
+    const shopItems = guildData.shop || []
+
+    const balance = Number(user.money) || 0
+    const bank = Number(user.bank) || 0
+
+    const currencies = (guildData.currencies || []).reduce((total, currency) => {
+        const weight = currencyWeights[currency.id] ??
+            currencyWeights[currency.name] ??
+            currencyWeights[currency.symbol] ?? 1
+
+        return total + (Number(currency.balances?.[userID]) || 0) * weight
+    }, 0)
+
+    const inventory = (user.inventory || [])
+        .filter(item => !item.expiresAt || item.expiresAt > Date.now())
+        .reduce((total, item) => {
+            const shopItem = shopItems.find(shopItem => shopItem.id == item.id)
+            return total + (Number(shopItem ? shopItem.price : item.price) || 0)
+        }, 0)
+
+    return {
+        balance,
+        bank,
+        currencies: Math.round(currencies * 100) / 100,
+        inventory,
+        netWorth: Math.round((balance + bank + currencies + inventory) * 100) / 100
+    }
+}
+
+/**
+ * @typedef {object} NetWorthData
+ * @property {number} balance User's balance.
+ * @property {number} bank User's bank balance.
+ * @property {number} currencies Sum of the user's custom currency balances multiplied by their weights.
+ * @property {number} inventory Value of the user's inventory items.
+ * @property {number} netWorth Total net worth of the user.
+ */
+
+module.exports = netWorth
@@ -0,0 +1,39 @@
+/**
+ * Returns the lowest balance that the specified overdraft policy allows. Utility function.
+ *
+ * - 'forbid' - the balance cannot go below zero;
+ * - 'allow' - the balance can go below zero with no limit;
+ * - 'allowUntil: -N' - the balance can go below zero down to -N.
+ *
+ * @param {OverdraftPolicy} policy The overdraft policy.
+ * @returns {?number} The lowest allowed balance or 'null' if the policy is invalid.
+ */
+const overdraftLimit = policy => {
+    if (policy == 'forbid') return 0
+    if (policy == 'allow') return -Infinity
+
+    const limit = /^allowUntil:\s*(-?\d+(\.\d+)?)$/.exec(policy)?.[1]
+    if (limit == undefined) return null
+
+    return -Math.abs(Number(limit))
+}
+
+/**
+ * @typedef {'forbid' | 'allow' | `allowUntil: -${number}`} OverdraftPolicy
+ */
+
+/**
+ * @typedef {object} InsufficientFundsResult
+ * The result of the operation that was not performed because of the overdraft policy.
+ * @property {false} status Operation status.
+ * @property {'insufficient funds'} reason The reason why the operation was not performed.
+ */
+
+/**
+ * @typedef {object} InvalidAmountResult
+ * The result of the transfer that was not performed because of a negative amount.
+ * @property {false} status Operation status.
+ * @property {'invalid amount'} reason The reason why the operation was not performed.
+ */
+
+module.exports = overdraftLimit
@@ -0,0 +1,58 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const ms = require('./ms')
+
+/**
+ * Validates the reward modifier options and converts the duration to milliseconds. Utility function.
+ *
+ * @param {object} options Modifier options to check.
+ * @param {number} [options.multiplier=1] The number that the reward will be multiplied by.
+ * @param {number} [options.bonus=0] The amount of money that will be added to the reward.
+ *
+ * @param {string | string[]} [options.rewards]
+ * Names of the rewards that the modifier applies to. If not specified, the modifier applies to all rewards.
+ *
+ * @param {number | string} [options.duration] Duration of the modifier: in ms or a time string (e.g. '1h').
+ * @returns {RewardModifierOptions} Validated modifier options.
+ */
+const rewardModifierOptions = options => {
+    const { multiplier = 1, bonus = 0, rewards = null, duration = null } = options || {}
+
+    if (typeof multiplier !== 'number' || !(multiplier >= 0)) {
+        throw new EconomyError(errors.rewards.invalidMultiplier + multiplier, 'INVALID_TYPE')
+    }
+
+    if (typeof bonus !== 'number' || isNaN(bonus)) {
+        throw new EconomyError(errors.rewards.invalidBonus + bonus, 'INVALID_TYPE')
+    }
+
+    const rewardNames = typeof rewards == 'string' ? [rewards] : rewards
+
+    if (rewardNames !== null && (!Array.isArray(rewardNames) || rewardNames.some(name => typeof name !== 'string'))) {
+        throw new EconomyError(errors.rewards.invalidRewards + rewards, 'INVALID_TYPE')
+    }
+
+    const durationTime = typeof duration == 'string' ? ms(duration) : duration
+
+    if (durationTime !== null && (typeof durationTime !== 'number' || !(durationTime > 0))) {
+        throw new EconomyError(errors.rewards.invalidDuration + duration, 'INVALID_TYPE')
+    }
+
+    return {
+        multiplier,
+        bonus,
+        rewards: rewardNames,
+        duration: durationTime
+    }
+}
+
+/**
+ * @typedef {object} RewardModifierOptions
+ * @property {number} multiplier The number that the reward will be multiplied by.
+ * @property {number} bonus The amount of money that will be added to the reward.
+ * @property {?string[]} rewards Names of the rewards that the modifier applies to. 'null' means all rewards.
+ * @property {?number} duration Duration of the modifier (in ms).
+ */
+
+module.exports = rewardModifierOptions
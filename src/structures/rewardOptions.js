@@ -0,0 +1,44 @@
+const EconomyError = require('../classes/util/EconomyError')
+const errors = require('./errors')
+
+const ms = require('./ms')
+
+/**
+ * Validates the custom reward options and converts the cooldown to milliseconds. Utility function.
+ *
+ * @param {{ amount?: number | number[], cooldown?: number | string }} options Reward options to check.
+ * @param {boolean} [partial=false] If true, the options that are not specified will be skipped.
+ * @returns {CustomRewardOptions} Validated reward options.
+ */
+const rewardOptions = (options, partial = false) => {
+    const { amount, cooldown } = options || {}
+    const result = {}
+
+    if (amount != undefined || !partial) {
+        const isValidAmount = typeof amount == 'number' || (
+            Array.isArray(amount) &&
+            amount.length >= 1 && amount.length <= 2 &&
+            amount.every(value => typeof value == 'number')
+        )
+
+        if (!isValidAmount) {
+            throw new EconomyError(errors.rewards.invalidAmount + amount, 'INVALID_TYPE')
+        }
+
+        result.amount = amount
+    }
+
+    if (cooldown != undefined || !partial) {
+        const cooldownTime = typeof cooldown == 'string' ? ms(cooldown) : cooldown
+
+        if (typeof cooldownTime !== 'number' || !(cooldownTime > 0)) {
+            throw new EconomyError(errors.rewards.invalidCooldown + cooldown, 'INVALID_TYPE')
+        }
+
+        result.cooldown = cooldownTime
+    }
+
+    return result
+}
+
+module.exports = rewardOptions
@@ -0,0 +1,152 @@
+const { isDeepStrictEqual } = require('util')
+
+/**
+ * Checks if the stored value is still the value that was written in the change.
+ *
+ * Falsy values are read from the storage as 'null', so they are treated as equal.
+ * @param {any} storedValue The value from the storage.
+ * @param {any} writtenValue The value that was written.
+ * @returns {boolean} Is the value the same or not.
+ */
+const isSameValue = (storedValue, writtenValue) => isDeepStrictEqual(storedValue || null, writtenValue || null)
+
+/**
+ * Finds the index of the last array element that is the same as the written value.
+ * @param {any[]} array The array to search in.
+ * @param {any} writtenValue The value that was written.
+ * @returns {number} Element index or -1 if not found.
+ */
+const lastIndexOf = (array, writtenValue) => {
+    for (let i = array.length - 1; i >= 0; i--) {
+        if (isSameValue(array[i], writtenValue)) return i
+    }
+
+    return -1
+}
+
+/**
+ * Removes the key that was created with the change, and the objects
+ * that were created together with it if nothing else was written in them.
+ * @param {StorageAdapter} adapter Storage adapter.
+ * @param {DatabaseChange} change The change that created the key.
+ * @returns {void}
+ */
+const removeCreatedKey = (adapter, change) => {
+    const keys = change.key.split('.')
+    const createdDepth = change.createdKey.split('.').length
+
+    adapter.delete(change.key)
+
+    while (keys.length > createdDepth) {
+        keys.pop()
+
+        const parent = adapter.get(keys.join('.'))
+        if (typeof parent !== 'object' || parent === null || Object.keys(parent).length) return
+
+        adapter.delete(keys.join('.'))
+    }
+}
+
+/**
+ * Reverts the change that was made to the database in a transaction. Utility function.
+ *
+ * The changes made to the same data outside of the transaction after it are never overwritten:
+ * numbers are reverted with the opposite operation, pushed elements are removed from the arrays
+ * and removed elements are put back, and the other values are restored only if they were not changed since then.
+ * The objects that were created with the change are removed only if nothing else was written in them.
+ * @param {StorageAdapter} adapter Storage adapter to revert the change on.
+ * @param {DatabaseChange} change The change to revert.
+ * @returns {void}
+ */
+const undoChange = (adapter, change) => {
+    const {
+        operation, key, index,
+        previousValue, value
+    } = change
+
+    switch (operation) {
+    case 'add':
+    case 'subtract': {
+        adapter[operation == 'add' ? 'subtract' : 'add'](key, value)
+
+        if (previousValue == null && !adapter.get(key)) {
+            removeCreatedKey(adapter, change)
+        }
+
+        break
+    }
+
+    case 'set': {
+        if (!isSameValue(adapter.get(key), value)) break
+
+        if (previousValue == null) removeCreatedKey(adapter, change)
+        else adapter.set(key, previousValue)
+
+        break
+    }
+
+    case 'delete': {
+        if (adapter.get(key) == null) adapter.set(key, previousValue)
+        break
+    }
+
+    case 'push': {
+        const array = adapter.get(key)
+        const elementIndex = Array.isArray(array) ? lastIndexOf(array, value) : -1
+
+        if (elementIndex == -1) break
+
+        if (previousValue == null && array.length == 1) removeCreatedKey(adapter, change)
+        else adapter.pull(key, elementIndex)
+
+        break
+    }
+
+    case 'pull': {
+        const array = adapter.get(key)
+        if (!Array.isArray(array)) break
+
+        array.splice(Math.min(index, array.length), 0, previousValue)
+        adapter.set(key, array)
+
+        break
+    }
+
+    case 'change': {
+        const array = adapter.get(key)
+        if (!Array.isArray(array)) break
+
+        const elementIndex = isSameValue(array[index], value) ? index : lastIndexOf(array, value)
+        if (elementIndex == -1) break
+
+        array[elementIndex] = previousValue
+        adapter.set(key, array)
+
+        break
+    }
+
+    case 'clear': {
+        for (const [guildID, guildData] of Object.entries(previousValue)) {
+            if (adapter.get(guildID) == null) adapter.set(guildID, guildData)
+        }
+
+        break
+    }
+    }
+}
+
+/**
+ * @typedef {object} DatabaseChange
+ * @property {'set' | 'delete' | 'add' | 'subtract' | 'push' | 'pull' | 'change' | 'clear'} operation
+ * The operation that was performed: 'pull' removes the array element and 'change' replaces it.
+ *
+ * @property {string} [key] The key in database.
+ * @property {any} previousValue The value of the key (or the whole database) before the change.
+ * For the array changes, it's the removed or replaced element,
+ * or 'true' if the element was pushed to a non-empty array.
+ * @property {any} [value] The value that was written, added, subtracted or pushed.
+ * @property {number} [index] Index of the removed or replaced array element.
+ * @property {?string} [createdKey] The outermost key that was created with the change.
+ */
+
+module.exports = undoChange
@@ -0,0 +1,113 @@
+const memberResolvers = require('./memberResolvers')
+const customRequirements = require('./customRequirements')
+
+/**
+ * Finds the first purchase requirement of the shop item that the member does not meet. Utility function.
+ *
+ * The requirements are checked in this order: roles, account age, prerequisite items, level and custom ones.
+ * The roles and the level are resolved with the resolvers set by `RewardManager.setRolesResolver()`
+ * and `JobManager.setLevelResolver()`; if they are not set, the member is considered to have no roles
+ * and to be on level 0. Custom requirements that are not registered are never met.
+ *
+ * @param {ItemData} item Shop item object.
+ * @param {UnmetRequirementContext} context Purchase context.
+ * @returns {?UnmetRequirement} The first unmet requirement. If all the requirements are met: null.
+ */
+const unmetRequirement = (item, context) => {
+    const {
+        guildID, memberID, quantity,
+        database, options
+    } = context
+
+    const requirements = item.requirements
+    const resolvers = memberResolvers(options)
+    const now = Date.now()
+
+    if (!requirements) return null
+
+    if (requirements.roles) {
+        const roles = resolvers.roles ? resolvers.roles(memberID, guildID) || [] : []
+        const missingRoles = requirements.roles.filter(roleID => !roles.includes(roleID))
+
+        if (missingRoles.length) return {
+            type: 'role',
+            required: missingRoles,
+            current: roles
+        }
+    }
+
+    if (requirements.accountAge) {
+        const user = database.fetch(`${guildID}.${memberID}`) || {}
+
+        // users who had no operations since the account creation time was first saved
+        // are aged by their oldest ledger entry
+        const createdAt = user.createdAt || user.ledger?.[0]?.timestamp
+        const accountAge = createdAt ? now - createdAt : 0
+
+        if (accountAge < requirements.accountAge) return {
+            type: 'accountAge',
+            required: requirements.accountAge,
+            current: accountAge
+        }
+    }
+
+    if (requirements.items) {
+        const inventory = (database.fetch(`${guildID}.${memberID}.inventory`) || [])
+            .filter(item => !item.expiresAt || item.expiresAt > now)
+
+        const missingItems = requirements.items.filter(
+            itemID => !inventory.some(item => item.id == itemID || item.name == itemID)
+        )
+
+        if (missingItems.length) return {
+            type: 'item',
+            required: missingItems,
+            current: null
+        }
+    }
+
+    if (requirements.level) {
+        const level = resolvers.level ? resolvers.level(memberID, guildID) || 0 : 0
+
+        if (level < requirements.level) return {
+            type: 'level',
+            required: requirements.level,
+            current: level
+        }
+    }
+
+    for (const name of requirements.custom || []) {
+        const predicate = customRequirements(options).get(name)
+        const isMet = predicate ? predicate({ guildID, memberID, item, quantity }) : false
+
+        if (!isMet) return {
+            type: 'custom',
+            required: name,
+            current: null
+        }
+    }
+
+    return null
+}
+
+/**
+ * @typedef {object} UnmetRequirementContext
+ * @property {string} guildID Guild ID.
+ * @property {string} memberID Member ID.
+ * @property {number} quantity Quantity of the items to buy.
+ * @property {DatabaseManager} database Database Manager.
+ * @property {EconomyConfiguration} options Economy configuration.
+ */
+
+/**
+ * @typedef {object} UnmetRequirement
+ * @property {'role' | 'accountAge' | 'item' | 'level' | 'custom'} type Type of the unmet requirement.
+ * @property {string[] | number | Array<string | number> | string} required
+ * What is required: the missing role IDs, the min account age (in ms), the missing item IDs or names,
+ * the min level or the name of the custom requirement.
+ *
+ * @property {?(string[] | number)} current
+ * What the member has: their role IDs, their account age (in ms) or their level. 'null' for the other requirements.
+ */
+
+module.exports = unmetRequirement
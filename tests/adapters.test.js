@@ -0,0 +1,346 @@
+const assert = require('assert')
+const { existsSync, unlinkSync } = require('fs')
+const { tmpdir } = require('os')
+const { join } = require('path')
+
+const MemoryStorageAdapter = require('../src/adapters/MemoryStorageAdapter')
+const JSONStorageAdapter = require('../src/adapters/JSONStorageAdapter')
+const SQLiteStorageAdapter = require('../src/adapters/SQLiteStorageAdapter')
+
+const MongoMemoryStorageAdapter = require('../mongodb/src/adapters/MemoryStorageAdapter')
+
+const DatabaseManager = require('../src/managers/DatabaseManager')
+const MongoDatabaseManager = require('../mongodb/src/managers/DatabaseManager')
+
+
+/**
+ * Gets a path to a new temporary file.
+ * @param {string} extension File extension.
+ * @returns {string} Path to the temporary file.
+ */
+function temporaryPath(extension) {
+    const name = `economy-adapter-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`
+    return join(tmpdir(), `${name}.${extension}`)
+}
+
+/**
+ * Removes the files if they exist.
+ * @param {string[]} paths Paths to the files.
+ * @returns {void}
+ */
+function removeFiles(...paths) {
+    for (const path of paths) {
+        if (existsSync(path)) unlinkSync(path)
+    }
+}
+
+/**
+ * Checks if the `better-sqlite3` package is installed.
+ * @returns {boolean} Is the package installed or not.
+ */
+function isSQLiteInstalled() {
+    try {
+        require.resolve('better-sqlite3')
+        return true
+    } catch {
+        return false
+    }
+}
+
+
+/**
+ * Storage adapters that must follow the adapter contract.
+ *
+ * Each factory returns a new empty adapter, the database manager
+ * that works with it and the function that removes everything it created.
+ * @type {Record<string, () => { adapter: StorageAdapter, database: DatabaseManager, cleanup: () => void }>}
+ */
+const adapters = {
+    memory: () => {
+        const adapter = new MemoryStorageAdapter()
+
+        return {
+            adapter,
+            database: new DatabaseManager({ storage: adapter }),
+            cleanup() {}
+        }
+    },
+
+    json: () => {
+        const storagePath = temporaryPath('json')
+        const adapter = new JSONStorageAdapter({ storagePath })
+
+        return {
+            adapter,
+            database: new DatabaseManager({ storage: adapter }),
+            cleanup() {
+                adapter.storage.destroy()
+                removeFiles(storagePath)
+            }
+        }
+    },
+
+    'mongodb memory': () => {
+        const adapter = new MongoMemoryStorageAdapter()
+
+        return {
+            adapter,
+            database: new MongoDatabaseManager({}, adapter),
+            cleanup() {}
+        }
+    }
+}
+
+if (isSQLiteInstalled()) {
+    adapters.sqlite = () => {
+        const storagePath = temporaryPath('sqlite')
+        const adapter = new SQLiteStorageAdapter({ storagePath })
+
+        return {
+            adapter,
+            database: new DatabaseManager({ storage: adapter }),
+            cleanup() {
+                adapter.close()
+                removeFiles(storagePath, `${storagePath}-wal`, `${storagePath}-shm`)
+            }
+        }
+    }
+} else {
+    console.log('The "better-sqlite3" package is not installed - skipping the SQLite adapter tests.')
+}
+
+
+/**
+ * Adapter contract checks. The adapter methods are awaited,
+ * so the same checks work for both synchronous and asynchronous adapters.
+ * @type {Record<string, (adapter: StorageAdapter, database: DatabaseManager) => Promise<void>>}
+ */
+const contract = {
+    async 'returns null for the missing keys'(adapter) {
+        assert.strictEqual(await adapter.get('111'), null)
+        assert.strictEqual(await adapter.get('111.1.money'), null)
+    },
+
+    async 'sets and gets the nested values'(adapter) {
+        assert.strictEqual(await adapter.set('111.1.money', 100), true)
+        assert.strictEqual(await adapter.set('111.1.inventory', [{ id: 1, name: 'apple' }]), true)
+        assert.strictEqual(await adapter.set('111.season', { id: 1 }), true)
+
+        assert.strictEqual(await adapter.get('111.1.money'), 100)
+        assert.deepStrictEqual(await adapter.get('111.1.inventory'), [{ id: 1, name: 'apple' }])
+        assert.deepStrictEqual(await adapter.get('111.season'), { id: 1 })
+        assert.strictEqual((await adapter.get('111.1')).money, 100)
+    },
+
+    async 'stores and returns copies of the values'(adapter) {
+        const inventory = [{ id: 1, name: 'apple' }]
+
+        await adapter.set('111.1.inventory', inventory)
+        inventory.push({ id: 2, name: 'pear' })
+
+        const storedInventory = await adapter.get('111.1.inventory')
+        storedInventory.push({ id: 3, name: 'plum' })
+
+        const database = await adapter.all()
+        database['111']['1'].inventory.push({ id: 4, name: 'kiwi' })
+
+        assert.deepStrictEqual(await adapter.get('111.1.inventory'), [{ id: 1, name: 'apple' }])
+    },
+
+    async 'deletes the values'(adapter) {
+        await adapter.set('111.1.money', 100)
+        await adapter.set('111.1.bank', 50)
+
+        assert.strictEqual(await adapter.delete('111.1.money'), true)
+        assert.strictEqual(await adapter.get('111.1.money'), null)
+        assert.strictEqual(await adapter.get('111.1.bank'), 50)
+
+        assert.strictEqual(await adapter.delete('111.1.money'), false)
+    },
+
+    async 'adds and subtracts the numbers'(adapter) {
+        assert.strictEqual(await adapter.add('111.1.money', 5), true)
+        assert.strictEqual(await adapter.get('111.1.money'), 5)
+
+        await adapter.add('111.1.money', 10)
+        await adapter.subtract('111.1.money', 3)
+
+        assert.strictEqual(await adapter.get('111.1.money'), 12)
+    },
+
+    async 'pushes and pulls the array elements'(adapter) {
+        for (const id of [1, 2, 3]) {
+            assert.strictEqual(await adapter.push('111.1.history', { id }), true)
+        }
+
+        assert.deepStrictEqual(await adapter.get('111.1.history'), [{ id: 1 }, { id: 2 }, { id: 3 }])
+
+        assert.strictEqual(await adapter.pull('111.1.history', 1), true)
+        assert.deepStrictEqual(await adapter.get('111.1.history'), [{ id: 1 }, { id: 3 }])
+
+        await adapter.push('111.shop', { id: 1 })
+        assert.deepStrictEqual(await adapter.get('111.shop'), [{ id: 1 }])
+    },
+
+    async 'lists the keys'(adapter) {
+        await adapter.set('111.1.money', 1)
+        await adapter.set('111.2.money', 2)
+        await adapter.set('222.shop', [{ id: 1 }])
+
+        assert.deepStrictEqual((await adapter.keys()).sort(), ['111', '222'])
+        assert.deepStrictEqual((await adapter.keys('111')).sort(), ['1', '2'])
+        assert.deepStrictEqual(await adapter.keys('333'), [])
+    },
+
+    async 'fetches the entire database'(adapter) {
+        await adapter.set('111.1.money', 100)
+        await adapter.set('222.shop', [{ id: 1 }])
+
+        const database = await adapter.all()
+
+        assert.deepStrictEqual(Object.keys(database).sort(), ['111', '222'])
+        assert.strictEqual(database['111']['1'].money, 100)
+        assert.deepStrictEqual(database['222'].shop, [{ id: 1 }])
+    },
+
+    async 'builds the leaderboards'(adapter) {
+        await adapter.set('111.1.money', 10)
+        await adapter.set('111.3.money', 30)
+        await adapter.set('111.2.money', 30)
+        await adapter.set('111.1.bank', 5)
+        await adapter.set('111.shop', [{ id: 1 }])
+        await adapter.set('111.settings', { dailyAmount: 1 })
+
+        assert.deepStrictEqual(await adapter.leaderboard('111', 'money'), [
+            { userID: '2', money: 30 },
+            { userID: '3', money: 30 },
+            { userID: '1', money: 10 }
+        ])
+
+        assert.deepStrictEqual(await adapter.leaderboard('111', 'bank'), [{ userID: '1', money: 5 }])
+        assert.deepStrictEqual(await adapter.leaderboard('222', 'money'), [])
+    },
+
+    async 'clears the storage'(adapter) {
+        await adapter.set('111.1.money', 100)
+
+        assert.strictEqual(await adapter.clear(), true)
+        assert.deepStrictEqual(await adapter.keys(), [])
+        assert.strictEqual(await adapter.get('111.1.money'), null)
+
+        assert.strictEqual(await adapter.clear(), false)
+    },
+
+    async 'flushes the pending changes'(adapter) {
+        await adapter.set('111.1.money', 100)
+        assert.strictEqual(typeof await adapter.flush(), 'boolean')
+    },
+
+    async 'commits the changes made in a transaction'(adapter, database) {
+        const result = await database.transaction(async () => {
+            await database.set('111.1.money', 100)
+            await database.push('111.1.history', { id: 1 })
+
+            return 'committed'
+        })
+
+        assert.strictEqual(result, 'committed')
+
+        assert.strictEqual(await adapter.get('111.1.money'), 100)
+        assert.deepStrictEqual(await adapter.get('111.1.history'), [{ id: 1 }])
+    },
+
+    async 'rolls back the changes made in a transaction'(adapter, database) {
+        await adapter.set('111.1.money', 100)
+
+        await assert.rejects(async () => database.transaction(async () => {
+            await database.subtract('111.1.money', 30)
+            await database.push('111.1.history', { id: 1 })
+            await database.set('111.2.money', 50)
+
+            throw new Error('rollback')
+        }), /rollback/)
+
+        assert.strictEqual(await adapter.get('111.1.money'), 100)
+        assert.strictEqual(await adapter.get('111.1.history'), null)
+        assert.deepStrictEqual(await adapter.keys('111'), ['1'])
+    }
+}
+
+
+/**
+ * Storage adapter contract tests for every adapter.
+ * @type {Record<string, () => Promise<void>>}
+ */
+const tests = {}
+
+for (const [adapterName, createAdapter] of Object.entries(adapters)) {
+    for (const [checkName, check] of Object.entries(contract)) {
+        tests[`${adapterName} adapter ${checkName}`] = async () => {
+            const { adapter, database, cleanup } = createAdapter()
+
+            try {
+                await check(adapter, database)
+            } finally {
+                cleanup()
+            }
+        }
+    }
+}
+
+if (isSQLiteInstalled()) {
+    tests['sqlite adapter runs the synchronous transactions in a savepoint'] = () => {
+        const { adapter, database, cleanup } = adapters.sqlite()
+
+        try {
+            adapter.set('111.1.money', 100)
+
+            assert.throws(() => database.transaction(() => {
+                database.subtract('111.1.money', 30)
+                assert.strictEqual(adapter.db.inTransaction, true)
+
+                throw new Error('rollback')
+            }), /rollback/)
+
+            assert.strictEqual(adapter.db.inTransaction, false)
+            assert.strictEqual(adapter.get('111.1.money'), 100)
+
+            database.transaction(() => database.subtract('111.1.money', 30))
+            assert.strictEqual(adapter.get('111.1.money'), 70)
+        } finally {
+            cleanup()
+        }
+    }
+
+    tests['sqlite adapter keeps the data in the file after reopening it'] = () => {
+        const storagePath = temporaryPath('sqlite')
+        const adapter = new SQLiteStorageAdapter({ storagePath })
+
+        try {
+            adapter.set('111.1.money', 10)
+            adapter.set('111.2.money', 30)
+            adapter.set('111.2.inventory', [{ id: 1, name: 'box' }])
+            adapter.set('111.shop', [{ id: 1, name: 'box' }])
+            adapter.close()
+
+            const reopenedAdapter = new SQLiteStorageAdapter({ storagePath })
+
+            try {
+                assert.strictEqual(reopenedAdapter.get('111.1.money'), 10)
+                assert.deepStrictEqual(reopenedAdapter.get('111.2.inventory'), [{ id: 1, name: 'box' }])
+                assert.deepStrictEqual(reopenedAdapter.get('111.shop'), [{ id: 1, name: 'box' }])
+
+                assert.deepStrictEqual(reopenedAdapter.leaderboard('111', 'money'), [
+                    { userID: '2', money: 30 },
+                    { userID: '1', money: 10 }
+                ])
+            } finally {
+                reopenedAdapter.close()
+            }
+        } finally {
+            removeFiles(storagePath, `${storagePath}-wal`, `${storagePath}-shm`)
+        }
+    }
+}
+
+module.exports = tests
@@ -0,0 +1,194 @@
+const assert = require('assert')
+
+const { economyTests } = require('./helpers')
+
+
+/**
+ * Balance checks for both Economy builds.
+ * @type {Record<string, (economy: Economy) => Promise<void>>}
+ */
+const checks = {
+    async 'returns the failure result for a negative transfer amount'(economy) {
+        await economy.balance.set(100, '1', '111')
+
+        const result = await economy.balance.transfer('111', {
+            amount: -10,
+            senderMemberID: '1',
+            receiverMemberID: '2'
+        })
+
+        assert.deepStrictEqual(result, { status: false, reason: 'invalid amount' })
+        assert.strictEqual(await economy.balance.get('1', '111'), 100)
+        assert.strictEqual(await economy.balance.get('2', '111'), 0)
+    },
+
+    async 'returns the failure result for an unaffordable transfer'(economy) {
+        await economy.balance.set(100, '1', '111')
+
+        const result = await economy.balance.transfer('111', {
+            amount: 150,
+            senderMemberID: '1',
+            receiverMemberID: '2'
+        })
+
+        assert.deepStrictEqual(result, { status: false, reason: 'insufficient funds' })
+        assert.strictEqual(await economy.balance.get('1', '111'), 100)
+    },
+
+    async 'returns the failure result for a negative currency transfer amount'(economy) {
+        const currency = await economy.currencies.create('gems', 'G', '111')
+        await currency.setBalance(100, '1')
+
+        const result = await currency.transfer({
+            amount: -10,
+            senderMemberID: '1',
+            receiverMemberID: '2'
+        })
+
+        assert.deepStrictEqual(result, { status: false, reason: 'invalid amount' })
+        assert.strictEqual(await economy.currencies.getBalance(currency.id, '1', '111'), 100)
+    },
+
+    async 'does not overdraw the balance with concurrent transfers'(economy) {
+        await economy.balance.set(100, '1', '111')
+
+        const results = await Promise.all(['2', '3'].map(receiverMemberID => economy.balance.transfer('111', {
+            amount: 100,
+            senderMemberID: '1',
+            receiverMemberID
+        })))
+
+        assert.strictEqual(results.filter(result => result.status === false).length, 1)
+        assert.strictEqual(await economy.balance.get('1', '111'), 0)
+
+        assert.strictEqual(
+            await economy.balance.get('2', '111') + await economy.balance.get('3', '111'),
+            100
+        )
+    },
+
+    async 'does not overdraw the balance with concurrent subtractions'(economy) {
+        await economy.balance.set(100, '1', '111')
+        await economy.bank.set(100, '1', '111')
+
+        const results = await Promise.all([
+            economy.balance.subtract(100, '1', '111'),
+            economy.balance.deposit(100, '1', '111'),
+            economy.bank.subtract(100, '1', '111'),
+            economy.bank.withdraw(100, '1', '111')
+        ])
+
+        assert.strictEqual(results.filter(result => result.status === false).length, 2)
+        assert.strictEqual(await economy.balance.get('1', '111'), 0)
+        assert.strictEqual(await economy.bank.get('1', '111'), 0)
+    },
+
+    async 'does not overdraw the currency balance with concurrent transfers'(economy) {
+        const currency = await economy.currencies.create('gems', 'G', '111')
+        await currency.setBalance(100, '1')
+
+        const results = await Promise.all([
+            currency.transfer({ amount: 100, senderMemberID: '1', receiverMemberID: '2' }),
+            currency.subtractBalance(100, '1')
+        ])
+
+        assert.strictEqual(results.filter(result => result.status === false).length, 1)
+        assert.strictEqual(await economy.currencies.getBalance(currency.id, '1', '111'), 0)
+    },
+
+    async 'keeps the concurrent balance change on exchange'(economy) {
+        const currency = await economy.currencies.create('gems', 'G', '111')
+
+        await economy.currencies.setExchangeRate('money', currency.id, 2, '111')
+        await economy.balance.set(100, '1', '111')
+
+        const { adapter } = economy.database
+        const { get } = adapter
+
+        let balanceChange = null
+
+        // changing the balance right after the exchange has checked it
+        adapter.get = function(key) {
+            const value = get.call(this, key)
+
+            if (key == '111.1.money' && !balanceChange) {
+                balanceChange = Promise.resolve(value).then(() => economy.balance.add(10, '1', '111'))
+            }
+
+            return value
+        }
+
+        const result = await economy.currencies.exchange('money', currency.id, 50, '1', '111')
+
+        adapter.get = get
+        await balanceChange
+
+        assert.strictEqual(result.status, true)
+        assert.strictEqual(await economy.balance.get('1', '111'), 60)
+        assert.strictEqual(await economy.currencies.getBalance(currency.id, '1', '111'), result.received)
+    },
+
+    async 'exchanges the currencies with the fees and spreads'(economy) {
+        const gems = await economy.currencies.create('gems', 'G', '111')
+        const coins = await economy.currencies.create('coins', 'C', '111')
+
+        await economy.currencies.setExchangeRate('money', gems.id, 2, '111', { fee: 10, spread: 10 })
+        await economy.currencies.setExchangeRate('money', coins.id, 4, '111')
+
+        await economy.balance.set(200, '1', '111')
+
+        const result = await economy.currencies.exchange('money', gems.id, 100, '1', '111')
+
+        assert.strictEqual(result.fee, 10)
+        assert.strictEqual(result.received, 171)
+
+        // the inverse rate of the pair
+        assert.strictEqual((await economy.currencies.exchange(gems.id, 'money', 40, '1', '111')).received, 17.1)
+
+        // the currencies with no rate between each other are exchanged through the main balance
+        assert.strictEqual((await economy.currencies.exchange(gems.id, coins.id, 10, '1', '111')).received, 17.1)
+
+        assert.strictEqual(await economy.balance.get('1', '111'), 117.1)
+        assert.strictEqual(await economy.currencies.getBalance(gems.id, '1', '111'), 121)
+        assert.strictEqual(await economy.currencies.getBalance(coins.id, '1', '111'), 17.1)
+
+        assert.deepStrictEqual(
+            await economy.currencies.exchange(gems.id, 'money', 1000, '1', '111'),
+            { status: false, reason: 'insufficient funds' }
+        )
+    },
+
+    async 'keeps every concurrent addition'(economy) {
+        await Promise.all(
+            Array.from({ length: 10 }, (_, i) => economy.balance.add(10, String(i % 2), '111'))
+        )
+
+        assert.strictEqual(await economy.balance.get('0', '111'), 50)
+        assert.strictEqual(await economy.balance.get('1', '111'), 50)
+    },
+
+    'applies the earned bank interest when the bank balance is read': [{
+        bankInterestRate: 0.1,
+        bankInterestPeriod: 1000
+    }, async economy => {
+        const events = []
+        economy.on('bankInterest', ({ amount, periods }) => events.push([amount, periods]))
+
+        await economy.bank.set(100, '1', '111')
+        assert.strictEqual(await economy.bank.get('1', '111'), 100)
+
+        // two and a half periods have passed since the accrual started
+        await economy.database.set('111.1.bankInterestTimestamp', Date.now() - 2500)
+
+        assert.strictEqual(await economy.bank.get('1', '111'), 121)
+        assert.strictEqual(await economy.bank.get('1', '111'), 121)
+
+        assert.deepStrictEqual(events, [[21, 2]])
+
+        const { entries } = await economy.history.ledger('1', '111')
+        assert.strictEqual(entries.filter(entry => entry.type == 'bankInterest').length, 1)
+    }]
+}
+
+
+module.exports = economyTests(checks, { overdraft: 'forbid' })
@@ -0,0 +1,34 @@
+const assert = require('assert')
+
+const { economyTests } = require('./helpers')
+
+
+/**
+ * Cooldown checks for both Economy builds.
+ * @type {Record<string, (economy: Economy) => Promise<void>>}
+ */
+const checks = {
+    async 'sets, lists and clears the named cooldowns'(economy) {
+        const cooldown = await economy.cooldowns.set('rob', '1', '111', '30m')
+
+        assert.ok(cooldown.endTimestamp > Date.now() + 29 * 60000)
+        assert.strictEqual((await economy.cooldowns.check('rob', '1', '111')).endTimestamp, cooldown.endTimestamp)
+        assert.strictEqual(await economy.cooldowns.check('rob', '2', '111'), null)
+
+        await economy.cooldowns.set('beg', '1', '111', 60000)
+
+        // the expired cooldown is removed from the database when listed
+        await economy.database.set('111.1.namedCooldowns.beg', Date.now() - 1)
+
+        assert.deepStrictEqual(Object.keys(await economy.cooldowns.list('1', '111')), ['rob'])
+        assert.deepStrictEqual(await economy.database.fetch('111.1.namedCooldowns'), { rob: cooldown.endTimestamp })
+
+        assert.strictEqual(await economy.cooldowns.clear('rob', '1', '111'), true)
+        assert.strictEqual(await economy.cooldowns.check('rob', '1', '111'), null)
+
+        await assert.rejects(async () => economy.cooldowns.set('rob', '1', '111', '0s'), /rob|0s/)
+    }
+}
+
+
+module.exports = economyTests(checks)
@@ -0,0 +1,82 @@
+const assert = require('assert')
+
+const { economies } = require('./helpers')
+
+
+/**
+ * Event checks.
+ * @type {Record<string, (economy: Economy, logs: string[]) => Promise<void>>}
+ */
+const checks = {
+    async 'does not add the listeners in the debug mode'(economy) {
+        assert.strictEqual(economy.listenerCount('balanceAdd'), 0)
+        assert.strictEqual(economy.listenerCount('ready'), 0)
+
+        const listener = () => {}
+        economy.on('balanceAdd', listener)
+
+        assert.strictEqual(economy.listenerCount('balanceAdd'), 1)
+        economy.off('balanceAdd', listener)
+    },
+
+    async 'logs the emitted events in the debug mode'(economy, logs) {
+        await economy.balance.add(10, '1', '111')
+        assert.ok(logs.some(log => log.includes('"balanceAdd" event is emitted.')))
+    },
+
+    async 'emits the transfer events for the receiver first'(economy) {
+        const events = []
+
+        economy.on('balanceAdd', ({ memberID, balance }) => events.push(['balanceAdd', memberID, balance]))
+        economy.on('balanceSubtract', ({ memberID, balance }) => events.push(['balanceSubtract', memberID, balance]))
+
+        await economy.balance.set(100, '1', '111')
+        await economy.balance.set(5, '2', '111')
+
+        await economy.balance.transfer('111', {
+            amount: '10',
+            senderMemberID: '1',
+            receiverMemberID: '2'
+        })
+
+        assert.deepStrictEqual(events, [
+            ['balanceAdd', '2', 15],
+            ['balanceSubtract', '1', 90]
+        ])
+    }
+}
+
+
+/**
+ * Event tests for both Economy builds.
+ *
+ * The Economy instances are started in the debug mode,
+ * and the debug messages are collected instead of being printed.
+ * @type {Record<string, () => Promise<void>>}
+ */
+const tests = {}
+
+for (const [economyName, startEconomy] of Object.entries(economies)) {
+    for (const [checkName, check] of Object.entries(checks)) {
+        tests[`${economyName} ${checkName}`] = async () => {
+            const logs = []
+            const log = console.log
+
+            console.log = message => logs.push(String(message))
+
+            try {
+                const economy = await startEconomy({ debug: true })
+
+                try {
+                    await check(economy, logs)
+                } finally {
+                    economy.kill()
+                }
+            } finally {
+                console.log = log
+            }
+        }
+    }
+}
+
+module.exports = tests
@@ -0,0 +1,25 @@
+const assert = require('assert')
+
+const { economyTests } = require('./helpers')
+
+
+/**
+ * Guild checks for both Economy builds.
+ * @type {Record<string, (economy: Economy) => Promise<void>>}
+ */
+const checks = {
+    async 'does not expose the raw coupons and sales on the guild object'(economy) {
+        await economy.shop.createCoupon('111', { code: 'HALF', discount: 50 })
+        await economy.shop.createSale('111', { discount: 20, duration: '1h' })
+
+        const guild = await economy.guilds.get('111')
+
+        assert.strictEqual(Object.hasOwn(guild, 'coupons'), false)
+        assert.strictEqual(Object.hasOwn(guild, 'sales'), false)
+
+        assert.strictEqual((await economy.shop.coupons('111')).length, 1)
+    }
+}
+
+
+module.exports = economyTests(checks)
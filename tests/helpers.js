@@ -0,0 +1,87 @@
+const Economy = require('../src/index')
+const MemoryStorageAdapter = require('../src/adapters/MemoryStorageAdapter')
+
+const MongoEconomy = require('../mongodb/src/index')
+const MongoMemoryStorageAdapter = require('../mongodb/src/adapters/MemoryStorageAdapter')
+
+
+/**
+ * Starts a new Economy instance that stores the data in the memory.
+ * @param {typeof Economy} EconomyClass Economy class to use.
+ * @param {typeof MemoryStorageAdapter} StorageAdapterClass Memory storage adapter class to use.
+ * @param {EconomyConfiguration} [options] Economy configuration.
+ * @returns {Promise<Economy>} Economy instance that is ready to use.
+ */
+function startEconomy(EconomyClass, StorageAdapterClass, options = {}) {
+    const economy = new EconomyClass({
+        storage: new StorageAdapterClass(),
+        ...options,
+
+        updater: {
+            checkUpdates: false
+        },
+
+        errorHandler: {
+            handleErrors: false
+        }
+    })
+
+    return new Promise(resolve => economy.once('ready', resolve))
+}
+
+
+/**
+ * Economy builds to run the checks on.
+ * @type {Record<string, (options?: EconomyConfiguration) => Promise<Economy>>}
+ */
+const economies = {
+    json: options => startEconomy(Economy, MemoryStorageAdapter, options),
+    mongodb: options => startEconomy(MongoEconomy, MongoMemoryStorageAdapter, options)
+}
+
+
+/**
+ * Makes the tests that run every check on both Economy builds.
+ *
+ * Every check gets a new Economy instance that is killed after the check.
+ * The Economy methods are awaited in the checks,
+ * so the same checks work for both synchronous and asynchronous builds.
+ * @param {Record<string, EconomyCheck | [EconomyConfiguration, EconomyCheck]>} checks
+ * The checks by their names. To use the specific Economy configuration for the check,
+ * specify it together with the check in an array.
+ * @param {EconomyConfiguration} [options] Economy configuration for all the checks.
+ * @returns {Record<string, () => Promise<void>>} The tests by their names.
+ */
+function economyTests(checks, options = {}) {
+    const tests = {}
+
+    for (const [economyName, startEconomy] of Object.entries(economies)) {
+        for (const [checkName, check] of Object.entries(checks)) {
+            const [checkOptions, runCheck] = Array.isArray(check) ? check : [{}, check]
+
+            tests[`${economyName} ${checkName}`] = async () => {
+                const economy = await startEconomy({ ...options, ...checkOptions })
+
+                try {
+                    await runCheck(economy)
+                } finally {
+                    economy.kill()
+                }
+            }
+        }
+    }
+
+    return tests
+}
+
+
+/**
+ * @callback EconomyCheck
+ * @param {Economy} economy Economy instance to check.
+ * @returns {Promise<void>}
+ */
+
+module.exports = {
+    economies,
+    economyTests
+}
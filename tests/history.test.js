@@ -0,0 +1,101 @@
+const assert = require('assert')
+
+const DotParser = require('../src/classes/util/DotParser')
+const { economies, economyTests } = require('./helpers')
+
+
+/**
+ * History checks for both Economy builds.
+ * @type {Record<string, [EconomyConfiguration, (economy: Economy) => Promise<void>]>}
+ */
+const checks = {
+    'keeps only the newest ledger entries over the limit': [{ ledgerLimit: 3 }, async economy => {
+        for (let i = 1; i <= 5; i++) {
+            await economy.balance.add(i, '1', '111')
+        }
+
+        const { entries, totalEntries } = await economy.history.ledger('1', '111')
+
+        assert.strictEqual(totalEntries, 3)
+        assert.deepStrictEqual(entries.map(entry => entry.id), [5, 4, 3])
+        assert.deepStrictEqual(entries.map(entry => entry.amount), [5, 4, 3])
+    }],
+
+    'starts the ledger over after clearing it': [{}, async economy => {
+        await economy.balance.add(10, '1', '111')
+        await economy.balance.add(20, '1', '111')
+
+        assert.ok(await economy.history.clearLedger('1', '111'))
+        await economy.balance.add(30, '1', '111')
+
+        const { entries } = await economy.history.ledger('1', '111')
+        assert.deepStrictEqual(entries.map(entry => [entry.id, entry.amount]), [[1, 30]])
+    }],
+
+    'tracks the season gains when the ledger is disabled': [{ saveLedger: false }, async economy => {
+        await economy.seasons.start('111', { duration: '1d' })
+
+        await economy.balance.add(100, '1', '111')
+        await economy.balance.subtract(30, '1', '111')
+        await economy.bank.add(50, '1', '111')
+
+        const [entry] = await economy.seasons.leaderboard('111')
+
+        assert.strictEqual(entry.userID, '1')
+        assert.strictEqual(entry.money, 120)
+        assert.strictEqual((await economy.history.ledger('1', '111')).totalEntries, 0)
+    }]
+}
+
+
+/**
+ * History tests for the JSON Economy build.
+ * @type {Record<string, () => Promise<void>>}
+ */
+const jsonTests = {
+    async 'json records the ledger entries without copying the ledger'() {
+        const economy = await economies.json({ ledgerLimit: 10 })
+        const { clone } = DotParser.prototype
+
+        let ledgerCopies = 0
+
+        try {
+            for (let i = 0; i < 10; i++) {
+                economy.balance.add(1, '1', '111')
+                economy.balance.add(1, '2', '111')
+            }
+
+            // counting the copies of the values with several ledger entries
+            DotParser.prototype.clone = function(value) {
+                const entries = JSON.stringify(value)?.match(/"balanceBefore"/g) || []
+                if (entries.length > 1) ledgerCopies++
+
+                return clone.call(this, value)
+            }
+
+            try {
+                economy.balance.add(1, '1', '111')
+
+                await economy.balance.transfer('111', {
+                    amount: 1,
+                    senderMemberID: '1',
+                    receiverMemberID: '2'
+                })
+            } finally {
+                DotParser.prototype.clone = clone
+            }
+
+            assert.strictEqual(ledgerCopies, 0)
+
+            assert.strictEqual(economy.history.ledger('1', '111').totalEntries, 10)
+            assert.strictEqual(economy.history.ledger('1', '111').entries[0].type, 'balanceSubtract')
+        } finally {
+            economy.kill()
+        }
+    }
+}
+
+module.exports = {
+    ...economyTests(checks),
+    ...jsonTests
+}
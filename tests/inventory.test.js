@@ -0,0 +1,140 @@
+const assert = require('assert')
+
+const { economyTests } = require('./helpers')
+
+
+/**
+ * Adds the item with an effect to the shop and buys it twice.
+ * @param {Economy} economy Economy instance.
+ * @returns {Promise<void>}
+ */
+async function buyItems(economy) {
+    await economy.balance.set(100, '1', '111')
+
+    await economy.shop.addItem('111', {
+        name: 'box',
+        price: 10,
+        message: 'You have opened the box!',
+        effects: [{ type: 'addMoney', params: { amount: 50 } }]
+    })
+
+    await economy.shop.buy('box', '1', '111', 2)
+}
+
+/**
+ * Adds the item with the specified effects to the shop, buys it and uses it.
+ * @param {Economy} economy Economy instance.
+ * @param {ItemEffect[]} effects Item effects.
+ * @returns {Promise<ItemUsageResult>} Item usage result.
+ */
+async function useEffectItem(economy, effects) {
+    await economy.balance.add(10, '1', '111')
+
+    const item = await economy.shop.addItem('111', {
+        name: `potion ${effects.map(effect => effect.type).join(' ')}`,
+        price: 10,
+        effects
+    })
+
+    await economy.shop.buy(item.id, '1', '111')
+    return economy.inventory.useItemWithResult(item.id, '1', '111')
+}
+
+
+/**
+ * Inventory checks for both Economy builds.
+ * @type {Record<string, (economy: Economy) => Promise<void>>}
+ */
+const checks = {
+    async 'returns the item message on item use'(economy) {
+        await buyItems(economy)
+
+        assert.strictEqual(await economy.inventory.useItem('box', '1', '111'), 'You have opened the box!')
+        assert.strictEqual(await economy.inventory.useItem('missing', '1', '111'), null)
+
+        const user = await economy.users.get('1', '111')
+        assert.strictEqual(await user.items.use('box'), 'You have opened the box!')
+
+        assert.strictEqual(await economy.balance.get('1', '111'), 180)
+    },
+
+    async 'returns the item usage result with the applied effects'(economy) {
+        await buyItems(economy)
+
+        const result = await economy.inventory.useItemWithResult('box', '1', '111')
+
+        assert.strictEqual(result.status, true)
+        assert.strictEqual(result.receivedMessage, 'You have opened the box!')
+        assert.deepStrictEqual(result.effects.map(effect => effect.type), ['addMoney'])
+
+        const user = await economy.users.get('1', '111')
+        const item = await user.items.get('box')
+
+        assert.strictEqual((await item.useWithResult()).status, true)
+        assert.strictEqual((await economy.inventory.useItemWithResult('box', '1', '111')).status, false)
+    },
+
+    async 'multiplies the next custom reward with the item effect'(economy) {
+        economy.rewards.register('fish', { amount: 10, cooldown: '1h' })
+
+        const result = await useEffectItem(economy, [
+            { type: 'multiplyNextReward', params: { multiplier: 2, reward: 'fish' } }
+        ])
+
+        assert.strictEqual(result.status, true)
+        assert.strictEqual((await economy.rewards.receive('fish', '1', '111')).reward, 20)
+
+        const unknownRewardEffect = { type: 'multiplyNextReward', params: { multiplier: 2, reward: 'nap' } }
+
+        await assert.rejects(
+            async () => useEffectItem(economy, [unknownRewardEffect]),
+            error => error.code == 'INVALID_INPUT'
+        )
+    },
+
+    async 'clears the custom reward cooldown and the named cooldown with the item effects'(economy) {
+        economy.rewards.register('fish', { amount: 10, cooldown: '1h' })
+
+        await economy.rewards.receive('fish', '1', '111')
+        await economy.cooldowns.set('rob', '1', '111', '1h')
+
+        const result = await useEffectItem(economy, [
+            { type: 'clearCooldown', params: { reward: 'fish' } },
+            { type: 'clearCooldown', params: { cooldown: 'rob' } }
+        ])
+
+        assert.deepStrictEqual(result.effects.map(effect => effect.result.cleared), [true, true])
+
+        assert.strictEqual(await economy.cooldowns.check('rob', '1', '111'), null)
+        assert.strictEqual((await economy.rewards.receive('fish', '1', '111')).claimed, true)
+    },
+
+    async 'removes the expired items from the inventory'(economy) {
+        const expiredItems = []
+        economy.on('shopItemExpire', ({ type, item }) => expiredItems.push([type, item.name]))
+
+        await economy.balance.set(100, '1', '111')
+
+        await economy.shop.addItem('111', { name: 'ticket', price: 10, duration: 60000 })
+        await economy.shop.addItem('111', { name: 'box', price: 10 })
+
+        await economy.shop.buy('ticket', '1', '111')
+        await economy.shop.buy('box', '1', '111')
+
+        const inventory = await economy.database.fetch('111.1.inventory')
+        const ticket = inventory.find(item => item.name == 'ticket')
+
+        assert.ok(ticket.expiresAt > Date.now())
+        ticket.expiresAt = Date.now() - 1
+
+        await economy.database.set('111.1.inventory', inventory)
+
+        const items = await economy.inventory.fetch('1', '111')
+
+        assert.deepStrictEqual(items.map(item => item.name), ['box'])
+        assert.deepStrictEqual(expiredItems, [['item', 'ticket']])
+    }
+}
+
+
+module.exports = economyTests(checks)
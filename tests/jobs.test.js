@@ -0,0 +1,55 @@
+const assert = require('assert')
+
+const { economyTests } = require('./helpers')
+
+
+/**
+ * Job checks for both Economy builds.
+ * @type {Record<string, (economy: Economy) => Promise<void>>}
+ */
+const checks = {
+    async 'pays for the work shifts and promotes the user'(economy) {
+        const senior = await economy.jobs.create('111', { name: 'senior', pay: 100, requiredLevel: 5 })
+
+        const junior = await economy.jobs.create('111', {
+            name: 'junior',
+            pay: 50,
+            cooldown: '1h',
+            messages: ['You have fixed a bug.'],
+            promoteAfter: 2,
+            promoteTo: senior.id
+        })
+
+        const failedApplication = await economy.jobs.apply('senior', '1', '111')
+
+        assert.strictEqual(failedApplication.status, false)
+        assert.strictEqual(failedApplication.message, 'level too low (required: 5)')
+
+        assert.strictEqual((await economy.jobs.apply(junior.id, '1', '111')).status, true)
+
+        const firstShift = await economy.rewards.receive('work', '1', '111')
+
+        assert.strictEqual(firstShift.reward, 50)
+        assert.strictEqual(firstShift.job.name, 'junior')
+        assert.strictEqual(firstShift.message, 'You have fixed a bug.')
+        assert.strictEqual(firstShift.promotedTo, null)
+
+        assert.strictEqual((await economy.rewards.receive('work', '1', '111')).claimed, false)
+
+        // the job cooldown has passed
+        await economy.database.set('111.1.workCooldown', Date.now() - 60 * 60 * 1000 - 1)
+
+        const secondShift = await economy.rewards.receive('work', '1', '111')
+        assert.strictEqual(secondShift.promotedTo.name, 'senior')
+
+        const employment = await economy.jobs.current('1', '111')
+
+        assert.strictEqual(employment.job.name, 'senior')
+        assert.strictEqual(employment.shifts, 0)
+
+        assert.strictEqual(await economy.balance.get('1', '111'), 100)
+    }
+}
+
+
+module.exports = economyTests(checks)
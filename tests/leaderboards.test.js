@@ -0,0 +1,114 @@
+const assert = require('assert')
+
+const { economyTests } = require('./helpers')
+
+
+/**
+ * Leaderboard checks for both Economy builds.
+ * @type {Record<string, (economy: Economy) => Promise<void>>}
+ */
+const checks = {
+    async 'ranks the users by the currency balances and the net worth'(economy) {
+        const gems = await economy.currencies.create('gems', 'G', '111')
+
+        await economy.settings.set('currencyWeights', { gems: 2 }, '111')
+
+        await economy.balance.set(100, '1', '111')
+        await economy.bank.set(50, '1', '111')
+        await gems.setBalance(10, '1')
+
+        await economy.balance.set(50, '2', '111')
+        await economy.shop.addItem('111', { name: 'box', price: 30 })
+        await economy.shop.buy('box', '2', '111')
+        await economy.currencies.setBalance(gems.id, 100, '2', '111')
+
+        await economy.currencies.setBalance(gems.id, 5, '3', '111')
+
+        const guild = await economy.guilds.get('111')
+
+        assert.deepStrictEqual(
+            (await guild.leaderboards.currency('gems')).map(({ index, userID, money }) => [index, userID, money]),
+            [[1, '2', 100], [2, '1', 10], [3, '3', 5]]
+        )
+
+        const netWorthLeaderboard = await guild.leaderboards.netWorth()
+
+        assert.deepStrictEqual(
+            netWorthLeaderboard.map(({ userID, netWorth }) => [userID, netWorth]),
+            [['2', 250], ['1', 170], ['3', 10]]
+        )
+
+        assert.deepStrictEqual(netWorthLeaderboard[0], {
+            index: 1,
+            userID: '2',
+            balance: 20,
+            bank: 0,
+            currencies: 200,
+            inventory: 30,
+            netWorth: 250
+        })
+    },
+
+    async 'pages the leaderboard and finds the user rank with the stable ties'(economy) {
+        const balances = { 1: 50, 2: 30, 3: 30, 4: 10, 5: 30, 10: 30 }
+
+        for (const [memberID, balance] of Object.entries(balances)) {
+            await economy.balance.set(balance, memberID, '111')
+        }
+
+        const leaderboard = await economy.balance.leaderboard('111')
+        assert.deepStrictEqual(leaderboard.map(entry => entry.userID), ['1', '2', '3', '5', '10', '4'])
+
+        const page = await economy.balance.leaderboard('111', { page: 2, pageSize: 2 })
+
+        assert.deepStrictEqual(page.entries.map(({ index, userID }) => [index, userID]), [[3, '3'], [4, '5']])
+        assert.strictEqual(page.totalPages, 3)
+        assert.strictEqual(page.totalUsers, 6)
+
+        const guild = await economy.guilds.get('111')
+        const rank = await guild.leaderboards.rankOf('5', { range: 1 })
+
+        assert.strictEqual(rank.index, 4)
+        assert.strictEqual(rank.totalUsers, 6)
+        assert.deepStrictEqual(rank.entries.map(entry => entry.userID), ['3', '5', '10'])
+
+        assert.strictEqual(await guild.leaderboards.rankOf('6'), null)
+    },
+
+    async 'tracks the season gains, archives the season and decays the balances'(economy) {
+        await economy.balance.set(100, '1', '111')
+
+        const season = await economy.seasons.start('111', {
+            name: 'Spring',
+            duration: '1h',
+            balanceReset: 'decay',
+            decay: 10
+        })
+
+        await economy.balance.add(30, '1', '111')
+        await economy.balance.subtract(10, '1', '111')
+        await economy.balance.add(50, '2', '111')
+
+        const leaderboard = [
+            { index: 1, userID: '2', money: 50 },
+            { index: 2, userID: '1', money: 20 }
+        ]
+
+        assert.deepStrictEqual(await economy.seasons.leaderboard('111'), leaderboard)
+
+        const snapshot = await economy.seasons.end('111')
+
+        assert.strictEqual(snapshot.id, season.id)
+        assert.strictEqual(snapshot.name, 'Spring')
+        assert.deepStrictEqual(snapshot.leaderboard, leaderboard)
+
+        assert.strictEqual(await economy.seasons.current('111'), null)
+        assert.deepStrictEqual((await economy.seasons.snapshot(season.id, '111')).leaderboard, leaderboard)
+
+        assert.strictEqual(await economy.balance.get('1', '111'), 108)
+        assert.strictEqual(await economy.balance.get('2', '111'), 45)
+    }
+}
+
+
+module.exports = economyTests(checks)
@@ -0,0 +1,122 @@
+const assert = require('assert')
+
+const { economyTests } = require('./helpers')
+
+
+/**
+ * Reward checks for both Economy builds.
+ * @type {Record<string, (economy: Economy) => Promise<void>>}
+ */
+const checks = {
+    async 'gives the custom reward with the guild overrides and tracks its cooldown'(economy) {
+        economy.rewards.register('fish', { amount: 10, cooldown: '1h' })
+
+        const reward = await economy.rewards.receive('fish', '1', '111')
+
+        assert.strictEqual(reward.claimed, true)
+        assert.strictEqual(reward.reward, 10)
+
+        const cooldownReward = await economy.rewards.receive('fish', '1', '111')
+
+        assert.strictEqual(cooldownReward.claimed, false)
+        assert.ok(cooldownReward.cooldown.endTimestamp > Date.now())
+
+        await economy.settings.set('rewards', { fish: { amount: 25 } }, '222')
+
+        assert.strictEqual((await economy.rewards.receive('fish', '1', '222')).reward, 25)
+        assert.strictEqual(await economy.balance.get('1', '111'), 10)
+        assert.strictEqual(await economy.balance.get('1', '222'), 25)
+
+        await assert.rejects(async () => economy.rewards.receive('missing', '1', '111'), /missing/)
+    },
+
+    'continues the daily streak in the grace window and breaks it after': [{
+        dailyAmount: 100,
+        dailyStreakBonuses: [0, 50]
+    }, async economy => {
+        const events = []
+
+        economy.on('dailyStreakIncrease', ({ streak }) => events.push(['increase', streak]))
+        economy.on('dailyStreakBroken', ({ streak, previousStreak }) => events.push(['broken', previousStreak, streak]))
+
+        const day = 86400000
+
+        const firstReward = await economy.rewards.receive('daily', '1', '111')
+        assert.strictEqual(firstReward.reward, 100)
+
+        // claiming the reward in the grace window after the cooldown
+        await economy.database.set('111.1.dailyCooldown', Date.now() - day - 1000)
+
+        const secondReward = await economy.rewards.receive('daily', '1', '111')
+
+        assert.strictEqual(secondReward.reward, 150)
+        assert.strictEqual(secondReward.streak.current, 2)
+
+        // missing the grace window
+        await economy.database.set('111.1.dailyCooldown', Date.now() - 3 * day)
+
+        const thirdReward = await economy.rewards.receive('daily', '1', '111')
+
+        assert.strictEqual(thirdReward.reward, 100)
+        assert.strictEqual(thirdReward.streak.current, 1)
+        assert.strictEqual(thirdReward.streak.best, 2)
+        assert.strictEqual(thirdReward.streak.broken, true)
+
+        assert.deepStrictEqual(events, [['increase', 1], ['increase', 2], ['broken', 2, 1]])
+    }],
+
+    async 'applies the matching reward modifiers and boosts'(economy) {
+        economy.rewards.register('fish', { amount: 100, cooldown: '1h' })
+        economy.rewards.setRolesResolver(memberID => memberID == '1' ? ['vip'] : [])
+
+        await economy.balance.set(10, '1', '111')
+        await economy.shop.addItem('111', { name: 'charm', price: 10 })
+        await economy.shop.buy('charm', '1', '111')
+
+        await economy.rewards.addModifier('111', { source: 'event', multiplier: 2, rewards: 'fish' })
+        await economy.rewards.addModifier('111', { source: 'event', multiplier: 2, rewards: 'daily' })
+        await economy.rewards.addModifier('111', { source: 'role', roleID: 'vip', multiplier: 1.5 })
+        await economy.rewards.addModifier('111', { source: 'item', itemID: 'charm', bonus: 10 })
+
+        await economy.rewards.addModifier('111', {
+            source: 'event',
+            multiplier: 10,
+            startsAt: Date.now() - 2000,
+            endsAt: Date.now() - 1000
+        })
+
+        await economy.rewards.addBoost('1', '111', { bonus: 5, duration: '1h' })
+
+        const reward = await economy.rewards.receive('fish', '1', '111')
+
+        assert.strictEqual(reward.baseReward, 100)
+        assert.strictEqual(reward.reward, 315)
+        assert.deepStrictEqual(reward.modifiers.map(modifier => modifier.source), ['event', 'role', 'item', 'boost'])
+
+        assert.strictEqual((await economy.rewards.receive('fish', '2', '111')).reward, 200)
+    },
+
+    async 'resets the daily reward at the midnight in the guild time zone'(economy) {
+        const day = 86400000
+        const tokyoOffset = 9 * 60 * 60 * 1000
+
+        await economy.settings.set('resetMode', 'calendar', '111')
+        await economy.settings.set('timeZone', 'Asia/Tokyo', '111')
+
+        const lastMidnight = Math.floor((Date.now() + tokyoOffset) / day) * day - tokyoOffset
+
+        // the reward was claimed right before the last midnight in Tokyo
+        await economy.database.set('111.1.dailyCooldown', lastMidnight - 1000)
+        assert.strictEqual((await economy.rewards.receive('daily', '1', '111')).claimed, true)
+
+        const reward = await economy.rewards.receive('daily', '1', '111')
+
+        assert.strictEqual(reward.claimed, false)
+        assert.strictEqual(reward.cooldown.endTimestamp, lastMidnight + day)
+
+        await assert.rejects(async () => economy.settings.set('timeZone', 'Mars/Olympus', '111'))
+    }
+}
+
+
+module.exports = economyTests(checks)
@@ -0,0 +1,96 @@
+const assert = require('assert')
+
+const { economyTests } = require('./helpers')
+
+
+/**
+ * Shop checks for both Economy builds.
+ * @type {Record<string, (economy: Economy) => Promise<void>>}
+ */
+const checks = {
+    async 'does not buy the hidden item by its name'(economy) {
+        await economy.balance.set(100, '1', '111')
+
+        await economy.shop.addItem('111', { name: 'box', price: 10 })
+        await economy.shop.buy('box', '1', '111')
+
+        const item = await economy.shop.addItem('111', {
+            name: 'secret',
+            price: 10,
+            hidden: true
+        })
+
+        const result = await economy.shop.buy('secret', '1', '111')
+
+        assert.strictEqual(result.status, false)
+        assert.strictEqual(result.message, 'item not found')
+
+        assert.strictEqual((await economy.shop.buy(item.id, '1', '111')).status, true)
+        assert.strictEqual(await economy.balance.get('1', '111'), 80)
+    },
+
+    async 'buys the shop item the same way as the shop'(economy) {
+        await economy.balance.set(100, '1', '111')
+
+        economy.shop.registerRequirement('verified', context => context.memberID == '1')
+
+        const item = await economy.shop.addItem('111', {
+            name: 'box',
+            price: 20,
+            stock: 5,
+            requirements: { custom: ['verified'] }
+        })
+
+        await economy.shop.createCoupon('111', { code: 'HALF', type: 'percent', discount: 50 })
+
+        const result = await item.buy('1', 2, null, 'bought the boxes', 'HALF')
+
+        assert.strictEqual(result.status, true)
+        assert.strictEqual(result.totalPrice, 20)
+        assert.strictEqual(item.stock, 3)
+
+        assert.strictEqual(await economy.balance.get('1', '111'), 80)
+        assert.strictEqual((await economy.shop.getItem(item.id, '111')).stock, 3)
+
+        const unverifiedResult = await item.buy('2', 1)
+
+        assert.strictEqual(unverifiedResult.status, false)
+        assert.strictEqual(unverifiedResult.message, 'requirements not met')
+    },
+
+    async 'checks the purchase requirements in order'(economy) {
+        let roles = []
+        let level = 0
+
+        economy.rewards.setRolesResolver(() => roles)
+        economy.jobs.setLevelResolver(() => level)
+
+        await economy.balance.set(100, '1', '111')
+
+        await economy.shop.addItem('111', { name: 'key', price: 10 })
+
+        await economy.shop.addItem('111', {
+            name: 'crown',
+            price: 10,
+            requirements: { roles: ['vip'], items: ['key'], level: 3 }
+        })
+
+        const buyCrown = async () => (await economy.shop.buy('crown', '1', '111')).requirement
+
+        assert.deepStrictEqual(await buyCrown(), { type: 'role', required: ['vip'], current: [] })
+
+        roles = ['vip']
+        assert.deepStrictEqual(await buyCrown(), { type: 'item', required: ['key'], current: null })
+
+        await economy.shop.buy('key', '1', '111')
+        assert.deepStrictEqual(await buyCrown(), { type: 'level', required: 3, current: 0 })
+
+        level = 3
+        assert.strictEqual((await economy.shop.buy('crown', '1', '111')).status, true)
+
+        assert.strictEqual(await economy.balance.get('1', '111'), 80)
+    }
+}
+
+
+module.exports = economyTests(checks)
@@ -0,0 +1,42 @@
+const { readdirSync } = require('fs')
+const { join } = require('path')
+
+
+/**
+ * Runs all the test files in the `tests` directory.
+ *
+ * Each test file exports an object with the test functions by their names.
+ * A test passes if its function returns (or its returned promise resolves) without throwing.
+ * @returns {Promise<number>} Number of the failed tests.
+ */
+async function run() {
+    const files = readdirSync(__dirname)
+        .filter(file => file.endsWith('.test.js'))
+        .sort()
+
+    let passed = 0
+    let failed = 0
+
+    for (const file of files) {
+        const tests = require(join(__dirname, file))
+
+        for (const [name, test] of Object.entries(tests)) {
+            try {
+                await test()
+
+                passed++
+                console.log(`\x1b[32m✓\x1b[0m ${file} › ${name}`)
+            } catch (err) {
+                failed++
+
+                console.log(`\x1b[31m✗\x1b[0m ${file} › ${name}`)
+                console.error(err)
+            }
+        }
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed.`)
+    return failed
+}
+
+run().then(failed => process.exit(failed ? 1 : 0))
@@ -0,0 +1,263 @@
+const assert = require('assert')
+const { existsSync, readFileSync, unlinkSync } = require('fs')
+const { tmpdir } = require('os')
+const { join } = require('path')
+
+const Economy = require('../src/index')
+const DatabaseManager = require('../src/managers/DatabaseManager')
+const MemoryStorageAdapter = require('../src/adapters/MemoryStorageAdapter')
+
+const MongoDatabaseManager = require('../mongodb/src/managers/DatabaseManager')
+const MongoMemoryStorageAdapter = require('../mongodb/src/adapters/MemoryStorageAdapter')
+
+
+/**
+ * Gets a path to a new temporary file.
+ * @returns {string} Path to the temporary file.
+ */
+function temporaryPath() {
+    const name = `economy-transaction-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`
+    return join(tmpdir(), `${name}.json`)
+}
+
+/**
+ * Runs the callback in a transaction that is rolled back,
+ * and performs the outside write while the transaction is running.
+ *
+ * The outside write is scheduled before the transaction starts,
+ * so it's not a part of the transaction.
+ * @param {DatabaseManager} database Database manager.
+ * @param {(database: DatabaseManager) => any} transactionCallback The changes made in the transaction.
+ * @param {(database: DatabaseManager) => any} outsideCallback The changes made outside of the transaction.
+ * @returns {Promise<void>}
+ */
+async function rollbackWithOutsideWrite(database, transactionCallback, outsideCallback) {
+    let startOutsideWrite = null
+
+    const outsideWrite = new Promise(resolve => startOutsideWrite = resolve)
+        .then(() => outsideCallback(database))
+
+    await assert.rejects(database.transaction(async () => {
+        await transactionCallback(database)
+
+        startOutsideWrite()
+        await outsideWrite
+
+        throw new Error('rollback')
+    }), /rollback/)
+}
+
+
+/**
+ * Database managers to run the transaction checks on.
+ * @type {Record<string, () => DatabaseManager>}
+ */
+const databases = {
+    json: () => new DatabaseManager({ storage: new MemoryStorageAdapter() }),
+    mongodb: () => new MongoDatabaseManager({}, new MongoMemoryStorageAdapter())
+}
+
+
+/**
+ * Transaction rollback checks. The database methods are awaited,
+ * so the same checks work for both synchronous and asynchronous database managers.
+ * @type {Record<string, (database: DatabaseManager) => Promise<void>>}
+ */
+const checks = {
+    async 'keeps the concurrent push after the rollback'(database) {
+        await database.push('111.1.inventory', { id: 1, name: 'apple' })
+
+        await rollbackWithOutsideWrite(
+            database,
+            db => db.push('111.1.inventory', { id: 2, name: 'pear' }),
+            db => db.push('111.1.inventory', { id: 3, name: 'plum' })
+        )
+
+        assert.deepStrictEqual(await database.get('111.1.inventory'), [
+            { id: 1, name: 'apple' },
+            { id: 3, name: 'plum' }
+        ])
+    },
+
+    async 'keeps the concurrent balance change after the rollback'(database) {
+        await database.set('111.1.money', 100)
+
+        await rollbackWithOutsideWrite(
+            database,
+            db => db.subtract('111.1.money', 30),
+            db => db.add('111.1.money', 50)
+        )
+
+        assert.strictEqual(await database.get('111.1.money'), 150)
+    },
+
+    async 'keeps the concurrent set after the rollback'(database) {
+        await database.set('111.1.money', 100)
+
+        await rollbackWithOutsideWrite(
+            database,
+            db => db.set('111.1.money', 200),
+            db => db.set('111.1.money', 300)
+        )
+
+        assert.strictEqual(await database.get('111.1.money'), 300)
+    },
+
+    async 'keeps the concurrent writes to the objects created in the transaction'(database) {
+        await rollbackWithOutsideWrite(
+            database,
+            db => db.set('111.2.money', 100),
+            db => db.set('111.2.bank', 50)
+        )
+
+        assert.strictEqual(await database.get('111.2.money'), null)
+        assert.strictEqual(await database.get('111.2.bank'), 50)
+    },
+
+    async 'keeps the concurrent element change after the rollback'(database) {
+        await database.set('111.1.inventory', [{ id: 1, name: 'apple' }, { id: 2, name: 'pear' }])
+
+        await rollbackWithOutsideWrite(
+            database,
+            db => db.pop('111.1.inventory', 0),
+            db => db.pull('111.1.inventory', 0, { id: 2, name: 'plum' })
+        )
+
+        assert.deepStrictEqual(await database.get('111.1.inventory'), [
+            { id: 1, name: 'apple' },
+            { id: 2, name: 'plum' }
+        ])
+    },
+
+    async 'reverts the changes made in the transaction'(database) {
+        await database.set('111.1.money', 100)
+        await database.push('111.1.inventory', { id: 1, name: 'apple' })
+
+        await assert.rejects(database.transaction(async db => {
+            await db.add('111.1.money', 50)
+            await db.set('111.1.bank', 20)
+            await db.pop('111.1.inventory', 0)
+            await db.set('222.1.money', 10)
+
+            throw new Error('rollback')
+        }), /rollback/)
+
+        assert.strictEqual(await database.get('111.1.money'), 100)
+        assert.strictEqual(await database.get('111.1.bank'), null)
+        assert.deepStrictEqual(await database.get('111.1.inventory'), [{ id: 1, name: 'apple' }])
+        assert.strictEqual(await database.get('222'), null)
+    }
+}
+
+
+/**
+ * Transaction tests for both database managers.
+ * @type {Record<string, () => Promise<void>>}
+ */
+const tests = {}
+
+for (const [databaseName, createDatabase] of Object.entries(databases)) {
+    for (const [checkName, check] of Object.entries(checks)) {
+        tests[`${databaseName} transaction ${checkName}`] = () => check(createDatabase())
+    }
+}
+
+tests['json storage flushes only the committed changes while a transaction is running'] = async () => {
+    const storagePath = temporaryPath()
+    const database = new DatabaseManager({ storagePath })
+
+    try {
+        database.set('111.1.money', 100)
+
+        let flushDuringTransaction = null
+
+        const flushed = new Promise(resolve => flushDuringTransaction = resolve)
+            .then(() => {
+                database.set('111.1.bank', 50)
+                database.flush()
+            })
+
+        await database.transaction(async db => {
+            db.set('111.1.money', 200)
+            db.set('222.1.money', 10)
+
+            flushDuringTransaction()
+            await flushed
+
+            const storedData = JSON.parse(readFileSync(storagePath, 'utf-8'))
+
+            assert.strictEqual(storedData['111']['1'].money, 100)
+            assert.strictEqual(storedData['111']['1'].bank, 50)
+            assert.strictEqual(storedData['222'], undefined)
+        })
+
+        database.flush()
+        const storedData = JSON.parse(readFileSync(storagePath, 'utf-8'))
+
+        assert.strictEqual(storedData['111']['1'].money, 200)
+        assert.strictEqual(storedData['222']['1'].money, 10)
+    } finally {
+        database.adapter.storage.destroy()
+        if (existsSync(storagePath)) unlinkSync(storagePath)
+    }
+}
+
+tests['mongodb transaction runs the transactions one by one'] = async () => {
+    const database = databases.mongodb()
+    const steps = []
+
+    let finishFirstTransaction = null
+
+    const firstTransaction = database.transaction(async () => {
+        steps.push('first started')
+        await new Promise(resolve => finishFirstTransaction = resolve)
+
+        steps.push('first finished')
+    })
+
+    const secondTransaction = database.transaction(async () => {
+        steps.push('second started')
+    })
+
+    await new Promise(resolve => setImmediate(resolve))
+    finishFirstTransaction()
+
+    await Promise.all([firstTransaction, secondTransaction])
+    assert.deepStrictEqual(steps, ['first started', 'first finished', 'second started'])
+}
+
+tests['json storage listens to the process events only while the economy is running'] = async () => {
+    const storagePath = temporaryPath()
+    const listenerCounts = () => ['exit', 'SIGINT', 'SIGTERM'].map(event => process.listenerCount(event))
+
+    const initialListenerCounts = listenerCounts()
+
+    const economy = new Economy({
+        storagePath,
+        checkStorage: false,
+
+        updater: {
+            checkUpdates: false
+        },
+
+        errorHandler: {
+            handleErrors: false
+        }
+    })
+
+    try {
+        await new Promise(resolve => economy.once('ready', resolve))
+        assert.deepStrictEqual(listenerCounts(), initialListenerCounts.map(count => count + 1))
+
+        economy.balance.add(10, '1', '111')
+        economy.kill()
+
+        assert.deepStrictEqual(listenerCounts(), initialListenerCounts)
+        assert.strictEqual(JSON.parse(readFileSync(storagePath, 'utf-8'))['111']['1'].money, 10)
+    } finally {
+        economy.database?.adapter.storage.destroy()
+        if (existsSync(storagePath)) unlinkSync(storagePath)
+    }
+}
+
+module.exports = tests
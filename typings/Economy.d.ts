@@ -14,6 +14,8 @@ import ShopManager from './managers/ShopManager'
 import InventoryManager from './managers/InventoryManager'
 
 import RewardManager from './managers/RewardManager'
+import JobManager from './managers/JobManager'
+import SeasonManager from './managers/SeasonManager'
 import CooldownManager from './managers/CooldownManager'
 import HistoryManager from './managers/HistoryManager'
 
@@ -140,6 +142,18 @@ declare class Economy<Ready extends boolean = boolean> extends Emitter {
     */
     public readonly rewards: If<Ready, RewardManager>
 
+    /**
+    * Jobs manager.
+    * @type {?JobManager}
+    */
+    public readonly jobs: If<Ready, JobManager>
+
+    /**
+    * Seasons manager.
+    * @type {?SeasonManager}
+    */
+    public readonly seasons: If<Ready, SeasonManager>
+
     /**
     * Cooldown manager.
     * @type {?CooldownManager}
@@ -170,6 +184,28 @@ declare class Economy<Ready extends boolean = boolean> extends Emitter {
      */
     public kill(): Economy
 
+    /**
+     * Runs the callback function as a single transaction.
+     *
+     * All the balance, bank, currency, inventory and history changes made during the callback
+     * are committed all together; if the callback throws an error (or the returned promise rejects),
+     * all of them are rolled back and the error is thrown further.
+     *
+     * All the events emitted during the transaction are emitted only after it's committed.
+     *
+     * [!] Transactions are run one by one. Transactions started inside
+     * other transactions are committed together with the outer transaction.
+     *
+     * @example
+     * await eco.transaction(async tx => {
+     *     tx.balance.subtract(100, senderID, guildID, 'buying a gift')
+     *     tx.inventory.addItem('gift', receiverID, guildID)
+     * })
+     * @param {Function} callback The function to run.
+     * @returns {Promise<T>} The value returned from the callback function.
+     */
+    public transaction<T>(callback: (economy: Economy<true>) => T | Promise<T>): Promise<T>
+
     /**
      * Starts the module.
      * @returns {Promise<boolean>} If started successfully: true.
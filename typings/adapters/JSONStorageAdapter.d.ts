@@ -0,0 +1,43 @@
+import StorageAdapter from './StorageAdapter'
+
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import EconomyDatabase from '../interfaces/EconomyDatabase'
+
+/**
+ * Storage adapter for the JSON storage file.
+ *
+ * This is the default storage adapter of the JSON version of the module.
+ */
+declare class JSONStorageAdapter extends StorageAdapter {
+    public constructor(options?: EconomyConfiguration)
+
+    /**
+     * Fetches the data from the storage.
+     * @param {string} key The key in database.
+     * @returns {T} Value from the specified key or 'null' if nothing found.
+     */
+    public get<T = any>(key: string): T
+
+    /**
+     * Sets data in a property in the storage.
+     * @param {string} key The key in database.
+     * @param {T} value Any data to set in property.
+     * @returns {boolean} If set successfully: true; else: false.
+     */
+    public set<T = any>(key: string, value: T): boolean
+
+    /**
+     * Removes the property from the storage.
+     * @param {string} key The key in database.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    public delete(key: string): boolean
+
+    /**
+     * Fetches the entire database.
+     * @returns {EconomyDatabase} Database contents.
+     */
+    public all(): EconomyDatabase
+}
+
+export = JSONStorageAdapter
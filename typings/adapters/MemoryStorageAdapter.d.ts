@@ -0,0 +1,15 @@
+import JSONStorageAdapter from './JSONStorageAdapter'
+
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import EconomyDatabase from '../interfaces/EconomyDatabase'
+
+/**
+ * Storage adapter that keeps all the data in memory.
+ *
+ * [!] The data is lost when the process exits - this adapter is made for tests.
+ */
+declare class MemoryStorageAdapter extends JSONStorageAdapter {
+    public constructor(options?: EconomyConfiguration, data?: EconomyDatabase)
+}
+
+export = MemoryStorageAdapter
@@ -0,0 +1,88 @@
+import StorageAdapter from './StorageAdapter'
+
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import EconomyDatabase from '../interfaces/EconomyDatabase'
+import LeaderboardData from '../interfaces/LeaderboardData'
+
+/**
+ * Storage adapter for the SQLite database.
+ *
+ * Users, their purchases history, shop items, currencies and settings are stored in their own tables,
+ * so the leaderboards are built with indexed `ORDER BY` queries instead of loading the entire guild.
+ *
+ * [!] Requires the `better-sqlite3` package to be installed.
+ *
+ * [!] Guild-level keys that are numbers (Discord IDs) are treated as member IDs.
+ */
+declare class SQLiteStorageAdapter extends StorageAdapter {
+
+    /**
+     * SQLite Storage Adapter.
+     * @param {EconomyConfiguration} [options] Economy configuration.
+     * Use the `storagePath` option to specify the path to an SQLite database file. Default: './storage.sqlite'.
+     */
+    public constructor(options?: EconomyConfiguration)
+
+    /**
+     * Full path to an SQLite database file.
+     */
+    public storagePath: string
+
+    /**
+     * Fetches the data from the database.
+     * @param {string} key The key in database.
+     * @returns {T} Value from the specified key or 'null' if nothing found.
+     */
+    public get<T = any>(key: string): T
+
+    /**
+     * Sets data in a property in the database.
+     * @param {string} key The key in database.
+     * @param {T} value Any data to set in property.
+     * @returns {boolean} If set successfully: true; else: false.
+     */
+    public set<T = any>(key: string, value: T): boolean
+
+    /**
+     * Removes the property from the database.
+     * @param {string} key The key in database.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    public delete(key: string): boolean
+
+    /**
+     * Fetches the entire database.
+     * @returns {EconomyDatabase} Database contents.
+     */
+    public all(): EconomyDatabase
+
+    /**
+     * Gets the users of the guild sorted by the specified property in descending order.
+     *
+     * The `money` and `bank` leaderboards are built with the indexed `ORDER BY` queries.
+     * @param {string} guildID Guild ID.
+     * @param {string} property User's property to sort by.
+     * @returns {LeaderboardData[]} Sorted users array.
+     */
+    public leaderboard(guildID: string, property: string): LeaderboardData[]
+
+    /**
+     * Runs the callback function as a single transaction:
+     * if it throws an error (or the returned promise rejects), all the changes
+     * made to the database during the callback will be rolled back.
+     *
+     * The synchronous callbacks are run in an SQLite savepoint, so their changes
+     * are written to the database file all together or not written at all.
+     * @param {Function} callback The function to run.
+     * @returns {T} The value returned from the callback function.
+     */
+    public transaction<T>(callback: (adapter: this) => T): T
+
+    /**
+     * Closes the database connection.
+     * @returns {boolean} If closed: true; else: false.
+     */
+    public close(): boolean
+}
+
+export = SQLiteStorageAdapter
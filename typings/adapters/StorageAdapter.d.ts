@@ -0,0 +1,141 @@
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import EconomyDatabase from '../interfaces/EconomyDatabase'
+import LeaderboardData from '../interfaces/LeaderboardData'
+
+/**
+ * The storage adapter contract that the Economy managers depend on.
+ *
+ * [!] This class cannot be used directly.
+ *
+ * [!] When extending this class, make sure to implement the `get()`, `set()`, `delete()` and `all()` methods.
+ * All the other methods have default implementations that are based on them,
+ * and may be overridden if the storage supports these operations natively.
+ *
+ * [!] The keys are dot-separated paths in the database (e.g. `guildID.memberID.money`).
+ * The values returned from `get()` and `all()` must be copies of the stored data.
+ *
+ * [!] All the methods in the JSON version of the module must be synchronous.
+ */
+declare abstract class StorageAdapter {
+    public constructor(options?: EconomyConfiguration)
+
+    /**
+     * Checks if the object implements all the required storage adapter methods.
+     * @param {any} adapter The object to check.
+     * @returns {boolean} Is the object a storage adapter or not.
+     */
+    public static isStorageAdapter(adapter: any): adapter is StorageAdapter
+
+    /**
+     * Throws an error if the object does not implement all the required storage adapter methods.
+     * @param {any} adapter The object to check.
+     * @returns {StorageAdapter} Storage adapter.
+     */
+    public static validate(adapter: any): StorageAdapter
+
+    /**
+     * Fetches the data from the storage.
+     * @param {string} key The key in database.
+     * @returns {T} Value from the specified key or 'null' if nothing found.
+     */
+    public abstract get<T = any>(key: string): T
+
+    /**
+     * Sets data in a property in the storage.
+     * @param {string} key The key in database.
+     * @param {T} value Any data to set in property.
+     * @returns {boolean} If set successfully: true; else: false.
+     */
+    public abstract set<T = any>(key: string, value: T): boolean
+
+    /**
+     * Removes the property from the storage.
+     * @param {string} key The key in database.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    public abstract delete(key: string): boolean
+
+    /**
+     * Fetches the entire database.
+     * @returns {EconomyDatabase} Database contents.
+     */
+    public abstract all(): EconomyDatabase
+
+    /**
+     * Adds a number to a property data in the storage.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to add.
+     * @returns {boolean} If added successfully: true; else: false.
+     */
+    public add(key: string, value: number): boolean
+
+    /**
+     * Subtracts a number from a property data in the storage.
+     * @param {string} key The key in database.
+     * @param {number} value Any number to subtract.
+     * @returns {boolean} If subtracted successfully: true; else: false.
+     */
+    public subtract(key: string, value: number): boolean
+
+    /**
+     * Pushes a value to a specified array in the storage.
+     * @param {string} key The key in database.
+     * @param {T} value Any value to push.
+     * @returns {boolean} If pushed successfully: true; else: false.
+     */
+    public push<T = any>(key: string, value: T): boolean
+
+    /**
+     * Removes an element from a specified array in the storage.
+     * @param {string} key The key in database.
+     * @param {number} index The index in the array.
+     * @returns {boolean} If removed successfully: true; else: false.
+     */
+    public pull(key: string, index: number): boolean
+
+    /**
+     * Gets a list of keys in the storage.
+     * @param {string} [key] The key in database. If not specified, the top-level keys will be returned.
+     * @returns {string[]} An array with the keys.
+     */
+    public keys(key?: string): string[]
+
+    /**
+     * Gets the users of the guild sorted by the specified property in descending order.
+     *
+     * [!] Override this method if the storage can sort the users natively (e.g. with an indexed query).
+     * @param {string} guildID Guild ID.
+     * @param {string} property User's property to sort by.
+     * @returns {LeaderboardData[]} Sorted users array.
+     */
+    public leaderboard(guildID: string, property: string): LeaderboardData[]
+
+    /**
+     * Clears the whole storage.
+     * @returns {boolean} If cleared: true; else: false.
+     */
+    public clear(): boolean
+
+    /**
+     * Writes all the pending changes to the storage.
+     *
+     * [!] Does nothing for the storages that write the changes immediately.
+     * @returns {boolean} If any changes were written: true; else: false.
+     */
+    public flush(): boolean
+
+    /**
+     * Runs the callback function as a single transaction:
+     * if it throws an error (or the returned promise rejects), all the changes
+     * made to the storage during the callback will be rolled back.
+     *
+     * The default implementation uses the undo log of the transaction.
+     *
+     * [!] Override this method if the storage supports transactions natively.
+     * @param {Function} callback The function to run.
+     * @returns {T} The value returned from the callback function.
+     */
+    public transaction<T>(callback: (adapter: this) => T): T
+}
+
+export = StorageAdapter
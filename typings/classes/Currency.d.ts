@@ -8,6 +8,8 @@ import TransferingResult from '../interfaces/TransferingResult'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import DatabaseManager from '../managers/DatabaseManager'
+import InsufficientFundsResult from '../interfaces/InsufficientFundsResult'
+import InvalidAmountResult from '../interfaces/InvalidAmountResult'
 
 
 /**
@@ -116,7 +118,7 @@ declare class Currency<T extends object = any> {
     public setBalance(amount: number, memberID: string, reason: string): number
 
 	/**
-	 * Sets the currency for specified member.
+	 * Gets the currency balance for specified member.
 	 * @param {string} memberID Member ID.
 	 * @returns {number} Member's balance.
 	 */
@@ -136,16 +138,16 @@ declare class Currency<T extends object = any> {
      * @param {number} amount Amount of money to subtract.
      * @param {string} memberID Member ID.
      * @param {string} [reason] The reason why the balance was subtracted.
-     * @returns {number} Amount of money that was subtracted.
+     * @returns {number | InsufficientFundsResult} Amount of money that was subtracted or 'insufficient funds' result.
      */
-    public subtractBalance(amount: number, memberID: string, reason: string): number
+    public subtractBalance(amount: number, memberID: string, reason: string): number | InsufficientFundsResult
 
 	/**
 	 * Transfers the currency to specified user
      * @param {CurrencyTransferOption} Currency transfering options.
-     * @returns {TransferingResult} Currency transfering result.
+     * @returns {TransferingResult | InsufficientFundsResult | InvalidAmountResult} Currency transfering result.
      */
-	public transfer(options: TransferingOptions): TransferingResult
+	public transfer(options: TransferingOptions): TransferingResult | InsufficientFundsResult | InvalidAmountResult
 
 	/**
 	 * Saves the currency object in database.
@@ -13,6 +13,7 @@ import Items from '../classes/user/Items'
 
 import Cooldowns from './user/Cooldowns'
 import Rewards from './user/Rewards'
+import Jobs from './user/Jobs'
 
 import RawEconomyUser from '../interfaces/RawEconomyUser'
 
@@ -58,6 +59,18 @@ declare class EconomyUser {
      */
     public money: number
 
+    /**
+     * User's current daily reward streak.
+     * @type {number}
+     */
+    public dailyStreak?: number
+
+    /**
+     * User's best daily reward streak.
+     * @type {number}
+     */
+    public bestDailyStreak?: number
+
     /**
      * Full path to a JSON file. Default: './storage.json'
      * @type {string}
@@ -127,6 +140,12 @@ declare class EconomyUser {
      */
     public rewards: Rewards
 
+    /**
+     * User jobs.
+     * @type {Jobs}
+     */
+    public jobs: Jobs
+
     /**
      * Deletes the user from database.
      * @returns {EconomyUser} Deleted user object.
@@ -2,6 +2,8 @@ import DatabaseManager from '../managers/DatabaseManager'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import InventoryData from '../interfaces/InventoryData'
+import ItemEffect from '../interfaces/ItemEffect'
+import ItemUseResult from '../interfaces/ItemUseResult'
 
 import CustomItemData from '../interfaces/CustomItemData'
 import SellingOperationInfo from '../interfaces/SellingOperationInfo'
@@ -79,6 +81,19 @@ declare class InventoryItem<T extends object = any> {
      */
     public maxAmount: number
 
+    /**
+     * Timestamp when the item expires.
+     * 'null' means the item never expires.
+     * @type {number}
+     */
+    public expiresAt: number
+
+    /**
+     * Effects that will be applied on item use.
+     * @type {ItemEffect[]}
+     */
+    public effects: ItemEffect[]
+
     /**
      * Date when the item was bought by a user.
      * @type {string}
@@ -108,11 +123,20 @@ declare class InventoryItem<T extends object = any> {
     public remove(quantity?: number): boolean
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
+     * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
+     * @returns {?string} Item message or 'null' if the item was not found.
+     */
+    public use(client?: any): string | null
+
+    /**
+     * Uses the item: applies its effects, returns the item usage result
+     * and removes the item from user's inventory.
      * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
-     * @returns {string} Item message.
+     * @returns {ItemUseResult} Item usage result.
      */
-    public use(client?: any): string
+    public useWithResult(client?: any): ItemUseResult<T>
 
     /**
      * Returns the stacked item in user inventory: it will have the quantity and total price of the item.
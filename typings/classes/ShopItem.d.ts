@@ -1,6 +1,10 @@
 import ItemData from '../interfaces/ItemData'
 
 import CustomItemData from '../interfaces/CustomItemData'
+import ItemEffect from '../interfaces/ItemEffect'
+import ItemRestockOptions from '../interfaces/ItemRestockOptions'
+import ItemPrice from '../interfaces/ItemPrice'
+import ItemRequirements from '../interfaces/ItemRequirements'
 import ShopOperationInfo from '../interfaces/ShopOperationInfo'
 import { ItemProperties, ItemPropertyType } from '../interfaces/ItemProperties'
 
@@ -51,6 +55,14 @@ declare class ShopItem<T extends object = any> {
      */
     public price: number
 
+    /**
+     * Prices of the item in the currencies, by the currency ID or 'money' for the main balance.
+     * All the currencies of one price are charged together.
+     * 'null' means the item is sold for its price in the main balance.
+     * @type {ItemPrice[]}
+     */
+    public prices: ItemPrice[]
+
     /**
      * The message that will be returned on item use.
      * @type {string}
@@ -75,6 +87,79 @@ declare class ShopItem<T extends object = any> {
      */
     public maxAmount: number
 
+    /**
+     * How long the item lasts after it was bought (in ms).
+     * 'null' means the item never expires.
+     * @type {number}
+     */
+    public duration: number
+
+    /**
+     * Effects that will be applied on item use.
+     * @type {ItemEffect[]}
+     */
+    public effects: ItemEffect[]
+
+    /**
+     * Amount of the items left in the shop.
+     * 'null' means the stock is unlimited.
+     * @type {number}
+     */
+    public stock: number
+
+    /**
+     * Restock schedule of the item.
+     * 'null' means the item is never restocked.
+     * @type {ItemRestockOptions}
+     */
+    public restock: ItemRestockOptions
+
+    /**
+     * Timestamp of the last restock of the item.
+     * @type {number}
+     */
+    public lastRestock: number
+
+    /**
+     * Item category.
+     * 'null' means the item has no category.
+     * @type {?string}
+     */
+    public category: string
+
+    /**
+     * Position of the item in the search results, in ascending order.
+     * @type {number}
+     */
+    public sortOrder: number
+
+    /**
+     * If true, the item is not listed in the search results and can only be found or bought by its ID.
+     * @type {boolean}
+     */
+    public hidden: boolean
+
+    /**
+     * Timestamp when the item becomes available.
+     * 'null' means the item is available from the moment it was added.
+     * @type {?number}
+     */
+    public availableFrom: number
+
+    /**
+     * Timestamp when the item stops being available.
+     * 'null' means the item is always available.
+     * @type {?number}
+     */
+    public availableUntil: number
+
+    /**
+     * Requirements that the member must meet to buy the item.
+     * 'null' means anyone can buy the item.
+     * @type {?ItemRequirements}
+     */
+    public requirements: ItemRequirements
+
     /**
      * Date when the item was added in the shop.
      * @type {string}
@@ -105,9 +190,13 @@ declare class ShopItem<T extends object = any> {
     /**
      * Edits the item in the shop.
      * 
-     * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom'} itemProperty
+     * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom' | 'duration' |
+     * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+     * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
      * This argument means what thing in item you want to edit (item property). 
-     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+     * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+     * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+     * 'availableFrom', 'availableUntil', 'requirements'.
      * 
      * @param {T} value Any value to set.
      * @returns {boolean} If edited successfully: true, else: false.
@@ -122,14 +211,18 @@ declare class ShopItem<T extends object = any> {
      * @param {string} memberID Member ID.
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
-     * @param {string | number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * @param {string | number | Array<string | number>} [currency=null] 
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {ShopOperationInfo} Operation information object.
      */
     public buy<
@@ -137,8 +230,9 @@ declare class ShopItem<T extends object = any> {
     >(
         memberID: string,
         quantity?: number,
-        currency?: string | number,
-        reason?: string
+        currency?: string | number | Array<string | number>,
+        reason?: string,
+        coupon?: string
     ): ShopOperationInfo<T>
 
     /**
@@ -147,13 +241,17 @@ declare class ShopItem<T extends object = any> {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {ShopOperationInfo} Operation information object.
      */
     public buy<
@@ -162,7 +260,8 @@ declare class ShopItem<T extends object = any> {
         memberID: string,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): ShopOperationInfo<T>
 
     /**
@@ -171,13 +270,17 @@ declare class ShopItem<T extends object = any> {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {ShopOperationInfo} Operation information object.
      */
     public buy<
@@ -186,7 +289,8 @@ declare class ShopItem<T extends object = any> {
         memberID: string,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): ShopOperationInfo<T>
 
     /**
@@ -2,6 +2,8 @@ import BaseManager from '../../managers/BaseManager'
 import ShopItem from '../../classes/ShopItem'
 
 import AddItemOptions from '../../interfaces/AddItemOptions'
+import ShopSearchOptions from '../../interfaces/ShopSearchOptions'
+import ShopSearchPage from '../../interfaces/ShopSearchPage'
 
 import { ItemProperties, ItemPropertyType } from '../../interfaces/ItemProperties'
 import CustomItemData from '../../interfaces/CustomItemData'
@@ -43,9 +45,13 @@ declare class Shop extends BaseManager<ShopItem<any>> {
     * - T: Item property string.
     * - K: Type for specified property in T.
     * 
-    * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom'} itemProperty
+    * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom' | 'duration' |
+    * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+    * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
     * This argument means what thing in item you want to edit (item property). 
-    * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+    * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+    * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+    * 'availableFrom', 'availableUntil', 'requirements'.
     * 
     * @param {T} value Any value to set.
     * @returns {boolean} If edited successfully: true, else: false.
@@ -65,9 +71,13 @@ declare class Shop extends BaseManager<ShopItem<any>> {
     * 
     * This method is an alias for 'ShopItem.edit()' method.
     * 
-    * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom'} itemProperty
+    * @param {"description" | "price" | "name" | "message" | "maxAmount" | "role" | 'custom' | 'duration' |
+    * 'effects' | 'stock' | 'restock' | 'prices' | 'category' | 'sortOrder' | 'hidden' |
+    * 'availableFrom' | 'availableUntil' | 'requirements'} itemProperty
     * This argument means what thing in item you want to edit (item property). 
-    * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom'.
+    * Available item properties are 'description', 'price', 'name', 'message', 'amount', 'role', 'custom',
+    * 'duration', 'effects', 'stock', 'restock', 'prices', 'category', 'sortOrder', 'hidden',
+    * 'availableFrom', 'availableUntil', 'requirements'.
     * 
     * @param {T} value Any value to set.
     * @returns {boolean} If edited successfully: true, else: false.
@@ -105,6 +115,24 @@ declare class Shop extends BaseManager<ShopItem<any>> {
      */
     public findItem<T extends object = any>(itemID: string | number): ShopItem<T>
 
+    /**
+     * Searches the items in the shop by their names and returns the requested page of the results.
+     *
+     * The search is case-insensitive and fuzzy. Hidden items and items that are not available
+     * at the moment are not listed.
+     *
+     * Type parameters:
+     *
+     * - T: Set an object for 'custom' item property.
+     * @param {string} query Search query. If empty, all the listed items are found.
+     * @param {ShopSearchOptions} [options] Search options.
+     * @returns {ShopSearchPage<T>} Requested page of the search results.
+     */
+    public search<T extends object = any>(
+        query: string,
+        options?: ShopSearchOptions
+    ): ShopSearchPage<T>
+
     /**
      * Clears the shop.
      * @returns {boolean} If cleared: true, else: false
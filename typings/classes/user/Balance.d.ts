@@ -7,6 +7,8 @@ import CurrencyFactory from '../../interfaces/CurrencyFactory'
 import TransferingOptions from '../../interfaces/TransferingOptions'
 import TransferingResult from '../../interfaces/TransferingResult'
 import DatabaseManager from '../../managers/DatabaseManager'
+import InsufficientFundsResult from '../../interfaces/InsufficientFundsResult'
+import InvalidAmountResult from '../../interfaces/InvalidAmountResult'
 
 
 declare class Balance extends Emitter {
@@ -72,9 +74,9 @@ declare class Balance extends Emitter {
      * Subtracts the money amount on user's balance.
      * @param {number} amount Money amount.
      * @param {string} [reason] The reason why you subtract the money.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
-    public subtract(amount: number, reason?: string): number
+    public subtract(amount: number, reason?: string): number | InsufficientFundsResult
 
     /**
      * Fetches the user's balance.
@@ -88,9 +90,9 @@ declare class Balance extends Emitter {
      * Deposits the specified amount of money.
      * @param {number} amount Money amount.
      * @param {string} [reason] The reason of the operation.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
-    public deposit(amount: number, reason?: string): number
+    public deposit(amount: number, reason?: string): number | InsufficientFundsResult
 
     /**
      * Fetches the user's balance.
@@ -101,9 +103,9 @@ declare class Balance extends Emitter {
     /**
      * Transfers the money to a specified user.
      * @param {TransferingOptions} options Transfering options.
-     * @returns {TransferingResult} Transfering result object.
+     * @returns {TransferingResult | InsufficientFundsResult | InvalidAmountResult} Transfering result object.
      */
-    public transfer(options: Omit<TransferingOptions, 'receiverMemberID'>): TransferingResult
+    public transfer(options: Omit<TransferingOptions, 'receiverMemberID'>): TransferingResult | InsufficientFundsResult | InvalidAmountResult
 }
 
 export = Balance
\ No newline at end of file
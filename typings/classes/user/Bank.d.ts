@@ -2,6 +2,7 @@
 import Emitter from '../util/Emitter'
 import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
 import DatabaseManager from '../../managers/DatabaseManager'
+import InsufficientFundsResult from '../../interfaces/InsufficientFundsResult'
 
 declare class Bank extends Emitter {
 
@@ -39,12 +40,15 @@ declare class Bank extends Emitter {
      * Subtracts the money amount on user's bank balance.
      * @param {number} amount Money amount.
      * @param {string} [reason] The reason why you subtract the money.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
-    public subtract(amount: number, reason?: string): number
+    public subtract(amount: number, reason?: string): number | InsufficientFundsResult
 
     /**
      * Fetches the user's bank balance.
+     *
+     * [!] The bank interest that the user has earned since the last accrual
+     * is applied and saved before the balance is returned.
      * @returns {number} User's bank balance.
      */
     public fetch(): number
@@ -53,9 +57,15 @@ declare class Bank extends Emitter {
      * Withdraws the specified amount of money.
      * @param {number} amount Money amount.
      * @param {string} [reason] The reason of the operation.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
+     */
+    public withdraw(amount: number, reason?: string): number | InsufficientFundsResult
+
+    /**
+     * Applies the bank interest that the user has earned since the last accrual.
+     * @returns Amount of the accrued interest.
      */
-    public withdraw(amount: number, reason?: string): number
+    public applyInterest(): number
 
     /**
      * Fetches the user's bank balance.
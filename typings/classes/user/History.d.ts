@@ -1,6 +1,8 @@
 import HistoryItem from '../HistoryItem'
 
 import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
+import LedgerQueryOptions from '../../interfaces/LedgerQueryOptions'
+import LedgerPage from '../../interfaces/LedgerPage'
 import BaseManager from '../../managers/BaseManager'
 import DatabaseManager from '../../managers/DatabaseManager'
 
@@ -64,6 +66,21 @@ declare class History extends BaseManager<HistoryItem<any>> {
      * @returns {HistoryItem} Purchases history item.
      */
     public getItem<T extends object = any>(id: string | number): HistoryItem<T>
+
+    /**
+     * Gets the entries from the user's ledger.
+     *
+     * The entries are sorted from the newest to the oldest.
+     * @param {LedgerQueryOptions} [options] Ledger query options.
+     * @returns {LedgerPage} Requested ledger page.
+     */
+    public ledger(options?: LedgerQueryOptions): LedgerPage
+
+    /**
+     * Clears the user's ledger.
+     * @returns {boolean} If cleared: true, else: false.
+     */
+    public clearLedger(): boolean
 }
 
 export = History
\ No newline at end of file
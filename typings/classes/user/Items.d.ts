@@ -3,6 +3,9 @@ import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
 import ShopOperationInfo from '../../interfaces/ShopOperationInfo'
 import SellingOperationInfo from '../../interfaces/SellingOperationInfo'
 import StackedInventoryItemObject from '../../interfaces/StackedInventoryItemObject'
+import ItemEffectData from '../../interfaces/ItemEffectData'
+import ItemExpireData from '../../interfaces/ItemExpireData'
+import ItemUseResult from '../../interfaces/ItemUseResult'
 
 import DatabaseManager from '../../managers/DatabaseManager'
 import InventoryItem from '../InventoryItem'
@@ -29,14 +32,18 @@ declare class Items {
      * @param {string | number} itemID Item ID or name.
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
-     * @param {string | number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * @param {string | number | Array<string | number>} [currency=null] 
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {ShopOperationInfo} Operation information object.
      */
     public buy<
@@ -44,8 +51,9 @@ declare class Items {
     >(
         itemID: string | number,
         quantity?: number,
-        currency?: string | number,
-        reason?: string
+        currency?: string | number | Array<string | number>,
+        reason?: string,
+        coupon?: string
     ): ShopOperationInfo<T>
 
     /**
@@ -54,13 +62,17 @@ declare class Items {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {ShopOperationInfo} Operation information object.
      */
     public buy<
@@ -69,7 +81,8 @@ declare class Items {
         itemID: string,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): ShopOperationInfo<T>
 
     /**
@@ -78,13 +91,17 @@ declare class Items {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {ShopOperationInfo} Operation information object.
      */
     public buy<
@@ -93,7 +110,8 @@ declare class Items {
         itemID: number,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): ShopOperationInfo<T>
 
     /**
@@ -102,13 +120,17 @@ declare class Items {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {number} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {ShopOperationInfo} Operation information object.
      */
     public buy<
@@ -117,7 +139,8 @@ declare class Items {
         itemID: string,
         quantity?: number,
         currency?: number,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): ShopOperationInfo<T>
 
     /**
@@ -126,13 +149,17 @@ declare class Items {
      * @param {number} [quantity=1] Quantity of items to buy. Default: 1.
      * 
      * @param {string} [currency=null] 
-     * The currency to subtract the money from. 
-     * Can be omitted by specifying 'null' or ignoring this parameter.
+     * The currency to pay the item's price in: currency ID, its name or its symbol, or 'money' for the main balance.
+     * To pay the price that requires several currencies, specify all of them in an array.
+     * Can be omitted by specifying 'null' or ignoring this parameter: then the price in the main balance
+     * or the item's only price is used.
      * Requires the `subtractOnBuy` option to be enabled. Default: null.
      * 
      * @param {string} [reason='received the item from the shop'] 
      * The reason why the money was subtracted. Default: 'received the item from the shop'.
      * 
+     * @param {string} [coupon=null] Code of the coupon to apply to the purchase. Default: null.
+     * 
      * @returns {ShopOperationInfo} Operation information object.
      */
     public buy<
@@ -141,7 +168,8 @@ declare class Items {
         itemID: number,
         quantity?: number,
         currency?: string,
-        reason?: string
+        reason?: string,
+        coupon?: string
     ): ShopOperationInfo<T>
 
     /**
@@ -160,12 +188,35 @@ declare class Items {
     public get<T extends object = any>(itemID: string | number): InventoryItem<T>
 
     /**
-     * Uses the item: returns the item usage message and removes the item from user's inventory.
+     * Uses the item: applies its effects, returns the item usage message
+     * and removes the item from user's inventory.
+     * @param {string | number} itemID Item ID or name.
+     * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
+     * @returns {?string} Item message or 'null' if the item was not found.
+     */
+    public use(itemID: string | number, client?: any): string | null
+
+    /**
+     * Uses the item: applies its effects, returns the item usage result
+     * and removes the item from user's inventory.
      * @param {string | number} itemID Item ID or name.
      * @param {Client} [client] Discord Client. [Specify if the role will be given on a Discord server]
-     * @returns {string} Item message.
+     * @returns {ItemUseResult} Item usage result.
+     */
+    public useWithResult<T extends object = any>(itemID: string | number, client?: any): ItemUseResult<T>
+
+    /**
+     * Gets the effects of the used items that are still active.
+     * @returns {ItemEffectData[]} User's active item effects.
+     */
+    public effects<T extends object = any>(): ItemEffectData<T>[]
+
+    /**
+     * Removes the expired items from user's inventory and the expired effects of the used items.
+     * @param {Client} [client] Discord Client. [Specify if the role will be removed on a Discord server]
+     * @returns {ItemExpireData[]} Expired items and effects.
      */
-    public use(itemID: string | number, client?: any): string
+    public purgeExpired<T extends object = any>(client?: any): ItemExpireData<T>[]
 
     /**
      * Returns the stacked item in user inventory: it will have the quantity and total price of the item.
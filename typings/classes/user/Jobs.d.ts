@@ -0,0 +1,38 @@
+import EmploymentData from '../../interfaces/EmploymentData'
+import JobOperationInfo from '../../interfaces/JobOperationInfo'
+
+import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
+import DatabaseManager from '../../managers/DatabaseManager'
+
+
+declare class Jobs {
+    public constructor(memberID: string, guildID: string, options: EconomyConfiguration, database: DatabaseManager)
+
+    /**
+    * Gets the user's current employment.
+    * @returns User's employment or 'null' if the user is not employed.
+    */
+    public current(): EmploymentData
+
+    /**
+    * Employs the user in the job.
+    * @param jobID Job ID or name.
+    * @returns Operation information object.
+    */
+    public apply(jobID: string | number): JobOperationInfo
+
+    /**
+    * Makes the user quit their job.
+    * @returns Operation information object.
+    */
+    public quit(): JobOperationInfo
+
+    /**
+    * Promotes the user to another job.
+    * @param jobID ID or name of the job to promote the user to. Default: the 'promoteTo' job of the current job.
+    * @returns Operation information object.
+    */
+    public promote(jobID?: string | number): JobOperationInfo
+}
+
+export = Jobs
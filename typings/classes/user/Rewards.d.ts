@@ -1,4 +1,5 @@
 import RewardObject from '../../interfaces/RewardObject'
+import CustomRewardObject from '../../interfaces/CustomRewardObject'
 import EconomyConfiguration from '../../interfaces/EconomyConfiguration'
 import DatabaseManager from '../../managers/DatabaseManager'
 
@@ -18,6 +19,14 @@ declare class Rewards {
         isRewardArray extends boolean = false
     >(reward: RewardType, reason?: string): RewardObject<isRewardArray, typeof reward>
 
+    /**
+    * Adds a specified reward on user's balance.
+    * @param reward Name of the built-in or the registered custom reward.
+    * @param reason The reason why the money was added.
+    * @returns Reward object.
+    */
+    public receive(reward: string, reason?: string): CustomRewardObject
+
     /**
     * Adds a daily reward on user's balance.
     * @param reason The reason why the money was added. Default: 'claimed the daily reward'
@@ -62,6 +71,14 @@ declare class Rewards {
     public getHourly<
         isRewardArray extends boolean = false
     >(reason?: string): RewardObject<isRewardArray, RewardType.HOURLY>
+
+    /**
+    * Adds a custom reward on user's balance.
+    * @param name Name of the registered reward.
+    * @param reason The reason why the money was added. Default: 'claimed the {name} reward'
+    * @returns Custom reward object.
+    */
+    public getCustom(name: string, reason?: string): CustomRewardObject
 }
 
 export = Rewards
@@ -1,4 +1,8 @@
 import CustomItemData from "./CustomItemData"
+import ItemEffect from "./ItemEffect"
+import ItemRestockOptions from "./ItemRestockOptions"
+import ItemPrice from "./ItemPrice"
+import ItemRequirementsOptions from './ItemRequirementsOptions'
 
 /**
  * Options of 'ShopManager.addItem()' method.
@@ -11,9 +15,15 @@ declare interface AddItemOptions<T extends object = any> {
     name: string
 
     /**
-     * Item price.
+     * Item price. Can be omitted if the prices are specified:
+     * then the price in the main balance is used, or 0.
      */
-    price: number
+    price?: number
+
+    /**
+     * Prices of the item in the currencies. If specified, the item can only be bought for them.
+     */
+    prices?: ItemPrice[]
 
     /**
      * The message that will be returned on item use.
@@ -36,6 +46,58 @@ declare interface AddItemOptions<T extends object = any> {
      */
     role?: string
 
+    /**
+     * How long the item lasts after it was bought (in ms). 'null' means forever.
+     */
+    duration?: number
+
+    /**
+     * Effects that will be applied on item use, in order.
+     */
+    effects?: ItemEffect[]
+
+    /**
+     * Amount of the items in the shop. 'null' means unlimited.
+     * If the restock schedule is specified, defaults to 0.
+     */
+    stock?: number
+
+    /**
+     * Restock schedule of the item.
+     */
+    restock?: ItemRestockOptions
+
+    /**
+     * Item category.
+     */
+    category?: string
+
+    /**
+     * Position of the item in the search results, in ascending order. Default: 0.
+     */
+    sortOrder?: number
+
+    /**
+     * If true, the item is not listed in the search results and can only be found or bought by its ID.
+     * Default: false.
+     */
+    hidden?: boolean
+
+    /**
+     * Date when the item becomes available. Default: null.
+     */
+    availableFrom?: Date | number
+
+    /**
+     * Date when the item stops being available. Default: null.
+     */
+    availableUntil?: Date | number
+
+    /**
+     * Requirements that the member must meet to buy the item. Default: null.
+     */
+    requirements?: ItemRequirementsOptions
+
     /**
      * Custom item data object.
      */
@@ -0,0 +1,60 @@
+import DiscountType from './DiscountType'
+
+/**
+ * Coupon options.
+ */
+declare interface CouponOptions {
+
+    /**
+     * Coupon code without spaces. Case-insensitive.
+     */
+    code: string
+
+    /**
+     * Discount type. Default: 'percent'.
+     */
+    type?: DiscountType
+
+    /**
+     * Discount percent (up to 100) or amount of money.
+     */
+    discount: number
+
+    /**
+     * Currency ID, its name or its symbol, or 'money' for the main balance, that the flat discount is taken in.
+     * Default: 'money'.
+     */
+    currency?: string | number
+
+    /**
+     * IDs or names of the items that the coupon applies to. Default: all.
+     */
+    items?: Array<string | number>
+
+    /**
+     * Categories of the items that the coupon applies to. Default: all.
+     */
+    categories?: string[]
+
+    /**
+     * Date when the coupon expires. Default: never.
+     */
+    expiresAt?: Date | number
+
+    /**
+     * How long the coupon lasts in milliseconds or as a time string (e.g. '7d'), if the expiry date is not specified.
+     */
+    duration?: number | string
+
+    /**
+     * How many times the coupon can be used in total. Default: no limit.
+     */
+    maxUses?: number
+
+    /**
+     * How many times each user can use the coupon. Default: no limit.
+     */
+    maxUsesPerUser?: number
+}
+
+export = CouponOptions
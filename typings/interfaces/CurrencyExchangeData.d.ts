@@ -0,0 +1,52 @@
+/**
+ * Data of the 'currencyExchange' event.
+ */
+declare interface CurrencyExchangeData {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * Member ID.
+     */
+    memberID: string
+
+    /**
+     * Source currency ID or 'money' for the main balance.
+     */
+    from: number | 'money'
+
+    /**
+     * Target currency ID or 'money' for the main balance.
+     */
+    to: number | 'money'
+
+    /**
+     * Amount of the source currency that was subtracted.
+     */
+    amount: number
+
+    /**
+     * Amount of the source currency that was taken as a fee.
+     */
+    fee: number
+
+    /**
+     * Amount of the target currency that was added.
+     */
+    received: number
+
+    /**
+     * The rate the exchange was made at, with the spread applied.
+     */
+    rate: number
+
+    /**
+     * The reason of the operation.
+     */
+    reason: string
+}
+
+export = CurrencyExchangeData
@@ -0,0 +1,7 @@
+/**
+ * Discount type: 'percent' takes the percent of all the amounts of the price,
+ * 'flat' takes the amount of money in one currency.
+ */
+type DiscountType = 'percent' | 'flat'
+
+export = DiscountType
@@ -12,8 +12,14 @@ declare type EconomyErrorCodes =
     'READONLY_PROPERTY' |
     'INVALID_PROPERTY' |
     'CURRENCY_NOT_FOUND' |
+    'ITEM_EFFECT_NOT_FOUND' |
+    'REWARD_NOT_FOUND' |
+    'EXCHANGE_RATE_NOT_FOUND' |
+    'SEASON_ALREADY_STARTED' |
+    'COUPON_ALREADY_EXISTS' |
     'INVALID_ERROR_CODE' |
     'MODULE_NOT_READY' |
-    'STORAGE_FILE_ERROR'
+    'STORAGE_FILE_ERROR' |
+    'STORAGE_ADAPTER_ERROR'
 
 export = EconomyErrorCodes
\ No newline at end of file
@@ -1,10 +1,22 @@
 import BalanceData from './BalanceData'
+import BankInterestData from './BankInterestData'
+import DailyStreakEventData from './DailyStreakEventData'
+import CurrencyExchangeData from './CurrencyExchangeData'
+import JobEventData from './JobEventData'
+import SeasonEventData from './SeasonEventData'
 
 import ItemData from './ItemData'
 import EditedItemData from './EditedItemData'
 
 import ItemUseData from './ItemUseData'
 import ItemBuyData from './ItemBuyData'
+import ItemRestockData from './ItemRestockData'
+import ItemExpireData from './ItemExpireData'
+import ItemRoleExpireData from './ItemRoleExpireData'
+
+import CouponEventData from './CouponEventData'
+import CouponUseData from './CouponUseData'
+import SaleEventData from './SaleEventData'
 
 import Currency from '../classes/Currency'
 import Economy from '../Economy'
@@ -45,6 +57,11 @@ declare interface EconomyEvents {
      */
     bankSubtract: BalanceData<'balanceSubtract'>
 
+    /**
+     * Emits when the bank interest was accrued on someone's bank balance.
+     */
+    bankInterest: BankInterestData
+
     /**
      * Emits when someone's custom currency was set
      */
@@ -66,6 +83,11 @@ declare interface EconomyEvents {
         currency: Currency
     }
 
+    /**
+     * Emits when someone's exchanged the money between two currencies.
+     */
+    currencyExchange: CurrencyExchangeData
+
     /**
      * Emits when someone's added an item in the shop.
      */
@@ -86,11 +108,96 @@ declare interface EconomyEvents {
      */
     shopItemBuy: ItemBuyData
 
+    /**
+     * Emits when the due restock of an item in the shop is applied.
+     */
+    shopItemRestock: ItemRestockData
+
+    /**
+     * Emits when someone's bought the last items in the stock of an item in the shop.
+     */
+    shopItemSoldOut: ItemBuyData
+
+    /**
+     * Emits when a coupon is created in the shop.
+     */
+    couponCreate: CouponEventData
+
+    /**
+     * Emits when a coupon is deleted from the shop.
+     */
+    couponDelete: CouponEventData
+
+    /**
+     * Emits when someone's bought an item from the shop with a coupon.
+     */
+    couponUse: CouponUseData
+
+    /**
+     * Emits when a timed sale is created in the shop.
+     */
+    saleCreate: SaleEventData
+
+    /**
+     * Emits when a timed sale is deleted from the shop.
+     */
+    saleDelete: SaleEventData
+
     /**
      * Emits when someone's used the item from their inventory.
      */
     shopItemUse: ItemUseData
 
+    /**
+     * Emits when an item in someone's inventory or an effect of the used item has expired.
+     */
+    shopItemExpire: ItemExpireData
+
+    /**
+     * Emits when an effect of the used role item has expired and the role should be removed.
+     */
+    shopItemRoleExpire: ItemRoleExpireData
+
+    /**
+     * Emits when someone's claimed the daily reward and continued or started their daily streak.
+     */
+    dailyStreakIncrease: DailyStreakEventData
+
+    /**
+     * Emits when someone's claimed the daily reward after the streak grace window and lost their daily streak.
+     */
+    dailyStreakBroken: DailyStreakEventData
+
+    /**
+     * Emits when someone's applied for a job and was hired.
+     */
+    jobApply: JobEventData<'jobApply'>
+
+    /**
+     * Emits when someone's quit their job.
+     */
+    jobQuit: JobEventData<'jobQuit'>
+
+    /**
+     * Emits when someone's been promoted to another job.
+     */
+    jobPromote: JobEventData<'jobPromote'>
+
+    /**
+     * Emits when a season has started in the guild.
+     */
+    seasonStart: SeasonEventData<'seasonStart'>
+
+    /**
+     * Emits when a season has ended in the guild and its final leaderboard was archived.
+     */
+    seasonEnd: SeasonEventData<'seasonEnd'>
+
+    /**
+     * Emits when writing the changes to the storage file has failed.
+     */
+    storageError: Error
+
     /**
      * Emits when the module is ready.
      */
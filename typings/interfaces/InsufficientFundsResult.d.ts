@@ -0,0 +1,18 @@
+/**
+ * The result of the operation that was not performed
+ * because it would take the balance below the limit allowed by the overdraft policy.
+ */
+interface InsufficientFundsResult {
+
+    /**
+     * Operation status.
+     */
+    status: false
+
+    /**
+     * The reason why the operation was not performed.
+     */
+    reason: 'insufficient funds'
+}
+
+export = InsufficientFundsResult
@@ -0,0 +1,17 @@
+/**
+ * The result of the transfer that was not performed because of a negative amount.
+ */
+interface InvalidAmountResult {
+
+    /**
+     * Operation status.
+     */
+    status: false
+
+    /**
+     * The reason why the operation was not performed.
+     */
+    reason: 'invalid amount'
+}
+
+export = InvalidAmountResult
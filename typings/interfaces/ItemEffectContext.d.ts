@@ -0,0 +1,66 @@
+import BalanceManager from '../managers/BalanceManager'
+import BankManager from '../managers/BankManager'
+import CooldownManager from '../managers/CooldownManager'
+import DatabaseManager from '../managers/DatabaseManager'
+import InventoryManager from '../managers/InventoryManager'
+import RewardManager from '../managers/RewardManager'
+
+import InventoryItem from '../classes/InventoryItem'
+
+/**
+ * Item usage context that is passed in item effect handlers.
+ */
+export interface ItemEffectContext<T extends object = any> {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * Member ID.
+     */
+    memberID: string
+
+    /**
+     * The item that is being used.
+     */
+    item: InventoryItem<T>
+
+    /**
+     * Balance Manager.
+     */
+    balance: BalanceManager
+
+    /**
+     * Bank Manager.
+     */
+    bank: BankManager
+
+    /**
+     * Inventory Manager.
+     */
+    inventory: InventoryManager
+
+    /**
+     * Cooldown Manager.
+     */
+    cooldowns: CooldownManager
+
+    /**
+     * Reward Manager.
+     */
+    rewards: RewardManager
+
+    /**
+     * Database Manager.
+     */
+    database: DatabaseManager
+}
+
+/**
+ * The function that applies the item effect.
+ * Returns the information about what was done.
+ */
+export type ItemEffectHandler<P extends object = any, R = any> =
+    (params: P, context: ItemEffectContext) => R
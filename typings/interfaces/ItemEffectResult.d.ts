@@ -0,0 +1,22 @@
+/**
+ * Effect that was applied on item use.
+ */
+declare interface ItemEffectResult<R = any, P extends object = any> {
+
+    /**
+     * Name of the applied effect.
+     */
+    type: string
+
+    /**
+     * Parameters the effect was applied with.
+     */
+    params: P
+
+    /**
+     * The information about what was done, returned from the effect handler.
+     */
+    result: R
+}
+
+export = ItemEffectResult
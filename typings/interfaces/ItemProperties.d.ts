@@ -1,13 +1,28 @@
 import CustomItemData from '../interfaces/CustomItemData'
+import ItemEffect from '../interfaces/ItemEffect'
+import ItemRestockOptions from '../interfaces/ItemRestockOptions'
+import ItemPrice from '../interfaces/ItemPrice'
+import ItemRequirementsOptions from '../interfaces/ItemRequirementsOptions'
 
 export interface ItemProperties<T extends object = any> {
     id: number
     name: string
     description: string
     price: number
+    prices: ItemPrice[]
     message: string
     maxAmount: number
     role: string
+    duration: number
+    effects: ItemEffect[]
+    stock: number
+    restock: ItemRestockOptions
+    category: string
+    sortOrder: number
+    hidden: boolean
+    availableFrom: number
+    availableUntil: number
+    requirements: ItemRequirementsOptions
     date: string
     custom: CustomItemData<T>
 }
@@ -0,0 +1,32 @@
+/**
+ * Purchase requirements options of the shop item.
+ */
+declare interface ItemRequirementsOptions {
+
+    /**
+     * IDs of the Discord roles that the member must have.
+     */
+    roles?: string[]
+
+    /**
+     * Min age of the member's economy account in milliseconds or as a time string (e.g. '7d').
+     */
+    accountAge?: number | string
+
+    /**
+     * IDs or names of the items that the member must have in their inventory.
+     */
+    items?: Array<string | number>
+
+    /**
+     * Min level of the member.
+     */
+    level?: number
+
+    /**
+     * Names of the custom requirements that the member must meet (see `ShopManager.registerRequirement()`).
+     */
+    custom?: string[]
+}
+
+export = ItemRequirementsOptions
@@ -0,0 +1,22 @@
+/**
+ * Restock schedule of the shop item.
+ */
+declare interface ItemRestockOptions {
+
+    /**
+     * Amount of the items that are added to the stock on each restock.
+     */
+    amount: number
+
+    /**
+     * Time between the restocks in ms or as a time string (e.g. '24h').
+     */
+    interval: number | string
+
+    /**
+     * Max stock that the restocks can fill the item up to. Default: no limit.
+     */
+    max?: number
+}
+
+export = ItemRestockOptions
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Job object.
+ */
+declare interface Job {
+
+    /**
+     * Job ID.
+     */
+    id: number
+
+    /**
+     * Job name.
+     */
+    name: string
+
+    /**
+     * Job description.
+     */
+    description: string
+
+    /**
+     * Amount of money for each shift. Could be a [min, max] range.
+     */
+    pay: number | [number, number]
+
+    /**
+     * Cooldown between the shifts (in ms). 'null' means the work reward cooldown.
+     */
+    cooldown: number
+
+    /**
+     * Minimal user level to apply for the job.
+     */
+    requiredLevel: number
+
+    /**
+     * IDs or names of the items the user must have to apply.
+     */
+    requiredItems: Array<string | number>
+
+    /**
+     * Flavor messages; one of them is picked randomly for each shift.
+     */
+    messages: string[]
+
+    /**
+     * Amount of shifts after which the user is promoted.
+     */
+    promoteAfter: number
+
+    /**
+     * ID or name of the job the user is promoted to.
+     */
+    promoteTo: string | number
+
+    /**
+     * The time when the job was created.
+     */
+    createdAt: number
+}
+
+export = Job
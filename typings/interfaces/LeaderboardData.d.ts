@@ -3,6 +3,11 @@
  */
 declare interface LeaderboardData {
 
+    /**
+     * User's place in the leaderboard.
+     */
+    index: number
+
     /**
      * User ID.
      */
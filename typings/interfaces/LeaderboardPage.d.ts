@@ -0,0 +1,34 @@
+import LeaderboardData from './LeaderboardData'
+
+/**
+ * Leaderboard page object.
+ */
+interface LeaderboardPage {
+
+    /**
+     * Leaderboard entries on the page.
+     */
+    entries: LeaderboardData[]
+
+    /**
+     * Page number.
+     */
+    page: number
+
+    /**
+     * Amount of users on each page.
+     */
+    pageSize: number
+
+    /**
+     * Total amount of pages.
+     */
+    totalPages: number
+
+    /**
+     * Total amount of users in the leaderboard.
+     */
+    totalUsers: number
+}
+
+export = LeaderboardPage
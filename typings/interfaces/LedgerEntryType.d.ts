@@ -0,0 +1,8 @@
+/**
+ * Ledger entry type: the name of the event that was emitted for the money operation.
+ */
+type LedgerEntryType = 'balanceSet' | 'balanceAdd' | 'balanceSubtract' |
+    'bankSet' | 'bankAdd' | 'bankSubtract' | 'bankInterest' |
+    'customCurrencySet' | 'customCurrencyAdd' | 'customCurrencySubtract'
+
+export = LedgerEntryType
@@ -0,0 +1,43 @@
+/**
+ * Net worth leaderboard object.
+ */
+declare interface NetWorthLeaderboard {
+
+    /**
+     * User's place in the leaderboard.
+     */
+    index: number
+
+    /**
+     * User ID.
+     */
+    userID: string
+
+    /**
+     * Total net worth of the user.
+     */
+    netWorth: number
+
+    /**
+     * User's balance.
+     */
+    balance: number
+
+    /**
+     * User's bank balance.
+     */
+    bank: number
+
+    /**
+     * Sum of the user's custom currency balances multiplied by their weights.
+     */
+    currencies: number
+
+    /**
+     * Value of the user's inventory items.
+     */
+    inventory: number
+}
+
+
+export = NetWorthLeaderboard
@@ -0,0 +1,10 @@
+/**
+ * Overdraft policy. Defines how far below zero the balances can go.
+ *
+ * - 'forbid' - the balances cannot go below zero;
+ * - 'allow' - the balances can go below zero with no limit;
+ * - 'allowUntil: -N' - the balances can go below zero down to -N.
+ */
+type OverdraftPolicy = 'forbid' | 'allow' | `allowUntil: -${number}`
+
+export = OverdraftPolicy
@@ -0,0 +1,17 @@
+/**
+ * Rank options.
+ */
+interface RankOptions {
+
+    /**
+     * Leaderboard to get the rank in. Default: 'money'.
+     */
+    type?: 'money' | 'bank'
+
+    /**
+     * Amount of users above and below the user to include. Default: 2.
+     */
+    range?: number
+}
+
+export = RankOptions
@@ -1,5 +1,9 @@
 import HistoryData from './HistoryData'
 import InventoryData from './InventoryData'
+import ItemEffectData from './ItemEffectData'
+import RewardMultiplierData from './RewardMultiplierData'
+import RewardBoost from './RewardBoost'
+import RawEmploymentData from './RawEmploymentData'
 
 declare interface RawEconomyUser {
 
@@ -28,6 +32,21 @@ declare interface RawEconomyUser {
      */
     hourlyCooldown: number
 
+    /**
+     * User's current daily reward streak.
+     */
+    dailyStreak?: number
+
+    /**
+     * User's best daily reward streak.
+     */
+    bestDailyStreak?: number
+
+    /**
+     * The time when the user's economy account was created.
+     */
+    createdAt?: number
+
     /**
      * User's balance.
      */
@@ -38,11 +57,46 @@ declare interface RawEconomyUser {
      */
     bank: number
 
+    /**
+     * The time when the bank interest was accrued last time.
+     */
+    bankInterestTimestamp?: number
+
     /**
      * User's inventory.
      */
     inventory: InventoryData<any>[]
 
+    /**
+     * Effects of the used items that expire.
+     */
+    effects?: ItemEffectData<any>[]
+
+    /**
+     * Multipliers that will be applied on the next claimed rewards.
+     */
+    rewardMultipliers?: RewardMultiplierData[]
+
+    /**
+     * User's cooldowns of the registered custom rewards.
+     */
+    rewardCooldowns?: Record<string, number>
+
+    /**
+     * End timestamps of the user's named cooldowns.
+     */
+    namedCooldowns?: Record<string, number>
+
+    /**
+     * User's employment.
+     */
+    employment?: RawEmploymentData
+
+    /**
+     * User's timed reward boosts.
+     */
+    rewardBoosts?: RewardBoost[]
+
     /**
      * User's purchases history.
      */
@@ -0,0 +1,27 @@
+/**
+ * Raw user's employment object from database.
+ */
+declare interface RawEmploymentData {
+
+    /**
+     * ID of the job the user is employed in.
+     */
+    jobID: number
+
+    /**
+     * Amount of shifts the user has worked since they were hired or promoted.
+     */
+    shifts: number
+
+    /**
+     * The time when the user was hired.
+     */
+    hiredAt: number
+
+    /**
+     * The time when the user was promoted the last time.
+     */
+    promotedAt: number
+}
+
+export = RawEmploymentData
@@ -0,0 +1,8 @@
+import RequirementContext from './RequirementContext'
+
+/**
+ * The function that checks if the member meets the custom purchase requirement.
+ */
+declare type RequirementPredicate = (context: RequirementContext) => boolean
+
+export = RequirementPredicate
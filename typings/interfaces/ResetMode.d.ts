@@ -0,0 +1,10 @@
+/**
+ * Reset mode of the daily, weekly and monthly rewards.
+ *
+ * - 'rolling' - the reward can be claimed again when its cooldown passes after the claim;
+ * - 'calendar' - the reward resets at the next midnight, Monday midnight
+ * or the 1st day of the month in the guild time zone.
+ */
+declare type ResetMode = 'rolling' | 'calendar'
+
+export = ResetMode
@@ -0,0 +1,32 @@
+/**
+ * Options of the user's timed reward boost.
+ */
+declare interface RewardBoostData {
+
+    /**
+     * Duration of the boost: in ms or a time string (e.g. '1h').
+     */
+    duration: number | string
+
+    /**
+     * Name of the boost.
+     */
+    name?: string
+
+    /**
+     * The number that the reward will be multiplied by. Default: 1.
+     */
+    multiplier?: number
+
+    /**
+     * The amount of money that will be added to the reward. Default: 0.
+     */
+    bonus?: number
+
+    /**
+     * Names of the rewards to boost. If not specified, all rewards are boosted.
+     */
+    rewards?: string | string[]
+}
+
+export = RewardBoostData
@@ -0,0 +1,59 @@
+import RewardModifierSource from './RewardModifierSource'
+
+/**
+ * Guild reward modifier.
+ */
+declare interface RewardModifier {
+
+    /**
+     * Modifier ID.
+     */
+    id: number
+
+    /**
+     * Name of the modifier.
+     */
+    name: string | null
+
+    /**
+     * Source of the modifier.
+     */
+    source: RewardModifierSource
+
+    /**
+     * Discord role ID.
+     */
+    roleID: string | null
+
+    /**
+     * ID or name of the shop item.
+     */
+    itemID: string | number | null
+
+    /**
+     * Names of the rewards to modify. 'null' means all rewards.
+     */
+    rewards: string[] | null
+
+    /**
+     * The number that the reward is multiplied by.
+     */
+    multiplier: number
+
+    /**
+     * The amount of money that is added to the reward.
+     */
+    bonus: number
+
+    /**
+     * The time when the modifier starts to apply.
+     */
+    startsAt: number | null
+
+    /**
+     * The time when the modifier stops to apply.
+     */
+    endsAt: number | null
+}
+
+export = RewardModifier
@@ -0,0 +1,54 @@
+import RewardModifierSource from './RewardModifierSource'
+
+/**
+ * Options of the guild reward modifier.
+ */
+declare interface RewardModifierData {
+
+    /**
+     * Source of the modifier.
+     */
+    source: RewardModifierSource
+
+    /**
+     * Discord role ID. Required for the 'role' modifiers.
+     */
+    roleID?: string
+
+    /**
+     * ID or name of the shop item. Required for the 'item' modifiers.
+     */
+    itemID?: string | number
+
+    /**
+     * Name of the modifier.
+     */
+    name?: string
+
+    /**
+     * The number that the reward will be multiplied by. Default: 1.
+     */
+    multiplier?: number
+
+    /**
+     * The amount of money that will be added to the reward. Default: 0.
+     */
+    bonus?: number
+
+    /**
+     * Names of the rewards to modify. If not specified, all rewards are modified.
+     */
+    rewards?: string | string[]
+
+    /**
+     * The time when the modifier starts to apply.
+     */
+    startsAt?: number | Date
+
+    /**
+     * The time when the modifier stops to apply.
+     */
+    endsAt?: number | Date
+}
+
+export = RewardModifierData
@@ -0,0 +1,10 @@
+/**
+ * Source of the reward modifier.
+ *
+ * - 'role' - the member has the Discord role;
+ * - 'item' - the member has the item in their inventory;
+ * - 'event' - the modifier applies to everyone in the guild.
+ */
+declare type RewardModifierSource = 'role' | 'item' | 'event'
+
+export = RewardModifierSource
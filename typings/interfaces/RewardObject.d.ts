@@ -1,6 +1,9 @@
 import If from './If'
 
 import RewardCooldownData from './RewardCooldownData'
+import AppliedRewardModifier from './AppliedRewardModifier'
+import DailyStreakData from './DailyStreakData'
+import Job from './Job'
 import { Reward, RewardType } from '../interfaces/RewardTypes'
 
 
@@ -25,14 +28,44 @@ declare interface RewardObject<RewardArray extends boolean = boolean, RewardObje
     cooldown: RewardCooldownData
 
     /**
-     * Amount of money that the user received.
+     * Amount of money that the user received: the base reward with all the modifiers applied.
      */
     reward: number
 
+    /**
+     * Amount of money for the reward before the modifiers were applied.
+     */
+    baseReward: number
+
+    /**
+     * Reward modifiers that were applied.
+     */
+    modifiers: AppliedRewardModifier[]
+
     /**
      * Reward that was specified in a module configuration.
      */
     defaultReward: If<RewardArray, [number, number], number>
+
+    /**
+     * Daily streak information. Only for the daily reward.
+     */
+    streak?: DailyStreakData
+
+    /**
+     * The job the user worked in. Only for the work reward.
+     */
+    job?: Job
+
+    /**
+     * The job message that was picked. Only for the work reward.
+     */
+    message?: string
+
+    /**
+     * The job the user was promoted to after the shift. Only for the work reward.
+     */
+    promotedTo?: Job
 }   
 
 export = RewardObject
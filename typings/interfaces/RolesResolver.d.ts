@@ -0,0 +1,6 @@
+/**
+ * The function that returns the Discord role IDs of the member.
+ */
+declare type RolesResolver = (memberID: string, guildID: string) => string[]
+
+export = RolesResolver
@@ -0,0 +1,19 @@
+import ShopSale from './ShopSale'
+
+/**
+ * Data of the sale events.
+ */
+declare interface SaleEventData {
+
+    /**
+     * Guild ID.
+     */
+    guildID: string
+
+    /**
+     * The sale that was created or deleted.
+     */
+    sale: ShopSale
+}
+
+export = SaleEventData
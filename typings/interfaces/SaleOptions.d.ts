@@ -0,0 +1,56 @@
+import DiscountType from './DiscountType'
+
+/**
+ * Sale options.
+ */
+declare interface SaleOptions {
+
+    /**
+     * Sale name. Default: 'Sale {id}'.
+     */
+    name?: string
+
+    /**
+     * Discount type. Default: 'percent'.
+     */
+    type?: DiscountType
+
+    /**
+     * Discount percent (up to 100) or amount of money.
+     */
+    discount: number
+
+    /**
+     * Currency ID, its name or its symbol, or 'money' for the main balance, that the flat discount is taken in.
+     * Default: 'money'.
+     */
+    currency?: string | number
+
+    /**
+     * IDs or names of the items that the sale applies to. Default: all.
+     */
+    items?: Array<string | number>
+
+    /**
+     * Categories of the items that the sale applies to. Default: all.
+     */
+    categories?: string[]
+
+    /**
+     * Date when the sale starts. Default: now.
+     */
+    startsAt?: Date | number
+
+    /**
+     * Date when the sale ends. Required if the duration is not specified.
+     */
+    endsAt?: Date | number
+
+    /**
+     * Duration of the sale in milliseconds or as a time string (e.g. '2d').
+     * Required if the end date is not specified.
+     */
+    duration?: number | string
+}
+
+export = SaleOptions
@@ -0,0 +1,44 @@
+import SeasonBalanceReset from './SeasonBalanceReset'
+
+/**
+ * Season object.
+ */
+declare interface Season {
+
+    /**
+     * Season ID.
+     */
+    id: number
+
+    /**
+     * Season name.
+     */
+    name: string
+
+    /**
+     * Season start timestamp.
+     */
+    startedAt: number
+
+    /**
+     * Season end timestamp.
+     */
+    endsAt: number
+
+    /**
+     * What happens to the balances and bank balances when the season ends.
+     */
+    balanceReset: SeasonBalanceReset
+
+    /**
+     * Percent of the balances that is taken when the season ends in 'decay' mode.
+     */
+    decay: number
+
+    /**
+     * Changes of the users' balances and bank balances during the season, by the user ID.
+     */
+    gains: Record<string, number>
+}
+
+export = Season
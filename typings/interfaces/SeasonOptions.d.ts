@@ -0,0 +1,35 @@
+import SeasonBalanceReset from './SeasonBalanceReset'
+
+/**
+ * Season options.
+ */
+declare interface SeasonOptions {
+
+    /**
+     * Season name. Default: 'Season {id}'.
+     */
+    name?: string
+
+    /**
+     * Date when the season ends. Required if the duration is not specified.
+     */
+    endsAt?: Date | number
+
+    /**
+     * Duration of the season in milliseconds or as a time string (e.g. '30d').
+     * Required if the end date is not specified.
+     */
+    duration?: number | string
+
+    /**
+     * What happens to the balances and bank balances when the season ends. Default: 'none'.
+     */
+    balanceReset?: SeasonBalanceReset
+
+    /**
+     * Percent of the balances that is taken when the season ends in 'decay' mode. Default: 0.
+     */
+    decay?: number
+}
+
+export = SeasonOptions
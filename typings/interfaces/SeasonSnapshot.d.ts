@@ -0,0 +1,21 @@
+import LeaderboardData from './LeaderboardData'
+import Season from './Season'
+
+/**
+ * Archived season snapshot object.
+ */
+declare interface SeasonSnapshot extends Omit<Season, 'gains'> {
+
+    /**
+     * Season end timestamp.
+     */
+    endedAt: number
+
+    /**
+     * Final leaderboard of the season.
+     * The amounts are the changes of the users' balances and bank balances during the season.
+     */
+    leaderboard: LeaderboardData[]
+}
+
+export = SeasonSnapshot
@@ -0,0 +1,39 @@
+import ShopSearchSort from './ShopSearchSort'
+
+/**
+ * Shop search options.
+ */
+declare interface ShopSearchOptions {
+
+    /**
+     * Category of the items to find. Case-insensitive.
+     */
+    category?: string
+
+    /**
+     * Min price of the items in the main balance.
+     */
+    minPrice?: number
+
+    /**
+     * Max price of the items in the main balance.
+     */
+    maxPrice?: number
+
+    /**
+     * How to sort the results. Default: 'relevance' if the query is specified, else 'order'.
+     */
+    sort?: ShopSearchSort
+
+    /**
+     * Page number, starting from 1. Default: 1.
+     */
+    page?: number
+
+    /**
+     * Amount of items on each page. Default: 10.
+     */
+    pageSize?: number
+}
+
+export = ShopSearchOptions
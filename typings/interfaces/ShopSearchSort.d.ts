@@ -0,0 +1,8 @@
+/**
+ * How to sort the shop search results: 'relevance' puts the best name matches first,
+ * 'order' sorts the items by their sort order, 'name' by their names,
+ * 'priceAsc' and 'priceDesc' by their prices in the main balance.
+ */
+type ShopSearchSort = 'relevance' | 'order' | 'name' | 'priceAsc' | 'priceDesc'
+
+export = ShopSearchSort
@@ -0,0 +1,24 @@
+/**
+ * The purchase requirement that the member does not meet.
+ */
+declare interface UnmetRequirement {
+
+    /**
+     * Type of the unmet requirement.
+     */
+    type: 'role' | 'accountAge' | 'item' | 'level' | 'custom'
+
+    /**
+     * What is required: the missing role IDs, the min account age (in ms), the missing item IDs or names,
+     * the min level or the name of the custom requirement.
+     */
+    required: string[] | number | Array<string | number> | string
+
+    /**
+     * What the member has: their role IDs, their account age (in ms) or their level.
+     * 'null' for the other requirements.
+     */
+    current: string[] | number
+}
+
+export = UnmetRequirement
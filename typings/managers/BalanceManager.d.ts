@@ -2,11 +2,15 @@ import Emitter from '../classes/util/Emitter'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import LeaderboardData from '../interfaces/LeaderboardData'
+import LeaderboardPage from '../interfaces/LeaderboardPage'
+import LeaderboardPageOptions from '../interfaces/LeaderboardPageOptions'
 
 import TransferingOptions from '../interfaces/TransferingOptions'
 import TransferingResult from '../interfaces/TransferingResult'
 
 import CurrencyFactory from '../interfaces/CurrencyFactory'
+import InsufficientFundsResult from '../interfaces/InsufficientFundsResult'
+import InvalidAmountResult from '../interfaces/InvalidAmountResult'
 
 
 /**
@@ -93,9 +97,9 @@ declare class BalanceManager extends Emitter {
     * @param {string} memberID Member ID.
     * @param {string} guildID Guild ID.
     * @param {string} [reason] The reason why you subtract the money
-    * @returns Money amount
+    * @returns Money amount or 'insufficient funds' result.
     */
-    public subtract(amount: number, memberID: string, guildID: string, reason?: string): number
+    public subtract(amount: number, memberID: string, guildID: string, reason?: string): number | InsufficientFundsResult
 
     /**
      * Deposits the specified amount of money.
@@ -103,24 +107,36 @@ declare class BalanceManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason of the operation.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
-    public deposit(amount: number, memberID: string, guildID: string, reason?: string): number
+    public deposit(amount: number, memberID: string, guildID: string, reason?: string): number | InsufficientFundsResult
 
     /**
-    * Gets a balance leaderboard for specified server
+    * Gets a balance leaderboard for specified guild.
+    *
+    * The users with the same balance are ranked by their IDs in ascending order.
     * @param {string} guildID Guild ID.
-    * @returns Sorted leaderboard array
+    * @returns {LeaderboardData[]} Sorted leaderboard array.
     */
     public leaderboard(guildID: string): LeaderboardData[]
 
+    /**
+    * Gets the requested page of the balance leaderboard for specified guild.
+    *
+    * The users with the same balance are ranked by their IDs in ascending order.
+    * @param {string} guildID Guild ID.
+    * @param {LeaderboardPageOptions} options Leaderboard page options.
+    * @returns {LeaderboardPage} Requested leaderboard page.
+    */
+    public leaderboard(guildID: string, options: LeaderboardPageOptions): LeaderboardPage
+
     /**
      * Transfers the money to specified user.
      * @param {string} guildID Guild ID.
      * @param {TransferingOptions} options Transfering options.
-     * @returns {TransferingResult} Transfering result object.
+     * @returns {TransferingResult | InsufficientFundsResult | InvalidAmountResult} Transfering result object.
      */
-    public transfer(guildID: string, options: TransferingOptions): TransferingResult
+    public transfer(guildID: string, options: TransferingOptions): TransferingResult | InsufficientFundsResult | InvalidAmountResult
 }
 
 export = BalanceManager
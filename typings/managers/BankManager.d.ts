@@ -2,6 +2,9 @@ import Emitter from '../classes/util/Emitter'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import LeaderboardData from '../interfaces/LeaderboardData'
+import LeaderboardPage from '../interfaces/LeaderboardPage'
+import LeaderboardPageOptions from '../interfaces/LeaderboardPageOptions'
+import InsufficientFundsResult from '../interfaces/InsufficientFundsResult'
 
 /**
  * Bank balance manager methods class.
@@ -12,6 +15,10 @@ declare class BankManager extends Emitter {
 
     /**
     * Fetches the user's bank balance.
+    *
+    * [!] This method writes to the database: the bank interest that the user has earned since the last accrual
+    * is applied with `BankManager.applyInterest()` before the balance is returned,
+    * so the read may add the interest to the bank balance, record it in the ledger and emit the `bankInterest` event.
     * @param {string} memberID Member ID.
     * @param {string} guildID Guild ID.
     * @returns User's bank balance
@@ -54,9 +61,9 @@ declare class BankManager extends Emitter {
     * @param {string} memberID Member ID.
     * @param {string} guildID Guild ID.
     * @param {string} [reason] The reason why you subtract the money
-    * @returns Money amount
+    * @returns Money amount or 'insufficient funds' result.
     */
-    public subtract(amount: number, memberID: string, guildID: string, reason?: string): number
+    public subtract(amount: number, memberID: string, guildID: string, reason?: string): number | InsufficientFundsResult
 
     /**
      * Withdraws the specified amount of money.
@@ -64,16 +71,50 @@ declare class BankManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason of the operation.
-     * @returns {number} Money amount.
+     * @returns {number | InsufficientFundsResult} Money amount or 'insufficient funds' result.
      */
-    public withdraw(amount: number, memberID: string, guildID: string, reason?: string): number
+    public withdraw(amount: number, memberID: string, guildID: string, reason?: string): number | InsufficientFundsResult
 
     /**
-    * Gets a bank balance leaderboard for your server
+     * Applies the bank interest that the user has earned since the last accrual.
+     *
+     * The interest is compounded every `bankInterestPeriod` milliseconds;
+     * the periods that have not ended yet are accrued on the next call.
+     *
+     * [!] The interest starts to accrue from the first call for the user that has a bank balance in the database.
+     * When the interest is disabled in the guild, the accrual time is reset.
+     * @param {string} memberID Member ID.
+     * @param {string} guildID Guild ID.
+     * @returns Amount of the accrued interest.
+     */
+    public applyInterest(memberID: string, guildID: string): number
+
+    /**
+     * Applies the bank interest to all the users in the guild,
+     * or in all the guilds if the guild is not specified.
+     * @param {string} [guildID] Guild ID.
+     * @returns Total amount of the accrued interest.
+     */
+    public sweepInterest(guildID?: string): number
+
+    /**
+    * Gets a bank balance leaderboard for specified guild.
+    *
+    * The users with the same bank balance are ranked by their IDs in ascending order.
     * @param {string} guildID Guild ID.
-    * @returns Sorted leaderboard array
+    * @returns {LeaderboardData[]} Sorted leaderboard array.
     */
     public leaderboard(guildID: string): LeaderboardData[]
+
+    /**
+    * Gets the requested page of the bank balance leaderboard for specified guild.
+    *
+    * The users with the same bank balance are ranked by their IDs in ascending order.
+    * @param {string} guildID Guild ID.
+    * @param {LeaderboardPageOptions} options Leaderboard page options.
+    * @returns {LeaderboardPage} Requested leaderboard page.
+    */
+    public leaderboard(guildID: string, options: LeaderboardPageOptions): LeaderboardPage
 }
 
 export = BankManager
\ No newline at end of file
@@ -1,4 +1,5 @@
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import RewardCooldownData from '../interfaces/RewardCooldownData'
 
 /**
 * Cooldown manager methods class.
@@ -101,6 +102,67 @@ declare class CooldownManager {
    * @returns Cooldown end timestamp.
    */
    public getHourly(memberID: string, guildID: string): number
+
+   /**
+   * Gets user's cooldown of the registered custom reward.
+   * @param {string} rewardName Name of the registered reward.
+   * @param {string} memberID Member ID.
+   * @param {string} guildID Guild ID.
+   * @returns Cooldown end timestamp.
+   */
+   public getCustom(rewardName: string, memberID: string, guildID: string): number
+
+   /**
+   * Clears user's cooldown of the registered custom reward.
+   * @param {string} rewardName Name of the registered reward.
+   * @param {string} memberID Member ID.
+   * @param {string} guildID Guild ID.
+   * @returns {boolean} If cleared: true; else: false.
+   */
+   public clearCustom(rewardName: string, memberID: string, guildID: string): boolean
+
+   /**
+   * Sets the user's named cooldown.
+   *
+   * Named cooldowns are not tied to any reward and can be used
+   * for the custom commands (e.g. 'rob', 'beg' or 'fish').
+   * @param {string} name Cooldown name.
+   * @param {string} memberID Member ID.
+   * @param {string} guildID Guild ID.
+   * @param {number | string} duration Cooldown duration: in ms or a time string (e.g. '30m').
+   * @returns Cooldown object.
+   */
+   public set(name: string, memberID: string, guildID: string, duration: number | string): RewardCooldownData
+
+   /**
+   * Checks the user's named cooldown.
+   *
+   * [!] If the cooldown has expired, it will be removed from the database.
+   * @param {string} name Cooldown name.
+   * @param {string} memberID Member ID.
+   * @param {string} guildID Guild ID.
+   * @returns Cooldown object or 'null' if the cooldown is not active.
+   */
+   public check(name: string, memberID: string, guildID: string): RewardCooldownData
+
+   /**
+   * Clears the user's named cooldown.
+   * @param {string} name Cooldown name.
+   * @param {string} memberID Member ID.
+   * @param {string} guildID Guild ID.
+   * @returns {boolean} If cleared: true; else: false.
+   */
+   public clear(name: string, memberID: string, guildID: string): boolean
+
+   /**
+   * Lists all the user's active named cooldowns.
+   *
+   * [!] The expired cooldowns will be removed from the database.
+   * @param {string} memberID Member ID.
+   * @param {string} guildID Guild ID.
+   * @returns Object with the cooldown names as keys.
+   */
+   public list(memberID: string, guildID: string): Record<string, RewardCooldownData>
 }
 
 export = CooldownManager
\ No newline at end of file
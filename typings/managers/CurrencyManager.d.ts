@@ -5,6 +5,12 @@ import CustomItemData from '../interfaces/CustomItemData'
 
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 import DatabaseManager from './DatabaseManager'
+import InsufficientFundsResult from '../interfaces/InsufficientFundsResult'
+import LeaderboardData from '../interfaces/LeaderboardData'
+
+import ExchangeRate from '../interfaces/ExchangeRate'
+import ExchangeRateOptions from '../interfaces/ExchangeRateOptions'
+import ExchangeResult from '../interfaces/ExchangeResult'
 
 /**
 * Currency manager methods class.
@@ -253,9 +259,9 @@ declare class CurrencyManager extends Emitter {
      * @param {string} memberID Member ID.
      * @param {string} guildID Guild ID.
      * @param {string} [reason] The reason why the money was subtracted.
-     * @returns {number} Amount of money that was subtracted.
+     * @returns {number | InsufficientFundsResult} Amount of money that was subtracted or 'insufficient funds' result.
      */
-    public subtractBalance(currencyID: number, amount: number, memberID: string, guildID: string, reason?: string): number
+    public subtractBalance(currencyID: number, amount: number, memberID: string, guildID: string, reason?: string): number | InsufficientFundsResult
 
     /**
      * Deletes the currency object and all its balances in a specified guild.
@@ -296,6 +302,85 @@ declare class CurrencyManager extends Emitter {
      * @returns {boolean} If cleared: true, else: false.
      */
     public clear(guildID: string): boolean
+
+    /**
+     * Sets the exchange rate between two currencies.
+     *
+     * The rate is used in both directions: the opposite exchange is made at the inverse rate.
+     * Use 'money' as a currency ID to set the rate relative to the main balance:
+     * the currencies that have no rate between each other are exchanged through it.
+     * @param fromID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param toID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param rate Amount of the target currency for 1 unit of the source currency.
+     * @param guildID Guild ID.
+     * @param options Exchange fee and spread.
+     * @returns Exchange rate object.
+     */
+    public setExchangeRate(
+        fromID: string | number,
+        toID: string | number,
+        rate: number,
+        guildID: string,
+        options?: ExchangeRateOptions
+    ): ExchangeRate
+
+    /**
+     * Deletes the exchange rate between two currencies in both directions.
+     * @param fromID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param toID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param guildID Guild ID.
+     * @returns If deleted: true, else: false.
+     */
+    public deleteExchangeRate(fromID: string | number, toID: string | number, guildID: string): boolean
+
+    /**
+     * Gets the exchange rate between two currencies.
+     *
+     * If there is no rate for the pair, the rate through the main balance is returned.
+     * @param fromID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param toID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param guildID Guild ID.
+     * @returns Exchange rate object or 'null' if the currencies cannot be exchanged.
+     */
+    public getExchangeRate(fromID: string | number, toID: string | number, guildID: string): ExchangeRate
+
+    /**
+     * Gets all the exchange rates that were set in the guild.
+     * @param guildID Guild ID.
+     * @returns Exchange rates array.
+     */
+    public getExchangeRates(guildID: string): ExchangeRate[]
+
+    /**
+     * Gets a leaderboard of the currency balances for specified guild.
+     * @param currencyID Currency ID, its name or its symbol.
+     * @param guildID Guild ID.
+     * @returns Sorted leaderboard array.
+     */
+    public leaderboard(currencyID: string | number, guildID: string): LeaderboardData[]
+
+    /**
+     * Exchanges the money between two currencies of the member.
+     *
+     * The fee is taken from the exchanged amount, and the rest is converted at the exchange rate
+     * made worse by half of the spread. The amounts are rounded to hundredths.
+     * The money is subtracted and added in a single transaction, and both operations are recorded in the ledger.
+     * @param fromID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param toID Currency ID, its name or its symbol, or 'money' for the main balance.
+     * @param amount Amount of the source currency to exchange.
+     * @param memberID Member ID.
+     * @param guildID Guild ID.
+     * @param reason The reason of the operation. Default: 'exchanging currencies'.
+     * @returns Exchange result or 'insufficient funds' result.
+     */
+    public exchange(
+        fromID: string | number,
+        toID: string | number,
+        amount: number,
+        memberID: string,
+        guildID: string,
+        reason?: string
+    ): ExchangeResult | InsufficientFundsResult
 }
 
 export = CurrencyManager
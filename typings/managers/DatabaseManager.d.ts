@@ -1,5 +1,8 @@
 import EconomyDatabase from '../../typings/interfaces/EconomyDatabase'
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+import LeaderboardData from '../interfaces/LeaderboardData'
+
+import StorageAdapter from '../adapters/StorageAdapter'
 
 /**
  * Tbase manager methods class.
@@ -7,6 +10,11 @@ import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 declare class DatabaseManager {
     public constructor(options: EconomyConfiguration)
 
+    /**
+     * Storage adapter that all the database operations are performed on.
+     */
+    public adapter: StorageAdapter
+
     /**
     * Gets a list of keys in database.
     * @param {string} key The key in database.
@@ -130,6 +138,37 @@ declare class DatabaseManager {
      */
     public clear(): boolean
 
+    /**
+     * Writes all the pending changes to the storage file immediately.
+     * 
+     * [!] While the Economy instance is running, the changes are written to the storage file automatically
+     * every `updateCountdown` milliseconds, on process exit and on the SIGINT and SIGTERM signals,
+     * and on `Economy.kill()`. Call this method before exiting the process
+     * in any other way (e.g. on the signals that are not listed) to make sure no changes are lost.
+     * @returns {boolean} If any changes were written: true; else: false.
+     */
+    public flush(): boolean
+
+    /**
+     * Gets the users of the guild sorted by the specified property in descending order.
+     * @param {string} guildID Guild ID.
+     * @param {string} property User's property to sort by.
+     * @returns {LeaderboardData[]} Sorted users array.
+     */
+    public leaderboard(guildID: string, property: string): Omit<LeaderboardData, 'index'>[]
+
+    /**
+     * Runs the callback function as a single transaction:
+     * if it throws an error (or the returned promise rejects), all the changes
+     * made to the database during the callback will be rolled back.
+     *
+     * All the events emitted during the transaction are emitted only after it's committed.
+     *
+     * [!] Transactions started inside other transactions are committed together with the outer transaction.
+     * @param {Function} callback The function to run.
+     * @returns {T} The value returned from the callback function.
+     */
+    public transaction<T>(callback: (database: DatabaseManager) => T): T
 
     /**
     * Checks if the element is existing in database.
@@ -0,0 +1,112 @@
+import Emitter from '../classes/util/Emitter'
+
+import DatabaseManager from './DatabaseManager'
+
+import Job from '../interfaces/Job'
+import JobData from '../interfaces/JobData'
+import EmploymentData from '../interfaces/EmploymentData'
+import JobOperationInfo from '../interfaces/JobOperationInfo'
+import LevelResolver from '../interfaces/LevelResolver'
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+
+
+/**
+ * Job manager methods class.
+ * @extends {Emitter}
+ */
+declare class JobManager extends Emitter {
+    public constructor(options: EconomyConfiguration, database: DatabaseManager)
+
+    /**
+    * Sets the function that returns the level of the member.
+    *
+    * The level is used to check the 'requiredLevel' of the jobs. If the resolver is not set,
+    * all the users are considered to be on level 0.
+    * @param resolver The function that receives the member ID and guild ID and returns the member's level.
+    * @returns If set: true.
+    */
+    public setLevelResolver(resolver: LevelResolver): boolean
+
+    /**
+    * Creates the job in the guild.
+    * @param guildID Guild ID.
+    * @param options Job options.
+    * @returns Created job.
+    */
+    public create(guildID: string, options: JobData): Job
+
+    /**
+    * Edits the job in the guild.
+    * @param jobID Job ID or name.
+    * @param guildID Guild ID.
+    * @param options Job options to change.
+    * @returns Edited job or 'null' if the job was not found.
+    */
+    public edit(jobID: string | number, guildID: string, options: Partial<JobData>): Job
+
+    /**
+    * Deletes the job from the guild.
+    *
+    * The users employed in the deleted job are considered unemployed.
+    * @param jobID Job ID or name.
+    * @param guildID Guild ID.
+    * @returns If deleted: true, else: false.
+    */
+    public delete(jobID: string | number, guildID: string): boolean
+
+    /**
+    * Gets the job from the guild.
+    * @param jobID Job ID or name.
+    * @param guildID Guild ID.
+    * @returns Job object or 'null' if the job was not found.
+    */
+    public get(jobID: string | number, guildID: string): Job
+
+    /**
+    * Gets all the jobs in the guild.
+    * @param guildID Guild ID.
+    * @returns Guild jobs.
+    */
+    public all(guildID: string): Job[]
+
+    /**
+    * Gets the user's current employment.
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @returns User's employment or 'null' if the user is not employed.
+    */
+    public current(memberID: string, guildID: string): EmploymentData
+
+    /**
+    * Employs the user in the job.
+    *
+    * The user must not be employed and must meet the job requirements:
+    * the required level (see `JobManager.setLevelResolver()`) and the required items in the inventory.
+    * @param jobID Job ID or name.
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @returns Operation information object.
+    */
+    public apply(jobID: string | number, memberID: string, guildID: string): JobOperationInfo
+
+    /**
+    * Makes the user quit their job.
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @returns Operation information object.
+    */
+    public quit(memberID: string, guildID: string): JobOperationInfo
+
+    /**
+    * Promotes the user to another job.
+    *
+    * The job requirements are not checked on promotion. The shifts counter starts over.
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @param jobID ID or name of the job to promote the user to. Default: the 'promoteTo' job of the current job.
+    * @returns Operation information object.
+    */
+    public promote(memberID: string, guildID: string, jobID?: string | number): JobOperationInfo
+}
+
+export = JobManager
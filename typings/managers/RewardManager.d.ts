@@ -1,4 +1,14 @@
+import Emitter from '../classes/util/Emitter'
+
 import RewardObject from '../interfaces/RewardObject'
+import CustomRewardObject from '../interfaces/CustomRewardObject'
+import CustomRewardOptions from '../interfaces/CustomRewardOptions'
+import CustomRewardData from '../interfaces/CustomRewardData'
+import RewardModifier from '../interfaces/RewardModifier'
+import RewardModifierData from '../interfaces/RewardModifierData'
+import RewardBoost from '../interfaces/RewardBoost'
+import RewardBoostData from '../interfaces/RewardBoostData'
+import RolesResolver from '../interfaces/RolesResolver'
 import EconomyConfiguration from '../interfaces/EconomyConfiguration'
 
 import { RewardType } from '../interfaces/RewardTypes'
@@ -6,8 +16,9 @@ import { RewardType } from '../interfaces/RewardTypes'
 
 /**
  * Reward manager methods class.
+ * @extends {Emitter}
  */
-declare class RewardManager {
+declare class RewardManager extends Emitter {
     public constructor(options: EconomyConfiguration)
 
     /**
@@ -22,6 +33,126 @@ declare class RewardManager {
         isRewardArray extends boolean = false
     >(reward: RewardType, memberID: string, guildID: string, reason?: string): RewardObject<isRewardArray, typeof reward>
 
+    /**
+    * Adds a specified reward on user's balance.
+    * @param reward Name of the built-in or the registered custom reward.
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @param reason The reason why the money was added.
+    * @returns Reward object.
+    */
+    public receive(reward: string, memberID: string, guildID: string, reason?: string): CustomRewardObject
+
+    /**
+    * Registers the custom reward type.
+    *
+    * Custom rewards are claimed with the `RewardManager.receive()` method by their name
+    * and their cooldowns are tracked by the Cooldown Manager like the built-in ones.
+    * The amount and cooldown can be overridden for each guild in the 'rewards' setting.
+    * @param name Reward name.
+    * @param options Reward options.
+    * @returns Registered reward.
+    */
+    public register(name: string, options: CustomRewardOptions): CustomRewardData
+
+    /**
+    * Unregisters the custom reward type.
+    *
+    * The users' cooldowns of the reward are kept in the database.
+    * @param name Reward name.
+    * @returns If unregistered: true, else: false.
+    */
+    public unregister(name: string): boolean
+
+    /**
+    * Checks if the custom reward type is registered.
+    * @param name Reward name.
+    * @returns If registered: true, else: false.
+    */
+    public has(name: string): boolean
+
+    /**
+    * Returns all the registered custom reward types.
+    * @returns Registered rewards.
+    */
+    public list(): CustomRewardData[]
+
+    /**
+    * Sets the function that returns the Discord role IDs of the member.
+    *
+    * The roles are used to apply the 'role' reward modifiers. If the resolver is not set,
+    * the 'role' modifiers are not applied.
+    * @param resolver The function that receives the member ID and guild ID and returns an array of the member's role IDs.
+    * @returns If set: true.
+    */
+    public setRolesResolver(resolver: RolesResolver): boolean
+
+    /**
+    * Adds the reward modifier in the guild.
+    *
+    * The guild modifiers are applied to the rewards of all the guild members who match the modifier source:
+    * - 'role' - the member has the Discord role (see `RewardManager.setRolesResolver()`);
+    * - 'item' - the member has the item in their inventory;
+    * - 'event' - the modifier applies to everyone (e.g. a double-rewards weekend).
+    * @param guildID Guild ID.
+    * @param options Reward modifier options.
+    * @returns Added reward modifier.
+    */
+    public addModifier(guildID: string, options: RewardModifierData): RewardModifier
+
+    /**
+    * Removes the reward modifier from the guild.
+    * @param modifierID Reward modifier ID.
+    * @param guildID Guild ID.
+    * @returns If removed: true, else: false.
+    */
+    public removeModifier(modifierID: number, guildID: string): boolean
+
+    /**
+    * Gets all the reward modifiers in the guild.
+    * @param guildID Guild ID.
+    * @returns Guild reward modifiers.
+    */
+    public getModifiers(guildID: string): RewardModifier[]
+
+    /**
+    * Gives the user a timed reward boost (e.g. 2x work rewards for 1 hour).
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @param options Reward boost options.
+    * @returns Added reward boost.
+    */
+    public addBoost(memberID: string, guildID: string, options: RewardBoostData): RewardBoost
+
+    /**
+    * Gets the user's active reward boosts.
+    *
+    * [!] The expired boosts are removed from the database.
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @returns Active reward boosts.
+    */
+    public getBoosts(memberID: string, guildID: string): RewardBoost[]
+
+    /**
+    * Removes the reward boost from the user.
+    * @param boostID Reward boost ID.
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @returns If removed: true, else: false.
+    */
+    public removeBoost(boostID: number, memberID: string, guildID: string): boolean
+
+    /**
+    * Adds a custom reward on user's balance.
+    * @param name Name of the registered reward.
+    * @param memberID Member ID.
+    * @param guildID Guild ID.
+    * @param reason The reason why the money was added. Default: 'claimed the {name} reward'
+    * @returns Custom reward object.
+    */
+    public getCustom(name: string, memberID: string, guildID: string, reason?: string): CustomRewardObject
+
     /**
     * Adds a daily reward on user's balance
     * @param {string} memberID Member ID.
@@ -0,0 +1,93 @@
+import Emitter from '../classes/util/Emitter'
+
+import DatabaseManager from './DatabaseManager'
+
+import Season from '../interfaces/Season'
+import SeasonOptions from '../interfaces/SeasonOptions'
+import SeasonSnapshot from '../interfaces/SeasonSnapshot'
+
+import LeaderboardData from '../interfaces/LeaderboardData'
+import LeaderboardPage from '../interfaces/LeaderboardPage'
+import LeaderboardPageOptions from '../interfaces/LeaderboardPageOptions'
+
+import EconomyConfiguration from '../interfaces/EconomyConfiguration'
+
+
+/**
+ * Season manager methods class.
+ * @extends {Emitter}
+ */
+declare class SeasonManager extends Emitter {
+    public constructor(options: EconomyConfiguration, database: DatabaseManager)
+
+    /**
+    * Starts a new season in the guild.
+    *
+    * During the season, the changes of the users' balances and bank balances are tracked separately
+    * from their all-time balances. When the season ends, its final leaderboard is archived.
+    * @param guildID Guild ID.
+    * @param options Season options.
+    * @returns Started season.
+    */
+    public start(guildID: string, options: SeasonOptions): Season
+
+    /**
+    * Gets the current season of the guild.
+    *
+    * If the current season is over, it is ended first.
+    * @param guildID Guild ID.
+    * @returns Current season. If there's no season going on: null.
+    */
+    public current(guildID: string): Season
+
+    /**
+    * Ends the current season of the guild before its end time.
+    *
+    * The final leaderboard of the season is archived and the season's balance reset or decay is applied.
+    * @param guildID Guild ID.
+    * @returns Archived season snapshot. If there's no season going on: null.
+    */
+    public end(guildID: string): SeasonSnapshot
+
+    /**
+    * Gets the leaderboard of the current season of the guild, sorted by the users' season gains.
+    *
+    * The users with the same gains are ranked by their IDs in ascending order.
+    * @param guildID Guild ID.
+    * @returns Sorted leaderboard array.
+    */
+    public leaderboard(guildID: string): LeaderboardData[]
+
+    /**
+    * Gets the requested page of the leaderboard of the current season of the guild.
+    *
+    * The users with the same gains are ranked by their IDs in ascending order.
+    * @param guildID Guild ID.
+    * @param options Leaderboard page options.
+    * @returns Requested leaderboard page.
+    */
+    public leaderboard(guildID: string, options: LeaderboardPageOptions): LeaderboardPage
+
+    /**
+    * Gets the snapshots of all the past seasons of the guild.
+    * @param guildID Guild ID.
+    * @returns Archived season snapshots, from the oldest to the newest.
+    */
+    public archive(guildID: string): SeasonSnapshot[]
+
+    /**
+    * Gets the snapshot of the past season of the guild.
+    * @param seasonID Season ID.
+    * @param guildID Guild ID.
+    * @returns Archived season snapshot. If not found: null.
+    */
+    public snapshot(seasonID: number, guildID: string): SeasonSnapshot
+
+    /**
+    * Ends the seasons that are over in all the guilds.
+    * @returns Archived season snapshots.
+    */
+    public sweepEnded(): SeasonSnapshot[]
+}
+
+export = SeasonManager